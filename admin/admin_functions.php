@@ -20,6 +20,7 @@
  * - handleUpdateUser(): void - Processes user update form submission
  * - handleResetPassword(): void - Processes password reset form submission
  * - handleDeleteUser(): void - Processes user deletion confirmation
+ * - importUsers(array $rows): array - Creates accounts from bulk import rows with generated passwords. Returns a result per row
  *
  * Subject Management Functions:
  * - getAllSubjects(): array - Returns all subjects from the database
@@ -41,12 +42,17 @@
  * - assignSubjectToClass(array $assignmentData): bool|int - Assigns subject to class with teacher. Returns assignment_id or false
  * - updateClassSubjectAssignment(int $assignmentId, array $assignmentData): bool - Updates class-subject assignment. Returns success status
  * - removeSubjectFromClass(int $assignmentId): bool - Removes subject assignment from class. Returns success status
+ * - saveClassSubjectAssignments(array $changes): array - Applies a batch of assignment matrix changes. Returns a result per change
  * - getAllClassSubjectAssignments(): array - Returns all class-subject assignments with related information
  * - getAllTeachers(): array - Returns all teachers with their basic information
+ * - getTeacherSubjectQualifications(): array - Returns the subject IDs each teacher teaches or is qualified for
  *
  * System Settings Functions:
  * - getSystemSettings(): array - Retrieves system-wide settings
- * - updateSystemSettings(array $settings): bool - Updates system-wide settings. Returns success status
+ * - updateSystemSettings(array $settings): bool - Updates system-wide settings, including the school-wide grading scale. Returns success status
+ * - getSubjectGradingScales(): array - Retrieves the grading scales stored for single subjects
+ * - saveSubjectGradingScale(int $subjectId, array $scale): bool - Stores the grading scale of a subject. Returns success status
+ * - deleteSubjectGradingScale(int $subjectId): bool - Removes the grading scale of a subject. Returns success status
  *
  * Dashboard Widget Functions:
  * - renderAdminUserStatsWidget(): string - Displays user statistics by role with counts and recent registrations
@@ -56,7 +62,11 @@
  * Validation and Utility Functions:
  * - getAllStudentsBasicInfo(): array - Retrieves basic information for all students
  * - validateUserForm(array $userData): bool|string - Validates user form data based on role. Returns true or error message
+ * - parseGradingScaleForm(array $formData): array|string - Validates grading scale form data. Returns the scale or error message
  * - usernameExists(string $username, ?int $excludeUserId = null): bool - Checks if username already exists, optionally excluding a user
+ * - getTakenUsernames(array $usernames): array - Returns the given usernames that are already in use
+ * - getStudentIdsByUsernames(array $usernames): array - Maps student usernames to student IDs
+ * - generateInitialPassword(int $length = 10): string - Generates a password without easily confused characters
  * - subjectExists(int $subjectId): bool - Checks if subject exists. Returns true if found
  * - studentExists(int $studentId): bool - Checks if student exists. Returns true if found
  * - classCodeExists(string $classCode): bool - Checks if class code exists. Returns true if found
@@ -134,7 +144,7 @@ function displayUserList(): void
         echo '<a href="/uwuweb/admin/users.php?action=reset&user_id=' . $user['user_id'] . '" class="btn btn-secondary btn-sm">Ponastavi geslo</a>';
 
         if (!($user['role_id'] == ROLE_ADMIN && $user['user_id'] == 1) && $user['user_id'] != getUserId()) echo '<a href="/uwuweb/admin/users.php?action=delete&user_id=' . $user['user_id'] . '" class="btn btn-error btn-sm"
-                onclick="return confirm(\'Ali ste prepričani, da želite izbrisati tega uporabnika?\');">Izbriši</a>';
+                onclick="return confirm(i18n.t(\'admin.users.confirmDelete\'));">Izbriši</a>';
 
         echo '</td>';
         echo '</tr>';
@@ -911,6 +921,70 @@ function handleDeleteUser(): void
     }
 }
 
+/**
+ * Creates accounts from rows of the bulk import on the users page
+ *
+ * Every account gets a generated initial password, which is only ever returned here. Parents are
+ * linked to their children by student username, so the students have to be imported first.
+ *
+ * @param array $rows Rows with row, username, role_id, first_name, last_name, class_code, dob and children (student usernames)
+ * @return array One result per row with row, username, success and either user_id and password or error
+ * @throws Exception When no secure random source is available
+ */
+function importUsers(array $rows): array
+{
+    $results = [];
+
+    foreach ($rows as $row) {
+        $roleId = (int)($row['role_id'] ?? 0);
+        $result = [
+            'row' => isset($row['row']) ? (int)$row['row'] : null,
+            'username' => trim((string)($row['username'] ?? ''))
+        ];
+
+        if (!in_array($roleId, [ROLE_TEACHER, ROLE_STUDENT, ROLE_PARENT], true)) {
+            $results[] = $result + ['success' => false, 'error' => 'Uvoz podpira samo učitelje, dijake in starše.'];
+            continue;
+        }
+
+        $userData = [
+            'username' => $result['username'],
+            'password' => generateInitialPassword(),
+            'role_id' => $roleId,
+            'first_name' => trim((string)($row['first_name'] ?? '')),
+            'last_name' => trim((string)($row['last_name'] ?? ''))
+        ];
+
+        if ($roleId === ROLE_STUDENT) {
+            $userData['class_code'] = trim((string)($row['class_code'] ?? ''));
+            $userData['dob'] = trim((string)($row['dob'] ?? ''));
+        } elseif ($roleId === ROLE_PARENT) {
+            $children = array_values(array_unique(array_filter(array_map(static fn($child) => trim((string)$child), (array)($row['children'] ?? [])))));
+            $studentIds = getStudentIdsByUsernames($children);
+
+            if (count($studentIds) !== count($children)) {
+                $missing = array_diff($children, array_keys($studentIds));
+                $results[] = $result + ['success' => false, 'error' => 'Dijak ne obstaja: ' . implode(', ', $missing)];
+                continue;
+            }
+            $userData['student_ids'] = array_values($studentIds);
+        }
+
+        $validationResult = validateUserForm($userData);
+        if ($validationResult !== true) {
+            $results[] = $result + ['success' => false, 'error' => $validationResult];
+            continue;
+        }
+
+        $userId = createNewUser($userData);
+        $results[] = $userId
+            ? $result + ['success' => true, 'user_id' => (int)$userId, 'password' => $userData['password']]
+            : $result + ['success' => false, 'error' => 'Napaka pri ustvarjanju uporabnika.'];
+    }
+
+    return $results;
+}
+
 // ===== Subject Management Functions =====
 
 /**
@@ -963,7 +1037,7 @@ function displaySubjectsList(): void
         echo '<a href="/uwuweb/admin/manage_subjects.php?subject_id=' . $subject['subject_id'] . '" class="btn btn-primary btn-sm">Uredi</a>';
 
         echo '<a href="/uwuweb/admin/manage_subjects.php?action=delete_subject&subject_id=' . $subject['subject_id'] . '" class="btn btn-error btn-sm"
-                onclick="return confirm(\'Ali ste prepričani, da želite izbrisati ta predmet?\');">Izbriši</a>';
+                onclick="return confirm(i18n.t(\'admin.subjects.confirmDelete\'));">Izbriši</a>';
         echo '</td>';
         echo '</tr>';
     }
@@ -996,7 +1070,7 @@ function getSubjectDetails(int $subjectId): ?array
         if (!$subject) return null;
 
         $stmt = $pdo->prepare("
-            SELECT cs.class_subject_id, c.class_code, c.title, t.teacher_id,
+            SELECT cs.class_subject_id, c.class_id, c.class_code, c.title, t.teacher_id,
                    u.username as teacher_username
             FROM class_subjects cs
             JOIN classes c ON cs.class_id = c.class_id
@@ -1102,6 +1176,9 @@ function deleteSubject(int $subjectId): bool
             return false;
         }
 
+        $stmt = $pdo->prepare("DELETE FROM grading_scales WHERE subject_id = ?");
+        $stmt->execute([$subjectId]);
+
         $stmt = $pdo->prepare("DELETE FROM subjects WHERE subject_id = ?");
         $stmt->execute([$subjectId]);
 
@@ -1154,21 +1231,21 @@ function displayClassesList(): void
 {
     $classes = getAllClasses();
 
-    echo '<table class="data-table">';
+    echo '<table class="data-table" data-table="classes" data-page-size="50" data-sticky-header data-column-toggle>';
     echo '<thead>';
     echo '<tr>';
-    echo '<th>Ime</th>';
-    echo '<th>Koda (Leto)</th>';
-    echo '<th>Razrednik</th>';
-    echo '<th class="text-center">Učenci</th>';
-    echo '<th class="text-center">Predmeti</th>';
-    echo '<th class="text-right">Dejanja</th>';
+    echo '<th data-column="name" data-sort="text" data-filter="text">Ime</th>';
+    echo '<th data-column="code" data-sort="text" data-filter="text">Koda (Leto)</th>';
+    echo '<th data-column="homeroom" data-sort="text" data-filter="select">Razrednik</th>';
+    echo '<th class="text-center" data-column="students" data-sort="number">Učenci</th>';
+    echo '<th class="text-center" data-column="subjects" data-sort="number">Predmeti</th>';
+    echo '<th class="text-right" data-hideable="false" data-searchable="false">Dejanja</th>';
     echo '</tr>';
     echo '</thead>';
     echo '<tbody>';
 
     if (empty($classes)) {
-        echo '<tr>';
+        echo '<tr data-table-empty>';
         echo '<td colspan="6" class="text-center p-lg">';
         echo '<div class="alert status-info mb-0">';
         echo 'Ni še ustvarjenih razredov. Uporabite gumb zgoraj za dodajanje.';
@@ -1388,6 +1465,11 @@ function deleteClass(int $classId): bool
 
 // ===== Class-Subject Assignment Functions =====
 
+/**
+ * Number of class-subject assignments above which the assignment matrix marks a teacher as overloaded
+ */
+const TEACHER_MAX_ASSIGNMENTS = 8;
+
 /**
  * Assigns a subject to a class with a specific teacher
  *
@@ -1495,6 +1577,56 @@ function removeSubjectFromClass(int $assignmentId): bool
     }
 }
 
+/**
+ * Applies a batch of changes from the assignment matrix
+ *
+ * Each change sets the teacher of one class-subject pair, a null teacher removes the assignment.
+ * Changes are applied one at a time, so one that fails (e.g. removing a subject that already has
+ * grades) does not undo the others.
+ *
+ * @param array $changes Changes with class_id, subject_id and teacher_id (null to remove)
+ * @return array One result per change with class_id, subject_id, success and error on failure
+ */
+function saveClassSubjectAssignments(array $changes): array
+{
+    $pdo = safeGetDBConnection('saveClassSubjectAssignments');
+    if ($pdo === null) sendJsonErrorResponse("Povezava s podatkovno bazo ni uspela - funkcija saveClassSubjectAssignments", 500, "admin_functions.php");
+
+    $findStmt = $pdo->prepare("SELECT class_subject_id FROM class_subjects WHERE class_id = ? AND subject_id = ?");
+    $results = [];
+
+    foreach ($changes as $change) {
+        $classId = (int)($change['class_id'] ?? 0);
+        $subjectId = (int)($change['subject_id'] ?? 0);
+        $teacherId = isset($change['teacher_id']) ? (int)$change['teacher_id'] : null;
+        $result = ['class_id' => $classId, 'subject_id' => $subjectId];
+
+        try {
+            $findStmt->execute([$classId, $subjectId]);
+            $assignmentId = $findStmt->fetchColumn();
+        } catch (PDOException $e) {
+            logDBError("Napaka pri iskanju povezave razreda in predmeta: " . $e->getMessage());
+            $results[] = $result + ['success' => false, 'error' => 'Napaka baze podatkov.'];
+            continue;
+        }
+
+        if ($teacherId === null) {
+            $success = $assignmentId === false || removeSubjectFromClass((int)$assignmentId);
+            $error = 'Povezave ni mogoče odstraniti, ker že ima ocene ali ure.';
+        } elseif ($assignmentId !== false) {
+            $success = updateClassSubjectAssignment((int)$assignmentId, ['teacher_id' => $teacherId]);
+            $error = 'Napaka pri posodabljanju povezave.';
+        } else {
+            $success = (bool)assignSubjectToClass(['class_id' => $classId, 'subject_id' => $subjectId, 'teacher_id' => $teacherId]);
+            $error = 'Napaka pri ustvarjanju povezave.';
+        }
+
+        $results[] = $result + ($success ? ['success' => true] : ['success' => false, 'error' => $error]);
+    }
+
+    return $results;
+}
+
 /**
  * Gets all class-subject assignments
  *
@@ -1556,6 +1688,37 @@ function getAllTeachers(): array
     }
 }
 
+/**
+ * Gets the subjects each teacher teaches or is qualified for, used by the assignment matrix
+ *
+ * @return array Subject IDs keyed by teacher ID, teachers without subjects are left out
+ */
+function getTeacherSubjectQualifications(): array
+{
+    try {
+        $pdo = safeGetDBConnection('getTeacherSubjectQualifications');
+
+        if ($pdo === null) sendJsonErrorResponse("Povezava s podatkovno bazo ni uspela - funkcija getTeacherSubjectQualifications", 500, "admin_functions.php");
+
+        $rows = $pdo->query("SELECT DISTINCT teacher_id, subject_id FROM class_subjects")->fetchAll(PDO::FETCH_ASSOC);
+
+        // Qualifications may not be set up, assigned subjects are enough then
+        try {
+            $rows = array_merge($rows, $pdo->query("SELECT teacher_id, subject_id FROM teacher_subject_qualifications")->fetchAll(PDO::FETCH_ASSOC));
+        } catch (PDOException $e) {
+            if ($e->getCode() != '42S02') throw $e;
+        }
+
+        $subjects = [];
+        foreach ($rows as $row) $subjects[(int)$row['teacher_id']][(int)$row['subject_id']] = (int)$row['subject_id'];
+
+        return array_map('array_values', $subjects);
+    } catch (PDOException $e) {
+        logDBError("Napaka pri pridobivanju predmetov učiteljev: " . $e->getMessage());
+        return [];
+    }
+}
+
 // ===== System Settings Functions =====
 
 /**
@@ -1580,6 +1743,9 @@ function getSystemSettings(): array
             'school_address' => '',
             'session_timeout' => 30,
             'grade_scale' => '1-5',
+            'grade_thresholds' => json_encode(array_slice(DEFAULT_GRADE_THRESHOLDS, 0, 4, true)),
+            'grade_plus_minus' => false,
+            'grade_modifier_range' => DEFAULT_GRADE_MODIFIER_RANGE,
             'maintenance_mode' => false
         ];
     } catch (PDOException $e) {
@@ -1592,6 +1758,9 @@ function getSystemSettings(): array
             'school_address' => '',
             'session_timeout' => 30,
             'grade_scale' => '1-5',
+            'grade_thresholds' => json_encode(array_slice(DEFAULT_GRADE_THRESHOLDS, 0, 4, true)),
+            'grade_plus_minus' => false,
+            'grade_modifier_range' => DEFAULT_GRADE_MODIFIER_RANGE,
             'maintenance_mode' => false
         ];
     }
@@ -1621,6 +1790,9 @@ function updateSystemSettings(array $settings): bool
                     school_address = :school_address,
                     session_timeout = :session_timeout,
                     grade_scale = :grade_scale,
+                    grade_thresholds = :grade_thresholds,
+                    grade_plus_minus = :grade_plus_minus,
+                    grade_modifier_range = :grade_modifier_range,
                     maintenance_mode = :maintenance_mode,
                     updated_at = NOW()";
 
@@ -1631,6 +1803,9 @@ function updateSystemSettings(array $settings): bool
                 'school_address' => $settings['school_address'],
                 'session_timeout' => (int)$settings['session_timeout'],
                 'grade_scale' => $settings['grade_scale'],
+                'grade_thresholds' => json_encode($settings['grade_thresholds'], JSON_THROW_ON_ERROR),
+                'grade_plus_minus' => $settings['grade_plus_minus'] ? 1 : 0,
+                'grade_modifier_range' => $settings['grade_modifier_range'],
                 'maintenance_mode' => $settings['maintenance_mode'] ? 1 : 0
             ]);
         }
@@ -1638,11 +1813,13 @@ function updateSystemSettings(array $settings): bool
         // Insert new settings
         $sql = "INSERT INTO system_settings (
                 school_name, current_year, school_address,
-                session_timeout, grade_scale, maintenance_mode,
+                session_timeout, grade_scale, grade_thresholds,
+                grade_plus_minus, grade_modifier_range, maintenance_mode,
                 created_at, updated_at)
                VALUES (
                 :school_name, :current_year, :school_address,
-                :session_timeout, :grade_scale, :maintenance_mode,
+                :session_timeout, :grade_scale, :grade_thresholds,
+                :grade_plus_minus, :grade_modifier_range, :maintenance_mode,
                 NOW(), NOW())";
 
         $stmt = $pdo->prepare($sql);
@@ -1652,14 +1829,105 @@ function updateSystemSettings(array $settings): bool
             'school_address' => $settings['school_address'],
             'session_timeout' => (int)$settings['session_timeout'],
             'grade_scale' => $settings['grade_scale'],
+            'grade_thresholds' => json_encode($settings['grade_thresholds'], JSON_THROW_ON_ERROR),
+            'grade_plus_minus' => $settings['grade_plus_minus'] ? 1 : 0,
+            'grade_modifier_range' => $settings['grade_modifier_range'],
             'maintenance_mode' => $settings['maintenance_mode'] ? 1 : 0
         ]);
-    } catch (PDOException $e) {
+    } catch (PDOException|JsonException $e) {
         logDBError("Napaka pri posodabljanju sistemskih nastavitev: " . $e->getMessage());
         return false;
     }
 }
 
+/**
+ * Retrieves the grading scales stored for single subjects
+ *
+ * @return array Array of scales with subject_id, subject_name, thresholds (grade => minimum), plus_minus and modifier_range
+ */
+function getSubjectGradingScales(): array
+{
+    try {
+        $pdo = safeGetDBConnection('getSubjectGradingScales');
+        if ($pdo === null) sendJsonErrorResponse("Povezava s podatkovno bazo ni uspela - funkcija getSubjectGradingScales", 500, "admin_functions.php");
+
+        $stmt = $pdo->query("
+            SELECT gs.subject_id, s.name AS subject_name, gs.thresholds, gs.plus_minus, gs.modifier_range
+            FROM grading_scales gs
+            JOIN subjects s ON gs.subject_id = s.subject_id
+            ORDER BY s.name
+        ");
+
+        $scales = [];
+        foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $row) {
+            $row['thresholds'] = json_decode($row['thresholds'], true, 512, JSON_THROW_ON_ERROR);
+            $row['plus_minus'] = (bool)$row['plus_minus'];
+            $row['modifier_range'] = (float)$row['modifier_range'];
+            $scales[] = $row;
+        }
+
+        return $scales;
+    } catch (PDOException|JsonException $e) {
+        logDBError("Napaka pri pridobivanju lestvic ocen predmetov: " . $e->getMessage());
+        return [];
+    }
+}
+
+/**
+ * Stores the grading scale of a subject, replacing the one it had
+ *
+ * @param int $subjectId Subject ID
+ * @param array $scale Scale from parseGradingScaleForm()
+ * @return bool Returns true on success, false on failure
+ */
+function saveSubjectGradingScale(int $subjectId, array $scale): bool
+{
+    try {
+        $pdo = safeGetDBConnection('saveSubjectGradingScale');
+        if ($pdo === null) sendJsonErrorResponse("Povezava s podatkovno bazo ni uspela - funkcija saveSubjectGradingScale", 500, "admin_functions.php");
+
+        if (!subjectExists($subjectId)) return false;
+
+        $stmt = $pdo->prepare("
+            INSERT INTO grading_scales (subject_id, thresholds, plus_minus, modifier_range)
+            VALUES (:subject_id, :thresholds, :plus_minus, :modifier_range)
+            ON DUPLICATE KEY UPDATE thresholds = VALUES(thresholds),
+                                    plus_minus = VALUES(plus_minus),
+                                    modifier_range = VALUES(modifier_range)
+        ");
+
+        return $stmt->execute([
+            'subject_id' => $subjectId,
+            'thresholds' => json_encode($scale['thresholds'], JSON_THROW_ON_ERROR),
+            'plus_minus' => $scale['plus_minus'] ? 1 : 0,
+            'modifier_range' => $scale['modifier_range']
+        ]);
+    } catch (PDOException|JsonException $e) {
+        logDBError("Napaka pri shranjevanju lestvice ocen predmeta: " . $e->getMessage());
+        return false;
+    }
+}
+
+/**
+ * Removes the grading scale of a subject, the subject then uses the school-wide scale
+ *
+ * @param int $subjectId Subject ID
+ * @return bool Returns true on success, false on failure
+ */
+function deleteSubjectGradingScale(int $subjectId): bool
+{
+    try {
+        $pdo = safeGetDBConnection('deleteSubjectGradingScale');
+        if ($pdo === null) sendJsonErrorResponse("Povezava s podatkovno bazo ni uspela - funkcija deleteSubjectGradingScale", 500, "admin_functions.php");
+
+        $stmt = $pdo->prepare("DELETE FROM grading_scales WHERE subject_id = ?");
+        return $stmt->execute([$subjectId]);
+    } catch (PDOException $e) {
+        logDBError("Napaka pri brisanju lestvice ocen predmeta: " . $e->getMessage());
+        return false;
+    }
+}
+
 // ===== Dashboard Widget Functions =====
 
 /**
@@ -2037,6 +2305,45 @@ function validateUserForm(array $userData): bool|string
     return true;
 }
 
+/**
+ * Validates and normalizes grading scale form data
+ *
+ * Thresholds for grades 5 to 2 must lie between 0 and 100 % and fall from grade to grade,
+ * the +/- range must fit in half of the narrowest band.
+ *
+ * @param array $formData Form data with threshold_5 ... threshold_2, plus_minus and modifier_range
+ * @return array|string Scale with 'thresholds' (grade => minimum), 'plus_minus' and 'modifier_range', or an error message
+ */
+function parseGradingScaleForm(array $formData): array|string
+{
+    $thresholds = [];
+    $previous = 100.0;
+
+    foreach ([5, 4, 3, 2] as $grade) {
+        $value = str_replace(',', '.', trim((string)($formData['threshold_' . $grade] ?? '')));
+        if (!is_numeric($value)) return "Vnesite spodnjo mejo za oceno $grade.";
+
+        $min = round((float)$value, 2);
+        if ($min <= 0 || $min > $previous || ($grade < 5 && $min === $previous)) return 'Meje ocen morajo biti med 0 in 100 % in padati od ocene 5 do ocene 2.';
+
+        $thresholds[$grade] = $min;
+        $previous = $min;
+    }
+
+    $plusMinus = !empty($formData['plus_minus']);
+    $modifierRange = DEFAULT_GRADE_MODIFIER_RANGE;
+
+    if ($plusMinus) {
+        $value = str_replace(',', '.', trim((string)($formData['modifier_range'] ?? '')));
+        $narrowest = min(100 - $thresholds[5], $thresholds[5] - $thresholds[4], $thresholds[4] - $thresholds[3], $thresholds[3] - $thresholds[2]);
+        if (!is_numeric($value) || (float)$value <= 0 || (float)$value > $narrowest / 2) return 'Razpon za + in - mora biti večji od 0 in največ polovica najožjega razreda ocene.';
+
+        $modifierRange = round((float)$value, 1);
+    }
+
+    return ['thresholds' => $thresholds, 'plus_minus' => $plusMinus, 'modifier_range' => $modifierRange];
+}
+
 /**
  * Checks if a username already exists in the database
  *
@@ -2063,6 +2370,72 @@ function usernameExists(string $username, ?int $excludeUserId = null): bool
     return $stmt->fetchColumn() > 0;
 }
 
+/**
+ * Returns which of the given usernames are already in use
+ *
+ * @param array $usernames Usernames to check
+ * @return array The taken usernames as stored in the database
+ */
+function getTakenUsernames(array $usernames): array
+{
+    $usernames = array_values(array_unique(array_filter(array_map('strval', $usernames), 'strlen')));
+    if (empty($usernames)) return [];
+
+    $pdo = safeGetDBConnection('getTakenUsernames');
+    if ($pdo === null) sendJsonErrorResponse("Povezava s podatkovno bazo ni uspela - funkcija getTakenUsernames", 500, "admin_functions.php");
+
+    $placeholders = implode(',', array_fill(0, count($usernames), '?'));
+    $stmt = $pdo->prepare("SELECT username FROM users WHERE username IN ($placeholders)");
+    $stmt->execute($usernames);
+
+    return $stmt->fetchAll(PDO::FETCH_COLUMN);
+}
+
+/**
+ * Looks up students by their usernames
+ *
+ * @param array $usernames Student usernames
+ * @return array Map of username to student_id, unknown usernames are left out
+ */
+function getStudentIdsByUsernames(array $usernames): array
+{
+    if (empty($usernames)) return [];
+
+    $pdo = safeGetDBConnection('getStudentIdsByUsernames');
+    if ($pdo === null) sendJsonErrorResponse("Povezava s podatkovno bazo ni uspela - funkcija getStudentIdsByUsernames", 500, "admin_functions.php");
+
+    $placeholders = implode(',', array_fill(0, count($usernames), '?'));
+    $stmt = $pdo->prepare("
+        SELECT u.username, s.student_id
+        FROM students s
+        JOIN users u ON s.user_id = u.user_id
+        WHERE u.username IN ($placeholders)
+    ");
+    $stmt->execute(array_values($usernames));
+
+    return array_map('intval', $stmt->fetchAll(PDO::FETCH_KEY_PAIR));
+}
+
+/**
+ * Generates an initial password for imported accounts
+ *
+ * Letters and digits that are easily confused on paper (0/O, 1/l/I) are left out,
+ * the passwords are handed out on printed sheets.
+ *
+ * @param int $length Password length
+ * @return string The password
+ * @throws Exception When no secure random source is available
+ */
+function generateInitialPassword(int $length = 10): string
+{
+    $alphabet = 'abcdefghjkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    $password = '';
+
+    for ($i = 0; $i < $length; $i++) $password .= $alphabet[random_int(0, strlen($alphabet) - 1)];
+
+    return $password;
+}
+
 /**
  * Checks if a class code exists in the database
  *
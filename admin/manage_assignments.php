@@ -124,6 +124,82 @@ $pdo = getDBConnection();
         </div>
     <?php endif; ?>
 
+    <!-- Assignment matrix: classes as rows, subjects as columns, filled from the saved assignments below -->
+    <div class="card shadow rounded-lg mb-xl" id="assignmentMatrix" data-max-load="<?= TEACHER_MAX_ASSIGNMENTS ?>">
+        <div class="d-flex justify-between items-center flex-wrap gap-sm p-md"
+             style="border-bottom: 1px solid var(--border-color-medium);">
+            <h2 class="text-lg font-medium mt-0 mb-0">Matrika dodelitev</h2>
+            <div class="d-flex items-center flex-wrap gap-sm">
+                <span class="text-sm text-secondary" id="matrixPendingCount" aria-live="polite"></span>
+                <button type="button" class="btn btn-secondary btn-sm" id="matrixDiscardBtn" disabled>
+                    Razveljavi spremembe
+                </button>
+                <button type="button" class="btn btn-primary btn-sm" id="matrixReviewBtn" disabled>
+                    Preglej in shrani
+                </button>
+            </div>
+        </div>
+
+        <div class="card__content p-md">
+            <p class="text-sm text-secondary mt-0 mb-md">
+                Povlecite učitelja iz seznama na celico ali celico izberite in vpišite ime učitelja. Spremembe se
+                shranijo šele po pregledu.
+            </p>
+            <p class="text-sm mt-0 mb-md" id="matrixStats" aria-live="polite"></p>
+
+            <div class="assignment-matrix-layout">
+                <aside class="assignment-teachers" aria-labelledby="matrixTeachersTitle">
+                    <h3 class="text-md font-medium mt-0 mb-sm" id="matrixTeachersTitle">Učitelji</h3>
+                    <label for="matrixTeacherFilter" class="sr-only">Išči učitelja</label>
+                    <input type="search" id="matrixTeacherFilter" class="form-input mb-sm" placeholder="Išči učitelja...">
+                    <ul class="assignment-teacher-list" id="matrixTeachers">
+                        <?php foreach ($teachers as $teacher): ?>
+                            <li class="assignment-teacher" draggable="true"
+                                data-teacher-id="<?= $teacher['teacher_id'] ?>"
+                                data-name="<?= htmlspecialchars($teacher['first_name'] . ' ' . $teacher['last_name']) ?>"
+                                data-username="<?= htmlspecialchars($teacher['username']) ?>">
+                                <span class="assignment-teacher-name"><?= htmlspecialchars($teacher['first_name'] . ' ' . $teacher['last_name']) ?></span>
+                                <span class="assignment-teacher-load badge"></span>
+                            </li>
+                        <?php endforeach; ?>
+                    </ul>
+                    <ul class="assignment-legend text-xs">
+                        <li><span class="assignment-legend-swatch is-empty"></span> Brez učitelja</li>
+                        <li><span class="assignment-legend-swatch is-changed"></span> Neshranjena sprememba</li>
+                        <li><span class="assignment-legend-swatch is-overloaded"></span> Več kot <?= TEACHER_MAX_ASSIGNMENTS ?> predmetov</li>
+                        <li><span class="assignment-legend-swatch is-idle"></span> Učitelj brez predmetov</li>
+                    </ul>
+                </aside>
+
+                <div class="table-responsive assignment-matrix-wrap">
+                    <table class="assignment-matrix" id="matrixTable">
+                        <thead>
+                        <tr>
+                            <th scope="col">Razred</th>
+                            <?php foreach ($subjects as $subject): ?>
+                                <th scope="col" data-subject-id="<?= $subject['subject_id'] ?>"><?= htmlspecialchars($subject['name']) ?></th>
+                            <?php endforeach; ?>
+                        </tr>
+                        </thead>
+                        <tbody>
+                        <?php foreach ($classes as $class): ?>
+                            <tr data-class-id="<?= $class['class_id'] ?>">
+                                <th scope="row" title="<?= htmlspecialchars($class['title']) ?>"><?= htmlspecialchars($class['class_code']) ?></th>
+                                <?php foreach ($subjects as $subject): ?>
+                                    <td class="matrix-cell" data-class-id="<?= $class['class_id'] ?>"
+                                        data-subject-id="<?= $subject['subject_id'] ?>"
+                                        data-label="<?= htmlspecialchars($class['class_code'] . ' – ' . $subject['name']) ?>"></td>
+                                <?php endforeach; ?>
+                            </tr>
+                        <?php endforeach; ?>
+                        </tbody>
+                    </table>
+                    <datalist id="matrixTeacherOptions"></datalist>
+                </div>
+            </div>
+        </div>
+    </div>
+
     <div class="card shadow rounded-lg mb-xl">
         <div class="d-flex justify-between items-center p-md"
              style="border-bottom: 1px solid var(--border-color-medium);">
@@ -134,18 +210,19 @@ $pdo = getDBConnection();
         </div>
 
         <div class="card__content p-md">
-            <table class="data-table">
+            <table class="data-table" data-table="assignments" data-page-size="50" data-sticky-header
+                   data-column-toggle>
                 <thead>
                 <tr>
-                    <th>Razred</th>
-                    <th>Predmet</th>
-                    <th>Učitelj</th>
-                    <th class="text-right">Dejanja</th>
+                    <th data-column="class" data-sort="text" data-filter="select">Razred</th>
+                    <th data-column="subject" data-sort="text" data-filter="select">Predmet</th>
+                    <th data-column="teacher" data-sort="text" data-filter="select">Učitelj</th>
+                    <th class="text-right" data-hideable="false" data-searchable="false">Dejanja</th>
                 </tr>
                 </thead>
                 <tbody>
                 <?php if (empty($classSubjects)): ?>
-                    <tr>
+                    <tr data-table-empty>
                         <td colspan="4" class="text-center p-lg">
                             <div class="alert status-info page-transition mb-0" role="status">
                                 <div class="alert-content">
@@ -250,7 +327,8 @@ $pdo = getDBConnection();
         <div class="modal-header">
             <h3 class="modal-title" id="editAssignmentModalTitle">Uredi Povezavo</h3>
         </div>
-        <form id="editAssignmentForm" method="POST" action="<?= htmlspecialchars($_SERVER['PHP_SELF']) ?>">
+        <form id="editAssignmentForm" method="POST" action="<?= htmlspecialchars($_SERVER['PHP_SELF']) ?>"
+              data-draft="admin.assignments.edit" data-draft-context="assignment_id">
             <div class="modal-body">
                 <input type="hidden" name="csrf_token" value="<?= htmlspecialchars($csrfToken) ?>">
                 <input type="hidden" name="update_assignment" value="1">
@@ -310,45 +388,35 @@ $pdo = getDBConnection();
     </div>
 </div>
 
+<!-- Assignment Matrix Review Modal -->
+<div class="modal" id="matrixReviewModal">
+    <div class="modal-overlay" aria-hidden="true"></div>
+    <div class="modal-container" role="dialog" aria-modal="true" aria-labelledby="matrixReviewModalTitle">
+        <div class="modal-header">
+            <h3 class="modal-title" id="matrixReviewModalTitle">Pregled sprememb</h3>
+        </div>
+        <div class="modal-body">
+            <p class="mt-0" id="matrixReviewSummary"></p>
+            <ul class="assignment-changes" id="matrixReviewList"></ul>
+        </div>
+        <div class="modal-footer">
+            <button type="button" class="btn btn-secondary" data-close-modal>Nazaj na urejanje</button>
+            <button type="button" class="btn btn-primary" id="matrixSaveBtn">Shrani spremembe</button>
+        </div>
+    </div>
+</div>
+
 <script>
     document.addEventListener('DOMContentLoaded', function () {
         // --- Modal Management Functions ---
-        const openModal = (modalId) => {
-            const modal = document.getElementById(modalId);
-            if (modal) {
-                modal.classList.add('open');
-                // Focus the first focusable element
-                const firstFocusable = modal.querySelector('button, [href], input, select, textarea');
-                if (firstFocusable) firstFocusable.focus();
-            }
-        };
-
-        const closeModal = (modal) => {
-            if (typeof modal === 'string') {
-                modal = document.getElementById(modal);
-            }
-
-            if (modal) {
-                modal.classList.remove('open');
-                // Reset forms if present
-                const form = modal.querySelector('form');
-                if (form) form.reset();
-
-                // Clear any error messages
-                const errorMsgs = modal.querySelectorAll('.feedback-error');
-                errorMsgs.forEach(msg => {
-                    if (msg && msg.style) {
-                        msg.style.display = 'none';
-                    }
-                });
-            }
-        };
+        // modalUtils handles focus, Escape, close buttons and the overlay, and asks before unsaved
+        // changes are discarded
+        const openModal = (modalId, trigger = null) => modalUtils.openModal(modalId, trigger);
 
         // Open modal buttons
         document.querySelectorAll('[data-open-modal]').forEach(btn => {
             btn.addEventListener('click', function () {
                 const modalId = this.dataset.openModal;
-                openModal(modalId);
 
                 // If the button has additional data attributes, process them
                 const dataId = this.dataset.id;
@@ -379,6 +447,9 @@ $pdo = getDBConnection();
                     if (subjectDisplay && dataSubject) subjectDisplay.textContent = dataSubject;
                     if (teacherSelect && dataTeacher) teacherSelect.value = dataTeacher;
                 }
+
+                // Opened once the fields are filled, so a stored draft is compared with them
+                openModal(modalId, this);
             });
         });
 
@@ -413,29 +484,6 @@ $pdo = getDBConnection();
             form.submit();
         });
 
-        // Close modal buttons
-        document.querySelectorAll('[data-close-modal]').forEach(btn => {
-            btn.addEventListener('click', function () {
-                closeModal(this.closest('.modal'));
-            });
-        });
-
-        // Close modals when clicking the overlay
-        document.querySelectorAll('.modal-overlay').forEach(overlay => {
-            overlay.addEventListener('click', function () {
-                closeModal(this.closest('.modal'));
-            });
-        });
-
-        // Close modals with Escape key
-        document.addEventListener('keydown', function (e) {
-            if (e.key === 'Escape') {
-                document.querySelectorAll('.modal.open').forEach(modal => {
-                    closeModal(modal);
-                });
-            }
-        });
-
         // Auto-open edit modal if assignment_id is in URL
         <?php if (isset($_GET['assignment_id']) && $editAssignment): ?>
         // Fill form with assignment data
@@ -445,6 +493,308 @@ $pdo = getDBConnection();
         document.getElementById('edit_teacher_id').value = '<?= $editAssignment['teacher_id'] ?>';
         openModal('editAssignmentModal');
         <?php endif; ?>
+
+        // --- Assignment matrix ---
+        // Saved assignments and the subjects each teacher teaches or is qualified for, rendered with the page
+        const SAVED_ASSIGNMENTS = <?= json_encode(array_map(static fn($assignment) => [
+            'class_id' => (int)$assignment['class_id'],
+            'subject_id' => (int)$assignment['subject_id'],
+            'teacher_id' => (int)$assignment['teacher_id']
+        ], $classSubjects), JSON_THROW_ON_ERROR | JSON_HEX_TAG) ?>;
+        const TEACHER_SUBJECTS = <?= json_encode((object)getTeacherSubjectQualifications(), JSON_THROW_ON_ERROR | JSON_HEX_TAG) ?>;
+
+        const matrix = document.getElementById('assignmentMatrix');
+        const matrixTable = document.getElementById('matrixTable');
+        const matrixTeacherList = document.getElementById('matrixTeachers');
+        const MAX_LOAD = parseInt(matrix.dataset.maxLoad, 10);
+
+        const cellKey = (classId, subjectId) => `${classId}:${subjectId}`;
+        const cells = new Map([...matrixTable.querySelectorAll('.matrix-cell')]
+            .map(cell => [cellKey(cell.dataset.classId, cell.dataset.subjectId), cell]));
+        const teachers = new Map([...matrixTeacherList.querySelectorAll('.assignment-teacher')].map(item => [item.dataset.teacherId, {
+            id: item.dataset.teacherId,
+            name: item.dataset.name,
+            username: item.dataset.username,
+            subjects: new Set((TEACHER_SUBJECTS[item.dataset.teacherId] || []).map(String)),
+            element: item
+        }]));
+
+        // Teacher ID (string) or null per class-subject key, as saved and as edited
+        const savedAssignments = new Map(SAVED_ASSIGNMENTS.map(assignment => [
+            cellKey(assignment.class_id, assignment.subject_id),
+            String(assignment.teacher_id)
+        ]));
+        const pendingAssignments = new Map();
+
+        const assignedTeacher = key => pendingAssignments.has(key) ? pendingAssignments.get(key) : (savedAssignments.get(key) ?? null);
+        const teacherOption = teacher => `${teacher.name} (${teacher.username})`;
+
+        const teacherLoads = () => {
+            const loads = new Map([...teachers.keys()].map(id => [id, 0]));
+            cells.forEach((cell, key) => {
+                const teacherId = assignedTeacher(key);
+                if (teacherId) loads.set(teacherId, (loads.get(teacherId) || 0) + 1);
+            });
+            return loads;
+        };
+
+        const renderCell = (key, loads) => {
+            const cell = cells.get(key);
+            const teacherId = assignedTeacher(key);
+            const teacher = teacherId ? teachers.get(teacherId) : null;
+            const changed = pendingAssignments.has(key);
+            const unqualified = teacher && !teacher.subjects.has(cell.dataset.subjectId);
+
+            let button = cell.querySelector('.matrix-cell-btn');
+            if (!button) {
+                cell.innerHTML = '';
+                button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'matrix-cell-btn';
+                cell.appendChild(button);
+            }
+            button.textContent = teacher ? teacher.name : '—';
+            button.setAttribute('aria-label', i18n.t(teacher ? 'admin.assignments.cellLabel' : 'admin.assignments.cellEmptyLabel', {
+                cell: cell.dataset.label,
+                teacher: teacher ? teacher.name : ''
+            }));
+            button.title = unqualified ? i18n.t('admin.assignments.unqualified', {teacher: teacher.name}) : '';
+
+            cell.classList.toggle('is-empty', !teacher);
+            cell.classList.toggle('is-changed', changed);
+            cell.classList.toggle('is-overloaded', !!teacher && loads.get(teacherId) > MAX_LOAD);
+            cell.classList.toggle('is-unqualified', !!unqualified);
+        };
+
+        const renderMatrix = () => {
+            const loads = teacherLoads();
+            cells.forEach((cell, key) => {
+                if (!cell.querySelector('.matrix-cell-input')) renderCell(key, loads);
+            });
+
+            teachers.forEach(teacher => {
+                const load = loads.get(teacher.id) || 0;
+                const badge = teacher.element.querySelector('.assignment-teacher-load');
+                badge.textContent = String(load);
+                teacher.element.title = i18n.t('admin.assignments.load', {count: load});
+                teacher.element.classList.toggle('is-idle', load === 0);
+                teacher.element.classList.toggle('is-overloaded', load > MAX_LOAD);
+            });
+
+            const empty = [...cells.keys()].filter(key => !assignedTeacher(key)).length;
+            const overloaded = [...loads.values()].filter(load => load > MAX_LOAD).length;
+            const idle = [...loads.values()].filter(load => load === 0).length;
+            document.getElementById('matrixStats').textContent = i18n.t('admin.assignments.stats', {empty, overloaded, idle});
+
+            const pending = pendingAssignments.size;
+            document.getElementById('matrixPendingCount').textContent = pending ? i18n.t('admin.assignments.pending', {count: pending}) : '';
+            document.getElementById('matrixReviewBtn').disabled = pending === 0;
+            document.getElementById('matrixDiscardBtn').disabled = pending === 0;
+        };
+
+        // A change back to the saved teacher is no longer a change
+        const setAssignment = (key, teacherId) => {
+            if (teacherId === (savedAssignments.get(key) ?? null)) pendingAssignments.delete(key);
+            else pendingAssignments.set(key, teacherId);
+            renderMatrix();
+        };
+
+        // --- Typeahead editing ---
+        const datalist = document.getElementById('matrixTeacherOptions');
+        const fillTeacherOptions = (subjectId) => {
+            datalist.innerHTML = '';
+            // Teachers who teach or are qualified for the subject come first
+            [...teachers.values()]
+                .sort((a, b) => Number(b.subjects.has(subjectId)) - Number(a.subjects.has(subjectId))
+                    || a.name.localeCompare(b.name))
+                .forEach(teacher => datalist.appendChild(new Option(teacherOption(teacher))));
+        };
+
+        const findTeacher = (value) => {
+            const text = value.trim().toLowerCase();
+            return [...teachers.values()].find(teacher => teacherOption(teacher).toLowerCase() === text
+                || teacher.username.toLowerCase() === text
+                || teacher.name.toLowerCase() === text) || null;
+        };
+
+        const startEditing = (cell) => {
+            const key = cellKey(cell.dataset.classId, cell.dataset.subjectId);
+            const teacherId = assignedTeacher(key);
+            fillTeacherOptions(cell.dataset.subjectId);
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'form-input matrix-cell-input';
+            input.setAttribute('list', datalist.id);
+            input.setAttribute('aria-label', i18n.t('admin.assignments.typeahead', {cell: cell.dataset.label}));
+            input.value = teacherId ? teacherOption(teachers.get(teacherId)) : '';
+            cell.innerHTML = '';
+            cell.appendChild(input);
+            input.focus();
+            input.select();
+
+            let finished = false;
+            const finish = (apply) => {
+                if (finished) return;
+                finished = true;
+
+                const value = input.value.trim();
+                const teacher = value ? findTeacher(value) : null;
+                cell.innerHTML = '';
+
+                if (apply && value && !teacher) notifications.warning(i18n.t('admin.assignments.unknownTeacher', {name: value}));
+                if (apply && (teacher || !value)) setAssignment(key, teacher ? teacher.id : null);
+                else renderMatrix();
+                cell.querySelector('.matrix-cell-btn').focus();
+            };
+
+            input.addEventListener('keydown', event => {
+                if (event.key === 'Enter') {
+                    event.preventDefault();
+                    finish(true);
+                } else if (event.key === 'Escape') {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    finish(false);
+                }
+            });
+            // Picking a datalist option fires input with the full option text
+            input.addEventListener('input', () => {
+                if ([...datalist.options].some(option => option.value === input.value)) finish(true);
+            });
+            input.addEventListener('blur', () => finish(true));
+        };
+
+        matrixTable.addEventListener('click', event => {
+            const button = event.target.closest('.matrix-cell-btn');
+            if (button) startEditing(button.closest('.matrix-cell'));
+        });
+
+        // --- Drag and drop ---
+        matrixTeacherList.addEventListener('dragstart', event => {
+            const item = event.target.closest('.assignment-teacher');
+            if (!item) return;
+            event.dataTransfer.setData('text/plain', item.dataset.teacherId);
+            event.dataTransfer.effectAllowed = 'copy';
+            matrix.classList.add('is-dragging');
+        });
+        matrixTeacherList.addEventListener('dragend', () => matrix.classList.remove('is-dragging'));
+
+        matrixTable.addEventListener('dragover', event => {
+            const cell = event.target.closest('.matrix-cell');
+            if (!cell) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = 'copy';
+            cell.classList.add('is-drop-target');
+        });
+        matrixTable.addEventListener('dragleave', event => {
+            const cell = event.target.closest('.matrix-cell');
+            if (cell && !cell.contains(event.relatedTarget)) cell.classList.remove('is-drop-target');
+        });
+        matrixTable.addEventListener('drop', event => {
+            const cell = event.target.closest('.matrix-cell');
+            if (!cell) return;
+            event.preventDefault();
+            cell.classList.remove('is-drop-target');
+            matrix.classList.remove('is-dragging');
+
+            const teacherId = event.dataTransfer.getData('text/plain');
+            if (teachers.has(teacherId)) setAssignment(cellKey(cell.dataset.classId, cell.dataset.subjectId), teacherId);
+        });
+
+        document.getElementById('matrixTeacherFilter').addEventListener('input', function () {
+            const query = this.value.trim().toLowerCase();
+            teachers.forEach(teacher => {
+                teacher.element.hidden = query !== '' && !teacherOption(teacher).toLowerCase().includes(query);
+            });
+        });
+
+        // --- Review and save ---
+        const describeChange = (key, teacherId) => {
+            const cell = cells.get(key);
+            const previous = savedAssignments.get(key) ?? null;
+            const name = id => teachers.get(id).name;
+
+            if (!teacherId) return i18n.t('admin.assignments.changeRemove', {cell: cell.dataset.label, from: name(previous)});
+            if (!previous) return i18n.t('admin.assignments.changeAssign', {cell: cell.dataset.label, to: name(teacherId)});
+            return i18n.t('admin.assignments.changeReplace', {cell: cell.dataset.label, from: name(previous), to: name(teacherId)});
+        };
+
+        document.getElementById('matrixReviewBtn').addEventListener('click', () => {
+            const list = document.getElementById('matrixReviewList');
+            list.innerHTML = '';
+
+            const entries = [...pendingAssignments.entries()];
+            const counts = {assign: 0, replace: 0, remove: 0};
+            entries.forEach(([key, teacherId]) => {
+                const type = !teacherId ? 'remove' : (savedAssignments.has(key) ? 'replace' : 'assign');
+                counts[type]++;
+
+                const item = document.createElement('li');
+                item.className = `assignment-change assignment-change-${type}`;
+                item.textContent = describeChange(key, teacherId);
+                list.appendChild(item);
+            });
+
+            document.getElementById('matrixReviewSummary').textContent = i18n.t('admin.assignments.reviewSummary', counts);
+            modalUtils.openModal('matrixReviewModal');
+        });
+
+        document.getElementById('matrixDiscardBtn').addEventListener('click', () => {
+            pendingAssignments.clear();
+            renderMatrix();
+        });
+
+        document.getElementById('matrixSaveBtn').addEventListener('click', function () {
+            const button = this;
+            const changes = [...pendingAssignments.entries()].map(([key, teacherId]) => {
+                const [classId, subjectId] = key.split(':');
+                return {class_id: Number(classId), subject_id: Number(subjectId), teacher_id: teacherId ? Number(teacherId) : null};
+            });
+
+            button.disabled = true;
+            api.post('admin', 'saveAssignments', {changes})
+                .then(data => {
+                    const failed = data.results.filter(result => !result.success);
+
+                    if (!failed.length) {
+                        pendingAssignments.clear();
+                        notifications.flash(i18n.t('admin.assignments.saved', {count: data.saved}), {type: 'success'});
+                        window.location.reload();
+                        return;
+                    }
+
+                    // Saved changes become the saved state, the failed ones stay pending
+                    data.results.filter(result => result.success).forEach(result => {
+                        const key = cellKey(result.class_id, result.subject_id);
+                        if (pendingAssignments.get(key)) savedAssignments.set(key, pendingAssignments.get(key));
+                        else savedAssignments.delete(key);
+                        pendingAssignments.delete(key);
+                    });
+                    modalUtils.closeModal('matrixReviewModal');
+                    failed.forEach(result => notifications.error(i18n.t('admin.assignments.saveFailed', {
+                        cell: cells.get(cellKey(result.class_id, result.subject_id)).dataset.label,
+                        error: result.error
+                    })));
+                    renderMatrix();
+                })
+                .catch(error => {
+                    console.error('Error saving assignments:', error);
+                    if (error instanceof api.AuthExpiredError) return;
+                    notifications.error(error.message || i18n.t('common.tryAgain'));
+                })
+                .finally(() => {
+                    button.disabled = false;
+                });
+        });
+
+        window.addEventListener('beforeunload', event => {
+            if (!pendingAssignments.size) return;
+            event.preventDefault();
+            event.returnValue = '';
+        });
+
+        renderMatrix();
     });
 </script>
 
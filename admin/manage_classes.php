@@ -186,7 +186,8 @@ $pdo = getDBConnection();
         <div class="modal-header">
             <h3 class="modal-title" id="editClassModalTitle">Uredi razred</h3>
         </div>
-        <form id="editClassForm" method="POST" action="manage_classes.php">
+        <form id="editClassForm" method="POST" action="manage_classes.php" data-draft="admin.classes.edit"
+              data-draft-context="class_id">
             <div class="modal-body">
                 <input type="hidden" name="csrf_token" value="<?= htmlspecialchars($csrfToken) ?>">
                 <input type="hidden" name="update_class" value="1">
@@ -254,36 +255,9 @@ $pdo = getDBConnection();
 <script>
     document.addEventListener('DOMContentLoaded', function () {
         // --- Modal Management Functions ---
-        const openModal = (modalId) => {
-            const modal = document.getElementById(modalId);
-            if (modal) {
-                modal.classList.add('open');
-                // Focus the first focusable element
-                const firstFocusable = modal.querySelector('button, [href], input, select, textarea');
-                if (firstFocusable) firstFocusable.focus();
-            }
-        };
-
-        const closeModal = (modal) => {
-            if (typeof modal === 'string') {
-                modal = document.getElementById(modal);
-            }
-
-            if (modal) {
-                modal.classList.remove('open');
-                // Reset forms if present
-                const form = modal.querySelector('form');
-                if (form) form.reset();
-
-                // Clear any error messages
-                const errorMsgs = modal.querySelectorAll('.feedback-error');
-                errorMsgs.forEach(msg => {
-                    if (msg && msg.style) {
-                        msg.style.display = 'none';
-                    }
-                });
-            }
-        };
+        // modalUtils handles focus, Escape, close buttons and the overlay, and asks before unsaved
+        // changes are discarded
+        const openModal = (modalId, trigger = null) => modalUtils.openModal(modalId, trigger);
 
         // --- Event Listeners ---
 
@@ -298,12 +272,9 @@ $pdo = getDBConnection();
                 const classId = this.getAttribute('data-id');
 
                 // Make an AJAX request to get class details
-                fetch(`../api/admin.php?action=getClassDetails&id=${classId}`)
-                    .then(response => response.json())
+                api.get('admin', 'getClassDetails', {id: classId})
                     .then(data => {
                         if (data.success) {
-                            console.log("API Response:", data); // Debug log
-
                             // Fill the form with class data
                             document.getElementById('edit_class_id').value = classId;
                             document.getElementById('edit_class_code').value = data.class.class_code;
@@ -322,11 +293,12 @@ $pdo = getDBConnection();
                             // Open the modal
                             openModal('editClassModal');
                         } else {
-                            alert('Napaka pri pridobivanju podatkov o razredu.');
+                            notifications.error(i18n.t('admin.classes.loadError'));
                         }
                     })
                     .catch(error => {
                         console.error('Error:', error);
+                        if (error instanceof api.AuthExpiredError) return;
 
                         // Fallback to synchronous loading if API fails
                         const row = this.closest('tr');
@@ -365,7 +337,7 @@ $pdo = getDBConnection();
                 const className = this.getAttribute('data-name');
 
                 document.getElementById('deleteClassModal_id').value = classId;
-                document.getElementById('deleteClassModal_name').textContent = className || 'izbrani razred';
+                document.getElementById('deleteClassModal_name').textContent = className || i18n.t('admin.classes.selectedClass');
 
                 openModal('deleteClassModal');
             });
@@ -402,28 +374,25 @@ $pdo = getDBConnection();
             form.submit();
         });
 
-        // Close modal buttons
-        document.querySelectorAll('[data-close-modal]').forEach(btn => {
-            btn.addEventListener('click', function () {
-                closeModal(this.closest('.modal'));
-            });
-        });
-
-        // Close modals when clicking the overlay
-        document.querySelectorAll('.modal-overlay').forEach(overlay => {
-            overlay.addEventListener('click', function () {
-                closeModal(this.closest('.modal'));
-            });
-        });
-
-        // Close modals with Escape key
-        document.addEventListener('keydown', function (e) {
-            if (e.key === 'Escape') {
-                document.querySelectorAll('.modal.open').forEach(modal => {
-                    closeModal(modal);
-                });
+        // --- Keyboard Shortcuts ---
+        // classes.edit runs when the command palette opens this page for one class
+        commandPalette.register([
+            {
+                id: 'classes.create',
+                title: i18n.t('admin.command.createClass'),
+                shortcut: 'n',
+                run: () => document.getElementById('createClassBtn').click()
+            },
+            {
+                id: 'classes.edit',
+                title: i18n.t('admin.command.editClass'),
+                hidden: true,
+                run: data => {
+                    const button = data && document.querySelector(`.edit-class-btn[data-id="${Number(data.classId)}"]`);
+                    if (button) button.click();
+                }
             }
-        });
+        ]);
     });
 </script>
 
@@ -158,18 +158,18 @@ $pdo = getDBConnection();
         </div>
 
         <div class="card__content p-md">
-            <table class="data-table">
+            <table class="data-table" data-table="subjects" data-page-size="50" data-sticky-header>
                 <thead>
                 <tr>
-                    <th>Ime</th>
-                    <th class="text-center">Razredi</th>
-                    <th class="text-center">Učitelji</th>
-                    <th class="text-right">Dejanja</th>
+                    <th data-column="name" data-sort="text" data-filter="text">Ime</th>
+                    <th class="text-center" data-column="classes" data-sort="number">Razredi</th>
+                    <th class="text-center" data-column="teachers" data-sort="number">Učitelji</th>
+                    <th class="text-right" data-hideable="false" data-searchable="false">Dejanja</th>
                 </tr>
                 </thead>
                 <tbody>
                 <?php if (empty($subjects)): ?>
-                    <tr>
+                    <tr data-table-empty>
                         <td colspan="4" class="text-center p-lg">
                             <div class="alert status-info page-transition mb-0" role="status">
                                 <div class="alert-content">
@@ -241,7 +241,8 @@ $pdo = getDBConnection();
         <div class="modal-header">
             <h3 class="modal-title" id="editSubjectModalTitle">Uredi Predmet</h3>
         </div>
-        <form id="editSubjectForm" method="POST" action="<?= htmlspecialchars($_SERVER['PHP_SELF']) ?>">
+        <form id="editSubjectForm" method="POST" action="<?= htmlspecialchars($_SERVER['PHP_SELF']) ?>"
+              data-draft="admin.subjects.edit" data-draft-context="subject_id">
             <div class="modal-body">
                 <input type="hidden" name="csrf_token" value="<?= htmlspecialchars($csrfToken) ?>">
                 <input type="hidden" name="update_subject" value="1">
@@ -286,42 +287,14 @@ $pdo = getDBConnection();
 <script>
     document.addEventListener('DOMContentLoaded', function () {
         // --- Modal Management Functions ---
-        const openModal = (modalId) => {
-            const modal = document.getElementById(modalId);
-            if (modal) {
-                modal.classList.add('open');
-                // Focus the first focusable element
-                const firstFocusable = modal.querySelector('button, [href], input, select, textarea');
-                if (firstFocusable) firstFocusable.focus();
-            }
-        };
-
-        const closeModal = (modal) => {
-            if (typeof modal === 'string') {
-                modal = document.getElementById(modal);
-            }
-
-            if (modal) {
-                modal.classList.remove('open');
-                // Reset forms if present
-                const form = modal.querySelector('form');
-                if (form) form.reset();
-
-                // Clear any error messages
-                const errorMsgs = modal.querySelectorAll('.feedback-error');
-                errorMsgs.forEach(msg => {
-                    if (msg && msg.style) {
-                        msg.style.display = 'none';
-                    }
-                });
-            }
-        };
+        // modalUtils handles focus, Escape, close buttons and the overlay, and asks before unsaved
+        // changes are discarded
+        const openModal = (modalId, trigger = null) => modalUtils.openModal(modalId, trigger);
 
         // Open modal buttons
         document.querySelectorAll('[data-open-modal]').forEach(btn => {
             btn.addEventListener('click', function () {
                 const modalId = this.dataset.openModal;
-                openModal(modalId);
 
                 // If the button has additional data attributes, process them
                 const dataId = this.dataset.id;
@@ -344,6 +317,9 @@ $pdo = getDBConnection();
                         if (nameField) nameField.value = dataName;
                     }
                 }
+
+                // Opened once the fields are filled, so a stored draft is compared with them
+                openModal(modalId, this);
             });
         });
 
@@ -378,29 +354,6 @@ $pdo = getDBConnection();
             form.submit();
         });
 
-        // Close modal buttons
-        document.querySelectorAll('[data-close-modal]').forEach(btn => {
-            btn.addEventListener('click', function () {
-                closeModal(this.closest('.modal'));
-            });
-        });
-
-        // Close modals when clicking the overlay
-        document.querySelectorAll('.modal-overlay').forEach(overlay => {
-            overlay.addEventListener('click', function () {
-                closeModal(this.closest('.modal'));
-            });
-        });
-
-        // Close modals with Escape key
-        document.addEventListener('keydown', function (e) {
-            if (e.key === 'Escape') {
-                document.querySelectorAll('.modal.open').forEach(modal => {
-                    closeModal(modal);
-                });
-            }
-        });
-
         // Auto-open edit modal if subject_id is in URL
         <?php if (isset($_GET['subject_id']) && $editSubject): ?>
         // Fill form with subject data
@@ -31,6 +31,9 @@ $settings = [
     'school_address' => '',
     'session_timeout' => 30,
     'grade_scale' => '1-5',
+    'grade_thresholds' => json_encode(array_slice(DEFAULT_GRADE_THRESHOLDS, 0, 4, true)),
+    'grade_plus_minus' => false,
+    'grade_modifier_range' => DEFAULT_GRADE_MODIFIER_RANGE,
     'maintenance_mode' => false
 ];
 
@@ -43,7 +46,9 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') if (!isset($_POST['csrf_token']) || !
     error_log("CSRF token validation failed for user ID: " . ($_SESSION['user_id'] ?? 'Unknown'));
 } else {
     $action = array_key_first(array_intersect_key($_POST, [
-        'update_settings' => 1
+        'update_settings' => 1,
+        'save_subject_scale' => 1,
+        'delete_subject_scale' => 1
     ]));
 
     if ($action === 'update_settings') {
@@ -53,16 +58,23 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') if (!isset($_POST['csrf_token']) || !
         $sessionTimeout = filter_input(INPUT_POST, 'session_timeout', FILTER_VALIDATE_INT);
         $gradeScale = trim($_POST['grade_scale'] ?? '');
         $maintenanceMode = isset($_POST['maintenance_mode']);
+        $schoolScale = parseGradingScaleForm($_POST);
 
         if (empty($schoolName) || empty($currentYear) || $sessionTimeout === false) {
             $message = 'Vsa obvezna polja morajo biti izpolnjena.';
             $messageType = 'error';
+        } elseif (is_string($schoolScale)) {
+            $message = $schoolScale;
+            $messageType = 'error';
         } elseif (updateSystemSettings([
             'school_name' => $schoolName,
             'current_year' => $currentYear,
             'school_address' => $schoolAddress,
             'session_timeout' => $sessionTimeout,
             'grade_scale' => $gradeScale,
+            'grade_thresholds' => $schoolScale['thresholds'],
+            'grade_plus_minus' => $schoolScale['plus_minus'],
+            'grade_modifier_range' => $schoolScale['modifier_range'],
             'maintenance_mode' => $maintenanceMode
         ])) {
             $message = 'Nastavitve uspešno posodobljene.';
@@ -73,9 +85,41 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') if (!isset($_POST['csrf_token']) || !
             $message = 'Napaka pri posodabljanju nastavitev.';
             $messageType = 'error';
         }
+    } elseif ($action === 'save_subject_scale') {
+        $subjectId = filter_input(INPUT_POST, 'subject_id', FILTER_VALIDATE_INT);
+        $subjectScale = parseGradingScaleForm($_POST);
+
+        if (!$subjectId) {
+            $message = 'Izberite predmet.';
+            $messageType = 'error';
+        } elseif (is_string($subjectScale)) {
+            $message = $subjectScale;
+            $messageType = 'error';
+        } elseif (saveSubjectGradingScale($subjectId, $subjectScale)) {
+            $message = 'Lestvica ocen predmeta je shranjena.';
+            $messageType = 'success';
+        } else {
+            $message = 'Napaka pri shranjevanju lestvice ocen predmeta.';
+            $messageType = 'error';
+        }
+    } elseif ($action === 'delete_subject_scale') {
+        $subjectId = filter_input(INPUT_POST, 'subject_id', FILTER_VALIDATE_INT);
+
+        if ($subjectId && deleteSubjectGradingScale($subjectId)) {
+            $message = 'Predmet zdaj uporablja šolsko lestvico ocen.';
+            $messageType = 'success';
+        } else {
+            $message = 'Napaka pri odstranjevanju lestvice ocen predmeta.';
+            $messageType = 'error';
+        }
     }
 }
 
+// School-wide scale for the form, the subject scales below it
+$schoolThresholds = json_decode((string)($settings['grade_thresholds'] ?? ''), true) ?: array_slice(DEFAULT_GRADE_THRESHOLDS, 0, 4, true);
+$subjectScales = getSubjectGradingScales();
+$subjects = getAllSubjects();
+
 try {
     $csrfToken = generateCSRFToken();
 } catch (RandomException $e) {
@@ -104,7 +148,8 @@ try {
 
     <div class="card shadow rounded-lg mb-xl">
         <div class="card__content p-md">
-            <form id="systemSettingsForm" method="POST" action="/uwuweb/admin/system_settings.php">
+            <form id="systemSettingsForm" method="POST" action="/uwuweb/admin/system_settings.php"
+                  data-draft="admin.settings">
                 <div class="card mb-lg rounded-lg shadow-sm">
                     <div class="card__title p-sm font-medium"
                          style="border-bottom: 1px solid var(--border-color-light);">Informacije o Šoli
@@ -174,6 +219,50 @@ try {
                     </div>
                 </div>
 
+                <div class="card mb-lg rounded-lg shadow-sm">
+                    <div class="card__title p-sm font-medium"
+                         style="border-bottom: 1px solid var(--border-color-light);">Meje Ocen
+                    </div>
+                    <div class="card__content p-md">
+                        <p class="text-secondary mt-0 mb-md">Najnižji odstotek točk za posamezno oceno. Velja za vse
+                            predmete, ki spodaj nimajo svoje lestvice.</p>
+                        <div class="row">
+                            <?php foreach ([5, 4, 3, 2] as $grade): ?>
+                                <div class="col col-md-3">
+                                    <div class="form-group mb-md">
+                                        <label class="form-label" for="threshold_<?= $grade ?>">Ocena <?= $grade ?> od (%):</label>
+                                        <input type="number" id="threshold_<?= $grade ?>" name="threshold_<?= $grade ?>"
+                                               class="form-input" min="0.5" max="100" step="0.5" required
+                                               value="<?= htmlspecialchars((string)($schoolThresholds[$grade] ?? DEFAULT_GRADE_THRESHOLDS[$grade])) ?>">
+                                    </div>
+                                </div>
+                            <?php endforeach; ?>
+                        </div>
+                        <div class="row">
+                            <div class="col col-md-6">
+                                <div class="form-group mb-0">
+                                    <div class="d-flex items-center gap-sm">
+                                        <input type="checkbox" id="plus_minus" name="plus_minus" value="1"
+                                               class="form-input"
+                                               style="width: auto; height: auto;" <?= !empty($settings['grade_plus_minus']) ? 'checked' : '' ?>>
+                                        <label for="plus_minus" class="form-label mb-0">Ocene s plusom in minusom</label>
+                                    </div>
+                                </div>
+                            </div>
+                            <div class="col col-md-6">
+                                <div class="form-group mb-0">
+                                    <label class="form-label" for="modifier_range">Razpon za + in - (odstotne točke):</label>
+                                    <input type="number" id="modifier_range" name="modifier_range" class="form-input"
+                                           min="0.5" max="25" step="0.5"
+                                           value="<?= htmlspecialchars((string)(float)($settings['grade_modifier_range'] ?? DEFAULT_GRADE_MODIFIER_RANGE)) ?>">
+                                    <small class="text-secondary d-block mt-xs">Rezultat tako blizu meje ocene dobi + ali -,
+                                        npr. 4+ ali 3-.</small>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
                 <input type="hidden" name="csrf_token" value="<?= htmlspecialchars($csrfToken) ?>">
                 <input type="hidden" name="update_settings" value="1">
 
@@ -185,6 +274,151 @@ try {
             </form>
         </div>
     </div>
+
+    <div class="card shadow rounded-lg mb-xl">
+        <div class="card__title d-flex justify-between items-center p-md">
+            <span>Lestvice Ocen po Predmetih</span>
+            <button type="button" class="btn btn-primary btn-sm" data-open-modal="subjectScaleModal">
+                Dodaj lestvico predmeta
+            </button>
+        </div>
+        <div class="card__content p-md">
+            <?php if (empty($subjectScales)): ?>
+                <p class="text-secondary mt-0 mb-0">Vsi predmeti uporabljajo šolsko lestvico ocen.</p>
+            <?php else: ?>
+                <div class="table-responsive">
+                    <table class="data-table w-full">
+                        <thead>
+                        <tr>
+                            <th>Predmet</th>
+                            <th>5</th>
+                            <th>4</th>
+                            <th>3</th>
+                            <th>2</th>
+                            <th>+ / -</th>
+                            <th class="text-right">Dejanja</th>
+                        </tr>
+                        </thead>
+                        <tbody>
+                        <?php foreach ($subjectScales as $scale): ?>
+                            <tr>
+                                <td><?= htmlspecialchars($scale['subject_name']) ?></td>
+                                <?php foreach ([5, 4, 3, 2] as $grade): ?>
+                                    <td><?= htmlspecialchars((string)($scale['thresholds'][$grade] ?? '')) ?>%</td>
+                                <?php endforeach; ?>
+                                <td><?= $scale['plus_minus'] ? '± ' . htmlspecialchars((string)$scale['modifier_range']) : '/' ?></td>
+                                <td class="text-right">
+                                    <button type="button" class="btn btn-secondary btn-sm"
+                                            data-open-modal="subjectScaleModal"
+                                            data-subject-id="<?= (int)$scale['subject_id'] ?>"
+                                            data-threshold5="<?= htmlspecialchars((string)($scale['thresholds'][5] ?? '')) ?>"
+                                            data-threshold4="<?= htmlspecialchars((string)($scale['thresholds'][4] ?? '')) ?>"
+                                            data-threshold3="<?= htmlspecialchars((string)($scale['thresholds'][3] ?? '')) ?>"
+                                            data-threshold2="<?= htmlspecialchars((string)($scale['thresholds'][2] ?? '')) ?>"
+                                            data-plus-minus="<?= $scale['plus_minus'] ? '1' : '0' ?>"
+                                            data-modifier-range="<?= htmlspecialchars((string)$scale['modifier_range']) ?>">
+                                        Uredi
+                                    </button>
+                                    <button type="button" class="btn btn-error btn-sm"
+                                            data-open-modal="deleteSubjectScaleModal"
+                                            data-id="<?= (int)$scale['subject_id'] ?>"
+                                            data-name="<?= htmlspecialchars($scale['subject_name']) ?>">
+                                        Odstrani
+                                    </button>
+                                </td>
+                            </tr>
+                        <?php endforeach; ?>
+                        </tbody>
+                    </table>
+                </div>
+            <?php endif; ?>
+        </div>
+    </div>
+</div>
+
+<!-- Subject Grading Scale Modal -->
+<div class="modal" id="subjectScaleModal">
+    <div class="modal-overlay" aria-hidden="true"></div>
+    <div class="modal-container" role="dialog" aria-modal="true" aria-labelledby="subjectScaleModalTitle">
+        <div class="modal-header">
+            <h3 class="modal-title" id="subjectScaleModalTitle">Lestvica ocen predmeta</h3>
+        </div>
+        <form id="subjectScaleForm" method="POST" action="/uwuweb/admin/system_settings.php">
+            <div class="modal-body">
+                <input type="hidden" name="csrf_token" value="<?= htmlspecialchars($csrfToken) ?>">
+                <input type="hidden" name="save_subject_scale" value="1">
+
+                <div class="form-group">
+                    <label for="subject_scale_subject_id" class="form-label">Predmet:</label>
+                    <select id="subject_scale_subject_id" name="subject_id" class="form-select" required
+                            data-fill="subjectId">
+                        <option value="">-- Izberite predmet --</option>
+                        <?php foreach ($subjects as $subject): ?>
+                            <option value="<?= (int)$subject['subject_id'] ?>"><?= htmlspecialchars($subject['name']) ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                </div>
+
+                <div class="row">
+                    <?php foreach ([5, 4, 3, 2] as $grade): ?>
+                        <div class="col col-md-3">
+                            <div class="form-group">
+                                <label class="form-label" for="subject_scale_threshold_<?= $grade ?>">Ocena <?= $grade ?> od (%):</label>
+                                <input type="number" id="subject_scale_threshold_<?= $grade ?>" name="threshold_<?= $grade ?>"
+                                       class="form-input" min="0.5" max="100" step="0.5" required
+                                       data-fill="threshold<?= $grade ?>"
+                                       value="<?= htmlspecialchars((string)($schoolThresholds[$grade] ?? DEFAULT_GRADE_THRESHOLDS[$grade])) ?>">
+                            </div>
+                        </div>
+                    <?php endforeach; ?>
+                </div>
+
+                <div class="form-group">
+                    <div class="d-flex items-center gap-sm">
+                        <input type="checkbox" id="subject_scale_plus_minus" name="plus_minus" value="1"
+                               class="form-input" style="width: auto; height: auto;" data-fill="plusMinus">
+                        <label for="subject_scale_plus_minus" class="form-label mb-0">Ocene s plusom in minusom</label>
+                    </div>
+                </div>
+
+                <div class="form-group mb-0">
+                    <label class="form-label" for="subject_scale_modifier_range">Razpon za + in - (odstotne točke):</label>
+                    <input type="number" id="subject_scale_modifier_range" name="modifier_range" class="form-input"
+                           min="0.5" max="25" step="0.5" data-fill="modifierRange"
+                           value="<?= htmlspecialchars((string)DEFAULT_GRADE_MODIFIER_RANGE) ?>">
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn btn-secondary" data-close-modal>Prekliči</button>
+                <button type="submit" class="btn btn-primary">Shrani lestvico</button>
+            </div>
+        </form>
+    </div>
+</div>
+
+<!-- Delete Subject Grading Scale Modal -->
+<div class="modal" id="deleteSubjectScaleModal">
+    <div class="modal-overlay" aria-hidden="true"></div>
+    <div class="modal-container" role="dialog" aria-modal="true" aria-labelledby="deleteSubjectScaleModalTitle">
+        <div class="modal-header">
+            <h3 class="modal-title" id="deleteSubjectScaleModalTitle">Odstrani lestvico predmeta</h3>
+        </div>
+        <form method="POST" action="/uwuweb/admin/system_settings.php">
+            <div class="modal-body">
+                <div class="alert status-warning mb-0">
+                    <p>Predmet <strong id="deleteSubjectScaleModal_name"></strong> bo uporabljal šolsko lestvico ocen.
+                        Obstoječe ocene se bodo prikazale po njej.</p>
+                </div>
+                <input type="hidden" name="csrf_token" value="<?= htmlspecialchars($csrfToken) ?>">
+                <input type="hidden" name="delete_subject_scale" value="1">
+                <input type="hidden" id="deleteSubjectScaleModal_id" name="subject_id" value="">
+            </div>
+            <div class="modal-footer">
+                <button type="button" class="btn btn-secondary" data-close-modal>Prekliči</button>
+                <button type="submit" class="btn btn-error">Odstrani</button>
+            </div>
+        </form>
+    </div>
 </div>
 
 <?php
@@ -126,19 +126,32 @@ $allStudents = getAllStudentsBasicInfo();
             <div class="d-flex justify-between items-center flex-wrap gap-md">
                 <div class="form-group mb-0 flex-grow-1">
                     <label for="searchInput" class="sr-only">Search Users</label>
-                    <input type="text" id="searchInput" class="form-input"
+                    <input type="search" id="searchInput" class="form-input"
                            placeholder="Search users by name, username, or email...">
                 </div>
-                <button id="createUserBtn" data-open-modal="createUserModal" class="btn btn-primary">
-                    <span class="btn-icon">
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor"
-                             stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                            <line x1="12" y1="5" x2="12" y2="19"></line>
-                            <line x1="5" y1="12" x2="19" y2="12"></line>
-                        </svg>
-                    </span>
-                    Create New User
-                </button>
+                <div class="d-flex gap-sm flex-wrap">
+                    <button id="importUsersBtn" data-open-modal="importUsersModal" class="btn btn-secondary">
+                        <span class="btn-icon">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor"
+                                 stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                                <polyline points="17 8 12 3 7 8"></polyline>
+                                <line x1="12" y1="3" x2="12" y2="15"></line>
+                            </svg>
+                        </span>
+                        Import Users
+                    </button>
+                    <button id="createUserBtn" data-open-modal="createUserModal" class="btn btn-primary">
+                        <span class="btn-icon">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor"
+                                 stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                <line x1="12" y1="5" x2="12" y2="19"></line>
+                                <line x1="5" y1="12" x2="19" y2="12"></line>
+                            </svg>
+                        </span>
+                        Create New User
+                    </button>
+                </div>
             </div>
         </div>
     </div>
@@ -173,20 +186,21 @@ $allStudents = getAllStudentsBasicInfo();
     <div class="card shadow mb-lg">
         <div class="card__content">
             <div class="table-responsive">
-                <table class="data-table w-full" id="usersTable">
+                <table class="data-table w-full" id="usersTable" data-table="users" data-table-search="searchInput"
+                       data-page-size="25" data-sticky-header data-column-toggle>
                     <thead>
                     <tr>
-                        <th class="text-left">Username</th>
-                        <th class="text-left">Full Name</th>
-                        <th class="text-left">Role</th>
-                        <th class="text-left">Email</th>
-                        <th class="text-left">Created At</th>
-                        <th class="text-center">Actions</th>
+                        <th class="text-left" data-column="username" data-sort="text">Username</th>
+                        <th class="text-left" data-column="name" data-sort="text" data-filter="text">Full Name</th>
+                        <th class="text-left" data-column="role" data-sort="text" data-filter="select">Role</th>
+                        <th class="text-left" data-column="email" data-sort="text" data-filter="text">Email</th>
+                        <th class="text-left" data-column="created" data-sort="date">Created At</th>
+                        <th class="text-center" data-hideable="false" data-searchable="false">Actions</th>
                     </tr>
                     </thead>
                     <tbody>
                     <?php if (empty($users)): ?>
-                        <tr>
+                        <tr data-table-empty>
                             <td colspan="6" class="text-center py-md">No users found matching the criteria.</td>
                         </tr>
                     <?php else: ?>
@@ -195,8 +209,7 @@ $allStudents = getAllStudentsBasicInfo();
                             $roleClass = strtolower($user['role_name']);
                             if ($roleClass === 'administrator') $roleClass = 'admin';
                             ?>
-                            <tr data-role="<?= strtolower($user['role_name']) ?>"
-                                data-search-terms="<?= strtolower(htmlspecialchars($user['username'] . ' ' . ($user['first_name'] ?? '') . ' ' . ($user['last_name'] ?? '') . ' ' . ($user['email'] ?? ''))) ?>">
+                            <tr data-role="<?= strtolower($user['role_name']) ?>">
                                 <td><?= htmlspecialchars($user['username']) ?></td>
                                 <td><?= htmlspecialchars(($user['first_name'] ?? '') . ' ' . ($user['last_name'] ?? '')) ?></td>
                                 <td>
@@ -205,7 +218,7 @@ $allStudents = getAllStudentsBasicInfo();
                                     </span>
                                 </td>
                                 <td><?= htmlspecialchars($user['email'] ?? 'N/A') ?></td>
-                                <td><?= date('M d, Y', strtotime($user['created_at'])) ?></td>
+                                <td data-sort-value="<?= htmlspecialchars($user['created_at']) ?>"><?= date('M d, Y', strtotime($user['created_at'])) ?></td>
                                 <td>
                                     <div class="d-flex gap-xs justify-center">
                                         <button class="btn btn-secondary btn-sm"
@@ -279,7 +292,9 @@ $allStudents = getAllStudentsBasicInfo();
 
                 <div class="form-group">
                     <label class="form-label" for="create_username">Username:</label>
-                    <input type="text" id="create_username" name="username" class="form-input" required>
+                    <input type="text" id="create_username" name="username" class="form-input" required
+                           pattern="[\w.]+" minlength="3" maxlength="50" data-async-rule="usernameAvailable"
+                           data-message-pattern="admin.users.usernamePattern">
                 </div>
 
                 <div class="form-group">
@@ -359,11 +374,12 @@ $allStudents = getAllStudentsBasicInfo();
         <div class="modal-header">
             <h3 class="modal-title" id="editUserModalTitle">Edit User</h3>
         </div>
-        <form id="editUserForm" method="POST" action="users.php">
+        <form id="editUserForm" method="POST" action="users.php" data-draft="admin.users.edit"
+              data-draft-context="user_id" data-draft-offer="manual">
             <div class="modal-body">
                 <input type="hidden" name="csrf_token" value="<?= htmlspecialchars($csrfToken) ?>">
                 <input type="hidden" name="update_user" value="1">
-                <input type="hidden" id="edit_user_id" name="user_id" value="">
+                <input type="hidden" id="edit_user_id" name="user_id" value="" data-fill="id">
                 <!-- Add an original username field to help with validation -->
                 <input type="hidden" id="edit_original_username" name="original_username" value="">
 
@@ -394,7 +410,9 @@ $allStudents = getAllStudentsBasicInfo();
 
                 <div class="form-group">
                     <label class="form-label" for="edit_username">Username:</label>
-                    <input type="text" id="edit_username" name="username" class="form-input" required>
+                    <input type="text" id="edit_username" name="username" class="form-input" required
+                           pattern="[\w.]+" minlength="3" maxlength="50" data-async-rule="usernameAvailable"
+                           data-message-pattern="admin.users.usernamePattern">
                 </div>
 
                 <div class="form-group">
@@ -466,7 +484,7 @@ $allStudents = getAllStudentsBasicInfo();
         </div>
         <form id="resetPasswordForm" method="POST" action="users.php">
             <div class="modal-body">
-                <p>You are about to reset the password for <strong id="resetUsername"></strong>.</p>
+                <p>You are about to reset the password for <strong id="resetUsername" data-fill="username"></strong>.</p>
                 <input type="hidden" name="csrf_token" value="<?= htmlspecialchars($csrfToken) ?>">
                 <input type="hidden" name="reset_password" value="1">
                 <input type="hidden" id="resetPasswordModal_id" name="user_id" value="">
@@ -481,10 +499,9 @@ $allStudents = getAllStudentsBasicInfo();
                 <div class="form-group">
                     <label class="form-label" for="confirm_password">Confirm Password:</label>
                     <input type="password" id="confirm_password" name="confirm_password" class="form-input" required
-                           minlength="6">
-                    <div id="password_match_error" class="feedback-text feedback-error mt-xs" style="display: none;">
-                        Passwords do not match!
-                    </div>
+                           minlength="6" data-match="new_password" data-feedback="password_match_error">
+                    <div id="password_match_error" class="feedback-text feedback-invalid mt-xs"
+                         style="display: none;"></div>
                 </div>
             </div>
             <div class="modal-footer">
@@ -528,51 +545,187 @@ $allStudents = getAllStudentsBasicInfo();
     </div>
 </div>
 
+<!-- Import Users Modal -->
+<div class="modal" id="importUsersModal">
+    <div class="modal-overlay" aria-hidden="true"></div>
+    <div class="modal-container" role="dialog" aria-modal="true" aria-labelledby="importUsersTitle">
+        <div class="modal-header">
+            <h3 class="modal-title" id="importUsersTitle">Import Users</h3>
+        </div>
+        <form id="importUsersForm">
+            <div class="modal-body">
+                <!-- Step 1: file -->
+                <div id="importUsersStepFile">
+                    <p class="text-secondary text-sm mb-md">
+                        One row per account. Students are created before parents, so a parent row can link to
+                        children from the same file by their username.
+                    </p>
+                    <label class="drop-zone" id="importUsersDropZone" for="import_users_file">
+                        <span>Drop a CSV or XLSX file here or click to choose one.</span>
+                        <input type="file" id="import_users_file" class="sr-only"
+                               accept=".csv,.tsv,.txt,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet">
+                    </label>
+                    <div class="form-group mt-md">
+                        <label class="form-label">
+                            <input type="checkbox" id="import_users_has_header" checked> The first row contains column
+                            headings
+                        </label>
+                    </div>
+                </div>
+
+                <!-- Step 2: column mapping -->
+                <div id="importUsersStepMapping" style="display: none;">
+                    <p class="text-secondary text-sm mb-md" id="importUsersFileInfo"></p>
+                    <div class="row">
+                        <div class="col col-md-6">
+                            <div class="form-group">
+                                <label class="form-label" for="import_users_col_username">Username:</label>
+                                <select id="import_users_col_username" class="form-select" data-optional="1"></select>
+                                <small class="text-secondary text-xs">Missing usernames are generated from the name.</small>
+                            </div>
+                        </div>
+                        <div class="col col-md-6">
+                            <div class="form-group">
+                                <label class="form-label" for="import_users_col_role">Role:</label>
+                                <select id="import_users_col_role" class="form-select" data-optional="1"></select>
+                            </div>
+                        </div>
+                        <div class="col col-md-6">
+                            <div class="form-group">
+                                <label class="form-label" for="import_users_col_first_name">First Name:</label>
+                                <select id="import_users_col_first_name" class="form-select" data-optional="1"></select>
+                            </div>
+                        </div>
+                        <div class="col col-md-6">
+                            <div class="form-group">
+                                <label class="form-label" for="import_users_col_last_name">Last Name:</label>
+                                <select id="import_users_col_last_name" class="form-select" data-optional="1"></select>
+                            </div>
+                        </div>
+                        <div class="col col-md-6">
+                            <div class="form-group">
+                                <label class="form-label" for="import_users_col_class">Class (students):</label>
+                                <select id="import_users_col_class" class="form-select" data-optional="1"></select>
+                            </div>
+                        </div>
+                        <div class="col col-md-6">
+                            <div class="form-group">
+                                <label class="form-label" for="import_users_col_dob">Date of Birth (students):</label>
+                                <select id="import_users_col_dob" class="form-select" data-optional="1"></select>
+                            </div>
+                        </div>
+                        <div class="col col-md-6">
+                            <div class="form-group">
+                                <label class="form-label" for="import_users_col_children">Children's Usernames (parents):</label>
+                                <select id="import_users_col_children" class="form-select" data-optional="1"></select>
+                                <small class="text-secondary text-xs">Separate several children with a comma or semicolon.</small>
+                            </div>
+                        </div>
+                        <div class="col col-md-6">
+                            <div class="form-group">
+                                <label class="form-label" for="import_users_default_role">Role for rows without one:</label>
+                                <select id="import_users_default_role" class="form-select">
+                                    <option value="<?= ROLE_STUDENT ?>">Student</option>
+                                    <option value="<?= ROLE_PARENT ?>">Parent</option>
+                                    <option value="<?= ROLE_TEACHER ?>">Teacher</option>
+                                </select>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Step 3: preview -->
+                <div id="importUsersStepPreview" style="display: none;">
+                    <p class="text-sm mb-sm" id="importUsersSummary" aria-live="polite"></p>
+                    <div class="table-responsive import-users-preview">
+                        <table class="data-table">
+                            <thead>
+                            <tr>
+                                <th><span class="sr-only">Import</span></th>
+                                <th>Row</th>
+                                <th class="text-left">Username</th>
+                                <th class="text-left">Name</th>
+                                <th class="text-left">Role</th>
+                                <th class="text-left">Class</th>
+                                <th class="text-left">Children</th>
+                                <th class="text-left">Status</th>
+                            </tr>
+                            </thead>
+                            <tbody id="importUsersPreviewBody"></tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <!-- Step 4: account creation and credential sheets -->
+                <div id="importUsersStepResult" style="display: none;">
+                    <progress class="upload-progress" id="importUsersProgress" max="100" value="0"></progress>
+                    <p class="text-sm mt-sm" id="importUsersProgressText" aria-live="polite"></p>
+                    <ul class="import-users-failures text-sm" id="importUsersFailures"></ul>
+                    <div id="importUsersCredentials" style="display: none;">
+                        <div class="alert status-warning mb-md">
+                            <div class="alert-content">
+                                Initial passwords are shown only once. Print or download the credential sheets before
+                                you leave this page.
+                            </div>
+                        </div>
+                        <div class="d-flex gap-sm flex-wrap">
+                            <button type="button" class="btn btn-secondary" id="printCredentialsBtn">Print Credential Sheets</button>
+                            <button type="button" class="btn btn-secondary" id="downloadCredentialsBtn">Download XLSX</button>
+                        </div>
+                    </div>
+                </div>
+
+                <div id="importUsersError" class="feedback-error" style="display: none;"></div>
+            </div>
+            <div class="modal-footer">
+                <div class="d-flex justify-between w-full">
+                    <button type="button" class="btn btn-secondary" data-close-modal>Close</button>
+                    <div class="d-flex gap-sm">
+                        <button type="button" class="btn btn-secondary" id="importUsersBackButton" style="display: none;">
+                            Back
+                        </button>
+                        <button type="button" class="btn btn-primary" id="importUsersPreviewButton" style="display: none;">
+                            Preview
+                        </button>
+                        <button type="submit" class="btn btn-primary" id="importUsersSaveButton" style="display: none;">
+                            Create Accounts
+                        </button>
+                        <button type="button" class="btn btn-primary" id="importUsersDoneButton" style="display: none;">
+                            Done
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </form>
+    </div>
+</div>
+
+<style>
+    /* User import */
+    #importUsersModal .modal-container {
+        max-width: 1000px;
+    }
+
+    .import-users-preview {
+        max-height: 50vh;
+        overflow-y: auto;
+    }
+
+    .import-username-input {
+        min-width: 140px;
+    }
+
+    .import-users-failures:empty {
+        display: none;
+    }
+</style>
+
 <script>
     document.addEventListener('DOMContentLoaded', function () {
         const ROLE_TEACHER = <?= ROLE_TEACHER ?>;
         const ROLE_STUDENT = <?= ROLE_STUDENT ?>;
         const ROLE_PARENT = <?= ROLE_PARENT ?>;
 
-        // Modal Management Functions
-        const openModal = (modalId) => {
-            const modal = document.getElementById(modalId);
-            if (modal) {
-                modal.classList.add('open');
-                // Focus the first focusable element
-                const firstFocusable = modal.querySelector('button, [href], input, select, textarea');
-                if (firstFocusable) firstFocusable.focus();
-            }
-        };
-
-        const closeModal = (modal) => {
-            if (typeof modal === 'string') {
-                modal = document.getElementById(modal);
-            }
-
-            if (modal) {
-                modal.classList.remove('open');
-                // Reset forms if present
-                const form = modal.querySelector('form');
-                if (form) form.reset();
-
-                // Clear any error messages
-                const errorMsgs = modal.querySelectorAll('.feedback-error');
-                errorMsgs.forEach(msg => {
-                    if (msg && msg.style) {
-                        msg.style.display = 'none';
-                    }
-                });
-
-                // Hide role-specific fields
-                modal.querySelectorAll('.role-fields').forEach(field => {
-                    if (field && field.style) {
-                        field.style.display = 'none';
-                    }
-                });
-            }
-        };
-
         // Function to update role-specific fields visibility based on selected role
         const updateRoleSpecificFields = (selectElement, prefix) => {
             if (!selectElement) return;
@@ -606,189 +759,90 @@ $allStudents = getAllStudentsBasicInfo();
             if (lastName) lastName.required = (roleId === ROLE_STUDENT || roleId === ROLE_TEACHER);
         };
 
-        // User search functionality
-        const searchInput = document.getElementById('searchInput');
-        const usersTable = document.getElementById('usersTable');
-
-        if (searchInput && usersTable) {
-            searchInput.addEventListener('input', function () {
-                const searchTerm = this.value.toLowerCase().trim();
-                const rows = usersTable.querySelectorAll('tbody tr');
-
-                rows.forEach(row => {
-                    if (row.classList.contains('no-results')) return;
+        // Edit user modal - fetch user data and populate form
+        document.getElementById('editUserModal').addEventListener('modal:open', function (e) {
+            const dataId = e.detail.trigger ? e.detail.trigger.dataset.id : null;
+            if (!dataId) return;
 
-                    const searchTerms = (row.dataset.searchTerms || '').toLowerCase();
-                    const visible = searchTerm === '' || searchTerms.includes(searchTerm);
-                    row.style.display = visible ? '' : 'none';
-                });
+            api.get('admin', 'getUserDetails', {id: dataId})
+                .then(data => {
+                    // Double-check that user_id is set correctly
+                    document.getElementById('edit_user_id').value = dataId;
 
-                // Show "no results" message if no rows are visible
-                const visibleRows = Array.from(rows).filter(row =>
-                    !row.classList.contains('no-results') &&
-                    row.style.display !== 'none'
-                );
-
-                let noResultsRow = usersTable.querySelector('.no-results');
-
-                if (visibleRows.length === 0) {
-                    if (!noResultsRow) {
-                        noResultsRow = document.createElement('tr');
-                        noResultsRow.classList.add('no-results');
-                        noResultsRow.innerHTML = `<td colspan="6" class="text-center py-md">No users found matching your search criteria.</td>`;
-                        const tbody = usersTable.querySelector('tbody');
-                        if (tbody) tbody.appendChild(noResultsRow);
+                    // Store the original username for validation
+                    if (data.username) {
+                        document.getElementById('edit_original_username').value = data.username;
                     }
-                } else if (noResultsRow) {
-                    noResultsRow.remove();
-                }
-            });
-        }
-
-        // Event Listeners for modal buttons
-        document.querySelectorAll('[data-open-modal]').forEach(btn => {
-            btn.addEventListener('click', function () {
-                const modalId = this.dataset.openModal;
-                openModal(modalId);
-
-                // Handle additional data attributes
-                const dataId = this.dataset.id;
-                const dataName = this.dataset.name;
-                const dataUsername = this.dataset.username;
-
-                if (dataId) {
-                    const idField = document.getElementById(`${modalId}_id`);
-                    if (idField) idField.value = dataId;
-                }
-
-                if (dataName) {
-                    const nameDisplay = document.getElementById(`${modalId}_name`);
-                    if (nameDisplay) nameDisplay.textContent = dataName;
-                }
 
-                if (dataUsername) {
-                    const usernameDisplay = document.getElementById('resetUsername');
-                    if (usernameDisplay) usernameDisplay.textContent = dataUsername;
-                }
-
-                // If opening edit modal, fetch user data and populate form
-                if (modalId === 'editUserModal' && dataId) {
-                    // Set the user ID immediately so it's not forgotten
-                    const userIdField = document.getElementById('edit_user_id');
-                    if (userIdField) userIdField.value = dataId;
-
-                    fetch(`../api/admin.php?action=getUserDetails&id=${dataId}`)
-                        .then(response => {
-                            // Check if response is OK
-                            if (!response.ok) {
-                                return response.json().then(data => {
-                                    throw new Error(data.error || `HTTP error ${response.status}`);
-                                }).catch(e => {
-                                    // If JSON parsing failed, provide a clearer error
-                                    if (e instanceof SyntaxError) {
-                                        throw new Error(`Invalid server response (not JSON): ${response.status}`);
-                                    }
-                                    throw e;
-                                });
-                            }
-                            return response.json();
-                        })
-                        .then(data => {
-                            console.log('Response data:', data);
-
-                            // Check if data contains an error
-                            if (data.error) {
-                                throw new Error(data.error);
-                            }
-
-                            // Double-check that user_id is set correctly
-                            document.getElementById('edit_user_id').value = dataId;
-
-                            // Store the original username for validation
-                            if (data.username) {
-                                document.getElementById('edit_original_username').value = data.username;
-                            }
-
-                            // Populate user data into form fields
-                            const fields = {
-                                'edit_username': data.username || '',
-                                'edit_email': data.email || '',
-                                'edit_first_name': data.first_name || '',
-                                'edit_last_name': data.last_name || '',
-                                'edit_role': data.role_id || ''
-                            };
-
-                            // Set each field value
-                            Object.keys(fields).forEach(id => {
-                                const field = document.getElementById(id);
-                                if (field) field.value = fields[id];
+                    // Populate user data into form fields
+                    const fields = {
+                        'edit_username': data.username || '',
+                        'edit_email': data.email || '',
+                        'edit_first_name': data.first_name || '',
+                        'edit_last_name': data.last_name || '',
+                        'edit_role': data.role_id || ''
+                    };
+
+                    // Set each field value
+                    Object.keys(fields).forEach(id => {
+                        const field = document.getElementById(id);
+                        if (field) field.value = fields[id];
+                    });
+
+                    // Update visible fields based on role
+                    updateRoleSpecificFields(document.getElementById('edit_role'), 'edit');
+
+                    // Populate role-specific fields
+                    if (data.role_id === ROLE_STUDENT) {
+                        const studentClassField = document.getElementById('edit_student_class');
+                        const dobField = document.getElementById('edit_dob');
+
+                        if (studentClassField && data.class_code) {
+                            studentClassField.value = data.class_code;
+                        }
+
+                        if (dobField && data.dob) {
+                            dobField.value = data.dob;
+                        }
+                    } else if (data.role_id === ROLE_TEACHER && data.subjects) {
+                        const subjectSelect = document.getElementById('edit_teacher_subjects');
+                        if (subjectSelect) {
+                            const optionElements = subjectSelect.querySelectorAll('option');
+                            optionElements.forEach(option => {
+                                option.selected = data.subjects.includes(parseInt(option.value));
                             });
+                        }
+                    } else if (data.role_id === ROLE_PARENT && data.children) {
+                        const childrenSelect = document.getElementById('edit_parent_children');
+                        if (childrenSelect) {
+                            const optionElements = childrenSelect.querySelectorAll('option');
+                            optionElements.forEach(option => {
+                                option.selected = data.children.includes(parseInt(option.value));
+                            });
+                        }
+                    }
 
-                            // Update visible fields based on role
-                            updateRoleSpecificFields(document.getElementById('edit_role'), 'edit');
-
-                            // Populate role-specific fields
-                            if (data.role_id === ROLE_STUDENT) {
-                                const studentClassField = document.getElementById('edit_student_class');
-                                const dobField = document.getElementById('edit_dob');
-
-                                if (studentClassField && data.class_code) {
-                                    studentClassField.value = data.class_code;
-                                }
-
-                                if (dobField && data.dob) {
-                                    dobField.value = data.dob;
-                                }
-                            } else if (data.role_id === ROLE_TEACHER && data.subjects) {
-                                const subjectSelect = document.getElementById('edit_teacher_subjects');
-                                if (subjectSelect) {
-                                    const optionElements = subjectSelect.querySelectorAll('option');
-                                    optionElements.forEach(option => {
-                                        option.selected = data.subjects.includes(parseInt(option.value));
-                                    });
-                                }
-                            } else if (data.role_id === ROLE_PARENT && data.children) {
-                                const childrenSelect = document.getElementById('edit_parent_children');
-                                if (childrenSelect) {
-                                    const optionElements = childrenSelect.querySelectorAll('option');
-                                    optionElements.forEach(option => {
-                                        option.selected = data.children.includes(parseInt(option.value));
-                                    });
-                                }
-                            }
-
-                            console.log('Successfully loaded user data for ID:', dataId);
-                        })
-                        .catch(error => {
-                            console.error('Error fetching user details:', error);
-                            // Show the actual error message from the server if available
-                            alert(`Error loading user data: ${error.message || 'Please try again.'}`);
-                        });
-                }
-            });
-        });
-
-        // Close modal buttons
-        document.querySelectorAll('[data-close-modal]').forEach(btn => {
-            btn.addEventListener('click', function () {
-                closeModal(this.closest('.modal'));
-            });
-        });
-
-        // Close modals when clicking the overlay
-        document.querySelectorAll('.modal-overlay').forEach(overlay => {
-            overlay.addEventListener('click', function () {
-                closeModal(this.closest('.modal'));
-            });
+                    // The stored draft is compared with the loaded values
+                    formState.offerDraft(document.getElementById('editUserForm'));
+
+                    console.log('Successfully loaded user data for ID:', dataId);
+                })
+                .catch(error => {
+                    console.error('Error fetching user details:', error);
+                    // An expired session is already on its way to the login page
+                    if (error instanceof api.AuthExpiredError) return;
+                    // Show the actual error message from the server if available
+                    notifications.error(i18n.t('admin.users.loadError', {message: error.message || i18n.t('common.tryAgain')}));
+                });
         });
 
-        // Close modals with Escape key
-        document.addEventListener('keydown', function (e) {
-            if (e.key === 'Escape') {
-                document.querySelectorAll('.modal.open').forEach(modal => {
-                    closeModal(modal);
+        // Hide role-specific fields when a user modal closes
+        document.querySelectorAll('#createUserModal, #editUserModal').forEach(modal => {
+            modal.addEventListener('modal:close', function () {
+                modal.querySelectorAll('.role-fields').forEach(field => {
+                    field.style.display = 'none';
                 });
-            }
+            });
         });
 
         // Handle delete user button
@@ -846,50 +900,599 @@ $allStudents = getAllStudentsBasicInfo();
             });
         }
 
-        // Password validation for reset password form
-        const validatePasswords = () => {
-            const newPwd = document.getElementById('new_password');
-            const confirmPwd = document.getElementById('confirm_password');
-            const errorMsg = document.getElementById('password_match_error');
-            const submitBtn = document.getElementById('resetPasswordSubmitBtn');
+        // Usernames are checked against existing accounts while typing, the user being edited is excluded
+        formValidator.addAsyncRule('usernameAvailable', (value, field) => api.get('admin', 'checkUsername', {
+            username: value,
+            exclude_id: field.form.elements.user_id ? field.form.elements.user_id.value : ''
+        }, {loading: false}).then(data => (data.available ? null : i18n.t('admin.users.usernameTaken'))));
+
+        // --- Bulk user import ---
+        // Existing class codes and students (username → class code), for the preview checks and credential sheets
+        const CLASS_CODES = <?= json_encode(array_column($allClasses, 'class_code'), JSON_THROW_ON_ERROR | JSON_HEX_TAG) ?>;
+        const EXISTING_STUDENTS = <?= json_encode((object)array_column($allStudents, 'class_code', 'username'), JSON_THROW_ON_ERROR | JSON_HEX_TAG) ?>;
+        // Accounts per request, the server hashes every password and refuses more than 50
+        const IMPORT_CHUNK_SIZE = 20;
+        // Rounds of server checks when a generated username turns out to be taken
+        const USERNAME_CHECK_ROUNDS = 5;
+
+        const importUsersModal = document.getElementById('importUsersModal');
+        const importUsersHasHeader = document.getElementById('import_users_has_header');
+        const importUsersDefaultRole = document.getElementById('import_users_default_role');
+        const importUsersPreviewBody = document.getElementById('importUsersPreviewBody');
+        const importUsersProgress = document.getElementById('importUsersProgress');
+        const importUsersButtons = {
+            back: document.getElementById('importUsersBackButton'),
+            preview: document.getElementById('importUsersPreviewButton'),
+            save: document.getElementById('importUsersSaveButton'),
+            done: document.getElementById('importUsersDoneButton')
+        };
+        const importUsersColumns = {
+            username: document.getElementById('import_users_col_username'),
+            role: document.getElementById('import_users_col_role'),
+            firstName: document.getElementById('import_users_col_first_name'),
+            lastName: document.getElementById('import_users_col_last_name'),
+            classCode: document.getElementById('import_users_col_class'),
+            dob: document.getElementById('import_users_col_dob'),
+            children: document.getElementById('import_users_col_children')
+        };
+        // Header keywords used to preselect the column mapping, in this order so "Priimek" goes to the last name
+        const importUsersColumnHints = {
+            username: /uporabni|username|login/i,
+            role: /vloga|role|tip|type/i,
+            lastName: /priimek|surname|last ?name/i,
+            firstName: /ime|first ?name|name/i,
+            classCode: /razred|oddelek|class/i,
+            dob: /rojstv|birth|dob/i,
+            children: /otro[kc]|child/i
+        };
+        const ROLE_KEYWORDS = [
+            [ROLE_STUDENT, /^(dija|učen|ucen|stud)/i],
+            [ROLE_PARENT, /^(star|skrbn|parent|guard)/i],
+            [ROLE_TEACHER, /^(uči|uci|prof|teach)/i]
+        ];
+        const ROLE_NAMES = {
+            [ROLE_STUDENT]: 'admin.import.roleStudent',
+            [ROLE_PARENT]: 'admin.import.roleParent',
+            [ROLE_TEACHER]: 'admin.import.roleTeacher'
+        };
 
-            if (!newPwd || !confirmPwd || !errorMsg || !submitBtn) return;
+        // "1a", "1. A" and "1.A" all mean class 1.A
+        const classKey = code => String(code).replace(/[\s.]+/g, '').toUpperCase();
+        const classCodes = new Map(CLASS_CODES.map(code => [classKey(code), code]));
+        const existingStudents = new Map(Object.entries(EXISTING_STUDENTS).map(([username, classCode]) => [username.toLowerCase(), classCode]));
+
+        let importUsers = [];
+        let importResults = [];
+        let importRunning = false;
+        let credentialsSaved = true;
+        // Lowercase usernames already asked about and the ones the server reported as taken
+        const checkedUsernames = new Set();
+        const takenUsernames = new Set();
+
+        // The done button stays disabled while accounts are still being created
+        const showImportUsersStep = (step) => {
+            importWizard.showStep(step);
+            importUsersButtons.done.disabled = importRunning;
+        };
 
-            const newPwdValue = newPwd.value || '';
-            const confirmPwdValue = confirmPwd.value || '';
+        const cellText = (cells, select) => select.value === '' ? '' : String(cells[Number(select.value)] ?? '').trim();
 
-            const minLength = 6;
-            if (newPwdValue.length < minLength) {
-                errorMsg.textContent = `Password must be at least ${minLength} characters.`;
-                errorMsg.style.display = 'block';
-                submitBtn.disabled = true;
-                return;
+        const parseRole = (value) => {
+            if (value === '') return Number(importUsersDefaultRole.value);
+            if (/^\d+$/.test(value)) return Object.keys(ROLE_NAMES).map(Number).includes(Number(value)) ? Number(value) : null;
+            const match = ROLE_KEYWORDS.find(([, pattern]) => pattern.test(value));
+            return match ? match[0] : null;
+        };
+
+        // Accepts 2008-03-14, 14. 3. 2008, 14/03/2008 and Excel date serials
+        const parseDob = (value) => {
+            if (typeof value === 'number') {
+                const serial = new Date(Math.round((value - 25569) * 86400000));
+                return formatDate(new Date(serial.getUTCFullYear(), serial.getUTCMonth(), serial.getUTCDate()), 'yyyy-mm-dd');
+            }
+
+            const text = String(value ?? '').trim();
+            let parts = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+            if (parts) parts = [parts[1], parts[2], parts[3]];
+            else {
+                const local = text.match(/^(\d{1,2})\s*[./]\s*(\d{1,2})\s*[./]\s*(\d{4})$/);
+                if (!local) return null;
+                parts = [local[3], local[2], local[1]];
+            }
+
+            const date = new Date(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2]));
+            return date.getMonth() === Number(parts[1]) - 1 ? formatDate(date, 'yyyy-mm-dd') : null;
+        };
+
+        // "Ana Marija Novak-Kos" → "ana.marija.novak.kos", the server allows letters, digits, _ and .
+        const usernameFromName = (...parts) => parts
+            .join(' ')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean)
+            .join('.')
+            .slice(0, 45);
+
+        const checkUsernames = (usernames) => {
+            const unchecked = [...new Set(usernames.filter(Boolean).map(name => name.toLowerCase()))]
+                .filter(name => !checkedUsernames.has(name));
+            if (!unchecked.length) return Promise.resolve();
+
+            return api.post('admin', 'checkUsernames', {usernames: unchecked}).then(data => {
+                unchecked.forEach(name => checkedUsernames.add(name));
+                data.taken.forEach(name => takenUsernames.add(name.toLowerCase()));
+            });
+        };
+
+        // Generated usernames get a number when the name is taken in the file or on the server
+        const assignGeneratedUsernames = (round = 0) => {
+            const used = new Set(importUsers.filter(user => !user.generated).map(user => user.username.toLowerCase()));
+            importUsers.filter(user => user.generated && user.baseUsername).forEach(user => {
+                let candidate = user.baseUsername;
+                for (let n = 2; used.has(candidate) || takenUsernames.has(candidate); n++) candidate = `${user.baseUsername}${n}`;
+                user.username = candidate;
+                used.add(candidate);
+            });
+
+            const pending = importUsers.some(user => user.username && !checkedUsernames.has(user.username.toLowerCase()));
+            if (!pending || round >= USERNAME_CHECK_ROUNDS) return Promise.resolve();
+
+            return checkUsernames(importUsers.map(user => user.username)).then(() => assignGeneratedUsernames(round + 1));
+        };
+
+        const readImportUsers = () => {
+            const rows = importWizard.dataRows();
+            const offset = importUsersHasHeader.checked ? 2 : 1;
+
+            return rows.map((cells, index) => {
+                const roleText = cellText(cells, importUsersColumns.role);
+                const classText = cellText(cells, importUsersColumns.classCode);
+                const dobValue = importUsersColumns.dob.value === '' ? '' : cells[Number(importUsersColumns.dob.value)];
+                const user = {
+                    row: index + offset,
+                    username: cellText(cells, importUsersColumns.username),
+                    firstName: cellText(cells, importUsersColumns.firstName),
+                    lastName: cellText(cells, importUsersColumns.lastName),
+                    roleText,
+                    roleId: parseRole(roleText),
+                    classText,
+                    classCode: classCodes.get(classKey(classText)) || '',
+                    dobText: String(dobValue ?? '').trim(),
+                    dob: dobValue === '' ? '' : parseDob(dobValue),
+                    children: cellText(cells, importUsersColumns.children).split(/[,;\s]+/).filter(Boolean),
+                    generated: false,
+                    include: true,
+                    userToggled: false
+                };
+
+                if (!user.username) {
+                    user.generated = true;
+                    user.baseUsername = usernameFromName(user.firstName, user.lastName)
+                        || (user.roleId === ROLE_PARENT && user.children.length ? `${user.children[0].toLowerCase()}.stars` : '');
+                }
+                return user;
+            }).filter(user => user.username || user.firstName || user.lastName || user.children.length);
+        };
+
+        const userProblem = (user, seen) => {
+            const username = user.username.toLowerCase();
+
+            if (user.roleId === null) return i18n.t('admin.import.unknownRole', {role: user.roleText});
+            if (!user.username) return i18n.t('admin.import.missingUsername');
+            if (!/^[\w.]+$/.test(user.username)) return i18n.t('admin.users.usernamePattern');
+            if (user.username.length < 3 || user.username.length > 50) return i18n.t('admin.import.usernameLength');
+            if (seen.has(username)) return i18n.t('admin.import.duplicateUsername', {row: seen.get(username)});
+            if (takenUsernames.has(username)) return i18n.t('admin.import.usernameExists');
+            if (user.roleId !== ROLE_PARENT && (!user.firstName || !user.lastName)) return i18n.t('admin.import.missingName');
+
+            if (user.roleId === ROLE_STUDENT) {
+                if (!user.classText) return i18n.t('admin.import.missingClass');
+                if (!user.classCode) return i18n.t('admin.import.unknownClass', {classCode: user.classText});
+                if (!user.dobText) return i18n.t('admin.import.missingDob');
+                if (!user.dob) return i18n.t('admin.import.invalidDob', {value: user.dobText});
             }
+            return '';
+        };
+
+        // Re-checks every preview row, parents last because their children must be imported or already exist
+        const validateImportUsers = () => {
+            const seen = new Map();
+            const importedStudents = new Set();
+            let ready = 0;
+            let problems = 0;
+
+            const checked = importUsers.map(user => {
+                const problem = userProblem(user, seen);
+                if (user.username && user.include) seen.set(user.username.toLowerCase(), user.row);
+                return {user, problem};
+            });
+
+            checked.forEach(({user, problem}) => {
+                if (user.roleId === ROLE_STUDENT && !problem && user.include) importedStudents.add(user.username.toLowerCase());
+            });
 
-            if (newPwdValue && confirmPwdValue) {
-                if (newPwdValue !== confirmPwdValue) {
-                    errorMsg.textContent = 'Passwords do not match!';
-                    errorMsg.style.display = 'block';
-                    submitBtn.disabled = true;
-                } else {
-                    errorMsg.style.display = 'none';
-                    submitBtn.disabled = false;
+            checked.forEach(({user, problem}) => {
+                let status = problem;
+                let level = problem ? 'error' : '';
+
+                if (!problem && user.roleId === ROLE_PARENT) {
+                    const missing = user.children.find(child => !importedStudents.has(child.toLowerCase()) && !existingStudents.has(child.toLowerCase()));
+                    if (missing) {
+                        status = i18n.t('admin.import.unknownChild', {username: missing});
+                        level = 'error';
+                    } else if (!user.children.length) {
+                        status = i18n.t('admin.import.noChildren');
+                        level = 'warning';
+                    }
                 }
-            } else {
-                errorMsg.style.display = 'none';
-                submitBtn.disabled = newPwdValue.length === 0 || confirmPwdValue.length === 0;
+                if (!level && user.generated) status = i18n.t('admin.import.generatedUsername');
+
+                const row = user.element;
+                const checkbox = row.querySelector('.import-include');
+                row.classList.toggle('import-row-error', level === 'error');
+                row.classList.toggle('import-row-warning', level === 'warning');
+                row.querySelector('.import-status').textContent = status || i18n.t('admin.import.ok');
+                row.querySelector('.import-username-input').value = user.username;
+
+                user.level = level;
+                checkbox.disabled = level === 'error';
+                if (level === 'error') checkbox.checked = false;
+                else if (!user.userToggled) checkbox.checked = true;
+
+                if (checkbox.checked) ready++;
+                if (level === 'error') problems++;
+            });
+
+            document.getElementById('importUsersSummary').textContent = i18n.t('admin.import.summary', {ready, problems});
+            importUsersButtons.save.disabled = ready === 0;
+        };
+
+        const renderImportUsersPreview = () => {
+            importUsersPreviewBody.innerHTML = '';
+
+            importUsers.forEach(user => {
+                const row = importUsersPreviewBody.insertRow();
+                const name = [user.firstName, user.lastName].filter(Boolean).join(' ');
+                user.element = row;
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'import-include';
+                checkbox.setAttribute('aria-label', i18n.t('admin.import.includeRow', {row: user.row}));
+                checkbox.addEventListener('change', () => {
+                    user.userToggled = true;
+                    user.include = checkbox.checked;
+                    validateImportUsers();
+                });
+                row.insertCell().appendChild(checkbox);
+                row.insertCell().textContent = String(user.row);
+
+                // Conflicting usernames can be fixed right here instead of in the file
+                const usernameInput = document.createElement('input');
+                usernameInput.type = 'text';
+                usernameInput.className = 'form-input import-username-input';
+                usernameInput.setAttribute('aria-label', i18n.t('admin.import.usernameFor', {row: user.row}));
+                usernameInput.addEventListener('change', () => {
+                    user.username = usernameInput.value.trim();
+                    user.generated = false;
+                    checkUsernames([user.username])
+                        .catch(error => console.error('Error checking username:', error))
+                        .finally(validateImportUsers);
+                });
+                row.insertCell().appendChild(usernameInput);
+
+                row.insertCell().textContent = name || '—';
+                row.insertCell().textContent = user.roleId === null ? user.roleText : i18n.t(ROLE_NAMES[user.roleId]);
+                row.insertCell().textContent = user.roleId === ROLE_STUDENT ? (user.classCode || user.classText) : '';
+                row.insertCell().textContent = user.roleId === ROLE_PARENT ? user.children.join(', ') : '';
+
+                const statusCell = row.insertCell();
+                statusCell.className = 'import-status';
+            });
+
+            validateImportUsers();
+        };
+
+        const buildImportUsersPreview = () => {
+            if (importUsersColumns.username.value === '' && importUsersColumns.firstName.value === '' && importUsersColumns.lastName.value === '') {
+                importWizard.showError(i18n.t('admin.import.chooseColumns'));
+                return;
+            }
+            importWizard.showError('');
+
+            importUsers = readImportUsers();
+            if (!importUsers.length) {
+                importWizard.showError(i18n.t('admin.import.noRows'));
+                return;
+            }
+
+            checkUsernames(importUsers.map(user => user.username))
+                .then(() => assignGeneratedUsernames())
+                .then(() => {
+                    renderImportUsersPreview();
+                    showImportUsersStep('preview');
+                })
+                .catch(error => {
+                    console.error('Error checking usernames:', error);
+                    if (error instanceof api.AuthExpiredError) return;
+                    importWizard.showError(error.message || i18n.t('common.tryAgain'));
+                });
+        };
+
+        const importPayload = user => ({
+            row: user.row,
+            username: user.username,
+            role_id: user.roleId,
+            first_name: user.firstName,
+            last_name: user.lastName,
+            class_code: user.roleId === ROLE_STUDENT ? user.classCode : '',
+            dob: user.roleId === ROLE_STUDENT ? user.dob : '',
+            children: user.roleId === ROLE_PARENT ? user.children : []
+        });
+
+        const ROLE_ORDER = {[ROLE_STUDENT]: 0, [ROLE_TEACHER]: 1, [ROLE_PARENT]: 2};
+
+        const renderImportProgress = (done, total) => {
+            importUsersProgress.value = total ? Math.round(done / total * 100) : 100;
+            document.getElementById('importUsersProgressText').textContent = i18n.t('admin.import.progress', {done, total});
+        };
+
+        const finishImport = (total) => {
+            importRunning = false;
+            const created = importResults.filter(result => result.success);
+            const failed = importResults.filter(result => !result.success);
+
+            document.getElementById('importUsersProgressText').textContent = i18n.t('admin.import.finished', {created: created.length, total});
+
+            const failures = document.getElementById('importUsersFailures');
+            failures.innerHTML = '';
+            failed.forEach(result => {
+                const item = document.createElement('li');
+                item.textContent = i18n.t('admin.import.failure', {row: result.row, username: result.username, error: result.error});
+                failures.appendChild(item);
+            });
+
+            document.getElementById('importUsersCredentials').style.display = created.length ? 'block' : 'none';
+            credentialsSaved = created.length === 0;
+            showImportUsersStep('result');
+
+            if (created.length) notifications.success(i18n.t('admin.import.finished', {created: created.length, total}));
+            if (failed.length) notifications.warning(i18n.t('admin.import.failedCount', {count: failed.length}));
+        };
+
+        const runImport = () => {
+            const users = importUsers
+                .filter(user => user.element.querySelector('.import-include').checked)
+                .sort((a, b) => ROLE_ORDER[a.roleId] - ROLE_ORDER[b.roleId] || a.row - b.row);
+            if (!users.length) {
+                importWizard.showError(i18n.t('admin.import.noneSelected'));
+                return;
             }
+
+            const byRow = new Map(users.map(user => [user.row, user]));
+            const chunks = [];
+            for (let i = 0; i < users.length; i += IMPORT_CHUNK_SIZE) chunks.push(users.slice(i, i + IMPORT_CHUNK_SIZE));
+
+            importRunning = true;
+            importResults = [];
+            document.getElementById('importUsersFailures').innerHTML = '';
+            document.getElementById('importUsersCredentials').style.display = 'none';
+            importWizard.showError('');
+            showImportUsersStep('result');
+            renderImportProgress(0, users.length);
+
+            // One chunk at a time, a failed request marks its rows and the next chunk still runs
+            chunks.reduce((previous, chunk) => previous.then(() => api.post('admin', 'importUsers', {users: chunk.map(importPayload)}, {loading: false})
+                .then(data => data.results)
+                .catch(error => {
+                    if (error instanceof api.AuthExpiredError) throw error;
+                    console.error('Error importing users:', error);
+                    return chunk.map(user => ({row: user.row, username: user.username, success: false, error: error.message}));
+                })
+                .then(results => {
+                    results.forEach(result => {
+                        const user = byRow.get(result.row);
+                        importResults.push({...result, user});
+                    });
+                    renderImportProgress(importResults.length, users.length);
+                })), Promise.resolve())
+                .then(() => finishImport(users.length))
+                .catch(error => {
+                    importRunning = false;
+                    console.error('User import stopped:', error);
+                });
+        };
+
+        // Students by class, parents with their (first) child's class and teachers on a separate sheet
+        const credentialGroups = () => {
+            const studentClasses = new Map(importResults
+                .filter(result => result.success && result.user.roleId === ROLE_STUDENT)
+                .map(result => [result.username.toLowerCase(), result.user.classCode]));
+            const groups = new Map();
+
+            importResults.filter(result => result.success).forEach(result => {
+                const user = result.user;
+                let group = i18n.t('admin.import.staffGroup');
+                if (user.roleId === ROLE_STUDENT) group = user.classCode;
+                else if (user.roleId === ROLE_PARENT) {
+                    const child = (user.children[0] || '').toLowerCase();
+                    group = studentClasses.get(child) || existingStudents.get(child) || i18n.t('admin.import.noClassGroup');
+                }
+                if (!groups.has(group)) groups.set(group, []);
+                groups.get(group).push(result);
+            });
+
+            return [...groups.entries()]
+                .sort(([a], [b]) => a.localeCompare(b, undefined, {numeric: true}))
+                .map(([title, results]) => ({
+                    title,
+                    rows: results
+                        .sort((a, b) => ROLE_ORDER[a.user.roleId] - ROLE_ORDER[b.user.roleId]
+                            || `${a.user.lastName} ${a.user.firstName}`.localeCompare(`${b.user.lastName} ${b.user.firstName}`))
+                        .map(result => [
+                            [result.user.firstName, result.user.lastName].filter(Boolean).join(' ')
+                            || (result.user.children.length ? i18n.t('admin.import.parentOf', {children: result.user.children.join(', ')}) : ''),
+                            result.username,
+                            i18n.t(ROLE_NAMES[result.user.roleId]),
+                            result.password
+                        ])
+                }));
+        };
+
+        const credentialHeader = () => ['name', 'username', 'role', 'password'].map(column => i18n.t(`admin.import.sheet.${column}`));
+
+        const printCredentials = () => {
+            const previous = document.getElementById('credentialSheetPrint');
+            if (previous) previous.remove();
+
+            const root = document.createElement('div');
+            root.id = 'credentialSheetPrint';
+            root.className = 'credential-sheet-print';
+
+            const printedOn = i18n.formatDate(new Date());
+            credentialGroups().forEach(group => {
+                const section = document.createElement('section');
+                section.className = 'credential-sheet';
+
+                const heading = document.createElement('h1');
+                heading.textContent = i18n.t('admin.import.sheet.title', {group: group.title});
+                section.appendChild(heading);
+
+                const table = document.createElement('table');
+                const headRow = table.createTHead().insertRow();
+                credentialHeader().forEach(label => {
+                    const th = document.createElement('th');
+                    th.scope = 'col';
+                    th.textContent = label;
+                    headRow.appendChild(th);
+                });
+                const body = table.createTBody();
+                group.rows.forEach(values => {
+                    const row = body.insertRow();
+                    values.forEach(value => {
+                        row.insertCell().textContent = value;
+                    });
+                });
+                section.appendChild(table);
+
+                const note = document.createElement('p');
+                note.textContent = i18n.t('admin.import.sheet.note', {date: printedOn});
+                section.appendChild(note);
+                root.appendChild(section);
+            });
+
+            document.body.appendChild(root);
+            document.body.classList.add('credential-sheet-printing');
+            window.addEventListener('afterprint', () => {
+                root.remove();
+                document.body.classList.remove('credential-sheet-printing');
+            }, {once: true});
+
+            credentialsSaved = true;
+            window.print();
+        };
+
+        const downloadCredentials = () => {
+            const header = credentialHeader();
+            spreadsheetUtils.downloadBlob(
+                spreadsheetUtils.createXlsx(credentialGroups().map(group => ({name: group.title, rows: [header, ...group.rows], headerRows: 1}))),
+                spreadsheetUtils.buildFilename([i18n.t('admin.import.sheet.filename'), formatDate(new Date(), 'yyyy-mm-dd')], 'xlsx')
+            );
+            credentialsSaved = true;
         };
 
-        // Add password validation listeners
-        const newPasswordField = document.getElementById('new_password');
-        const confirmPasswordField = document.getElementById('confirm_password');
+        const importWizard = spreadsheetUtils.importWizard({
+            modal: importUsersModal,
+            fileInput: document.getElementById('import_users_file'),
+            dropZone: document.getElementById('importUsersDropZone'),
+            hasHeader: importUsersHasHeader,
+            steps: {
+                file: document.getElementById('importUsersStepFile'),
+                mapping: document.getElementById('importUsersStepMapping'),
+                preview: document.getElementById('importUsersStepPreview'),
+                result: document.getElementById('importUsersStepResult')
+            },
+            buttons: importUsersButtons,
+            error: document.getElementById('importUsersError'),
+            fileInfo: document.getElementById('importUsersFileInfo'),
+            columns: importUsersColumns,
+            columnHints: importUsersColumnHints,
+            onLoad: () => {
+                checkedUsernames.clear();
+                takenUsernames.clear();
+            },
+            onPreview: buildImportUsersPreview
+        });
+
+        document.getElementById('importUsersForm').addEventListener('submit', event => {
+            event.preventDefault();
+            runImport();
+        });
+        importUsersButtons.done.addEventListener('click', () => {
+            const confirmed = credentialsSaved ? Promise.resolve(true) : modalUtils.confirm({
+                message: i18n.t('admin.import.confirmDone'),
+                confirmText: i18n.t('admin.import.closeAnyway'),
+                danger: true
+            });
+
+            confirmed.then(close => {
+                if (!close) return;
+                credentialsSaved = true;
+                window.location.reload();
+            });
+        });
+        document.getElementById('printCredentialsBtn').addEventListener('click', printCredentials);
+        document.getElementById('downloadCredentialsBtn').addEventListener('click', downloadCredentials);
+
+        // Closing keeps a running or finished import, reopening shows its progress and credential sheets again
+        importUsersModal.addEventListener('modal:open', () => {
+            if (importRunning || importResults.length) showImportUsersStep('result');
+            else importWizard.reset();
+        });
 
-        if (newPasswordField) newPasswordField.addEventListener('input', validatePasswords);
-        if (confirmPasswordField) confirmPasswordField.addEventListener('input', validatePasswords);
+        // --- Keyboard Shortcuts ---
+        // users.edit runs when the command palette opens this page for one user
+        const searchInput = document.getElementById('searchInput');
+        commandPalette.register([
+            {
+                id: 'users.create',
+                title: i18n.t('admin.command.createUser'),
+                shortcut: 'n',
+                run: () => document.getElementById('createUserBtn').click()
+            },
+            {
+                id: 'users.import',
+                title: i18n.t('admin.command.importUsers'),
+                shortcut: 'i',
+                run: () => document.getElementById('importUsersBtn').click()
+            },
+            {
+                id: 'users.search',
+                title: i18n.t('admin.command.searchUsers'),
+                shortcut: '/',
+                run: () => {
+                    searchInput.focus();
+                    searchInput.select();
+                }
+            },
+            {
+                id: 'users.edit',
+                title: i18n.t('admin.command.editUser'),
+                hidden: true,
+                run: data => {
+                    const button = data && document.querySelector(`[data-open-modal="editUserModal"][data-id="${Number(data.userId)}"]`);
+                    if (button) button.click();
+                }
+            }
+        ]);
 
-        // Initialize password validation
-        validatePasswords();
+        window.addEventListener('beforeunload', event => {
+            if (!importRunning && credentialsSaved) return;
+            event.preventDefault();
+            event.returnValue = '';
+        });
     });
 </script>
 
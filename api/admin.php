@@ -12,6 +12,10 @@
  * - handleGetSubjectDetails(): void - Returns detailed information about a subject including assigned classes
  * - handleGetTeacherDetails(): void - Returns detailed information about a teacher including assigned classes and subjects
  * - handleGetUserDetails(): void - Returns detailed information about any user for the admin panel
+ * - handleCheckUsername(): void - Returns whether a username is still available
+ * - handleCheckUsernames(): void - Returns which of a list of usernames are already taken
+ * - handleImportUsers(): void - Creates one chunk of bulk imported accounts and returns their initial passwords
+ * - handleSaveAssignments(): void - Saves a batch of teacher assignments from the assignment matrix
  */
 
 declare(strict_types=1);
@@ -24,6 +28,9 @@ require_once '../admin/admin_functions.php';
 // Ensure only authenticated administrators can access these endpoints
 requireRole(ROLE_ADMIN);
 
+// Current CSRF token for the API client in main.js
+sendCsrfTokenHeader();
+
 header('Content-Type: application/json');
 
 // Verify CSRF token for non-GET requests
@@ -59,6 +66,22 @@ try {
             handleGetUserDetails();
             break;
 
+        case 'checkUsername':
+            handleCheckUsername();
+            break;
+
+        case 'checkUsernames':
+            handleCheckUsernames($requestData ?? []);
+            break;
+
+        case 'importUsers':
+            handleImportUsers($requestData ?? []);
+            break;
+
+        case 'saveAssignments':
+            handleSaveAssignments($requestData ?? []);
+            break;
+
         default:
             sendJsonErrorResponse('Neveljavna dejanja zahtevana', 400, 'admin.php');
     }
@@ -161,3 +184,97 @@ function handleGetUserDetails(): void
 
     echo json_encode($userDetails, JSON_THROW_ON_ERROR);
 }
+
+/**
+ * Handles the checkUsername API endpoint
+ * Returns whether a username is available, used by the user forms while typing
+ *
+ * @return void Outputs JSON response directly
+ * @throws JsonException
+ */
+function handleCheckUsername(): void
+{
+    $username = trim($_GET['username'] ?? '');
+    $excludeId = filter_var($_GET['exclude_id'] ?? '', FILTER_VALIDATE_INT);
+
+    if ($username === '') sendJsonErrorResponse('Uporabniško ime je obvezno', 400, 'admin.php');
+
+    echo json_encode([
+        'success' => true,
+        'available' => !usernameExists($username, $excludeId ?: null)
+    ], JSON_THROW_ON_ERROR);
+}
+
+/**
+ * Handles the checkUsernames API endpoint
+ * Returns the taken usernames from a list, used by the bulk import preview. The list comes in a POST body
+ * because an import can hold hundreds of names
+ *
+ * @param array $requestData Decoded JSON body with usernames
+ * @return void Outputs JSON response directly
+ * @throws JsonException
+ */
+function handleCheckUsernames(array $requestData): void
+{
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') sendJsonErrorResponse('Invalid request method', 405, 'admin.php/handleCheckUsernames');
+
+    $usernames = $requestData['usernames'] ?? null;
+    if (!is_array($usernames)) sendJsonErrorResponse('Seznam uporabniških imen je obvezen', 400, 'admin.php');
+
+    echo json_encode([
+        'success' => true,
+        'taken' => getTakenUsernames(array_map(static fn($username) => trim((string)$username), $usernames))
+    ], JSON_THROW_ON_ERROR);
+}
+
+/**
+ * Handles the importUsers API endpoint
+ * Creates one chunk of accounts from the bulk import, the client sends the rows in chunks to show progress
+ *
+ * @param array $requestData Decoded JSON body with users
+ * @return void Outputs JSON response directly
+ * @throws JsonException
+ * @throws Exception
+ */
+function handleImportUsers(array $requestData): void
+{
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') sendJsonErrorResponse('Invalid request method', 405, 'admin.php/handleImportUsers');
+
+    $users = $requestData['users'] ?? null;
+    if (!is_array($users) || empty($users)) sendJsonErrorResponse('Ni uporabnikov za uvoz', 400, 'admin.php');
+
+    // Password hashing is slow on purpose, larger chunks would run into the request time limit
+    if (count($users) > 50) sendJsonErrorResponse('Naenkrat je mogoče uvoziti največ 50 uporabnikov', 400, 'admin.php');
+
+    $results = importUsers(array_filter($users, 'is_array'));
+
+    echo json_encode([
+        'success' => true,
+        'results' => $results,
+        'created' => count(array_filter($results, static fn($result) => $result['success']))
+    ], JSON_THROW_ON_ERROR);
+}
+
+/**
+ * Handles the saveAssignments API endpoint
+ * Saves the teacher changes made in the assignment matrix on the assignments page in one request
+ *
+ * @param array $requestData Decoded JSON body with changes
+ * @return void Outputs JSON response directly
+ * @throws JsonException
+ */
+function handleSaveAssignments(array $requestData): void
+{
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') sendJsonErrorResponse('Invalid request method', 405, 'admin.php/handleSaveAssignments');
+
+    $changes = $requestData['changes'] ?? null;
+    if (!is_array($changes) || empty($changes)) sendJsonErrorResponse('Ni sprememb za shranjevanje', 400, 'admin.php');
+
+    $results = saveClassSubjectAssignments(array_filter($changes, 'is_array'));
+
+    echo json_encode([
+        'success' => true,
+        'results' => $results,
+        'saved' => count(array_filter($results, static fn($result) => $result['success']))
+    ], JSON_THROW_ON_ERROR);
+}
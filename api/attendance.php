@@ -12,6 +12,7 @@
  * - handleGetPeriodAttendanceApi(): void - API handler for getting period attendance
  * - handleGetStudentAttendanceApi(): void - API handler for getting student attendance
  * - handleSaveAttendanceApi(): void - API handler for saving attendance record
+ * - handleSaveAttendanceBatchApi(): void - API handler for saving the attendance of a whole period (roll call)
  */
 
 declare(strict_types=1);
@@ -23,6 +24,9 @@ require_once '../includes/functions.php';
 // Ensure the request is from a logged-in user
 if (!isLoggedIn()) sendJsonErrorResponse('Unauthorized access', 401, 'attendance_api');
 
+// Current CSRF token for the API client in main.js
+sendCsrfTokenHeader();
+
 // Check for POST requests
 if ($_SERVER['REQUEST_METHOD'] === 'POST') {
     // Verify CSRF token
@@ -36,6 +40,10 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
         handleAddPeriodApi();
     } catch (JsonException $e) {
         sendJsonErrorResponse('Invalid JSON', 400, 'attendance_api');
+    } elseif (isset($_POST['period_id'], $_POST['records'])) try {
+        handleSaveAttendanceBatchApi();
+    } catch (JsonException $e) {
+        sendJsonErrorResponse('Invalid JSON', 400, 'attendance_api');
     } elseif (isset($_POST['period_id'], $_POST['enroll_id'], $_POST['status'])) try {
         handleSaveAttendanceApi();
     } catch (JsonException $e) {
@@ -95,18 +103,18 @@ function handleAddPeriodApi(): void
     if ($classId && isClassEmpty($classId)) sendJsonErrorResponse('Cannot add a period to an empty class', 400, 'add_period_api');
 
     // Validate date format
-    if (!validateDate($periodDate)) sendJsonErrorResponse('Invalid date format', 400, 'add_period_api');
+    if (!validateDate($periodDate)) sendJsonErrorResponse('Invalid date format', 400, 'add_period_api', ['period_date' => 'Invalid date format']);
 
     // Validate period date range
-    if (!validatePeriodDate($periodDate)) sendJsonErrorResponse('Invalid date range. Date must be within 30 days in the future and 180 days in the past', 400, 'add_period_api');
+    if (!validatePeriodDate($periodDate)) sendJsonErrorResponse('Invalid date range. Date must be within 30 days in the future and 180 days in the past', 400, 'add_period_api', ['period_date' => 'Date must be within 30 days in the future and 180 days in the past']);
 
     // Validate period label
-    if (empty($periodLabel) || strlen($periodLabel) > 50) sendJsonErrorResponse('Invalid period label', 400, 'add_period_api');
+    if (empty($periodLabel) || strlen($periodLabel) > 50) sendJsonErrorResponse('Invalid period label', 400, 'add_period_api', ['period_label' => 'Invalid period label']);
 
     // Check for duplicate period
     $stmt = $db->prepare('SELECT COUNT(*) FROM periods WHERE class_subject_id = ? AND period_date = ? AND period_label = ?');
     $stmt->execute([$classSubjectId, $periodDate, $periodLabel]);
-    if ((int)$stmt->fetchColumn() > 0) sendJsonErrorResponse('A period with the same date and label already exists', 409, 'add_period_api');
+    if ((int)$stmt->fetchColumn() > 0) sendJsonErrorResponse('A period with the same date and label already exists', 409, 'add_period_api', ['period_label' => 'A period with the same date and label already exists']);
 
     // Add the period
     $periodId = addPeriod($classSubjectId, $periodDate, $periodLabel);
@@ -325,3 +333,77 @@ function handleSaveAttendanceApi(): void
     ], JSON_THROW_ON_ERROR);
     exit;
 }
+
+/**
+ * Handles API request to save the attendance of a whole period at once (roll call)
+ * Records come as JSON in 'records': [{student_id, status}, ...], enrollments are looked up in the period's class
+ * @throws JsonException
+ */
+function handleSaveAttendanceBatchApi(): void
+{
+    // Check if user has teacher role
+    if (!hasRole(2)) sendJsonErrorResponse('Unauthorized access', 401, 'save_attendance_batch_api');
+
+    // Get teacher ID
+    $teacherId = getTeacherId();
+    if (!$teacherId) sendJsonErrorResponse('Teacher profile not found', 404, 'save_attendance_batch_api');
+
+    // Get and validate data
+    $periodId = (int)$_POST['period_id'];
+    if ($periodId <= 0) sendJsonErrorResponse('Invalid period ID', 400, 'save_attendance_batch_api');
+
+    try {
+        $records = json_decode((string)$_POST['records'], true, 512, JSON_THROW_ON_ERROR);
+    } catch (JsonException $e) {
+        sendJsonErrorResponse('Invalid attendance records', 400, 'save_attendance_batch_api');
+    }
+    if (!is_array($records) || empty($records)) sendJsonErrorResponse('No attendance records submitted', 400, 'save_attendance_batch_api');
+
+    // Check if teacher has access to this period
+    $db = safeGetDBConnection('save_attendance_batch_api');
+    $stmt = $db->prepare('
+        SELECT cs.teacher_id, cs.class_id
+        FROM periods p
+        JOIN class_subjects cs ON p.class_subject_id = cs.class_subject_id
+        WHERE p.period_id = ?
+    ');
+    $stmt->execute([$periodId]);
+    $period = $stmt->fetch(PDO::FETCH_ASSOC);
+
+    if (!$period || $period['teacher_id'] != $teacherId) sendJsonErrorResponse('You do not have access to this period', 403, 'save_attendance_batch_api');
+
+    $enrollStmt = $db->prepare('SELECT enroll_id FROM enrollments WHERE student_id = ? AND class_id = ?');
+    $processed = [];
+    $failed = [];
+
+    foreach ($records as $record) {
+        $studentId = (int)($record['student_id'] ?? 0);
+        $status = (string)($record['status'] ?? '');
+
+        if ($studentId <= 0 || !in_array($status, ['P', 'A', 'L'], true)) {
+            $failed[] = ['student_id' => $studentId, 'message' => 'Invalid attendance record'];
+            continue;
+        }
+
+        $enrollStmt->execute([$studentId, (int)$period['class_id']]);
+        $enrollId = (int)$enrollStmt->fetchColumn();
+        if (!$enrollId) {
+            $failed[] = ['student_id' => $studentId, 'message' => 'Student is not enrolled in this class'];
+            continue;
+        }
+
+        if (saveAttendance($enrollId, $periodId, $status)) $processed[] = ['student_id' => $studentId, 'enroll_id' => $enrollId, 'status' => $status]; else $failed[] = ['student_id' => $studentId, 'message' => 'Failed to save attendance'];
+    }
+
+    if (empty($processed)) sendJsonErrorResponse('No attendance records could be saved', 400, 'save_attendance_batch_api');
+
+    // Return success response
+    header('Content-Type: application/json');
+    echo json_encode([
+        'success' => true,
+        'processed' => $processed,
+        'failed' => $failed,
+        'message' => count($processed) . ' attendance records saved'
+    ], JSON_THROW_ON_ERROR);
+    exit;
+}
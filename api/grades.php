@@ -12,6 +12,7 @@
  * - handleGetClassGradesApi(): void - API handler for retrieving class grades
  * - handleAddGradeItemApi(): void - API handler for adding grade item
  * - handleSaveGradeApi(): void - API handler for saving grade
+ * - handleGetGradingScaleApi(): void - API handler for retrieving the grading scale
  */
 
 declare(strict_types=1);
@@ -23,6 +24,9 @@ require_once '../includes/functions.php';
 // Verify user is logged in
 if (!isLoggedIn()) sendJsonErrorResponse('Authentication required', 401, 'grades.php');
 
+// Current CSRF token for the API client in main.js
+sendCsrfTokenHeader();
+
 // Set JSON content type
 header('Content-Type: application/json');
 
@@ -47,6 +51,10 @@ try {
             handleGetClassGradesApi();
             break;
 
+        case 'getGradingScale':
+            handleGetGradingScaleApi();
+            break;
+
         default:
             sendJsonErrorResponse('Invalid action specified', 400, 'grades.php');
     }
@@ -169,3 +177,22 @@ function handleSaveGradeApi(): void
     // Return appropriate response
     if ($result) echo json_encode(['success' => true, 'message' => 'Grade saved successfully'], JSON_THROW_ON_ERROR); else sendJsonErrorResponse('Failed to save grade', 500, 'grades.php/handleSaveGradeApi');
 }
+
+/**
+ * API handler for retrieving the grading scale
+ *
+ * Available to every logged-in role, the scale is needed to display grades.
+ * Without class_subject_id the school-wide scale is returned.
+ *
+ * @return void Outputs JSON response
+ * @throws JsonException
+ */
+function handleGetGradingScaleApi(): void
+{
+    $classSubjectId = filter_input(INPUT_POST, 'class_subject_id', FILTER_VALIDATE_INT);
+
+    echo json_encode([
+        'success' => true,
+        'scale' => getGradingScale($classSubjectId ?: null)
+    ], JSON_THROW_ON_ERROR);
+}
@@ -13,6 +13,8 @@
  * - handleRejectJustificationApi(): void - API handler for rejecting justification
  * - handleGetJustificationsApi(): void - API handler for retrieving justifications
  * - handleGetJustificationDetailsApi(): void - API handler for getting justification details
+ * - handleBulkReviewJustificationsApi(bool $approve): void - API handler for approving or rejecting several justifications
+ * - handleGetProcessedJustificationsApi(): void - API handler for the homeroom teacher's processed justifications
  */
 
 declare(strict_types=1);
@@ -20,10 +22,14 @@ declare(strict_types=1);
 require_once '../includes/db.php';
 require_once '../includes/auth.php';
 require_once '../includes/functions.php';
+require_once '../teacher/teacher_functions.php';
 
 // Verify user is logged in
 if (!isLoggedIn()) sendJsonErrorResponse('Authentication required', 401, 'justifications.php');
 
+// Current CSRF token for the API client in main.js
+sendCsrfTokenHeader();
+
 // Set JSON content type
 header('Content-Type: application/json');
 
@@ -52,6 +58,18 @@ try {
             handleGetJustificationDetailsApi();
             break;
 
+        case 'bulkApproveJustifications':
+            handleBulkReviewJustificationsApi(true);
+            break;
+
+        case 'bulkRejectJustifications':
+            handleBulkReviewJustificationsApi(false);
+            break;
+
+        case 'getProcessedJustifications':
+            handleGetProcessedJustificationsApi();
+            break;
+
         default:
             sendJsonErrorResponse('Invalid action specified', 400, 'justifications.php');
     }
@@ -81,27 +99,33 @@ function handleSubmitJustificationApi(): void
     $token = $_POST['csrf_token'] ?? '';
     if (!verifyCSRFToken($token)) sendJsonErrorResponse('Invalid CSRF token', 403, 'justifications.php/handleSubmitJustificationApi');
 
-    // Process file upload if exists
-    $fileUploaded = !empty($_FILES['justification_file']['name']);
-    $fileName = null;
+    // Evidence comes as justification_files[] (several files) or the older single justification_file
+    $files = $_FILES['justification_files'] ?? null;
+    if (!$files && !empty($_FILES['justification_file']['name'])) $files = array_map(static fn($value) => [$value], $_FILES['justification_file']);
+    $fileUploaded = $files && !empty(array_filter((array)$files['name']));
 
-    if ($fileUploaded) {
-        $fileName = saveJustificationFile($_FILES['justification_file'], $absenceId);
-        if (!$fileName) sendJsonErrorResponse('Failed to upload justification file', 500, 'justifications.php/handleSubmitJustificationApi');
-    }
+    if (empty($justificationText) && !$fileUploaded) sendJsonErrorResponse('No justification text or file provided', 400, 'justifications.php/handleSubmitJustificationApi');
 
     // Save justification text if provided
     if (!empty($justificationText)) {
         $result = uploadJustification($absenceId, $justificationText);
         if (!$result) sendJsonErrorResponse('Failed to save justification text', 500, 'justifications.php/handleSubmitJustificationApi');
-    } else if (!$fileUploaded) sendJsonErrorResponse('No justification text or file provided', 400, 'justifications.php/handleSubmitJustificationApi');
+    }
+
+    // Process file uploads if they exist
+    $fileNames = [];
+    if ($fileUploaded) {
+        $fileNames = saveJustificationFiles($files, $absenceId);
+        if ($fileNames === false) sendJsonErrorResponse('Neveljavne datoteke. Dovoljeni so PDF, JPG in PNG do 15MB, največ ' . JUSTIFICATION_MAX_FILES . ' datotek.', 400, 'justifications.php/handleSubmitJustificationApi');
+    }
 
     // Return success response
     echo json_encode([
         'success' => true,
         'message' => 'Justification submitted successfully',
         'file_uploaded' => $fileUploaded,
-        'filename' => $fileName
+        'filename' => $fileNames[0] ?? null,
+        'files' => $fileNames
     ], JSON_THROW_ON_ERROR);
 }
 
@@ -204,6 +228,8 @@ function handleApproveJustificationApi(): void
     $token = filter_input(INPUT_POST, 'csrf_token');
     if (!$token || !verifyCSRFToken($token)) sendJsonErrorResponse('Invalid CSRF token', 403, 'justifications.php/handleApproveJustificationApi');
 
+    if (!canReviewJustification($absenceId)) sendJsonErrorResponse('Access denied', 403, 'justifications.php/handleApproveJustificationApi');
+
     // Call the business logic function
     $result = approveJustification($absenceId);
 
@@ -233,9 +259,110 @@ function handleRejectJustificationApi(): void
     $token = filter_input(INPUT_POST, 'csrf_token');
     if (!$token || !verifyCSRFToken($token)) sendJsonErrorResponse('Invalid CSRF token', 403, 'justifications.php/handleRejectJustificationApi');
 
+    if (!canReviewJustification($absenceId)) sendJsonErrorResponse('Access denied', 403, 'justifications.php/handleRejectJustificationApi');
+
     // Call the business logic function
     $result = rejectJustification($absenceId, $reason);
 
     // Return appropriate response
     if ($result) echo json_encode(['success' => true, 'message' => 'Justification rejected successfully'], JSON_THROW_ON_ERROR); else sendJsonErrorResponse('Failed to reject justification', 500, 'justifications.php/handleRejectJustificationApi');
 }
+
+/**
+ * API handler for approving or rejecting several justifications
+ *
+ * Expects att_ids[] and, for rejections, one reason shared by all of them. Every justification is
+ * checked on its own; the response lists the processed IDs and the failed ones with a message, so
+ * the review list can be updated in place.
+ *
+ * @param bool $approve True to approve, false to reject
+ * @return void Outputs JSON response
+ * @throws JsonException
+ */
+function handleBulkReviewJustificationsApi(bool $approve): void
+{
+    $context = 'justifications.php/handleBulkReviewJustificationsApi';
+
+    if ($_SERVER['REQUEST_METHOD'] !== 'POST') sendJsonErrorResponse('Invalid request method', 405, $context);
+
+    // Extract and validate request parameters
+    $absenceIds = filter_input(INPUT_POST, 'att_ids', FILTER_VALIDATE_INT, FILTER_REQUIRE_ARRAY) ?: [];
+    $absenceIds = array_values(array_unique(array_filter($absenceIds)));
+    $reason = trim((string)filter_input(INPUT_POST, 'reason'));
+
+    if (empty($absenceIds)) sendJsonErrorResponse('Missing or invalid parameters', 400, $context);
+    if (!$approve && $reason === '') sendJsonErrorResponse('Razlog zavrnitve je obvezen.', 400, $context);
+
+    // Verify CSRF token
+    $token = filter_input(INPUT_POST, 'csrf_token');
+    if (!$token || !verifyCSRFToken($token)) sendJsonErrorResponse('Invalid CSRF token', 403, $context);
+
+    $processed = [];
+    $failed = [];
+
+    foreach ($absenceIds as $absenceId) {
+        if (!canReviewJustification($absenceId)) {
+            $failed[] = ['att_id' => $absenceId, 'message' => 'Nimate dostopa do tega opravičila.'];
+            continue;
+        }
+
+        $result = $approve ? approveJustification($absenceId) : rejectJustification($absenceId, $reason);
+        if ($result) $processed[] = $absenceId; else $failed[] = ['att_id' => $absenceId, 'message' => 'Opravičila ni bilo mogoče shraniti.'];
+    }
+
+    if (empty($processed)) sendJsonErrorResponse('Nobenega opravičila ni bilo mogoče obdelati.', 400, $context);
+
+    echo json_encode([
+        'success' => true,
+        'message' => count($processed) . ' justifications ' . ($approve ? 'approved' : 'rejected'),
+        'approved' => $approve,
+        'reason' => $approve ? null : $reason,
+        'processed' => $processed,
+        'failed' => $failed
+    ], JSON_THROW_ON_ERROR);
+}
+
+/**
+ * API handler for the homeroom teacher's processed justifications, loaded by the tab on teacher/justifications.php
+ *
+ * Files are listed without their stored names, the page links them through download_justification.php.
+ *
+ * @return void Outputs JSON response
+ * @throws JsonException
+ */
+function handleGetProcessedJustificationsApi(): void
+{
+    $context = 'justifications.php/handleGetProcessedJustificationsApi';
+
+    if (getUserRole() !== ROLE_TEACHER) sendJsonErrorResponse('Unauthorized role', 403, $context);
+
+    $teacherId = getTeacherId();
+    if (!$teacherId) sendJsonErrorResponse('Teacher ID not found', 404, $context);
+
+    $justifications = [];
+    foreach (getHomeroomTeacherJustifications($teacherId, true) as $item) {
+        $justifications[] = [
+            'att_id' => (int)$item['att_id'],
+            'student_name' => $item['first_name'] . ' ' . $item['last_name'],
+            'class_code' => $item['class_code'],
+            'subject_name' => $item['subject_name'],
+            'period_date' => $item['period_date'],
+            'period_label' => $item['period_label'],
+            'status' => $item['status'],
+            'status_label' => getAttendanceStatusLabel($item['status']),
+            'justification' => $item['justification'],
+            'approved' => $item['approved'] === null ? null : (int)$item['approved'],
+            'reject_reason' => $item['reject_reason'],
+            'files' => array_map(static fn(array $file) => [
+                'file_id' => $file['file_id'],
+                'original_name' => $file['original_name'],
+                'mime_type' => $file['mime_type']
+            ], getJustificationFiles((int)$item['att_id']))
+        ];
+    }
+
+    echo json_encode([
+        'success' => true,
+        'justifications' => $justifications
+    ], JSON_THROW_ON_ERROR);
+}
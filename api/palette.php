@@ -0,0 +1,54 @@
+<?php
+/**
+ * Command Palette API Endpoint
+ *
+ * File path: /api/palette.php
+ *
+ * Returns the classes, students, users and subjects the current user can jump to from
+ * the command palette in main.js. The palette loads the index the first time it opens.
+ *
+ * Endpoints:
+ * - handleGetPaletteIndexApi(): void - API handler for the role-specific command palette index
+ */
+
+declare(strict_types=1);
+
+require_once '../includes/db.php';
+require_once '../includes/auth.php';
+require_once '../includes/functions.php';
+
+// Verify user is logged in
+if (!isLoggedIn()) sendJsonErrorResponse('Authentication required', 401, 'palette.php');
+
+// Current CSRF token for the API client in main.js
+sendCsrfTokenHeader();
+
+// Set JSON content type
+header('Content-Type: application/json');
+
+// Read-only endpoint, the action comes in the query string
+$action = $_GET['action'] ?? '';
+
+try {
+    switch ($action) {
+        case 'getPaletteIndex':
+            handleGetPaletteIndexApi();
+            break;
+
+        default:
+            sendJsonErrorResponse('Invalid action specified', 400, 'palette.php');
+    }
+} catch (Exception $e) {
+    sendJsonErrorResponse('Server error: ' . $e->getMessage(), 500, 'palette.php');
+}
+
+/**
+ * API handler for the role-specific command palette index
+ *
+ * @return void Outputs JSON response
+ * @throws JsonException
+ */
+function handleGetPaletteIndexApi(): void
+{
+    echo json_encode(['success' => true] + getCommandPaletteIndex(), JSON_THROW_ON_ERROR);
+}
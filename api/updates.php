@@ -0,0 +1,78 @@
+<?php
+/**
+ * Live Updates API Endpoint
+ *
+ * File path: /api/updates.php
+ *
+ * Returns the grades and justification decisions of the current student or of a parent's
+ * children. The liveUpdates service in main.js polls it and compares the results.
+ *
+ * Endpoints:
+ * - handleGetUpdatesApi(): void - API handler for the current grades and justification decisions
+ */
+
+declare(strict_types=1);
+
+require_once '../includes/db.php';
+require_once '../includes/auth.php';
+require_once '../includes/functions.php';
+
+// Verify user is logged in
+if (!isLoggedIn()) sendJsonErrorResponse('Authentication required', 401, 'updates.php');
+
+// Current CSRF token for the API client in main.js
+sendCsrfTokenHeader();
+
+// Set JSON content type
+header('Content-Type: application/json');
+
+// Read-only endpoint, the action comes in the query string
+$action = $_GET['action'] ?? '';
+
+try {
+    switch ($action) {
+        case 'getUpdates':
+            handleGetUpdatesApi();
+            break;
+
+        default:
+            sendJsonErrorResponse('Invalid action specified', 400, 'updates.php');
+    }
+} catch (Exception $e) {
+    sendJsonErrorResponse('Server error: ' . $e->getMessage(), 500, 'updates.php');
+}
+
+/**
+ * API handler for the current grades and justification decisions
+ *
+ * Only students and parents follow updates. When the client's fingerprint still matches,
+ * the lists are left out of the response.
+ *
+ * @return void Outputs JSON response
+ * @throws JsonException
+ */
+function handleGetUpdatesApi(): void
+{
+    $role = getUserRole();
+    if ($role !== ROLE_STUDENT && $role !== ROLE_PARENT) sendJsonErrorResponse('Only students and parents receive live updates', 403, 'updates.php/handleGetUpdatesApi');
+
+    $updates = getLiveUpdates(getLiveUpdateStudentIds());
+    $clientFingerprint = $_GET['fingerprint'] ?? '';
+
+    if ($clientFingerprint !== '' && hash_equals($updates['fingerprint'], (string)$clientFingerprint)) {
+        echo json_encode([
+            'success' => true,
+            'changed' => false,
+            'fingerprint' => $updates['fingerprint']
+        ], JSON_THROW_ON_ERROR);
+        return;
+    }
+
+    echo json_encode([
+        'success' => true,
+        'changed' => true,
+        'fingerprint' => $updates['fingerprint'],
+        'grades' => $updates['grades'],
+        'justifications' => $updates['justifications']
+    ], JSON_THROW_ON_ERROR);
+}
@@ -0,0 +1,477 @@
+/**
+ * English messages
+ *
+ * Keys are grouped by the module or page that uses them, see i18n in main.js for the format.
+ */
+i18n.addMessages('en', {
+    // --- Shared ---
+    'common.loading': 'Loading...',
+    'common.error': 'An error occurred.',
+    'common.serverError': 'Could not communicate with the server.',
+    'common.tryAgain': 'Please try again.',
+
+    // --- Modals ---
+    'modal.confirmTitle': 'Please confirm',
+    'modal.confirm': 'Confirm',
+    'modal.cancel': 'Cancel',
+
+    // --- Form validation ---
+    'validation.required': 'This field is required.',
+    'validation.passwordLength': {
+        one: 'Password must be at least {count} character long.',
+        other: 'Password must be at least {count} characters long.'
+    },
+    'validation.passwordMismatch': 'Passwords do not match.',
+    'validation.number': 'Enter a number.',
+    'validation.email': 'Enter a valid email address.',
+    'validation.minLength': {
+        one: 'Enter at least {count} character.',
+        other: 'Enter at least {count} characters.'
+    },
+    'validation.maxLength': {
+        one: 'Enter at most {count} character.',
+        other: 'Enter at most {count} characters.'
+    },
+    'validation.pattern': 'The value is not in the expected format.',
+    'validation.min': 'The value must be at least {min}.',
+    'validation.max': 'The value cannot be greater than {max}.',
+    'validation.pointsMax': 'Points cannot exceed the maximum of {max}.',
+    'validation.date': 'Enter a valid date.',
+    'validation.dateMin': 'The date cannot be before {date}.',
+    'validation.dateMax': 'The date cannot be after {date}.',
+    'validation.match': 'The value does not match “{field}”.',
+    'validation.after': 'The date cannot be before “{field}”.',
+    'validation.before': 'The date cannot be after “{field}”.',
+    'validation.schoolYear': 'The date must be within the current school year.',
+
+    // --- Unsaved changes and drafts ---
+    'formState.confirmDiscard': 'You have unsaved changes. Discard them?',
+    'formState.draftFound': 'An unsaved draft was found ({time}).',
+    'formState.restore': 'Restore draft',
+    'formState.discard': 'Discard',
+
+    // --- API client ---
+    'api.sessionExpired': 'Your session has expired. Please sign in again.',
+    'api.serverError': 'Server error. Please try again later.',
+    'api.timeout': 'The server did not respond in time.',
+    'api.network': 'No connection to the server.',
+    'api.redirectingToLogin': 'Your session has expired. Redirecting to sign in...',
+    'api.invalidResponse': 'Invalid server response.',
+    'api.forbidden': 'You are not allowed to do this.',
+    'api.invalidRequest': 'The request is not valid.',
+    'api.requestFailed': 'The request failed.',
+
+    // --- Notifications ---
+    'notifications.region': 'Notifications',
+    'notifications.close': 'Close notification',
+    'notifications.undo': 'Undo',
+
+    // --- Data tables ---
+    'table.all': 'All',
+    'table.filterPlaceholder': 'Filter...',
+    'table.filterLabel': 'Filter: {column}',
+    'table.noMatches': 'No rows match the selected filters.',
+    'table.columns': 'Columns',
+    'table.pages': 'Table pages',
+    'table.previous': 'Previous',
+    'table.next': 'Next',
+    'table.showing': 'Showing {from}–{to} of {count}',
+    'table.noResults': 'No results',
+    'table.page': 'Page {page} / {pages}',
+
+    // --- Tabs ---
+    'tabs.loadError': 'The content could not be loaded: {message}',
+    'tabs.retry': 'Try again',
+
+    // --- Grading scale ---
+    'grades.label.5': 'Excellent',
+    'grades.label.4': 'Very good',
+    'grades.label.3': 'Good',
+    'grades.label.2': 'Sufficient',
+    'grades.label.1': 'Insufficient',
+    'grades.plusMinusNote': '+ / − within {range} of a grade boundary',
+    'grades.range': '{min} to under {max}',
+
+    // --- Grade charts ---
+    'charts.noGrades': 'No grades to show.',
+    'charts.noClassAverage': 'The class average is not available yet.',
+    'charts.trendTitle': 'Average over time, currently {average}',
+    'charts.trendPoint': '{name}: {result}, average {average}',
+    'charts.distributionTitle': 'Grade distribution: {counts}',
+    'charts.distributionItem': 'grade {grade}: {count}',
+    'charts.comparisonTitle': 'Results compared with the class average',
+    'charts.comparisonItem': '{name}: {result}, class {average}',
+    'charts.ownResult': 'My result',
+    'charts.classAverage': 'Class average',
+
+    // --- Grade analytics ---
+    'analytics.chooseSubject': 'Choose a subject to calculate.',
+    'analytics.enterMaxPoints': 'Enter the maximum points for the test.',
+    'analytics.alreadyReached': 'You keep the average for grade {grade} even with 0 points on the next test.',
+    'analytics.unreachable': {
+        one: 'Grade {grade} cannot be reached with one test. You would need {count} test at 100%.',
+        other: 'Grade {grade} cannot be reached with one test. You would need {count} tests at 100%.'
+    },
+    'analytics.required': 'For grade {grade} you need at least {points} of {maxPoints} points ({percent}).',
+
+    // --- Report cards ---
+    'reportCards.title': 'Progress report',
+    'reportCards.schoolYear': 'School year {year}',
+    'reportCards.student': 'Student',
+    'reportCards.class': 'Class',
+    'reportCards.subject': 'Subject',
+    'reportCards.grades': 'Grades',
+    'reportCards.average': 'Average',
+    'reportCards.finalGrade': 'Final grade',
+    'reportCards.finalGradeValue': '{grade} ({label})',
+    'reportCards.noGrades': 'No grades',
+    'reportCards.item': '{name} ({date}): {grade} – {percent}',
+    'reportCards.itemUndated': '{name}: {grade} – {percent}',
+    'reportCards.overallAverage': 'Average of final grades: {average}',
+    'reportCards.attendance': 'Attendance',
+    'reportCards.attendanceTotals': 'Periods recorded: {total}, present: {present}, late: {late}.',
+    'reportCards.absences': 'Excused absences: {excused}, unexcused: {unexcused}, excuses pending: {pending}.',
+    'reportCards.noAttendance': 'No attendance records.',
+    'reportCards.attendanceUnavailable': 'Attendance data is not available.',
+    'reportCards.printed': 'Printed {date}',
+    'reportCards.fileName': 'Progress report – {name}',
+    'reportCards.preparing': 'Preparing progress reports …',
+    'reportCards.loadError': 'The progress report could not be prepared.',
+    'reportCards.noStudents': 'There are no students in this class.',
+
+    // --- Spreadsheet import/export ---
+    'spreadsheet.invalidXlsx': 'The file is not a valid XLSX file.',
+    'spreadsheet.unsupportedCompression': 'Unsupported XLSX compression method.',
+    'spreadsheet.noWorksheet': 'The XLSX file has no worksheet.',
+    'spreadsheet.unsupportedType': 'Only CSV and XLSX files are supported.',
+    'spreadsheet.noColumn': '— not in the file —',
+    'spreadsheet.column': 'Column {number}',
+    'spreadsheet.emptyFile': 'The file is empty.',
+    'spreadsheet.readError': 'The file could not be read.',
+    'spreadsheet.fileInfo': '{file}: {rows}, {columns}.',
+    'spreadsheet.rows': {
+        one: '{count} row',
+        other: '{count} rows'
+    },
+    'spreadsheet.columns': {
+        one: '{count} column',
+        other: '{count} columns'
+    },
+
+    // --- Live updates ---
+    'liveUpdates.gradeNew': 'New grade: {subject}, {item} ({percentage})',
+    'liveUpdates.gradeChanged': 'Grade changed: {subject}, {item} ({percentage})',
+    'liveUpdates.justificationApproved': 'The justification for {subject} ({date}) was approved.',
+    'liveUpdates.justificationRejected': 'The justification for {subject} ({date}) was rejected.',
+    'liveUpdates.forStudent': '{name}: {message}',
+    'liveUpdates.count.grades': {
+        one: '{count} new grade',
+        other: '{count} new grades'
+    },
+    'liveUpdates.count.justifications': {
+        one: '{count} new justification decision',
+        other: '{count} new justification decisions'
+    },
+    'liveUpdates.title.grades': 'New grades',
+    'liveUpdates.title.justifications': 'Justifications',
+    'liveUpdates.open': 'Show',
+    'liveUpdates.comment': 'Comment',
+    'liveUpdates.permission.default': 'Your browser will ask for permission when you turn this on.',
+    'liveUpdates.permission.granted': 'Browser notifications are allowed.',
+    'liveUpdates.permission.denied': 'Notifications are blocked in your browser. Allow them in the site settings.',
+    'liveUpdates.permission.unsupported': 'This browser does not support notifications.',
+    'liveUpdates.settingsSaved': 'Notification settings saved.',
+
+    // --- Command palette ---
+    'commandPalette.open': 'Open the command palette',
+    'commandPalette.group.commands': 'Command',
+    'commandPalette.group.pages': 'Page',
+    'commandPalette.group.classes': 'Class',
+    'commandPalette.group.students': 'Student',
+    'commandPalette.group.users': 'User',
+    'commandPalette.group.subjects': 'Subject',
+    'commandPalette.currentPage': 'Current page',
+    'commandPalette.openGradebook': 'Gradebook: {name}',
+    'commandPalette.openAttendance': 'Attendance: {name}',
+    'commandPalette.takeAttendance': 'Take attendance now: {name}',
+    'commandPalette.addGradeItem': 'Add assessment: {name}',
+    'commandPalette.studentGradebook': 'Gradebook {name}',
+    'commandPalette.childGrades': 'Grades · {class}',
+    'commandPalette.childAttendance': 'Attendance · {class}',
+    'commandPalette.editClass': 'Edit class {name}',
+    'commandPalette.classAssignments': 'Subject assignments: {name}',
+    'commandPalette.editSubject': 'Edit subject',
+    'commandPalette.role.admin': 'Administrator',
+    'commandPalette.role.teacher': 'Teacher',
+    'commandPalette.role.student': 'Student',
+    'commandPalette.role.parent': 'Parent/Guardian',
+    'commandPalette.localeSl': 'Language: Slovenian',
+    'commandPalette.localeEn': 'Language: English',
+    'commandPalette.notificationSettings': 'Notification settings',
+    'commandPalette.results': {
+        one: '{count} result',
+        other: '{count} results'
+    },
+    'commandPalette.noResults': 'No matches.',
+    'commandPalette.loadError': 'Classes and students could not be loaded, only pages and commands are searched.',
+    'commandPalette.shortcuts.show': 'Keyboard shortcuts',
+    'commandPalette.shortcuts.general': 'General',
+    'commandPalette.shortcuts.page': 'On this page',
+    'commandPalette.shortcuts.closeModal': 'Close the dialog',
+
+    // --- Teacher attendance ---
+    'attendance.status.P': 'Present',
+    'attendance.status.A': 'Absent',
+    'attendance.status.L': 'Late',
+    'attendance.status.unknown': 'Unknown',
+    'attendance.loadError': 'Error loading data.',
+    'attendance.noPeriods': 'No periods',
+    'attendance.noPeriodsForDate': 'No periods on the selected date',
+    'attendance.noStudents': 'No students are enrolled in this class.',
+    'attendance.totalPeriods': 'Total periods:',
+    'attendance.dateTooFarAhead': {
+        one: 'The date cannot be more than {count} day in the future.',
+        other: 'The date cannot be more than {count} days in the future.'
+    },
+    'attendance.dateTooFarBack': {
+        one: 'The date cannot be more than {count} day in the past.',
+        other: 'The date cannot be more than {count} days in the past.'
+    },
+    'attendance.labelTooShort': {
+        one: 'The period name must have at least {count} character.',
+        other: 'The period name must have at least {count} characters.'
+    },
+    'attendance.labelTooLong': {
+        one: 'The period name cannot be longer than {count} character.',
+        other: 'The period name cannot be longer than {count} characters.'
+    },
+    'attendance.periodAdded': 'The period was added.',
+    'attendance.syncPending': 'Waiting to sync',
+    'attendance.syncRejected': 'Rejected: {message}',
+    'attendance.unsynced': 'Unsynced changes: {count}',
+    'attendance.unsyncedOffline': 'Unsynced changes: {count} (offline)',
+    'attendance.changeNotSaved': 'The attendance change for {student} was not saved: {message}',
+    'attendance.updateError': 'Error updating the status.',
+    'attendance.statusChanged': '{student}: {status}',
+    'attendance.statusRestored': '{student}: changed back to {status}',
+    'attendance.rollCall.title': 'Roll call: {period}',
+    'attendance.rollCall.position': '{current} / {total}',
+    'attendance.rollCall.summary': 'Present: {present} · Absent: {absent} · Late: {late}',
+    'attendance.rollCall.submit': {
+        one: 'Submit period ({count} change)',
+        other: 'Submit period ({count} changes)'
+    },
+    'attendance.rollCall.discard': 'Discard the roll call marks?',
+    'attendance.rollCall.noChanges': 'There are no changes to save.',
+    'attendance.rollCall.offline': 'You are offline. The period can be submitted once the connection is back.',
+    'attendance.rollCall.saved': {
+        one: 'Attendance saved for {count} student.',
+        other: 'Attendance saved for {count} students.'
+    },
+    'attendance.rollCall.failed': {
+        one: 'Attendance could not be saved for {count} student.',
+        other: 'Attendance could not be saved for {count} students.'
+    },
+    'attendance.command.addPeriod': 'Add period',
+    'attendance.command.rollCall': 'Roll call',
+
+    // --- Attendance overview ---
+    'attendanceOverview.category.present': 'Present',
+    'attendanceOverview.category.late': 'Late',
+    'attendanceOverview.category.absent': 'Unexcused absence',
+    'attendanceOverview.category.justified': 'Excused absence',
+    'attendanceOverview.category.pending': 'Excuse pending',
+    'attendanceOverview.loadError': 'Attendance data could not be loaded.',
+    'attendanceOverview.noRecords': 'No attendance records this school year yet.',
+    'attendanceOverview.calendarCaption': 'Attendance, {month}',
+    'attendanceOverview.period': '{subject}, {period}: {category}',
+    'attendanceOverview.justify': '{period} – submit an excuse',
+    'attendanceOverview.heatmapCaption': 'Absences by subject and week',
+    'attendanceOverview.weekOf': 'Week of {date}',
+    'attendanceOverview.heatmapCell': '{subject}, week of {week}: absent {absent} of {total}, late {late}',
+    'attendanceOverview.summaryCaption': 'Hours absent by subject, allowed up to {percent}',
+    'attendanceOverview.subject': 'Subject',
+    'attendanceOverview.hoursAbsent': 'Hours absent',
+    'attendanceOverview.unexcused': 'Unexcused',
+    'attendanceOverview.share': 'Share',
+    'attendanceOverview.state': 'Status',
+    'attendanceOverview.state.ok': 'Within limit',
+    'attendanceOverview.state.near': 'Near the limit',
+    'attendanceOverview.state.over': 'Over the limit',
+    'attendanceOverview.limit': 'Limit: {percent}',
+    'attendanceOverview.weekdayPattern': 'Most absences: {weekday} ({count}).',
+
+    // --- Gradebook ---
+    'gradebook.pointsOverMax': 'Points cannot exceed the maximum of {maxPoints}.',
+    'gradebook.cellHint': 'Type points or double-click for details',
+    'gradebook.hasComment': 'Has a comment',
+    'gradebook.invalidValue': 'Invalid value: {value}',
+    'gradebook.saveError': 'Error saving the grade.',
+    'gradebook.cellEditorLabel': 'Points: {student}, {item}',
+    'gradebook.fetchError': 'Error loading grades.',
+    'gradebook.exportError': 'Error exporting the gradebook.',
+    'gradebook.chooseGradeItem': 'Please choose an assessment.',
+    'gradebook.nothingToSave': 'There are no grades to save.',
+    'gradebook.export.filename': 'gradebook',
+    'gradebook.export.lastName': 'Last name',
+    'gradebook.export.firstName': 'First name',
+    'gradebook.export.maxPoints': 'Max points',
+    'gradebook.export.commentColumn': '{item} – comment',
+    'gradebook.export.gradesSheet': 'Grades',
+    'gradebook.export.commentsSheet': 'Comments',
+    'gradebook.import.studentNotFound': 'Student not found – choose one manually.',
+    'gradebook.import.duplicateStudent': 'The student appears more than once in the file.',
+    'gradebook.import.noPoints': 'No points.',
+    'gradebook.import.invalidPoints': 'Invalid points.',
+    'gradebook.import.overMax': 'Exceeds the maximum of {maxPoints} points.',
+    'gradebook.import.overwrites': 'Overwrites the existing grade ({points}).',
+    'gradebook.import.ok': 'OK',
+    'gradebook.import.summary': 'Selected for import: {ready}. Rows with problems: {problems}.',
+    'gradebook.import.chooseColumns': 'Choose the name and points columns.',
+    'gradebook.import.fuzzyMatch': 'Approximate match ({percent}).',
+    'gradebook.import.includeRow': 'Import row {name}',
+    'gradebook.import.studentFor': 'Student for {name}',
+    'gradebook.import.chooseStudent': '— choose a student —',
+    'gradebook.import.pointsFor': 'Points for {name}',
+    'gradebook.import.noRows': 'The file has no rows to import.',
+    'gradebook.import.noneSelected': 'No rows are selected for import.',
+    'gradebook.gradeDeleted': 'The grade of {student} was deleted.',
+    'gradebook.gradeRestored': 'The grade was restored.',
+    'gradebook.restoreError': 'The grade could not be restored.',
+    'gradebook.command.addItem': 'Add assessment',
+    'gradebook.command.batch': 'Batch grade entry',
+    'gradebook.command.import': 'Import points',
+    'gradebook.command.export': 'Export gradebook',
+    'gradebook.command.print': 'Print gradebook',
+
+    // --- Justification review ---
+    'justifications.attachmentAlt': 'Attachment: {file}',
+    'justifications.noPreview': 'This file type cannot be previewed. You can download the file.',
+    'justifications.selected': 'Selected: {count}',
+    'justifications.confirmOne.approve': 'Do you really want to approve the justification of {name}?',
+    'justifications.confirmOne.reject': 'Do you really want to reject the justification of {name}?',
+    'justifications.confirmMany.approve': {
+        one: 'Do you really want to approve {count} justification?',
+        other: 'Do you really want to approve {count} justifications?'
+    },
+    'justifications.confirmMany.reject': {
+        one: 'Do you really want to reject {count} justification?',
+        other: 'Do you really want to reject {count} justifications?'
+    },
+    'justifications.done.approve': {
+        one: '{count} justification approved.',
+        other: '{count} justifications approved.'
+    },
+    'justifications.done.reject': {
+        one: '{count} justification rejected.',
+        other: '{count} justifications rejected.'
+    },
+    'justifications.failed': {
+        one: '{count} justification could not be processed.',
+        other: '{count} justifications could not be processed.'
+    },
+    'justifications.requestError': 'Error sending the request.',
+    'justifications.noAttachment': 'No attachment',
+    'justifications.viewAttachment': 'View attachment',
+    'justifications.attachmentNumber': 'Attachment {number}',
+    'justifications.result.approved': 'Approved',
+    'justifications.result.rejected': 'Rejected',
+    'justifications.result.pending': 'In review',
+    'justifications.processedEmpty': 'There are no processed justifications.',
+
+    // --- Student justifications ---
+    'justification.editTitle': 'Edit justification',
+    'justification.submitTitle': 'Submit justification',
+    'justification.update': 'Update justification',
+    'justification.submit': 'Submit justification',
+    'justification.imageReadError': 'The image cannot be read.',
+    'justification.shrunk': '{size} (reduced)',
+    'justification.removeFile': 'Remove {file}',
+    'justification.tooManyFiles': {
+        one: 'You can attach at most {count} file.',
+        other: 'You can attach at most {count} files.'
+    },
+    'justification.wrongType': '{file}: only PDF, JPG and PNG are allowed.',
+    'justification.tooLarge': '{file}: the file is larger than {size}.',
+    'justification.uploading': 'Uploading… {percent}',
+    'justification.sending': 'Sending…',
+    'justification.submitted': 'The justification has been submitted.',
+    'justification.connectionError': 'Could not reach the server. Please try again.',
+    'justification.submitError': 'Error submitting the justification.',
+    'justification.approved': 'Approved',
+    'justification.rejected': 'Rejected',
+    'justification.rejectionReason': 'Reason for rejection',
+    'justification.approvedNote': 'Justification approved',
+    'justification.noActions': 'No actions available',
+
+    // --- Administration ---
+    'admin.users.loadError': 'Error loading user data: {message}',
+    'admin.users.usernameTaken': 'This username is already taken.',
+    'admin.users.usernamePattern': 'The username can only contain letters, numbers, underscores and dots.',
+    'admin.users.confirmDelete': 'Are you sure you want to delete this user?',
+    'admin.classes.loadError': 'Error loading the class details.',
+    'admin.classes.selectedClass': 'the selected class',
+    'admin.subjects.confirmDelete': 'Are you sure you want to delete this subject?',
+    'admin.import.chooseColumns': 'Choose the username column or the name columns.',
+    'admin.import.noRows': 'The file has no rows to import.',
+    'admin.import.noneSelected': 'No rows are selected for import.',
+    'admin.import.roleStudent': 'Student',
+    'admin.import.roleParent': 'Parent',
+    'admin.import.roleTeacher': 'Teacher',
+    'admin.import.unknownRole': 'Unknown role "{role}".',
+    'admin.import.missingUsername': 'No username and none can be made from the name.',
+    'admin.import.usernameLength': 'The username must be 3 to 50 characters long.',
+    'admin.import.duplicateUsername': 'The username is already used in row {row}.',
+    'admin.import.usernameExists': 'A user with this username already exists.',
+    'admin.import.missingName': 'The first or last name is missing.',
+    'admin.import.missingClass': 'The class is missing.',
+    'admin.import.unknownClass': 'Class {classCode} does not exist.',
+    'admin.import.missingDob': 'The date of birth is missing.',
+    'admin.import.invalidDob': 'Invalid date of birth "{value}".',
+    'admin.import.unknownChild': 'Student {username} neither exists nor is being imported.',
+    'admin.import.noChildren': 'The parent is not linked to any student.',
+    'admin.import.generatedUsername': 'The username was made from the name.',
+    'admin.import.ok': 'OK',
+    'admin.import.summary': 'Selected for import: {ready}. Rows with problems: {problems}.',
+    'admin.import.includeRow': 'Import row {row}',
+    'admin.import.usernameFor': 'Username in row {row}',
+    'admin.import.progress': 'Creating accounts: {done} of {total}',
+    'admin.import.finished': 'Accounts created: {created} of {total}.',
+    'admin.import.failure': 'Row {row} ({username}): {error}',
+    'admin.import.failedCount': 'Accounts that could not be created: {count}.',
+    'admin.import.staffGroup': 'Teachers',
+    'admin.import.noClassGroup': 'No class',
+    'admin.import.parentOf': 'Parent of {children}',
+    'admin.import.confirmDone': 'The passwords have not been printed or downloaded and cannot be shown again later. Close anyway?',
+    'admin.import.closeAnyway': 'Close anyway',
+    'admin.import.sheet.title': 'Initial passwords – {group}',
+    'admin.import.sheet.name': 'Name',
+    'admin.import.sheet.username': 'Username',
+    'admin.import.sheet.role': 'Role',
+    'admin.import.sheet.password': 'Initial password',
+    'admin.import.sheet.note': 'Change the password when you first sign in. Printed on {date}.',
+    'admin.import.sheet.filename': 'initial-passwords',
+    'admin.assignments.cellLabel': '{cell}: {teacher}',
+    'admin.assignments.cellEmptyLabel': '{cell}: no teacher',
+    'admin.assignments.unqualified': '{teacher} does not teach this subject yet.',
+    'admin.assignments.load': {
+        one: '{count} assigned subject',
+        other: '{count} assigned subjects'
+    },
+    'admin.assignments.stats': 'Without a teacher: {empty} · Overloaded teachers: {overloaded} · Teachers without subjects: {idle}',
+    'admin.assignments.pending': 'Unsaved changes: {count}',
+    'admin.assignments.typeahead': 'Teacher for {cell}',
+    'admin.assignments.unknownTeacher': 'There is no teacher "{name}" in the list.',
+    'admin.assignments.changeAssign': '{cell}: assign {to}',
+    'admin.assignments.changeReplace': '{cell}: {from} → {to}',
+    'admin.assignments.changeRemove': '{cell}: remove {from}',
+    'admin.assignments.reviewSummary': 'New assignments: {assign}, replacements: {replace}, removals: {remove}.',
+    'admin.assignments.saved': 'Changes saved: {count}.',
+    'admin.assignments.saveFailed': '{cell}: {error}',
+    'admin.command.createUser': 'New user',
+    'admin.command.importUsers': 'Import users',
+    'admin.command.searchUsers': 'Search users',
+    'admin.command.editUser': 'Edit user',
+    'admin.command.createClass': 'New class',
+    'admin.command.editClass': 'Edit class'
+});
@@ -0,0 +1,520 @@
+/**
+ * Slovenian messages, also the fallback for keys missing in other catalogs
+ *
+ * Keys are grouped by the module or page that uses them, see i18n in main.js for the format.
+ */
+i18n.addMessages('sl', {
+    // --- Shared ---
+    'common.loading': 'Nalaganje...',
+    'common.error': 'Prišlo je do napake.',
+    'common.serverError': 'Napaka v komunikaciji s strežnikom.',
+    'common.tryAgain': 'Poskusite znova.',
+
+    // --- Modals ---
+    'modal.confirmTitle': 'Potrditev',
+    'modal.confirm': 'Potrdi',
+    'modal.cancel': 'Prekliči',
+
+    // --- Form validation ---
+    'validation.required': 'To polje je obvezno.',
+    'validation.passwordLength': {
+        one: 'Geslo mora imeti vsaj {count} znak.',
+        two: 'Geslo mora imeti vsaj {count} znaka.',
+        few: 'Geslo mora imeti vsaj {count} znake.',
+        other: 'Geslo mora imeti vsaj {count} znakov.'
+    },
+    'validation.passwordMismatch': 'Gesli se ne ujemata.',
+    'validation.number': 'Vnesite število.',
+    'validation.email': 'Vnesite veljaven e-poštni naslov.',
+    'validation.minLength': {
+        one: 'Vnesite vsaj {count} znak.',
+        two: 'Vnesite vsaj {count} znaka.',
+        few: 'Vnesite vsaj {count} znake.',
+        other: 'Vnesite vsaj {count} znakov.'
+    },
+    'validation.maxLength': {
+        one: 'Vnesete lahko največ {count} znak.',
+        two: 'Vnesete lahko največ {count} znaka.',
+        few: 'Vnesete lahko največ {count} znake.',
+        other: 'Vnesete lahko največ {count} znakov.'
+    },
+    'validation.pattern': 'Vrednost ni v pravilni obliki.',
+    'validation.min': 'Vrednost mora biti vsaj {min}.',
+    'validation.max': 'Vrednost ne sme biti večja od {max}.',
+    'validation.pointsMax': 'Število točk ne more presegati največjega števila točk ({max}).',
+    'validation.date': 'Vnesite veljaven datum.',
+    'validation.dateMin': 'Datum ne sme biti pred {date}.',
+    'validation.dateMax': 'Datum ne sme biti po {date}.',
+    'validation.match': 'Vrednost se ne ujema s poljem »{field}«.',
+    'validation.after': 'Datum ne sme biti pred datumom v polju »{field}«.',
+    'validation.before': 'Datum ne sme biti po datumu v polju »{field}«.',
+    'validation.schoolYear': 'Datum mora biti znotraj tekočega šolskega leta.',
+
+    // --- Unsaved changes and drafts ---
+    'formState.confirmDiscard': 'Spremembe še niso shranjene. Jih res želite zavreči?',
+    'formState.draftFound': 'Najden je neshranjen osnutek ({time}).',
+    'formState.restore': 'Obnovi osnutek',
+    'formState.discard': 'Zavrzi',
+
+    // --- API client ---
+    'api.sessionExpired': 'Seja je potekla. Prijavite se znova.',
+    'api.serverError': 'Napaka strežnika. Poskusite znova kasneje.',
+    'api.timeout': 'Strežnik se ni odzval pravočasno.',
+    'api.network': 'Ni povezave s strežnikom.',
+    'api.redirectingToLogin': 'Seja je potekla. Preusmerjanje na prijavo...',
+    'api.invalidResponse': 'Neveljaven odgovor strežnika.',
+    'api.forbidden': 'Nimate dovoljenja za to dejanje.',
+    'api.invalidRequest': 'Zahteva ni veljavna.',
+    'api.requestFailed': 'Zahteva ni uspela.',
+
+    // --- Notifications ---
+    'notifications.region': 'Obvestila',
+    'notifications.close': 'Zapri obvestilo',
+    'notifications.undo': 'Razveljavi',
+
+    // --- Data tables ---
+    'table.all': 'Vse',
+    'table.filterPlaceholder': 'Filtriraj...',
+    'table.filterLabel': 'Filter: {column}',
+    'table.noMatches': 'Ni zadetkov za izbrane filtre.',
+    'table.columns': 'Stolpci',
+    'table.pages': 'Strani tabele',
+    'table.previous': 'Prejšnja',
+    'table.next': 'Naslednja',
+    'table.showing': 'Prikazano {from}–{to} od {count}',
+    'table.noResults': 'Ni zadetkov',
+    'table.page': 'Stran {page} / {pages}',
+
+    // --- Tabs ---
+    'tabs.loadError': 'Vsebine ni bilo mogoče naložiti: {message}',
+    'tabs.retry': 'Poskusi znova',
+
+    // --- Grading scale ---
+    'grades.label.5': 'Odlično',
+    'grades.label.4': 'Prav dobro',
+    'grades.label.3': 'Dobro',
+    'grades.label.2': 'Zadostno',
+    'grades.label.1': 'Nezadostno',
+    'grades.plusMinusNote': '+ / − do {range} od meje ocene',
+    'grades.range': '{min} – pod {max}',
+
+    // --- Grade charts ---
+    'charts.noGrades': 'Ni ocen za prikaz.',
+    'charts.noClassAverage': 'Povprečje razreda še ni na voljo.',
+    'charts.trendTitle': 'Povprečje skozi čas, trenutno {average}',
+    'charts.trendPoint': '{name}: {result}, povprečje {average}',
+    'charts.distributionTitle': 'Porazdelitev ocen: {counts}',
+    'charts.distributionItem': 'ocena {grade}: {count}',
+    'charts.comparisonTitle': 'Primerjava rezultatov s povprečjem razreda',
+    'charts.comparisonItem': '{name}: {result}, razred {average}',
+    'charts.ownResult': 'Moj rezultat',
+    'charts.classAverage': 'Povprečje razreda',
+
+    // --- Grade analytics ---
+    'analytics.chooseSubject': 'Izberite predmet za izračun.',
+    'analytics.enterMaxPoints': 'Vnesite največje število točk na testu.',
+    'analytics.alreadyReached': 'Povprečje za oceno {grade} obdržite tudi z 0 točkami na naslednjem testu.',
+    'analytics.unreachable': {
+        one: 'Z enim testom ocene {grade} ni mogoče doseči. Potrebovali bi {count} test s 100 %.',
+        two: 'Z enim testom ocene {grade} ni mogoče doseči. Potrebovali bi {count} testa s 100 %.',
+        few: 'Z enim testom ocene {grade} ni mogoče doseči. Potrebovali bi {count} teste s 100 %.',
+        other: 'Z enim testom ocene {grade} ni mogoče doseči. Potrebovali bi {count} testov s 100 %.'
+    },
+    'analytics.required': 'Za oceno {grade} potrebujete vsaj {points} od {maxPoints} točk ({percent}).',
+
+    // --- Report cards ---
+    'reportCards.title': 'Poročilo o uspehu',
+    'reportCards.schoolYear': 'Šolsko leto {year}',
+    'reportCards.student': 'Učenec',
+    'reportCards.class': 'Razred',
+    'reportCards.subject': 'Predmet',
+    'reportCards.grades': 'Ocene',
+    'reportCards.average': 'Povprečje',
+    'reportCards.finalGrade': 'Zaključna ocena',
+    'reportCards.finalGradeValue': '{grade} ({label})',
+    'reportCards.noGrades': 'Ni ocen',
+    'reportCards.item': '{name} ({date}): {grade} – {percent}',
+    'reportCards.itemUndated': '{name}: {grade} – {percent}',
+    'reportCards.overallAverage': 'Povprečje zaključnih ocen: {average}',
+    'reportCards.attendance': 'Prisotnost',
+    'reportCards.attendanceTotals': 'Zabeleženih ur: {total}, prisoten: {present}, zamude: {late}.',
+    'reportCards.absences': 'Opravičene odsotnosti: {excused}, neopravičene: {unexcused}, opravičila v obravnavi: {pending}.',
+    'reportCards.noAttendance': 'Ni zapisov o prisotnosti.',
+    'reportCards.attendanceUnavailable': 'Podatki o prisotnosti niso na voljo.',
+    'reportCards.printed': 'Natisnjeno {date}',
+    'reportCards.fileName': 'Poročilo o uspehu – {name}',
+    'reportCards.preparing': 'Pripravljam poročila o uspehu …',
+    'reportCards.loadError': 'Poročila o uspehu ni bilo mogoče pripraviti.',
+    'reportCards.noStudents': 'V razredu ni učencev.',
+
+    // --- Spreadsheet import/export ---
+    'spreadsheet.invalidXlsx': 'Datoteka ni veljavna datoteka XLSX.',
+    'spreadsheet.unsupportedCompression': 'Nepodprt način stiskanja datoteke XLSX.',
+    'spreadsheet.noWorksheet': 'V datoteki XLSX ni delovnega lista.',
+    'spreadsheet.unsupportedType': 'Podprte so samo datoteke CSV in XLSX.',
+    'spreadsheet.noColumn': '— ni v datoteki —',
+    'spreadsheet.column': 'Stolpec {number}',
+    'spreadsheet.emptyFile': 'Datoteka je prazna.',
+    'spreadsheet.readError': 'Datoteke ni bilo mogoče prebrati.',
+    'spreadsheet.fileInfo': '{file}: {rows}, {columns}.',
+    'spreadsheet.rows': {
+        one: '{count} vrstica',
+        two: '{count} vrstici',
+        few: '{count} vrstice',
+        other: '{count} vrstic'
+    },
+    'spreadsheet.columns': {
+        one: '{count} stolpec',
+        two: '{count} stolpca',
+        few: '{count} stolpci',
+        other: '{count} stolpcev'
+    },
+
+    // --- Live updates ---
+    'liveUpdates.gradeNew': 'Nova ocena: {subject}, {item} ({percentage})',
+    'liveUpdates.gradeChanged': 'Spremenjena ocena: {subject}, {item} ({percentage})',
+    'liveUpdates.justificationApproved': 'Opravičilo za {subject} ({date}) je odobreno.',
+    'liveUpdates.justificationRejected': 'Opravičilo za {subject} ({date}) je zavrnjeno.',
+    'liveUpdates.forStudent': '{name}: {message}',
+    'liveUpdates.count.grades': {
+        one: '{count} nova ocena',
+        two: '{count} novi oceni',
+        few: '{count} nove ocene',
+        other: '{count} novih ocen'
+    },
+    'liveUpdates.count.justifications': {
+        one: '{count} nova odločitev o opravičilu',
+        two: '{count} novi odločitvi o opravičilih',
+        few: '{count} nove odločitve o opravičilih',
+        other: '{count} novih odločitev o opravičilih'
+    },
+    'liveUpdates.title.grades': 'Nove ocene',
+    'liveUpdates.title.justifications': 'Opravičila',
+    'liveUpdates.open': 'Prikaži',
+    'liveUpdates.comment': 'Komentar',
+    'liveUpdates.permission.default': 'Ob vklopu bo brskalnik vprašal za dovoljenje.',
+    'liveUpdates.permission.granted': 'Obvestila brskalnika so dovoljena.',
+    'liveUpdates.permission.denied': 'Obvestila so v brskalniku blokirana. Dovolite jih v nastavitvah spletne strani.',
+    'liveUpdates.permission.unsupported': 'Ta brskalnik ne podpira obvestil.',
+    'liveUpdates.settingsSaved': 'Nastavitve obvestil so shranjene.',
+
+    // --- Command palette ---
+    'commandPalette.open': 'Odpri ukazno paleto',
+    'commandPalette.group.commands': 'Ukaz',
+    'commandPalette.group.pages': 'Stran',
+    'commandPalette.group.classes': 'Razred',
+    'commandPalette.group.students': 'Učenec',
+    'commandPalette.group.users': 'Uporabnik',
+    'commandPalette.group.subjects': 'Predmet',
+    'commandPalette.currentPage': 'Trenutna stran',
+    'commandPalette.openGradebook': 'Redovalnica: {name}',
+    'commandPalette.openAttendance': 'Prisotnost: {name}',
+    'commandPalette.takeAttendance': 'Vnesi prisotnost zdaj: {name}',
+    'commandPalette.addGradeItem': 'Dodaj preverjanje znanja: {name}',
+    'commandPalette.studentGradebook': 'Redovalnica {name}',
+    'commandPalette.childGrades': 'Ocene · {class}',
+    'commandPalette.childAttendance': 'Prisotnost · {class}',
+    'commandPalette.editClass': 'Uredi razred {name}',
+    'commandPalette.classAssignments': 'Dodelitve predmetov: {name}',
+    'commandPalette.editSubject': 'Uredi predmet',
+    'commandPalette.role.admin': 'Administrator',
+    'commandPalette.role.teacher': 'Učitelj',
+    'commandPalette.role.student': 'Dijak',
+    'commandPalette.role.parent': 'Starš/Skrbnik',
+    'commandPalette.localeSl': 'Jezik: slovenščina',
+    'commandPalette.localeEn': 'Jezik: angleščina',
+    'commandPalette.notificationSettings': 'Nastavitve obvestil',
+    'commandPalette.results': {
+        one: '{count} zadetek',
+        two: '{count} zadetka',
+        few: '{count} zadetki',
+        other: '{count} zadetkov'
+    },
+    'commandPalette.noResults': 'Ni zadetkov.',
+    'commandPalette.loadError': 'Razredov in učencev ni bilo mogoče naložiti, iščete lahko samo po straneh in ukazih.',
+    'commandPalette.shortcuts.show': 'Bližnjice na tipkovnici',
+    'commandPalette.shortcuts.general': 'Splošno',
+    'commandPalette.shortcuts.page': 'Na tej strani',
+    'commandPalette.shortcuts.closeModal': 'Zapri okno',
+
+    // --- Teacher attendance ---
+    'attendance.status.P': 'Prisoten',
+    'attendance.status.A': 'Odsoten',
+    'attendance.status.L': 'Zamuda',
+    'attendance.status.unknown': 'Neznan',
+    'attendance.loadError': 'Napaka pri nalaganju podatkov.',
+    'attendance.noPeriods': 'Ni ur',
+    'attendance.noPeriodsForDate': 'Ni ur za izbrani datum',
+    'attendance.noStudents': 'V tem razredu ni vpisanih učencev.',
+    'attendance.totalPeriods': 'Skupaj učnih ur:',
+    'attendance.dateTooFarAhead': {
+        one: 'Datum ne more biti več kot {count} dan v prihodnosti.',
+        two: 'Datum ne more biti več kot {count} dneva v prihodnosti.',
+        other: 'Datum ne more biti več kot {count} dni v prihodnosti.'
+    },
+    'attendance.dateTooFarBack': {
+        one: 'Datum ne more biti več kot {count} dan v preteklosti.',
+        two: 'Datum ne more biti več kot {count} dneva v preteklosti.',
+        other: 'Datum ne more biti več kot {count} dni v preteklosti.'
+    },
+    'attendance.labelTooShort': {
+        one: 'Naziv ure mora vsebovati vsaj {count} znak.',
+        two: 'Naziv ure mora vsebovati vsaj {count} znaka.',
+        few: 'Naziv ure mora vsebovati vsaj {count} znake.',
+        other: 'Naziv ure mora vsebovati vsaj {count} znakov.'
+    },
+    'attendance.labelTooLong': {
+        one: 'Naziv ure ne sme presegati {count} znaka.',
+        two: 'Naziv ure ne sme presegati {count} znakov.',
+        other: 'Naziv ure ne sme presegati {count} znakov.'
+    },
+    'attendance.periodAdded': 'Učna ura je bila uspešno dodana.',
+    'attendance.syncPending': 'Čaka na sinhronizacijo',
+    'attendance.syncRejected': 'Zavrnjeno: {message}',
+    'attendance.unsynced': 'Nesinhronizirane spremembe: {count}',
+    'attendance.unsyncedOffline': 'Nesinhronizirane spremembe: {count} (brez povezave)',
+    'attendance.changeNotSaved': 'Sprememba prisotnosti za {student} ni bila shranjena: {message}',
+    'attendance.updateError': 'Napaka pri posodabljanju statusa.',
+    'attendance.statusChanged': '{student}: {status}',
+    'attendance.statusRestored': '{student}: vrnjeno na {status}',
+    'attendance.rollCall.title': 'Klicanje imen: {period}',
+    'attendance.rollCall.position': '{current} / {total}',
+    'attendance.rollCall.summary': 'Prisotni: {present} · Odsotni: {absent} · Zamude: {late}',
+    'attendance.rollCall.submit': {
+        one: 'Oddaj uro ({count} sprememba)',
+        two: 'Oddaj uro ({count} spremembi)',
+        few: 'Oddaj uro ({count} spremembe)',
+        other: 'Oddaj uro ({count} sprememb)'
+    },
+    'attendance.rollCall.discard': 'Zavržem označbe klicanja imen?',
+    'attendance.rollCall.noChanges': 'Ni sprememb za shranjevanje.',
+    'attendance.rollCall.offline': 'Ni povezave. Uro boste lahko oddali, ko bo povezava znova vzpostavljena.',
+    'attendance.rollCall.saved': {
+        one: 'Prisotnost je shranjena za {count} učenca.',
+        two: 'Prisotnost je shranjena za {count} učenca.',
+        few: 'Prisotnost je shranjena za {count} učence.',
+        other: 'Prisotnost je shranjena za {count} učencev.'
+    },
+    'attendance.rollCall.failed': {
+        one: 'Prisotnosti za {count} učenca ni bilo mogoče shraniti.',
+        two: 'Prisotnosti za {count} učenca ni bilo mogoče shraniti.',
+        few: 'Prisotnosti za {count} učence ni bilo mogoče shraniti.',
+        other: 'Prisotnosti za {count} učencev ni bilo mogoče shraniti.'
+    },
+    'attendance.command.addPeriod': 'Dodaj uro',
+    'attendance.command.rollCall': 'Klicanje imen',
+
+    // --- Attendance overview ---
+    'attendanceOverview.category.present': 'Prisoten',
+    'attendanceOverview.category.late': 'Zamuda',
+    'attendanceOverview.category.absent': 'Neopravičena odsotnost',
+    'attendanceOverview.category.justified': 'Opravičena odsotnost',
+    'attendanceOverview.category.pending': 'Opravičilo v obravnavi',
+    'attendanceOverview.loadError': 'Podatkov o prisotnosti ni bilo mogoče naložiti.',
+    'attendanceOverview.noRecords': 'V tem šolskem letu še ni zapisov o prisotnosti.',
+    'attendanceOverview.calendarCaption': 'Prisotnost, {month}',
+    'attendanceOverview.period': '{subject}, {period}: {category}',
+    'attendanceOverview.justify': '{period} – oddaj opravičilo',
+    'attendanceOverview.heatmapCaption': 'Odsotnost po predmetih in tednih',
+    'attendanceOverview.weekOf': 'Teden od {date}',
+    'attendanceOverview.heatmapCell': '{subject}, teden od {week}: odsotnost {absent} od {total}, zamude {late}',
+    'attendanceOverview.summaryCaption': 'Odsotne ure po predmetih, dovoljeno do {percent}',
+    'attendanceOverview.subject': 'Predmet',
+    'attendanceOverview.hoursAbsent': 'Odsotne ure',
+    'attendanceOverview.unexcused': 'Neopravičene',
+    'attendanceOverview.share': 'Delež',
+    'attendanceOverview.state': 'Stanje',
+    'attendanceOverview.state.ok': 'V mejah',
+    'attendanceOverview.state.near': 'Blizu meje',
+    'attendanceOverview.state.over': 'Nad mejo',
+    'attendanceOverview.limit': 'Meja: {percent}',
+    'attendanceOverview.weekdayPattern': 'Največ odsotnosti: {weekday} ({count}).',
+
+    // --- Gradebook ---
+    'gradebook.pointsOverMax': 'Število točk ne more presegati največjega števila točk ({maxPoints}).',
+    'gradebook.cellHint': 'Vnesite točke ali dvokliknite za podrobnosti',
+    'gradebook.hasComment': 'Ima komentar',
+    'gradebook.invalidValue': 'Neveljavna vrednost: {value}',
+    'gradebook.saveError': 'Napaka pri shranjevanju ocene.',
+    'gradebook.cellEditorLabel': 'Točke: {student}, {item}',
+    'gradebook.fetchError': 'Napaka pri pridobivanju ocen.',
+    'gradebook.exportError': 'Napaka pri izvozu redovalnice.',
+    'gradebook.chooseGradeItem': 'Prosimo, izberite preverjanje znanja.',
+    'gradebook.nothingToSave': 'Ni vnešenih ocen za shranjevanje.',
+    'gradebook.export.filename': 'redovalnica',
+    'gradebook.export.lastName': 'Priimek',
+    'gradebook.export.firstName': 'Ime',
+    'gradebook.export.maxPoints': 'Največ točk',
+    'gradebook.export.commentColumn': '{item} – komentar',
+    'gradebook.export.gradesSheet': 'Ocene',
+    'gradebook.export.commentsSheet': 'Komentarji',
+    'gradebook.import.studentNotFound': 'Učenec ni najden – izberite ga ročno.',
+    'gradebook.import.duplicateStudent': 'Učenec se v datoteki ponovi.',
+    'gradebook.import.noPoints': 'Ni točk.',
+    'gradebook.import.invalidPoints': 'Neveljavne točke.',
+    'gradebook.import.overMax': 'Presega največje število točk ({maxPoints}).',
+    'gradebook.import.overwrites': 'Prepiše obstoječo oceno ({points}).',
+    'gradebook.import.ok': 'V redu',
+    'gradebook.import.summary': 'Za uvoz izbranih: {ready}. Vrstic s težavami: {problems}.',
+    'gradebook.import.chooseColumns': 'Izberite stolpca z imenom in s točkami.',
+    'gradebook.import.fuzzyMatch': 'Približno ujemanje ({percent}).',
+    'gradebook.import.includeRow': 'Uvozi vrstico {name}',
+    'gradebook.import.studentFor': 'Učenec za {name}',
+    'gradebook.import.chooseStudent': '— izberite učenca —',
+    'gradebook.import.pointsFor': 'Točke za {name}',
+    'gradebook.import.noRows': 'V datoteki ni vrstic za uvoz.',
+    'gradebook.import.noneSelected': 'Ni izbranih vrstic za uvoz.',
+    'gradebook.gradeDeleted': 'Ocena učenca {student} je bila izbrisana.',
+    'gradebook.gradeRestored': 'Ocena je bila obnovljena.',
+    'gradebook.restoreError': 'Ocene ni bilo mogoče obnoviti.',
+    'gradebook.command.addItem': 'Dodaj preverjanje znanja',
+    'gradebook.command.batch': 'Množični vnos ocen',
+    'gradebook.command.import': 'Uvozi točke',
+    'gradebook.command.export': 'Izvozi redovalnico',
+    'gradebook.command.print': 'Natisni redovalnico',
+
+    // --- Justification review ---
+    'justifications.attachmentAlt': 'Priloga: {file}',
+    'justifications.noPreview': 'Predogled te vrste datoteke ni mogoč. Datoteko lahko prenesete.',
+    'justifications.selected': 'Izbrano: {count}',
+    'justifications.confirmOne.approve': 'Ali res želite odobriti opravičilo učenca {name}?',
+    'justifications.confirmOne.reject': 'Ali res želite zavrniti opravičilo učenca {name}?',
+    'justifications.confirmMany.approve': {
+        one: 'Ali res želite odobriti {count} opravičilo?',
+        two: 'Ali res želite odobriti {count} opravičili?',
+        few: 'Ali res želite odobriti {count} opravičila?',
+        other: 'Ali res želite odobriti {count} opravičil?'
+    },
+    'justifications.confirmMany.reject': {
+        one: 'Ali res želite zavrniti {count} opravičilo?',
+        two: 'Ali res želite zavrniti {count} opravičili?',
+        few: 'Ali res želite zavrniti {count} opravičila?',
+        other: 'Ali res želite zavrniti {count} opravičil?'
+    },
+    'justifications.done.approve': {
+        one: '{count} opravičilo: odobreno.',
+        two: '{count} opravičili: odobreno.',
+        few: '{count} opravičila: odobreno.',
+        other: '{count} opravičil: odobreno.'
+    },
+    'justifications.done.reject': {
+        one: '{count} opravičilo: zavrnjeno.',
+        two: '{count} opravičili: zavrnjeno.',
+        few: '{count} opravičila: zavrnjeno.',
+        other: '{count} opravičil: zavrnjeno.'
+    },
+    'justifications.failed': {
+        one: '{count} opravičila ni bilo mogoče obdelati.',
+        two: '{count} opravičil ni bilo mogoče obdelati.',
+        few: '{count} opravičil ni bilo mogoče obdelati.',
+        other: '{count} opravičil ni bilo mogoče obdelati.'
+    },
+    'justifications.requestError': 'Napaka pri pošiljanju zahteve.',
+    'justifications.noAttachment': 'Ni priloge',
+    'justifications.viewAttachment': 'Ogled priloge',
+    'justifications.attachmentNumber': 'Priloga {number}',
+    'justifications.result.approved': 'Odobreno',
+    'justifications.result.rejected': 'Zavrnjeno',
+    'justifications.result.pending': 'V obdelavi',
+    'justifications.processedEmpty': 'Ni obdelanih opravičil.',
+
+    // --- Student justifications ---
+    'justification.editTitle': 'Urejanje opravičila',
+    'justification.submitTitle': 'Oddaja opravičila',
+    'justification.update': 'Posodobi opravičilo',
+    'justification.submit': 'Oddaj opravičilo',
+    'justification.imageReadError': 'Slike ni mogoče prebrati.',
+    'justification.shrunk': '{size} (pomanjšano)',
+    'justification.removeFile': 'Odstrani {file}',
+    'justification.tooManyFiles': {
+        one: 'Priložite lahko največ {count} datoteko.',
+        two: 'Priložite lahko največ {count} datoteki.',
+        few: 'Priložite lahko največ {count} datoteke.',
+        other: 'Priložite lahko največ {count} datotek.'
+    },
+    'justification.wrongType': '{file}: dovoljeni so samo PDF, JPG in PNG.',
+    'justification.tooLarge': '{file}: datoteka je večja od {size}.',
+    'justification.uploading': 'Nalaganje… {percent}',
+    'justification.sending': 'Pošiljanje…',
+    'justification.submitted': 'Opravičilo je oddano.',
+    'justification.connectionError': 'Napaka pri povezavi s strežnikom. Poskusite znova.',
+    'justification.submitError': 'Napaka pri oddaji opravičila.',
+    'justification.approved': 'Odobreno',
+    'justification.rejected': 'Zavrnjeno',
+    'justification.rejectionReason': 'Razlog zavrnitve',
+    'justification.approvedNote': 'Opravičilo odobreno',
+    'justification.noActions': 'Ni možnih dejanj',
+
+    // --- Administration ---
+    'admin.users.loadError': 'Napaka pri nalaganju podatkov uporabnika: {message}',
+    'admin.users.usernameTaken': 'Uporabniško ime je že zasedeno.',
+    'admin.users.usernamePattern': 'Uporabniško ime lahko vsebuje samo črke, številke, podčrtaje in pike.',
+    'admin.users.confirmDelete': 'Ali ste prepričani, da želite izbrisati tega uporabnika?',
+    'admin.classes.loadError': 'Napaka pri pridobivanju podatkov o razredu.',
+    'admin.classes.selectedClass': 'izbrani razred',
+    'admin.subjects.confirmDelete': 'Ali ste prepričani, da želite izbrisati ta predmet?',
+    'admin.import.chooseColumns': 'Izberite stolpec z uporabniškim imenom ali z imenom in priimkom.',
+    'admin.import.noRows': 'V datoteki ni vrstic za uvoz.',
+    'admin.import.noneSelected': 'Ni izbranih vrstic za uvoz.',
+    'admin.import.roleStudent': 'Dijak',
+    'admin.import.roleParent': 'Starš',
+    'admin.import.roleTeacher': 'Učitelj',
+    'admin.import.unknownRole': 'Neznana vloga »{role}«.',
+    'admin.import.missingUsername': 'Ni uporabniškega imena in ga ni mogoče sestaviti iz imena.',
+    'admin.import.usernameLength': 'Uporabniško ime mora biti dolgo med 3 in 50 znakov.',
+    'admin.import.duplicateUsername': 'Uporabniško ime je že v vrstici {row}.',
+    'admin.import.usernameExists': 'Uporabnik s tem imenom že obstaja.',
+    'admin.import.missingName': 'Manjka ime ali priimek.',
+    'admin.import.missingClass': 'Manjka razred.',
+    'admin.import.unknownClass': 'Razred {classCode} ne obstaja.',
+    'admin.import.missingDob': 'Manjka datum rojstva.',
+    'admin.import.invalidDob': 'Neveljaven datum rojstva »{value}«.',
+    'admin.import.unknownChild': 'Dijak {username} ne obstaja in ni med uvoženimi.',
+    'admin.import.noChildren': 'Starš ni povezan z nobenim dijakom.',
+    'admin.import.generatedUsername': 'Uporabniško ime je sestavljeno iz imena.',
+    'admin.import.ok': 'V redu',
+    'admin.import.summary': 'Za uvoz izbranih: {ready}. Vrstic s težavami: {problems}.',
+    'admin.import.includeRow': 'Uvozi vrstico {row}',
+    'admin.import.usernameFor': 'Uporabniško ime v vrstici {row}',
+    'admin.import.progress': 'Ustvarjanje računov: {done} od {total}',
+    'admin.import.finished': 'Ustvarjenih računov: {created} od {total}.',
+    'admin.import.failure': 'Vrstica {row} ({username}): {error}',
+    'admin.import.failedCount': 'Računov, ki jih ni bilo mogoče ustvariti: {count}.',
+    'admin.import.staffGroup': 'Učitelji',
+    'admin.import.noClassGroup': 'Brez razreda',
+    'admin.import.parentOf': 'Starš: {children}',
+    'admin.import.confirmDone': 'Gesla še niso natisnjena ali prenesena in jih pozneje ne bo mogoče več prikazati. Želite vseeno zapreti?',
+    'admin.import.closeAnyway': 'Vseeno zapri',
+    'admin.import.sheet.title': 'Začetna gesla – {group}',
+    'admin.import.sheet.name': 'Ime in priimek',
+    'admin.import.sheet.username': 'Uporabniško ime',
+    'admin.import.sheet.role': 'Vloga',
+    'admin.import.sheet.password': 'Začetno geslo',
+    'admin.import.sheet.note': 'Geslo ob prvi prijavi zamenjajte. Natisnjeno {date}.',
+    'admin.import.sheet.filename': 'zacetna-gesla',
+    'admin.assignments.cellLabel': '{cell}: {teacher}',
+    'admin.assignments.cellEmptyLabel': '{cell}: brez učitelja',
+    'admin.assignments.unqualified': '{teacher} tega predmeta še ne poučuje.',
+    'admin.assignments.load': {
+        one: '{count} dodeljen predmet',
+        two: '{count} dodeljena predmeta',
+        few: '{count} dodeljeni predmeti',
+        other: '{count} dodeljenih predmetov'
+    },
+    'admin.assignments.stats': 'Brez učitelja: {empty} · Preobremenjeni učitelji: {overloaded} · Učitelji brez predmetov: {idle}',
+    'admin.assignments.pending': 'Neshranjene spremembe: {count}',
+    'admin.assignments.typeahead': 'Učitelj za {cell}',
+    'admin.assignments.unknownTeacher': 'Učitelja »{name}« ni na seznamu.',
+    'admin.assignments.changeAssign': '{cell}: dodeli {to}',
+    'admin.assignments.changeReplace': '{cell}: {from} → {to}',
+    'admin.assignments.changeRemove': '{cell}: odstrani {from}',
+    'admin.assignments.reviewSummary': 'Novih dodelitev: {assign}, zamenjav: {replace}, odstranitev: {remove}.',
+    'admin.assignments.saved': 'Shranjene spremembe: {count}.',
+    'admin.assignments.saveFailed': '{cell}: {error}',
+    'admin.command.createUser': 'Nov uporabnik',
+    'admin.command.importUsers': 'Uvozi uporabnike',
+    'admin.command.searchUsers': 'Išči uporabnike',
+    'admin.command.editUser': 'Uredi uporabnika',
+    'admin.command.createClass': 'Nov razred',
+    'admin.command.editClass': 'Uredi razred'
+});
@@ -9,122 +9,51 @@ document.addEventListener('DOMContentLoaded', function () {
     // Mobile navigation toggle
     initMobileNavigation();
 
+    // Language picker in the navigation
+    initLocaleSwitch();
+
     // Initialize modals
     initModals();
 
     // Initialize alerts auto-hide
     initAlerts();
 
-    // Initialize tab navigation
-    initTabs();
-
-    // Form validation
-    initFormValidation();
-
-    // --- Modal Management Functions ---
-    const openModal = (modalId) => {
-        const modal = document.getElementById(modalId);
-        if (modal) {
-            modal.classList.add('open');
-            // Focus the first focusable element
-            const firstFocusable = modal.querySelector('button, [href], input, select, textarea');
-            if (firstFocusable) firstFocusable.focus();
-        }
-    };
-
-    const closeModal = (modal) => {
-        if (typeof modal === 'string') {
-            modal = document.getElementById(modal);
-        }
-
-        if (modal) {
-            modal.classList.remove('open');
-            // Reset forms if present
-            const form = modal.querySelector('form');
-            if (form) form.reset();
+    // Toasts kept by the previous page
+    notifications.init();
 
-            // Clear any error messages
-            const errorMsgs = modal.querySelectorAll('.feedback-error');
-            errorMsgs.forEach(msg => {
-                if (msg && msg.style) {
-                    msg.style.display = 'none';
-                }
-            });
-        }
-    };
+    // Tabs with keyboard support, the active tab kept in the URL hash
+    tabs.init();
 
-    // --- Event Listeners ---
+    // Attribute-driven form validation
+    formValidator.init();
 
-    // Open modal buttons
-    document.querySelectorAll('[data-open-modal]').forEach(btn => {
-        btn.addEventListener('click', function () {
-            const modalId = this.dataset.openModal;
-            openModal(modalId);
+    // Unsaved-changes guard and local drafts for [data-draft] forms
+    formState.init();
 
-            // If the button has additional data attributes, process them
-            // Example: data-id, data-name, etc.
-            const dataId = this.dataset.id;
-            const dataName = this.dataset.name;
-
-            if (dataId) {
-                // Handle ID data (e.g., fill hidden form field)
-                const idField = document.getElementById(`${modalId}_id`);
-                if (idField) idField.value = dataId;
-            }
-
-            if (dataName) {
-                // Handle name data (e.g., show in confirmation text)
-                const nameDisplay = document.getElementById(`${modalId}_name`);
-                if (nameDisplay) nameDisplay.textContent = dataName;
-            }
-        });
-    });
+    // Grade colors and legends from the grading scale
+    initGradingScales();
 
-    // Close modal buttons
-    document.querySelectorAll('[data-close-modal]').forEach(btn => {
-        btn.addEventListener('click', function () {
-            closeModal(this.closest('.modal'));
-        });
-    });
+    // Grade charts on student and parent grade pages
+    initGradeAnalytics();
 
-    // Close modals when clicking the overlay
-    document.querySelectorAll('.modal-overlay').forEach(overlay => {
-        overlay.addEventListener('click', function () {
-            closeModal(this.closest('.modal'));
-        });
-    });
+    // Attendance calendar and heatmap on student and parent attendance pages
+    initAttendanceOverview();
 
-    // Close modals with Escape key
-    document.addEventListener('keydown', function (e) {
-        if (e.key === 'Escape') {
-            document.querySelectorAll('.modal.open').forEach(modal => {
-                closeModal(modal);
-            });
-        }
-    });
+    // Sorting, filters and paging for [data-table] tables
+    dataTable.init();
 
-    // Tab switching functionality - shared across teacher pages
-    document.querySelectorAll('.tab-btn').forEach(function (btn) {
-        btn.addEventListener('click', function () {
-            // Remove active class from all tabs
-            document.querySelectorAll('.tab-btn').forEach(function (b) {
-                b.classList.remove('active');
-            });
-            document.querySelectorAll('.tab-content').forEach(function (c) {
-                c.classList.remove('active');
-            });
+    // New grades and justification decisions for students and parents
+    liveUpdates.init();
 
-            // Add active class to clicked tab and corresponding content
-            this.classList.add('active');
-            document.getElementById(this.dataset.tab).classList.add('active');
-        });
-    });
+    // Ctrl+K command palette and the keyboard shortcuts registered by page scripts
+    commandPalette.init();
 
     // Special case for delete confirmation modal in attendance.php
     const confirmDeleteBtn = document.getElementById('confirmDeleteBtn');
-    if (confirmDeleteBtn) {
+    const deletePeriodIdField = document.getElementById('deletePeriodModal_id');
+    if (confirmDeleteBtn && deletePeriodIdField) {
         confirmDeleteBtn.addEventListener('click', function () {
-            const itemId = document.getElementById('deletePeriodModal_id').value;
+            const itemId = deletePeriodIdField.value;
 
             // Create and submit form
             const form = document.createElement('form');
@@ -153,75 +82,6 @@ document.addEventListener('DOMContentLoaded', function () {
             form.submit();
         });
     }
-
-    // Alert auto-dismissal for non-error alerts
-    const createAlert = (message, type = 'info', container = '.alert-container', autoRemove = true, duration = 5000) => {
-        const alertElement = document.createElement('div');
-        alertElement.className = `alert status-${type} card-entrance`;
-
-        const iconElement = document.createElement('div');
-        iconElement.className = 'alert-icon';
-
-        // Use appropriate icon based on type
-        let iconContent;
-        switch (type) {
-            case 'success':
-                iconContent = '✓';
-                break;
-            case 'warning':
-                iconContent = '⚠';
-                break;
-            case 'error':
-                iconContent = '✕';
-                break;
-            case 'info':
-            default:
-                iconContent = 'ℹ';
-                break;
-        }
-        iconElement.innerHTML = iconContent;
-
-        const contentElement = document.createElement('div');
-        contentElement.className = 'alert-content';
-        contentElement.innerHTML = message;
-
-        // Assemble alert
-        alertElement.appendChild(iconElement);
-        alertElement.appendChild(contentElement);
-
-        // Insert into DOM
-        const containerElement = document.querySelector(container);
-        if (containerElement) {
-            containerElement.appendChild(alertElement);
-        } else {
-            // If no container exists, create one
-            const newContainer = document.createElement('div');
-            newContainer.className = 'alert-container';
-            document.querySelector('.card').after(newContainer);
-            newContainer.appendChild(alertElement);
-        }
-
-        // Auto-remove if needed
-        if (autoRemove && type !== 'error') {
-            setTimeout(() => {
-                alertElement.classList.add('closing');
-                setTimeout(() => {
-                    if (alertElement.parentNode) {
-                        alertElement.parentNode.removeChild(alertElement);
-                    }
-                }, 300);
-            }, duration);
-        }
-
-        return alertElement;
-    };
-
-    // Expose important functions globally
-    window.modalUtils = {
-        openModal,
-        closeModal,
-        createAlert
-    };
 });
 
 /**
@@ -246,345 +106,5572 @@ function initMobileNavigation() {
 }
 
 /**
- * Initialize modals - this handles generic modal behavior
- * Specific modal actions are handled in their respective page scripts
+ * Initialize modals - wires the generic open/close behavior once for the whole page
+ * Page scripts react to the `modal:open`/`modal:close` events instead of adding their own handlers
  */
 function initModals() {
     // Open modal triggers
-    document.querySelectorAll('[data-open-modal]').forEach(trigger => {
-        trigger.addEventListener('click', function () {
-            const modalId = this.getAttribute('data-open-modal');
-            const modal = document.getElementById(modalId);
-            if (modal) {
-                modal.classList.add('open');
-            }
-        });
-    });
-
-    // Generic modal functionality
-    document.querySelectorAll('.modal-overlay').forEach(overlay => {
-        overlay.addEventListener('click', function () {
-            // Find the parent modal
-            const modal = this.closest('.modal');
-            if (modal) {
-                modal.classList.remove('open');
-            }
-        });
-    });
-
-    // Close buttons
-    document.querySelectorAll('.btn-close, [data-close-modal]').forEach(button => {
-        button.addEventListener('click', function () {
-            // Find the parent modal
-            const modal = this.closest('.modal');
-            if (modal) {
-                modal.classList.remove('open');
-            }
-        });
-    });
+    document.addEventListener('click', function (event) {
+        const trigger = event.target.closest('[data-open-modal]');
+        if (trigger) {
+            modalUtils.openModal(trigger.dataset.openModal, trigger);
+            return;
+        }
 
-    // Cancel buttons
-    document.querySelectorAll('.modal .btn-secondary').forEach(button => {
-        if (button.textContent.trim() === 'Cancel') {
-            button.addEventListener('click', function () {
-                // Find the parent modal
-                const modal = this.closest('.modal');
-                if (modal) {
-                    modal.classList.remove('open');
-                }
-            });
+        // Close buttons and overlay clicks close only the modal they belong to
+        const closeButton = event.target.closest('.btn-close, [data-close-modal]');
+        if (closeButton || event.target.classList.contains('modal-overlay')) {
+            modalUtils.requestClose((closeButton || event.target).closest('.modal'));
         }
     });
 
-    // Escape key closes modal
     document.addEventListener('keydown', function (event) {
+        const modal = modalUtils.getTopModal();
+        if (!modal) return;
+
+        // Escape key closes the topmost modal only
         if (event.key === 'Escape') {
-            document.querySelectorAll('.modal.open').forEach(modal => {
-                modal.classList.remove('open');
-            });
+            event.preventDefault();
+            modalUtils.requestClose(modal);
+        } else if (event.key === 'Tab') {
+            trapModalFocus(modal, event);
         }
     });
 }
 
 /**
- * Initialize alerts to auto-hide after a delay
+ * Keeps keyboard focus inside the given modal while it is the topmost one
+ * @param {HTMLElement} modal - The open modal
+ * @param {KeyboardEvent} event - The Tab keydown event
  */
-function initAlerts() {
-    const alerts = document.querySelectorAll('.alert');
+function trapModalFocus(modal, event) {
+    const focusable = getFocusableElements(modal);
+    if (focusable.length === 0) {
+        event.preventDefault();
+        return;
+    }
 
-    alerts.forEach(alert => {
-        // Auto-hide success alerts after 5 seconds
-        if (alert.classList.contains('status-success')) {
-            setTimeout(() => {
-                alert.style.opacity = '0';
-                setTimeout(() => {
-                    alert.style.display = 'none';
-                }, 300);
-            }, 5000);
-        }
-    });
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (!modal.contains(document.activeElement)) {
+        event.preventDefault();
+        first.focus();
+    } else if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+    }
 }
 
 /**
- * Initialize tab navigation
+ * Returns the visible, focusable elements inside a container
+ * @param {HTMLElement} container - The element to search in
+ * @returns {HTMLElement[]} - Focusable elements in DOM order
  */
-function initTabs() {
-    const tabLinks = document.querySelectorAll('.tab-link');
+function getFocusableElements(container) {
+    const selector = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), ' +
+        'select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+    return Array.from(container.querySelectorAll(selector))
+        .filter(element => element.offsetParent !== null || element === document.activeElement);
+}
 
-    tabLinks.forEach(tabLink => {
-        tabLink.addEventListener('click', function (e) {
-            e.preventDefault();
+/**
+ * Writes a value into a modal field - form controls get their value, other elements their text
+ * @param {HTMLElement} field - The field to fill
+ * @param {string} value - The value to write
+ */
+function setModalFieldValue(field, value) {
+    if (!field) return;
 
-            const tabId = this.getAttribute('data-tab');
-            if (!tabId) return;
+    if (field.type === 'checkbox' || field.type === 'radio') {
+        field.checked = value === '1' || value === 'true';
+    } else if ('value' in field && ['INPUT', 'SELECT', 'TEXTAREA'].includes(field.tagName)) {
+        field.value = value;
+    } else {
+        field.textContent = value;
+    }
+}
 
-            // Remove active class from all tab links
-            tabLinks.forEach(link => {
-                link.classList.remove('active');
-            });
+/**
+ * Fills modal fields from the data-* attributes of the element that opened it
+ *
+ * Fields declare where their value comes from:
+ * - data-fill="enrollId" takes the trigger's data-enroll-id as value (inputs) or text (other elements)
+ * - data-fill-max="maxPoints" copies the trigger's data-max-points into the field's max attribute
+ * The older convention of data-id/data-name filling #<modalId>_id and #<modalId>_name still works.
+ *
+ * @param {HTMLElement} modal - The modal being opened
+ * @param {HTMLElement} trigger - The element that opened the modal
+ */
+function fillModalFromTrigger(modal, trigger) {
+    const data = trigger.dataset;
 
-            // Add active class to clicked tab link
-            this.classList.add('active');
+    if (data.id !== undefined) setModalFieldValue(document.getElementById(`${modal.id}_id`), data.id);
+    if (data.name !== undefined) setModalFieldValue(document.getElementById(`${modal.id}_name`), data.name);
 
-            // Hide all tab content
-            document.querySelectorAll('.tab-content').forEach(content => {
-                content.style.display = 'none';
-            });
+    modal.querySelectorAll('*').forEach(field => {
+        field.getAttributeNames().forEach(attribute => {
+            if (!attribute.startsWith('data-fill')) return;
+
+            const key = field.getAttribute(attribute);
+            if (data[key] === undefined) return;
 
-            // Show selected tab content
-            const tabContent = document.getElementById(tabId);
-            if (tabContent) {
-                tabContent.style.display = 'block';
+            if (attribute === 'data-fill') {
+                setModalFieldValue(field, data[key]);
+            } else {
+                field.setAttribute(attribute.slice('data-fill-'.length), data[key]);
             }
         });
     });
 }
 
 /**
- * Initialize form validation
+ * Client-side translations and locale-aware formatting, exposed as window.i18n
+ *
+ * Messages live in assets/js/lang/<locale>.js catalogs, loaded after this file. Keys are
+ * dotted ids ('attendance.saved'); a message is a string with {name} placeholders or, for
+ * counts, an object with Intl.PluralRules categories (Slovenian uses one/two/few/other).
+ * Missing keys fall back to the Slovenian catalog and then to the key itself, with one console
+ * warning per key; missingKeys() lists the keys a catalog lacks compared to the others.
+ *
+ * The locale comes from <html data-locale> (set by the server from the uwuweb_locale cookie),
+ * setLocale() stores the user's choice in that cookie. Numbers and dates go through Intl, so
+ * Slovenian gets comma decimals and "5. 3. 2025" dates.
  */
-function initFormValidation() {
-    const forms = document.querySelectorAll('form');
-
-    forms.forEach(form => {
-        const requiredInputs = form.querySelectorAll('input[required], select[required], textarea[required]');
-
-        form.addEventListener('submit', function (event) {
-            let isValid = true;
-
-            requiredInputs.forEach(input => {
-                if (!input.value.trim()) {
-                    isValid = false;
-                    input.classList.add('is-invalid');
-
-                    // Add feedback message if it doesn't exist
-                    let feedbackElement = input.nextElementSibling;
-                    if (!feedbackElement || !feedbackElement.classList.contains('feedback-text')) {
-                        feedbackElement = document.createElement('div');
-                        feedbackElement.className = 'feedback-text feedback-invalid';
-                        feedbackElement.textContent = 'This field is required';
-                        input.parentNode.insertBefore(feedbackElement, input.nextSibling);
-                    }
-                } else {
-                    input.classList.remove('is-invalid');
+const i18n = (function () {
+    const SUPPORTED = ['sl', 'en'];
+    const FALLBACK = 'sl';
+    const COOKIE_NAME = 'uwuweb_locale';
+    const INTL_LOCALES = {sl: 'sl-SI', en: 'en-GB'};
 
-                    // Remove feedback message if it exists
-                    const feedbackElement = input.nextElementSibling;
-                    if (feedbackElement && feedbackElement.classList.contains('feedback-invalid')) {
-                        feedbackElement.remove();
-                    }
-                }
-            });
+    const DATE_STYLES = {
+        date: {day: 'numeric', month: 'numeric', year: 'numeric'},
+        short: {day: 'numeric', month: 'numeric'},
+        long: {day: 'numeric', month: 'long', year: 'numeric'},
+        datetime: {day: 'numeric', month: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit'},
+        time: {hour: '2-digit', minute: '2-digit'},
+        weekday: {weekday: 'long'},
+        month: {month: 'long', year: 'numeric'}
+    };
 
-            if (!isValid) {
-                event.preventDefault();
-            }
-        });
+    const catalogs = {};
+    const formatters = new Map();
+    // Keys already reported as missing, so a message used in a loop warns once
+    const warnedKeys = new Set();
 
-        // Remove validation styling when user starts typing
-        requiredInputs.forEach(input => {
-            input.addEventListener('input', function () {
-                if (this.value.trim()) {
-                    this.classList.remove('is-invalid');
+    const detectLocale = () => {
+        const root = document.documentElement;
+        return [root.dataset.locale, root.lang]
+            .map(value => String(value || '').slice(0, 2).toLowerCase())
+            .find(value => SUPPORTED.includes(value)) || FALLBACK;
+    };
 
-                    // Remove feedback message if it exists
-                    const feedbackElement = this.nextElementSibling;
-                    if (feedbackElement && feedbackElement.classList.contains('feedback-invalid')) {
-                        feedbackElement.remove();
-                    }
-                }
-            });
-        });
-    });
+    let locale = detectLocale();
 
-    // Password confirmation validation
-    const passwordInputs = document.querySelectorAll('input[type="password"]');
-    passwordInputs.forEach(input => {
-        // Add validation for password length
-        if (!input.id.includes('confirm')) {
-            input.addEventListener('input', function () {
-                const minLength = 6;
-
-                if (this.value.length > 0 && this.value.length < minLength) {
-                    this.classList.add('is-invalid');
-
-                    // Check if we already have a feedback element
-                    let feedbackElement = this.nextElementSibling;
-                    while (feedbackElement && !feedbackElement.classList.contains('feedback-text')) {
-                        feedbackElement = feedbackElement.nextElementSibling;
-                    }
+    const intlLocale = () => INTL_LOCALES[locale];
 
-                    // Create feedback message if it doesn't exist
-                    if (!feedbackElement || !feedbackElement.classList.contains('feedback-text')) {
-                        feedbackElement = document.createElement('div');
-                        feedbackElement.className = 'feedback-text feedback-invalid mt-xs';
-                        feedbackElement.textContent = `Password must be at least ${minLength} characters`;
+    // Intl objects are expensive to create, keep one per options set
+    const cached = (type, options) => {
+        const key = `${type}|${intlLocale()}|${JSON.stringify(options)}`;
+        if (!formatters.has(key)) {
+            const Constructor = {number: Intl.NumberFormat, date: Intl.DateTimeFormat, plural: Intl.PluralRules}[type];
+            formatters.set(key, new Constructor(intlLocale(), options));
+        }
+        return formatters.get(key);
+    };
 
-                        // Find the small hint element, if it exists, and insert after it
-                        const smallHint = this.nextElementSibling;
-                        if (smallHint && smallHint.tagName === 'SMALL') {
-                            smallHint.parentNode.insertBefore(feedbackElement, smallHint.nextSibling);
-                        } else {
-                            this.parentNode.insertBefore(feedbackElement, this.nextSibling);
-                        }
-                    }
-                } else {
-                    this.classList.remove('is-invalid');
+    /**
+     * Add messages to a catalog, later calls override earlier keys
+     * @param {string} lang - Locale code ('sl', 'en')
+     * @param {Object} messages - Keys mapped to messages
+     */
+    const addMessages = (lang, messages) => {
+        catalogs[lang] = Object.assign(catalogs[lang] || {}, messages);
+    };
 
-                    // Remove feedback message if it exists
-                    const feedbackElements = this.parentNode.querySelectorAll('.feedback-invalid');
-                    feedbackElements.forEach(element => {
-                        if (element.textContent.includes('at least')) {
-                            element.remove();
-                        }
-                    });
-                }
-            });
-        }
+    const lookup = key => {
+        if (catalogs[locale] && catalogs[locale][key] !== undefined) return catalogs[locale][key];
+        if (catalogs[FALLBACK] && catalogs[FALLBACK][key] !== undefined) return catalogs[FALLBACK][key];
+        return undefined;
+    };
 
-        // Existing password match validation
-        if (input.id.includes('confirm')) {
-            const passwordField = document.getElementById(input.id.replace('confirm_', ''));
+    const has = key => lookup(key) !== undefined;
 
-            if (passwordField) {
-                input.addEventListener('input', function () {
-                    if (this.value && this.value !== passwordField.value) {
-                        this.classList.add('is-invalid');
+    /**
+     * Keys that other loaded catalogs have and this one lacks, to check that sl.js and en.js stay in step
+     * @returns {Object} - Locale codes mapped to their missing keys, every list is empty when the catalogs match
+     */
+    const missingKeys = () => {
+        const allKeys = new Set(Object.values(catalogs).flatMap(messages => Object.keys(messages)));
+        return Object.fromEntries(Object.entries(catalogs).map(([lang, messages]) => [
+            lang,
+            [...allKeys].filter(key => messages[key] === undefined)
+        ]));
+    };
 
-                        // Add feedback message if it doesn't exist
-                        let feedbackElement = this.nextElementSibling;
-                        if (!feedbackElement || !feedbackElement.classList.contains('feedback-text')) {
-                            feedbackElement = document.createElement('div');
-                            feedbackElement.className = 'feedback-text feedback-invalid';
-                            feedbackElement.textContent = 'Passwords do not match';
-                            this.parentNode.insertBefore(feedbackElement, this.nextSibling);
-                        }
-                    } else {
-                        this.classList.remove('is-invalid');
+    /**
+     * Format a number with the locale's decimal separator
+     * @param {number} value - Number to format
+     * @param {number|null} decimals - Fixed number of decimals, null for up to two
+     * @returns {string}
+     */
+    const formatNumber = (value, decimals = null) => {
+        const number = Number(value);
+        if (!Number.isFinite(number)) return '';
+        const options = decimals === null
+            ? {maximumFractionDigits: 2, useGrouping: false}
+            : {minimumFractionDigits: decimals, maximumFractionDigits: decimals, useGrouping: false};
+        return cached('number', options).format(number);
+    };
 
-                        // Remove feedback message if it exists
-                        const feedbackElement = this.nextElementSibling;
-                        if (feedbackElement && feedbackElement.classList.contains('feedback-invalid')) {
-                            feedbackElement.remove();
-                        }
-                    }
-                });
+    /**
+     * Format a percentage given as 0–100 ("87,5 %" in Slovenian, "87.5%" in English)
+     */
+    const formatPercent = (value, decimals = 1) => {
+        const number = Number(value);
+        if (!Number.isFinite(number)) return '';
+        return cached('number', {style: 'percent', minimumFractionDigits: decimals, maximumFractionDigits: decimals})
+            .format(number / 100);
+    };
+
+    /**
+     * Parse a number typed with either a comma or a dot as decimal separator
+     * @returns {number} - NaN when the text is not a number
+     */
+    const parseNumber = text => {
+        const normalized = String(text ?? '').trim().replace(/\s/g, '').replace(',', '.');
+        return normalized === '' || !/^[-+]?\d*\.?\d+$/.test(normalized) ? NaN : Number(normalized);
+    };
+
+    // 'YYYY-MM-DD' is a local calendar day, new Date() would read it as UTC midnight
+    const toDate = value => {
+        if (value instanceof Date) return value;
+        const match = String(value ?? '').match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+        if (match) return new Date(+match[1], +match[2] - 1, +match[3], +(match[4] || 0), +(match[5] || 0), +(match[6] || 0));
+        return new Date(value);
+    };
+
+    /**
+     * Format a date with one of the DATE_STYLES or Intl.DateTimeFormat options
+     * @param {string|Date} value - Date object, 'YYYY-MM-DD' or 'YYYY-MM-DD HH:MM:SS'
+     * @param {string|Object} style - 'date', 'short', 'long', 'datetime', 'time', 'weekday', 'month' or options
+     * @returns {string} - Empty for missing or invalid dates
+     */
+    const formatDate = (value, style = 'date') => {
+        if (!value) return '';
+        const date = toDate(value);
+        if (isNaN(date.getTime())) return '';
+        return cached('date', typeof style === 'string' ? (DATE_STYLES[style] || DATE_STYLES.date) : style).format(date);
+    };
+
+    const formatParam = value => (typeof value === 'number' ? formatNumber(value) : String(value));
+
+    /**
+     * Translate a message
+     * @param {string} key - Message key
+     * @param {Object} params - Placeholder values; `count` also picks the plural form, numbers are
+     *   formatted for the locale
+     * @returns {string} - The message, or the key when no catalog has it
+     */
+    const t = (key, params = {}) => {
+        let message = lookup(key);
+        if (message === undefined) {
+            if (!warnedKeys.has(key)) {
+                warnedKeys.add(key);
+                console.warn(`Missing translation: ${key}`);
             }
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            const category = cached('plural', {}).select(Number(params.count) || 0);
+            message = message[category] ?? message.other;
         }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? formatParam(params[name]) : match));
+    };
+
+    const getLocale = () => locale;
+
+    /**
+     * Switch the interface language, the choice is kept in a cookie so the server renders it too
+     * @param {string} lang - 'sl' or 'en'
+     * @param {boolean} reload - Reload the page to apply it everywhere
+     */
+    const setLocale = (lang, reload = true) => {
+        if (!SUPPORTED.includes(lang)) return;
+        document.cookie = `${COOKIE_NAME}=${lang}; path=/; max-age=31536000; SameSite=Lax`;
+        locale = lang;
+        document.documentElement.dataset.locale = lang;
+        if (reload) window.location.reload();
+    };
+
+    return {
+        SUPPORTED,
+        t,
+        has,
+        missingKeys,
+        addMessages,
+        getLocale,
+        setLocale,
+        intlLocale,
+        formatNumber,
+        formatPercent,
+        parseNumber,
+        formatDate
+    };
+})();
+
+window.i18n = i18n;
+
+/**
+ * Wire [data-locale-select] language pickers to i18n.setLocale
+ */
+function initLocaleSwitch() {
+    document.querySelectorAll('[data-locale-select]').forEach(select => {
+        select.value = i18n.getLocale();
+        select.addEventListener('change', () => i18n.setLocale(select.value));
     });
 }
 
 /**
- * Helper function to format dates consistently across the application
- * @param {string|Date} date - The date to format
- * @param {string} format - The format to use (default: 'dd.mm.yyyy')
- * @returns {string} - The formatted date string
+ * Shared modal controller, exposed as window.modalUtils
+ *
+ * Keeps a stack of open modals so a confirmation can open on top of an edit modal,
+ * returns focus to the element that opened a modal and emits `modal:open`/`modal:close`
+ * events (bubbling, with `detail.modal` and `detail.trigger`) on the modal element.
+ * Closing through Escape, a close button or the overlay goes through requestClose(), which
+ * first emits a cancellable `modal:beforeclose`; listeners can also pass a promise to
+ * `detail.waitUntil()` and the modal closes only if it resolves to true (formState uses it to
+ * ask about unsaved changes). confirm() asks a question in a modal stacked on top of the others.
  */
-function formatDate(date, format = 'dd.mm.yyyy') {
-    if (!date) return '';
+const modalUtils = (function () {
+    let stack = [];
+    const openers = new WeakMap();
+    const closing = new WeakMap();
+    let confirmDialog = null;
+    let settleConfirm = null;
 
-    const d = new Date(date);
-    if (isNaN(d.getTime())) return '';
-
-    const day = String(d.getDate()).padStart(2, '0');
-    const month = String(d.getMonth() + 1).padStart(2, '0');
-    const year = d.getFullYear();
-
-    switch (format) {
-        case 'dd.mm.yyyy':
-            return `${day}.${month}.${year}`;
-        case 'yyyy-mm-dd':
-            return `${year}-${month}-${day}`;
-        case 'mm/dd/yyyy':
-            return `${month}/${day}/${year}`;
-        default:
-            return `${day}.${month}.${year}`;
-    }
-}
+    const resolveModal = (modal) => typeof modal === 'string' ? document.getElementById(modal) : modal;
+
+    // Drop modals that were closed outside the controller (e.g. by toggling the class directly)
+    const pruneStack = () => {
+        stack = stack.filter(modal => modal.classList.contains('open'));
+    };
+
+    const getTopModal = () => {
+        pruneStack();
+        return stack.length ? stack[stack.length - 1] : null;
+    };
+
+    /**
+     * Opens a modal on top of any modal that is already open
+     * @param {string|HTMLElement} modalId - The modal element or its ID
+     * @param {HTMLElement|null} trigger - The element that opened the modal, used for data-fill and focus return
+     * @returns {HTMLElement|null} - The opened modal
+     */
+    const openModal = (modalId, trigger = null) => {
+        const modal = resolveModal(modalId);
+        if (!modal) return null;
+
+        pruneStack();
+        if (stack.includes(modal)) return modal;
+
+        if (trigger) fillModalFromTrigger(modal, trigger);
+
+        openers.set(modal, trigger || document.activeElement);
+        stack.push(modal);
+        modal.style.setProperty('--modal-depth', String(stack.length - 1));
+        modal.classList.add('open');
+
+        modal.dispatchEvent(new CustomEvent('modal:open', {bubbles: true, detail: {modal, trigger}}));
+
+        // Focus the first focusable element (listeners above may have shown or hidden fields)
+        const focusTarget = modal.querySelector('[autofocus]') || getFocusableElements(modal)[0];
+        if (focusTarget) focusTarget.focus();
+
+        return modal;
+    };
+
+    /**
+     * Closes a modal, resets its form and returns focus to the element that opened it
+     * @param {string|HTMLElement} modalId - The modal element or its ID
+     */
+    const closeModal = (modalId) => {
+        const modal = resolveModal(modalId);
+        if (!modal || !modal.classList.contains('open')) return;
+
+        const trigger = openers.get(modal) || null;
+        openers.delete(modal);
+
+        modal.classList.remove('open');
+        modal.style.removeProperty('--modal-depth');
+        stack = stack.filter(item => item !== modal);
+
+        // Reset forms if present
+        const form = modal.querySelector('form');
+        if (form) form.reset();
+
+        // Clear any error messages
+        modal.querySelectorAll('.feedback-error').forEach(msg => {
+            msg.style.display = 'none';
+        });
+
+        modal.dispatchEvent(new CustomEvent('modal:close', {bubbles: true, detail: {modal, trigger}}));
+
+        if (trigger && typeof trigger.focus === 'function' && document.body.contains(trigger)) trigger.focus();
+    };
+
+    /**
+     * Closes a modal on behalf of the user, unless a `modal:beforeclose` listener cancels it
+     * or a promise it passed to `detail.waitUntil()` resolves to false
+     * @param {string|HTMLElement} modalId - The modal element or its ID
+     * @returns {Promise<boolean>} - Whether the modal was closed
+     */
+    const requestClose = (modalId) => {
+        const modal = resolveModal(modalId);
+        if (!modal || !modal.classList.contains('open')) return Promise.resolve(false);
+        if (closing.has(modal)) return closing.get(modal);
+
+        const pending = [];
+        const event = new CustomEvent('modal:beforeclose', {
+            bubbles: true,
+            cancelable: true,
+            detail: {modal, waitUntil: promise => pending.push(promise)}
+        });
+        if (!modal.dispatchEvent(event)) return Promise.resolve(false);
+
+        if (!pending.length) {
+            closeModal(modal);
+            return Promise.resolve(true);
+        }
+
+        const request = Promise.all(pending)
+            .then(results => {
+                if (results.some(result => result === false)) return false;
+                closeModal(modal);
+                return true;
+            })
+            .catch(error => {
+                console.error('Error before closing modal:', error);
+                return false;
+            })
+            .finally(() => closing.delete(modal));
+
+        closing.set(modal, request);
+        return request;
+    };
+
+    // --- Confirmation dialog ---
+    const createConfirmDialog = () => {
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.id = 'confirmDialog';
+        modal.innerHTML = `
+            <div class="modal-overlay" aria-hidden="true"></div>
+            <div class="modal-container" role="alertdialog" aria-modal="true"
+                 aria-labelledby="confirmDialogTitle" aria-describedby="confirmDialogMessage">
+                <div class="modal-header">
+                    <h3 class="modal-title" id="confirmDialogTitle"></h3>
+                </div>
+                <div class="modal-body">
+                    <p class="mt-0 mb-0" id="confirmDialogMessage"></p>
+                </div>
+                <div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" data-close-modal></button>
+                    <button type="button" class="btn" data-confirm-accept></button>
+                </div>
+            </div>`;
+
+        // Cancel, Escape and the overlay close the dialog through initModals, that answers no
+        modal.addEventListener('modal:close', () => {
+            if (settleConfirm) settleConfirm(false);
+        });
+        modal.querySelector('[data-confirm-accept]').addEventListener('click', () => {
+            if (settleConfirm) settleConfirm(true);
+            closeModal(modal);
+        });
+
+        document.body.appendChild(modal);
+        return modal;
+    };
+
+    /**
+     * Asks the user to confirm an action in a modal on top of the open ones
+     *
+     * Focus starts on the cancel button, so Enter does not confirm by accident.
+     * @param {Object} options - Dialog text
+     * @param {string} options.message - The question
+     * @param {string} [options.title] - Dialog title
+     * @param {string} [options.confirmText] - Label of the confirm button
+     * @param {string} [options.cancelText] - Label of the cancel button
+     * @param {boolean} [options.danger] - Show the confirm button as a destructive action
+     * @returns {Promise<boolean>} - true when the user confirmed
+     */
+    const confirm = ({message, title = null, confirmText = null, cancelText = null, danger = false}) => {
+        if (!confirmDialog) confirmDialog = createConfirmDialog();
+        // A newer question replaces one that is still open
+        if (settleConfirm) closeModal(confirmDialog);
+
+        confirmDialog.querySelector('.modal-title').textContent = title || i18n.t('modal.confirmTitle');
+        confirmDialog.querySelector('#confirmDialogMessage').textContent = message;
+        confirmDialog.querySelector('[data-close-modal]').textContent = cancelText || i18n.t('modal.cancel');
+        const accept = confirmDialog.querySelector('[data-confirm-accept]');
+        accept.textContent = confirmText || i18n.t('modal.confirm');
+        accept.classList.toggle('btn-error', danger);
+        accept.classList.toggle('btn-primary', !danger);
+
+        return new Promise(resolve => {
+            settleConfirm = answer => {
+                settleConfirm = null;
+                resolve(answer);
+            };
+            openModal(confirmDialog);
+        });
+    };
+
+    return {
+        openModal,
+        closeModal,
+        requestClose,
+        confirm,
+        getTopModal
+    };
+})();
+
+window.modalUtils = modalUtils;
 
 /**
- * Helper function to show a modal
- * @param {string} modalId - The ID of the modal to show
+ * Shared client for the JSON APIs
+ *
+ * - the CSRF token comes from <meta name="csrf-token"> and is refreshed from the X-CSRF-Token
+ *   header (and csrfToken fields) of every response; a request rejected with 403 because of a
+ *   stale token is repeated once with the new one
+ * - {success: false, message} responses from sendJsonErrorResponse reject with typed errors:
+ *   ValidationError (4xx and success:false), AuthExpiredError (401 or a login redirect),
+ *   ServerError (5xx, broken JSON), TimeoutError and NetworkError
+ * - GET requests are retried on network, timeout and 502-504 errors; aborting through the
+ *   caller's signal rejects with the browser's AbortError
+ * - running requests show the .api-loading bar, an expired session sends the user to the login page
+ *
+ * Endpoints are the names in ENDPOINTS or a page URL (teacher/attendance.php?fetch_json).
  */
-function showModal(modalId) {
-    const modal = document.getElementById(modalId);
-    if (modal) {
-        modal.style.display = 'flex';
+const api = (function () {
+    const ENDPOINTS = {
+        attendance: '/uwuweb/api/attendance.php',
+        grades: '/uwuweb/api/grades.php',
+        justifications: '/uwuweb/api/justifications.php',
+        admin: '/uwuweb/api/admin.php',
+        updates: '/uwuweb/api/updates.php',
+        palette: '/uwuweb/api/palette.php'
+    };
+
+    // admin.php takes the action in the query string and a JSON body, the others read $_POST
+    const JSON_ENDPOINTS = ['admin'];
+
+    const LOGIN_URL = '/uwuweb/index.php';
+    const DEFAULT_TIMEOUT = 20000;
+    const GET_RETRIES = 2;
+    const RETRY_DELAY = 500;
+    const LOADING_DELAY = 250;
+
+    class ApiError extends Error {
+        constructor(message, {status = 0, data = null} = {}) {
+            super(message);
+            this.name = 'ApiError';
+            this.status = status;
+            this.data = data;
+        }
     }
-}
 
-/**
- * Helper function to hide a modal
- * @param {string} modalId - The ID of the modal to hide
- */
-function hideModal(modalId) {
-    const modal = document.getElementById(modalId);
-    if (modal) {
-        modal.style.display = 'none';
+    class ValidationError extends ApiError {
+        constructor(message, options) {
+            super(message, options);
+            this.name = 'ValidationError';
+        }
     }
-}
 
-/**
- * Helper function to create a notification
- * @param {string} message - The message to display
- * @param {string} type - The type of notification (success, error, warning, info)
- * @param {number} duration - How long to show the notification in milliseconds
- */
-function showNotification(message, type = 'info', duration = 3000) {
-    // Create notification element
-    const notification = document.createElement('div');
-    notification.className = `notification status-${type}`;
-    notification.textContent = message;
-
-    // Style the notification
-    notification.style.position = 'fixed';
-    notification.style.bottom = '20px';
-    notification.style.right = '20px';
-    notification.style.padding = '15px 20px';
-    notification.style.borderRadius = 'var(--button-radius)';
-    notification.style.boxShadow = 'var(--card-shadow)';
-    notification.style.zIndex = '9999';
-    notification.style.opacity = '0';
-    notification.style.transform = 'translateY(20px)';
-    notification.style.transition = 'opacity 0.3s, transform 0.3s';
-
-    // Add to DOM
-    document.body.appendChild(notification);
-
-    // Trigger animation
-    setTimeout(() => {
-        notification.style.opacity = '1';
-        notification.style.transform = 'translateY(0)';
-    }, 10);
-
-    // Remove after duration
-    setTimeout(() => {
-        notification.style.opacity = '0';
-        notification.style.transform = 'translateY(20px)';
-
-        // Remove from DOM after animation
-        setTimeout(() => {
-            document.body.removeChild(notification);
-        }, 300);
-    }, duration);
-}
+    class AuthExpiredError extends ApiError {
+        constructor(message = i18n.t('api.sessionExpired'), options) {
+            super(message, options);
+            this.name = 'AuthExpiredError';
+        }
+    }
+
+    class ServerError extends ApiError {
+        constructor(message = i18n.t('api.serverError'), options) {
+            super(message, options);
+            this.name = 'ServerError';
+        }
+    }
+
+    class TimeoutError extends ApiError {
+        constructor(message = i18n.t('api.timeout')) {
+            super(message);
+            this.name = 'TimeoutError';
+        }
+    }
+
+    class NetworkError extends ApiError {
+        constructor(message = i18n.t('api.network')) {
+            super(message);
+            this.name = 'NetworkError';
+        }
+    }
+
+    // --- CSRF token ---
+    const csrfMeta = document.querySelector('meta[name="csrf-token"]');
+    let csrfToken = csrfMeta ? csrfMeta.content : '';
+
+    /**
+     * Store a new token, hidden csrf_token inputs on the page are updated too so plain forms keep working
+     */
+    const setCsrfToken = token => {
+        if (!token || token === csrfToken) return;
+        csrfToken = token;
+        if (csrfMeta) csrfMeta.content = token;
+        document.querySelectorAll('input[type="hidden"][name="csrf_token"]').forEach(input => {
+            input.value = token;
+        });
+    };
+
+    const getCsrfToken = () => csrfToken;
+
+    // --- Loading indicator ---
+    let pending = 0;
+    let loadingTimer = null;
+    let loadingBar = null;
+
+    const setLoading = active => {
+        pending = Math.max(0, pending + (active ? 1 : -1));
+
+        if (!loadingBar) {
+            loadingBar = document.createElement('div');
+            loadingBar.className = 'api-loading';
+            loadingBar.setAttribute('role', 'progressbar');
+            loadingBar.setAttribute('aria-label', i18n.t('common.loading'));
+            loadingBar.hidden = true;
+            document.body.appendChild(loadingBar);
+        }
+
+        clearTimeout(loadingTimer);
+        if (pending > 0) {
+            // Quick requests finish before the bar would flash
+            loadingTimer = setTimeout(() => {
+                loadingBar.hidden = false;
+            }, LOADING_DELAY);
+        } else {
+            loadingBar.hidden = true;
+        }
+    };
+
+    // --- Session expiry ---
+    let redirecting = false;
+
+    const redirectToLogin = () => {
+        if (redirecting) return;
+        redirecting = true;
+
+        notifications.warning(i18n.t('api.redirectingToLogin'), {duration: 0, dismissible: false});
+        const returnTo = window.location.pathname + window.location.search;
+        // Unsaved forms keep their drafts for after the login, so the page may go without asking
+        formState.release();
+        setTimeout(() => {
+            window.location.href = `${LOGIN_URL}?error=session_timeout&redirect=${encodeURIComponent(returnTo)}`;
+        }, 1500);
+    };
+
+    // --- Request building ---
+    const appendValue = (formData, key, value) => {
+        if (value === undefined || value === null) return;
+        if (Array.isArray(value)) {
+            value.forEach(item => appendValue(formData, key.endsWith('[]') ? key : `${key}[]`, item));
+        } else if (typeof value === 'boolean') {
+            formData.append(key, value ? '1' : '0');
+        } else {
+            formData.append(key, value);
+        }
+    };
+
+    const toFormData = (data, action) => {
+        const formData = data instanceof FormData ? data : new FormData();
+        if (!(data instanceof FormData)) {
+            Object.entries(data || {}).forEach(([key, value]) => appendValue(formData, key, value));
+        }
+        if (action && !formData.has('action')) formData.append('action', action);
+        formData.set('csrf_token', csrfToken);
+        return formData;
+    };
+
+    const buildUrl = (endpoint, params) => {
+        const url = new URL(ENDPOINTS[endpoint] || endpoint, window.location.href);
+        Object.entries(params || {}).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) url.searchParams.set(key, String(value));
+        });
+        return url.toString();
+    };
+
+    const buildRequest = (endpoint, {method, action, data, params, background}) => {
+        const isJson = JSON_ENDPOINTS.includes(endpoint);
+        const query = {...params};
+        const init = {
+            method,
+            credentials: 'same-origin',
+            headers: {'X-Requested-With': 'XMLHttpRequest', 'Accept': 'application/json'}
+        };
+        // Polls the user did not start, auth.php leaves the session's idle timer alone for them
+        if (background) init.headers['X-Background-Request'] = '1';
+
+        if (method === 'GET') {
+            if (action) query.action = action;
+            Object.assign(query, data);
+        } else if (isJson) {
+            if (action) query.action = action;
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify({...data, csrf_token: csrfToken});
+        } else {
+            init.body = toFormData(data, action);
+        }
+
+        return {url: buildUrl(endpoint, query), init};
+    };
+
+    // --- Response handling ---
+    const isLoginRedirect = response => response.redirected && new URL(response.url).pathname === LOGIN_URL;
+
+    const readResponse = response => {
+        setCsrfToken(response.headers.get('X-CSRF-Token'));
+
+        if (isLoginRedirect(response)) throw new AuthExpiredError(undefined, {status: 401});
+
+        return response.text().then(text => {
+            let data = null;
+            try {
+                data = text ? JSON.parse(text) : {};
+            } catch (e) {
+                if (response.status === 401) throw new AuthExpiredError(undefined, {status: 401});
+                throw new ServerError(response.ok ? i18n.t('api.invalidResponse') : undefined, {status: response.status});
+            }
+
+            if (data && data.csrfToken) setCsrfToken(data.csrfToken);
+
+            const message = (data && (data.message || data.error)) || '';
+            const options = {status: response.status, data};
+
+            if (response.status === 401) throw new AuthExpiredError(message || undefined, options);
+            if (response.status >= 500) throw new ServerError(message || undefined, options);
+            if (!response.ok) {
+                throw response.status === 403
+                    ? new ApiError(message || i18n.t('api.forbidden'), options)
+                    : new ValidationError(message || i18n.t('api.invalidRequest'), options);
+            }
+            if (data && data.success === false) throw new ValidationError(message || i18n.t('api.requestFailed'), options);
+
+            return data;
+        });
+    };
+
+    const isRetryable = error => error instanceof NetworkError
+        || error instanceof TimeoutError
+        || (error instanceof ServerError && [502, 503, 504].includes(error.status));
+
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    // fetch() can't report upload progress, uploads go through XHR with a fetch-like response
+    const xhrFetch = (url, init, onUploadProgress, signal) => new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open(init.method, url);
+        Object.entries(init.headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+        xhr.upload.addEventListener('progress', event => {
+            if (event.lengthComputable) onUploadProgress(event.loaded / event.total);
+        });
+        xhr.addEventListener('load', () => resolve({
+            status: xhr.status,
+            ok: xhr.status >= 200 && xhr.status < 300,
+            url: xhr.responseURL,
+            redirected: Boolean(xhr.responseURL) && xhr.responseURL !== url,
+            headers: {get: name => xhr.getResponseHeader(name)},
+            text: () => Promise.resolve(xhr.responseText)
+        }));
+        xhr.addEventListener('error', () => reject(new TypeError('Network request failed')));
+        xhr.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        signal.addEventListener('abort', () => xhr.abort(), {once: true});
+
+        xhr.send(init.body);
+    });
+
+    /**
+     * One fetch with its own timeout, linked to the caller's abort signal
+     */
+    const send = (endpoint, options) => {
+        const {url, init} = buildRequest(endpoint, options);
+        const controller = new AbortController();
+        let timedOut = false;
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, options.timeout);
+        const onAbort = () => controller.abort();
+        if (options.signal) options.signal.addEventListener('abort', onAbort, {once: true});
+
+        const sentToken = csrfToken;
+
+        const transport = options.onUploadProgress
+            ? xhrFetch(url, init, options.onUploadProgress, controller.signal)
+            : fetch(url, {...init, signal: controller.signal});
+
+        return transport
+            .catch(error => {
+                if (timedOut) throw new TimeoutError();
+                if (error.name === 'AbortError') throw error;
+                throw new NetworkError();
+            })
+            .then(readResponse)
+            .finally(() => {
+                clearTimeout(timer);
+                if (options.signal) options.signal.removeEventListener('abort', onAbort);
+            })
+            .catch(error => {
+                // Stale token (new login in another tab), the 403 response carried the current one
+                if (error.status === 403 && !options.csrfRetried && options.method !== 'GET' && csrfToken !== sentToken) {
+                    return send(endpoint, {...options, csrfRetried: true});
+                }
+                throw error;
+            });
+    };
+
+    /**
+     * Send a request to an API endpoint
+     * @param {string} endpoint - Name from ENDPOINTS or a URL
+     * @param {Object} options - method ('POST'), action, data (object or FormData), params (query),
+     *   timeout (ms), retries (GET only), signal, loading (show the bar, true), handleAuth (redirect
+     *   to login on an expired session, true), onUploadProgress (called with 0-1 while uploading),
+     *   background (a poll that does not count as user activity for the session timeout, false)
+     * @returns {Promise<Object>} - Resolves with the parsed JSON
+     */
+    const request = (endpoint, options = {}) => {
+        const settings = {
+            method: 'POST',
+            action: null,
+            data: null,
+            params: null,
+            timeout: DEFAULT_TIMEOUT,
+            retries: null,
+            signal: null,
+            loading: true,
+            handleAuth: true,
+            onUploadProgress: null,
+            background: false,
+            ...options
+        };
+        settings.method = settings.method.toUpperCase();
+        const retries = settings.method === 'GET' ? (settings.retries ?? GET_RETRIES) : 0;
+
+        const attempt = number => send(endpoint, settings).catch(error => {
+            if (number < retries && isRetryable(error) && !(settings.signal && settings.signal.aborted)) {
+                return wait(RETRY_DELAY * 2 ** number).then(() => attempt(number + 1));
+            }
+            throw error;
+        });
+
+        if (settings.loading) setLoading(true);
+
+        return attempt(0)
+            .catch(error => {
+                if (error instanceof AuthExpiredError && settings.handleAuth) redirectToLogin();
+                throw error;
+            })
+            .finally(() => {
+                if (settings.loading) setLoading(false);
+            });
+    };
+
+    const get = (endpoint, action = null, params = {}, options = {}) =>
+        request(endpoint, {...options, method: 'GET', action, data: params});
+
+    const post = (endpoint, action = null, data = {}, options = {}) =>
+        request(endpoint, {...options, method: 'POST', action, data});
+
+    const isAbort = error => Boolean(error) && error.name === 'AbortError';
+
+    return {
+        request,
+        get,
+        post,
+        getCsrfToken,
+        setCsrfToken,
+        isAbort,
+        ApiError,
+        ValidationError,
+        AuthExpiredError,
+        ServerError,
+        TimeoutError,
+        NetworkError
+    };
+})();
+
+window.api = api;
+
+/**
+ * Declarative form validation, exposed as window.formValidator
+ *
+ * Rules come from attributes on the fields:
+ * - required, minlength, maxlength, pattern, type="email" and min/max (numbers with a comma or dot)
+ * - data-max-from="fieldId" takes the max from another field, a select uses the chosen option's data-max-points
+ * - data-date-min/data-date-max on date inputs: 'YYYY-MM-DD', 'today', '+30'/'-180' days from today,
+ *   'school-year-start' or 'school-year-end'
+ * - data-match="fieldId" (equal values), data-after/data-before="fieldId" (date order)
+ * - data-rule="name" for rules added with addRule(), data-async-rule="name" for addAsyncRule() checks
+ * - data-message-<rule>="key" replaces a message, with an i18n key or plain text
+ *
+ * The message goes into the element named by data-feedback="id", or a .feedback-invalid element created
+ * at the end of the field's .form-group. It is linked with aria-describedby and announced through
+ * aria-live. Forms or fields inside [data-validate="off"] are left to their own scripts.
+ */
+const formValidator = (function () {
+    const FIELD_SELECTOR = 'input, select, textarea';
+    const SKIPPED_TYPES = ['hidden', 'submit', 'button', 'reset', 'file', 'image'];
+    const ASYNC_DELAY = 400;
+
+    const customRules = {};
+    const asyncRules = {};
+    // Per field: the last async check {value, message, promise}
+    const asyncResults = new WeakMap();
+    const asyncTimers = new WeakMap();
+    let feedbackCounter = 0;
+
+    /**
+     * Add a synchronous rule used by data-rule="name"
+     * @param {string} name - Rule name
+     * @param {Function} check - (value, field, form) => error message or null
+     */
+    const addRule = (name, check) => {
+        customRules[name] = check;
+    };
+
+    /**
+     * Add an asynchronous rule used by data-async-rule="name", run after the field passes its other rules
+     * @param {string} name - Rule name
+     * @param {Function} check - (value, field, form) => Promise resolving to an error message or null
+     */
+    const addAsyncRule = (name, check) => {
+        asyncRules[name] = check;
+    };
+
+    const isSkipped = field => field.disabled
+        || SKIPPED_TYPES.includes(field.type)
+        || Boolean(field.closest('[data-validate="off"], [hidden]'))
+        || isHiddenByStyle(field);
+
+    // Role-specific and step fields are hidden with inline display: none, hidden fields are not validated
+    const isHiddenByStyle = field => {
+        for (let element = field; element && element !== document.body; element = element.parentElement) {
+            if (element.style && element.style.display === 'none') return true;
+        }
+        return false;
+    };
+
+    const getFields = root => Array.from(root.querySelectorAll(FIELD_SELECTOR)).filter(field => !isSkipped(field));
+
+    const findField = (form, reference) => (form && form.elements.namedItem(reference)) || document.getElementById(reference);
+
+    const fieldLabel = field => {
+        const label = field.id ? document.querySelector(`label[for="${field.id}"]`) : null;
+        return (label ? label.textContent : field.name || field.id).trim().replace(/:$/, '');
+    };
+
+    const message = (field, rule, defaultKey, params = {}) => {
+        const override = field.dataset[`message${rule.replace(/(^|-)(\w)/g, (match, dash, letter) => letter.toUpperCase())}`];
+        const key = override || defaultKey;
+        return override && !i18n.has(override) ? override : i18n.t(key, params);
+    };
+
+    // 'YYYY-MM-DD' as a local day
+    const parseDay = value => {
+        const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        return match ? new Date(+match[1], +match[2] - 1, +match[3]) : null;
+    };
+
+    // School years run from 1 September to 31 August
+    const schoolYearStart = (today = new Date()) => new Date(today.getMonth() >= 8 ? today.getFullYear() : today.getFullYear() - 1, 8, 1);
+
+    const resolveDateLimit = token => {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        if (token === 'today') return {date: today};
+        if (token === 'school-year-start') return {date: schoolYearStart(today)};
+        if (token === 'school-year-end') {
+            const start = schoolYearStart(today);
+            return {date: new Date(start.getFullYear() + 1, 7, 31)};
+        }
+        if (/^[+-]\d+$/.test(token)) {
+            const date = new Date(today);
+            date.setDate(today.getDate() + Number(token));
+            return {date, days: Math.abs(Number(token))};
+        }
+        return {date: parseDay(token)};
+    };
+
+    const readNumber = field => (field.type === 'number' ? Number(field.value) : i18n.parseNumber(field.value));
+
+    // Max from another field: the chosen option's data-max-points for selects, the value otherwise
+    const readMaxFrom = (form, reference) => {
+        const source = findField(form, reference);
+        if (!source) return NaN;
+        if (source.tagName === 'SELECT') {
+            const option = source.options[source.selectedIndex];
+            return option ? parseFloat(option.dataset.maxPoints) : NaN;
+        }
+        return i18n.parseNumber(source.value);
+    };
+
+    /**
+     * Run the synchronous rules of one field
+     * @returns {string|null} - The first error message, null when the field is valid
+     */
+    const checkField = field => {
+        const form = field.form;
+        const value = field.type === 'checkbox' || field.type === 'radio' ? (field.checked ? field.value : '') : field.value;
+        const text = String(value ?? '').trim();
+        const data = field.dataset;
+
+        if (field.required && (field.type === 'radio'
+            ? !(form && Array.from(form.querySelectorAll(`input[type="radio"][name="${CSS.escape(field.name)}"]`)).some(radio => radio.checked))
+            : text === '')) {
+            return message(field, 'required', 'validation.required');
+        }
+        if (field.validity && field.validity.badInput) return message(field, 'number', 'validation.number');
+        if (text === '') return null;
+
+        if (field.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) return message(field, 'email', 'validation.email');
+
+        const minLength = parseInt(field.getAttribute('minlength'), 10);
+        if (minLength > 0 && text.length < minLength) {
+            return message(field, 'minlength', field.type === 'password' ? 'validation.passwordLength' : 'validation.minLength', {count: minLength});
+        }
+        const maxLength = parseInt(field.getAttribute('maxlength'), 10);
+        if (maxLength > 0 && text.length > maxLength) return message(field, 'maxlength', 'validation.maxLength', {count: maxLength});
+
+        if (field.hasAttribute('pattern') && !new RegExp(`^(?:${field.getAttribute('pattern')})$`, 'u').test(text)) {
+            return message(field, 'pattern', 'validation.pattern');
+        }
+
+        if (['number', 'text'].includes(field.type) && (field.hasAttribute('min') || field.hasAttribute('max') || data.maxFrom)) {
+            const number = readNumber(field);
+            if (!Number.isFinite(number)) return message(field, 'number', 'validation.number');
+
+            const min = parseFloat(field.getAttribute('min'));
+            const max = data.maxFrom ? readMaxFrom(form, data.maxFrom) : parseFloat(field.getAttribute('max'));
+            if (Number.isFinite(min) && number < min) return message(field, 'min', 'validation.min', {min});
+            if (Number.isFinite(max) && number > max) return message(field, 'max', 'validation.max', {max});
+        }
+
+        if (field.type === 'date') {
+            const day = parseDay(text);
+            if (!day) return message(field, 'date', 'validation.date');
+
+            const min = resolveDateLimit(data.dateMin || field.getAttribute('min') || '');
+            const max = resolveDateLimit(data.dateMax || field.getAttribute('max') || '');
+            if (min.date && day < min.date) {
+                return message(field, 'date-min', 'validation.dateMin', {date: i18n.formatDate(min.date), count: min.days});
+            }
+            if (max.date && day > max.date) {
+                return message(field, 'date-max', 'validation.dateMax', {date: i18n.formatDate(max.date), count: max.days});
+            }
+        }
+
+        if (data.match) {
+            const other = findField(form, data.match);
+            if (other && other.value !== field.value) {
+                return message(field, 'match', field.type === 'password' ? 'validation.passwordMismatch' : 'validation.match', {field: fieldLabel(other)});
+            }
+        }
+
+        for (const [rule, compare] of [['after', (a, b) => a < b], ['before', (a, b) => a > b]]) {
+            const other = data[rule] ? findField(form, data[rule]) : null;
+            const otherDay = other ? parseDay(other.value) : null;
+            const day = parseDay(text);
+            if (day && otherDay && compare(day, otherDay)) {
+                return message(field, rule, `validation.${rule}`, {field: fieldLabel(other)});
+            }
+        }
+
+        for (const rule of (data.rule || '').split(/\s+/).filter(Boolean)) {
+            if (!customRules[rule]) {
+                console.warn(`Unknown validation rule: ${rule}`);
+                continue;
+            }
+            const error = customRules[rule](value, field, form);
+            if (error) return error;
+        }
+
+        return null;
+    };
+
+    const getFeedback = (field, create) => {
+        let feedback = field.dataset.feedback ? document.getElementById(field.dataset.feedback) : null;
+
+        if (!feedback && field.dataset.feedbackId) feedback = document.getElementById(field.dataset.feedbackId);
+
+        if (!feedback && create) {
+            feedback = document.createElement('div');
+            feedback.className = 'feedback-text feedback-invalid';
+            feedback.id = `${(field.id || field.name || 'field').replace(/\W/g, '_')}-feedback-${++feedbackCounter}`;
+            const group = field.closest('.form-group');
+            if (group) group.appendChild(feedback);
+            else field.insertAdjacentElement('afterend', feedback);
+            field.dataset.feedbackId = feedback.id;
+        }
+
+        if (feedback && !feedback.hasAttribute('aria-live')) feedback.setAttribute('aria-live', 'polite');
+        return feedback;
+    };
+
+    const linkDescription = (field, id, linked) => {
+        const ids = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(item => item && item !== id);
+        if (linked) ids.push(id);
+        if (ids.length) field.setAttribute('aria-describedby', ids.join(' '));
+        else field.removeAttribute('aria-describedby');
+    };
+
+    /**
+     * Show an error on a field, or clear it when the message is empty
+     * @param {HTMLElement} field - The field
+     * @param {string|null} error - Message to show
+     */
+    const setError = (field, error) => {
+        const feedback = getFeedback(field, Boolean(error));
+
+        field.classList.toggle('is-invalid', Boolean(error));
+        if (error) field.setAttribute('aria-invalid', 'true');
+        else field.removeAttribute('aria-invalid');
+
+        if (!feedback) return;
+        feedback.textContent = error || '';
+        feedback.style.display = error ? 'block' : 'none';
+        linkDescription(field, feedback.id, Boolean(error));
+    };
+
+    const getAsyncRule = field => {
+        const name = field.dataset.asyncRule;
+        if (name && !asyncRules[name]) console.warn(`Unknown async validation rule: ${name}`);
+        return name ? asyncRules[name] : null;
+    };
+
+    // Runs (or reuses) the async check for the field's current value
+    const runAsync = field => {
+        const rule = getAsyncRule(field);
+        const value = field.value.trim();
+        if (!rule || value === '') return Promise.resolve(null);
+
+        const cached = asyncResults.get(field);
+        if (cached && cached.value === value) return cached.promise;
+
+        field.setAttribute('aria-busy', 'true');
+        const entry = {value, message: undefined, promise: null};
+        entry.promise = Promise.resolve(rule(value, field, field.form))
+            .catch(error => {
+                console.error('Async validation failed:', error);
+                // A failed check does not block the form, the server validates again
+                return null;
+            })
+            .then(error => {
+                entry.message = error || null;
+                if (field.value.trim() === value) {
+                    field.removeAttribute('aria-busy');
+                    setError(field, entry.message);
+                }
+                return entry.message;
+            });
+        asyncResults.set(field, entry);
+        return entry.promise;
+    };
+
+    /**
+     * Validate one field with its synchronous rules and the last known async result
+     * @returns {boolean}
+     */
+    const validateField = field => {
+        if (isSkipped(field)) {
+            setError(field, null);
+            return true;
+        }
+
+        let error = checkField(field);
+        if (!error && getAsyncRule(field)) {
+            const cached = asyncResults.get(field);
+            if (cached && cached.value === field.value.trim() && cached.message) error = cached.message;
+        }
+
+        setError(field, error);
+        return !error;
+    };
+
+    /**
+     * Validate every field in a form or container, the first invalid field gets focus
+     * @param {HTMLElement} root - Form or any element holding fields
+     * @param {boolean} focus - Move focus to the first invalid field
+     * @returns {boolean}
+     */
+    const validate = (root, focus = true) => {
+        const invalid = getFields(root).filter(field => !validateField(field));
+        if (invalid.length && focus) invalid[0].focus();
+        return invalid.length === 0;
+    };
+
+    /**
+     * Remove all error messages and states from a form or container
+     * @param {HTMLElement} root - Form or container
+     */
+    const reset = root => {
+        root.querySelectorAll(FIELD_SELECTOR).forEach(field => {
+            clearTimeout(asyncTimers.get(field));
+            if (field.classList.contains('is-invalid') || field.hasAttribute('aria-invalid')) setError(field, null);
+            delete field.dataset.touched;
+        });
+    };
+
+    /**
+     * Show server-side field errors from an API error ({errors: {field_name: message}} in the JSON body)
+     * @param {HTMLFormElement} form - Form with the fields
+     * @param {Error|Object} source - An api.ApiError or the response data itself
+     * @returns {boolean} - True when at least one error was shown on a field
+     */
+    const applyServerErrors = (form, source) => {
+        const data = source && source.data !== undefined ? source.data : source;
+        const errors = data && typeof data.errors === 'object' ? data.errors : null;
+        if (!errors) return false;
+
+        const fields = Object.entries(errors)
+            .map(([name, error]) => {
+                const field = form.elements.namedItem(name) || form.elements.namedItem(`${name}[]`);
+                const target = field instanceof RadioNodeList ? field[0] : field;
+                if (target) setError(target, String(error));
+                return target;
+            })
+            .filter(Boolean);
+
+        if (fields.length) fields[0].focus();
+        return fields.length > 0;
+    };
+
+    // Fields that compare against the changed one are checked again once they were validated
+    const revalidateDependants = field => {
+        if (!field.form) return;
+        const references = [field.id, field.name].filter(Boolean);
+        getFields(field.form)
+            .filter(other => other !== field && other.dataset.touched
+                && ['match', 'after', 'before', 'maxFrom'].some(key => references.includes(other.dataset[key])))
+            .forEach(validateField);
+    };
+
+    const handleInput = event => {
+        const field = event.target;
+        if (!field.matches || !field.matches(FIELD_SELECTOR) || !field.form || isSkipped(field)) return;
+        if (field.form.dataset.validate === 'off') return;
+
+        // Errors clear as soon as the value is fixed, new ones wait for the field to lose focus
+        if (field.classList.contains('is-invalid') || event.type === 'change') {
+            field.dataset.touched = '1';
+            validateField(field);
+        }
+        revalidateDependants(field);
+
+        if (getAsyncRule(field) && !checkField(field)) {
+            clearTimeout(asyncTimers.get(field));
+            asyncTimers.set(field, setTimeout(() => runAsync(field), ASYNC_DELAY));
+        }
+    };
+
+    const handleBlur = event => {
+        const field = event.target;
+        if (!field.matches || !field.matches(FIELD_SELECTOR) || !field.form || isSkipped(field)) return;
+        if (field.form.dataset.validate === 'off' || field.value === '' && !field.dataset.touched) return;
+
+        field.dataset.touched = '1';
+        if (validateField(field) && getAsyncRule(field)) runAsync(field);
+    };
+
+    // Runs before the page's own submit handlers (capture phase), so they only see valid forms
+    const handleSubmit = event => {
+        const form = event.target;
+        if (!(form instanceof HTMLFormElement) || form.dataset.validate === 'off') return;
+
+        const fields = getFields(form);
+        fields.forEach(field => field.dataset.touched = '1');
+
+        if (!validate(form)) {
+            event.preventDefault();
+            event.stopImmediatePropagation();
+            return;
+        }
+
+        const pending = fields.filter(field => getAsyncRule(field) && field.value.trim() !== ''
+            && !(asyncResults.get(field) && asyncResults.get(field).value === field.value.trim() && asyncResults.get(field).message !== undefined));
+        if (pending.length === 0) return;
+
+        // Wait for the async checks, then submit again, their cached results let it through
+        event.preventDefault();
+        event.stopImmediatePropagation();
+        const submitter = event.submitter || null;
+        Promise.all(pending.map(runAsync)).then(() => {
+            if (!validate(form)) return;
+            if (form.requestSubmit) form.requestSubmit(submitter);
+            else form.submit();
+        });
+    };
+
+    // The browser's own bubbles would stop the submit before these messages can show
+    const disableNativeValidation = form => {
+        if (form && form.dataset.validate !== 'off') form.noValidate = true;
+    };
+
+    /**
+     * Start listening for input and submits, called once from DOMContentLoaded
+     */
+    const init = () => {
+        document.querySelectorAll('form').forEach(disableNativeValidation);
+        // Forms added later by page scripts
+        document.addEventListener('focusin', event => disableNativeValidation(event.target.form));
+
+        document.addEventListener('submit', handleSubmit, true);
+        document.addEventListener('input', handleInput);
+        document.addEventListener('change', handleInput);
+        document.addEventListener('focusout', handleBlur);
+    };
+
+    return {
+        init,
+        addRule,
+        addAsyncRule,
+        validate,
+        validateField,
+        setError,
+        reset,
+        applyServerErrors
+    };
+})();
+
+window.formValidator = formValidator;
+
+/**
+ * Unsaved-changes guard and local drafts for forms, exposed as window.formState
+ *
+ * Forms opt in with data-draft="<name>". A form becomes dirty with the user's first input and
+ * clean again when it is reset (closeModal does that) or saved.
+ * - closing its modal with Escape, a close button or the overlay asks in a modalUtils.confirm()
+ *   dialog before the changes are discarded (modal:beforeclose), leaving the page asks through the
+ *   browser's beforeunload prompt
+ * - while dirty, the named fields (not hidden, password or file inputs) are saved to localStorage
+ *   under the user and the draft name, data-draft-context="<field name>" adds that field's value
+ *   to the key so every edited record (user_id, att_id) keeps its own draft
+ * - a stored draft that differs from the form is offered in a banner when the page loads or the
+ *   form's modal opens, drafts older than DRAFT_TTL are dropped; forms their page fills later
+ *   (data-draft-offer="manual") call offerDraft(form) once the values are in
+ * - the draft is removed after a successful submit: saved(form) after an API call; for a normal
+ *   POST (or submitted(form, expect) before a script posts it) on the next page, when it shows a
+ *   success alert or has the expected query parameters
+ *
+ * The user comes from <body data-user-id>, without it changes are guarded but not stored.
+ */
+const formState = (function () {
+    const SAVE_DELAY = 500;
+    const DRAFT_TTL = 7 * 24 * 60 * 60 * 1000;
+    const DRAFT_PREFIX = 'uwuweb_draft_';
+    const SUBMITTED_KEY = 'uwuweb_draft_submitted';
+    const SKIPPED_TYPES = ['hidden', 'password', 'file', 'submit', 'button', 'reset', 'image'];
+
+    const states = new WeakMap();
+    let userId = null;
+    let leaving = false;
+
+    const stateOf = form => {
+        if (!states.has(form)) states.set(form, {dirty: false, timer: null});
+        return states.get(form);
+    };
+
+    const trackedForm = element => {
+        const form = element && (element.form || (element.closest && element.closest('form')));
+        return form && form.hasAttribute('data-draft') ? form : null;
+    };
+
+    const trackedForms = root => Array.from(root.querySelectorAll('form[data-draft]'));
+
+    const offeredAutomatically = form => form.dataset.draftOffer !== 'manual';
+
+    // --- Reading and writing values ---
+    const draftFields = form => Array.from(form.elements)
+        .filter(field => field.name && !SKIPPED_TYPES.includes(field.type) && !field.disabled);
+
+    const readValues = form => {
+        const groups = {};
+        draftFields(form).forEach(field => {
+            (groups[field.name] = groups[field.name] || []).push(field);
+        });
+
+        const values = {};
+        Object.entries(groups).forEach(([name, fields]) => {
+            if (fields[0].type === 'checkbox' || fields[0].type === 'radio') {
+                values[name] = fields.filter(field => field.checked).map(field => field.value);
+            } else if (fields.length === 1 && fields[0].type === 'select-multiple') {
+                values[name] = Array.from(fields[0].selectedOptions).map(option => option.value);
+            } else {
+                values[name] = fields.length === 1 ? fields[0].value : fields.map(field => field.value);
+            }
+        });
+        return values;
+    };
+
+    // Restored fields fire input and change, so page scripts update what depends on them
+    const writeValues = (form, values) => {
+        Object.entries(values).forEach(([name, value]) => {
+            const fields = draftFields(form).filter(field => field.name === name);
+
+            fields.forEach((field, position) => {
+                if (field.type === 'checkbox' || field.type === 'radio') {
+                    field.checked = value.includes(field.value);
+                } else if (field.type === 'select-multiple') {
+                    Array.from(field.options).forEach(option => {
+                        option.selected = value.includes(option.value);
+                    });
+                } else {
+                    field.value = Array.isArray(value) ? (value[position] ?? '') : value;
+                }
+                field.dispatchEvent(new Event('input', {bubbles: true}));
+                field.dispatchEvent(new Event('change', {bubbles: true}));
+            });
+        });
+    };
+
+    const sameValues = (first, second) => JSON.stringify(first) === JSON.stringify(second);
+
+    // --- Stored drafts ---
+    const draftKey = form => {
+        if (!userId) return null;
+
+        const contextField = form.dataset.draftContext ? form.elements.namedItem(form.dataset.draftContext) : null;
+        const context = contextField ? contextField.value : '';
+        return `${DRAFT_PREFIX}${userId}_${form.dataset.draft || form.id}${context ? `_${context}` : ''}`;
+    };
+
+    const readDraft = key => {
+        try {
+            const draft = JSON.parse(localStorage.getItem(key) || 'null');
+            return draft && Date.now() - draft.savedAt < DRAFT_TTL ? draft : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    const removeDraft = key => {
+        if (key) localStorage.removeItem(key);
+    };
+
+    const saveDraft = form => {
+        const state = stateOf(form);
+        clearTimeout(state.timer);
+        state.timer = null;
+
+        const key = draftKey(form);
+        if (!key || !state.dirty) return;
+
+        try {
+            localStorage.setItem(key, JSON.stringify({savedAt: Date.now(), values: readValues(form)}));
+        } catch (e) {
+            console.error('Error storing form draft:', e);
+        }
+    };
+
+    const scheduleSave = form => {
+        const state = stateOf(form);
+        clearTimeout(state.timer);
+        state.timer = setTimeout(() => saveDraft(form), SAVE_DELAY);
+    };
+
+    const sweepDrafts = () => {
+        const prefix = `${DRAFT_PREFIX}${userId}_`;
+        for (let i = localStorage.length - 1; i >= 0; i--) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(prefix) && !readDraft(key)) localStorage.removeItem(key);
+        }
+    };
+
+    // --- Draft banner ---
+    const removeBanner = form => {
+        const banner = form.querySelector('.draft-banner');
+        if (banner) banner.remove();
+    };
+
+    /**
+     * Offer the stored draft of a form, when it differs from what the form shows now
+     * @param {HTMLFormElement} form - A form with data-draft
+     */
+    const offerDraft = form => {
+        removeBanner(form);
+
+        const key = draftKey(form);
+        const draft = key ? readDraft(key) : null;
+        if (!draft || sameValues(draft.values, readValues(form))) return;
+
+        const banner = document.createElement('div');
+        banner.className = 'alert status-info draft-banner mb-md';
+        banner.setAttribute('role', 'status');
+
+        const content = document.createElement('div');
+        content.className = 'alert-content';
+
+        const text = document.createElement('p');
+        text.className = 'mb-0';
+        text.textContent = i18n.t('formState.draftFound', {time: i18n.formatDate(new Date(draft.savedAt), 'datetime')});
+
+        const actions = document.createElement('div');
+        actions.className = 'd-flex gap-sm mt-sm';
+
+        const restore = document.createElement('button');
+        restore.type = 'button';
+        restore.className = 'btn btn-primary btn-sm';
+        restore.textContent = i18n.t('formState.restore');
+        restore.addEventListener('click', () => {
+            removeBanner(form);
+            writeValues(form, draft.values);
+            stateOf(form).dirty = true;
+            saveDraft(form);
+        });
+
+        const discard = document.createElement('button');
+        discard.type = 'button';
+        discard.className = 'btn btn-secondary btn-sm';
+        discard.textContent = i18n.t('formState.discard');
+        discard.addEventListener('click', () => {
+            removeBanner(form);
+            removeDraft(key);
+        });
+
+        actions.append(restore, discard);
+        content.append(text, actions);
+        banner.appendChild(content);
+
+        const body = form.querySelector('.modal-body') || form;
+        body.prepend(banner);
+    };
+
+    // --- Public state changes ---
+    /**
+     * @param {HTMLFormElement} form - A form with data-draft
+     * @returns {boolean} - Whether the form has changes that are not saved
+     */
+    const isDirty = form => Boolean(form && states.has(form) && states.get(form).dirty);
+
+    const markClean = form => {
+        const state = stateOf(form);
+        clearTimeout(state.timer);
+        state.timer = null;
+        state.dirty = false;
+    };
+
+    /**
+     * The form was saved (e.g. through the API): forget its draft and changes
+     * @param {HTMLFormElement} form - A form with data-draft
+     */
+    const saved = form => {
+        markClean(form);
+        removeDraft(draftKey(form));
+        removeBanner(form);
+    };
+
+    const readSubmitted = () => {
+        try {
+            return JSON.parse(sessionStorage.getItem(SUBMITTED_KEY) || '[]');
+        } catch (e) {
+            return [];
+        }
+    };
+
+    /**
+     * The form is posted and the page unloads: keep the draft until the next page shows that it was saved
+     * @param {HTMLFormElement} form - A form with data-draft
+     * @param {Object|null} expect - Query parameters of a successful redirect ({success: 'batch_grades'}),
+     *   without them a success alert on the next page counts
+     */
+    const submitted = (form, expect = null) => {
+        saveDraft(form);
+        markClean(form);
+        leaving = true;
+
+        const key = draftKey(form);
+        if (!key) return;
+
+        try {
+            sessionStorage.setItem(SUBMITTED_KEY, JSON.stringify([...readSubmitted(), {key, expect}]));
+        } catch (e) {
+            console.error('Error storing submitted form:', e);
+        }
+    };
+
+    // Drafts of forms posted by the previous page are removed when the post succeeded
+    const settleSubmitted = () => {
+        const entries = readSubmitted();
+        if (!entries.length) return;
+        sessionStorage.removeItem(SUBMITTED_KEY);
+
+        const params = new URLSearchParams(window.location.search);
+        entries.forEach(({key, expect}) => {
+            const succeeded = expect
+                ? Object.entries(expect).every(([name, value]) => params.get(name) === String(value))
+                : Boolean(document.querySelector('.alert.status-success'));
+            if (succeeded) removeDraft(key);
+        });
+    };
+
+    const dirtyForms = root => (root.matches('form[data-draft]') ? [root] : trackedForms(root)).filter(isDirty);
+
+    /**
+     * Ask before discarding the unsaved changes of the forms inside an element
+     * @param {HTMLElement} root - A modal or form
+     * @returns {Promise<boolean>} - true when nothing is dirty or the user agreed, the drafts are then removed
+     */
+    const confirmDiscard = root => {
+        const dirty = dirtyForms(root);
+        if (!dirty.length) return Promise.resolve(true);
+
+        return modalUtils.confirm({
+            message: i18n.t('formState.confirmDiscard'),
+            confirmText: i18n.t('formState.discard'),
+            danger: true
+        }).then(confirmed => {
+            if (confirmed) dirty.forEach(saved);
+            return confirmed;
+        });
+    };
+
+    /**
+     * Leave the page without the unsaved-changes prompt, e.g. for the login redirect, drafts are kept
+     */
+    const release = () => {
+        trackedForms(document).filter(isDirty).forEach(saveDraft);
+        leaving = true;
+    };
+
+    /**
+     * Listen for changes of [data-draft] forms, called once from DOMContentLoaded
+     */
+    const init = () => {
+        userId = document.body.dataset.userId || null;
+        if (userId && window.localStorage) {
+            sweepDrafts();
+            settleSubmitted();
+        } else {
+            userId = null;
+        }
+
+        const onChange = event => {
+            const form = trackedForm(event.target);
+            if (!form || !event.target.name || SKIPPED_TYPES.includes(event.target.type)) return;
+
+            stateOf(form).dirty = true;
+            scheduleSave(form);
+        };
+        document.addEventListener('input', onChange);
+        document.addEventListener('change', onChange);
+
+        document.addEventListener('reset', event => {
+            if (event.target.hasAttribute && event.target.hasAttribute('data-draft')) {
+                markClean(event.target);
+                removeBanner(event.target);
+            }
+        });
+
+        // Forms the page script did not take over are posted normally
+        document.addEventListener('submit', event => {
+            const form = trackedForm(event.target);
+            if (form && !event.defaultPrevented) submitted(form);
+        });
+
+        document.addEventListener('modal:beforeclose', event => {
+            if (dirtyForms(event.detail.modal).length) event.detail.waitUntil(confirmDiscard(event.detail.modal));
+        });
+
+        // Forms in a modal are offered their draft once the modal is filled and open
+        document.addEventListener('modal:open', event => {
+            trackedForms(event.detail.modal).filter(offeredAutomatically).forEach(offerDraft);
+        });
+        trackedForms(document)
+            .filter(offeredAutomatically)
+            .filter(form => !form.closest('.modal') || form.closest('.modal').classList.contains('open'))
+            .forEach(offerDraft);
+
+        window.addEventListener('beforeunload', event => {
+            const dirty = trackedForms(document).filter(isDirty);
+            dirty.forEach(saveDraft);
+            if (leaving || !dirty.length) return;
+
+            event.preventDefault();
+            event.returnValue = '';
+        });
+    };
+
+    return {
+        init,
+        isDirty,
+        offerDraft,
+        saved,
+        submitted,
+        confirmDiscard,
+        release
+    };
+})();
+
+window.formState = formState;
+
+/**
+ * Notification center, exposed as window.notifications
+ *
+ * Toasts stack in one fixed region that screen readers announce, errors through role="alert".
+ * - messages are set as text, markup is only rendered with {html: true} for trusted strings
+ * - at most MAX_VISIBLE toasts show at once, the rest wait in a queue
+ * - actions add buttons such as {label: i18n.t('notifications.undo'), onClick}, a click closes the toast
+ * - hovering or focusing a toast pauses its timer, errors stay until they are closed
+ * - flash() keeps a message in sessionStorage and shows it after the next page load, so it survives
+ *   a form post that redirects. Its actions name a handler added with registerAction() since
+ *   functions cannot be stored, e.g. {label, action: 'gradebook.restoreGrade', data: {...}}
+ */
+const notifications = (() => {
+    const FLASH_KEY = 'uwuweb_flash';
+    const MAX_VISIBLE = 4;
+    const DURATIONS = {success: 5000, info: 5000, warning: 8000, error: 0};
+    const ACTION_DURATION = 10000;
+    const ICONS = {success: '✓', warning: '⚠', error: '✕', info: 'ℹ'};
+
+    const queue = [];
+    const visible = [];
+    const actionHandlers = {};
+    let region = null;
+
+    const getRegion = () => {
+        if (region && region.isConnected) return region;
+
+        region = document.createElement('div');
+        region.className = 'toast-container';
+        region.setAttribute('aria-live', 'polite');
+        region.setAttribute('aria-label', i18n.t('notifications.region'));
+        document.body.appendChild(region);
+        return region;
+    };
+
+    const startTimer = toast => {
+        clearTimeout(toast.timer);
+        if (toast.duration > 0) toast.timer = setTimeout(() => dismiss(toast), toast.remaining);
+        toast.startedAt = Date.now();
+    };
+
+    const pauseTimer = toast => {
+        if (!toast.timer) return;
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining = Math.max(1000, toast.remaining - (Date.now() - toast.startedAt));
+    };
+
+    const buildElement = toast => {
+        const element = document.createElement('div');
+        element.className = 'toast';
+        if (toast.type === 'error') element.setAttribute('role', 'alert');
+
+        const alert = document.createElement('div');
+        alert.className = `alert status-${toast.type}`;
+
+        const icon = document.createElement('div');
+        icon.className = 'alert-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = ICONS[toast.type] || ICONS.info;
+
+        const content = document.createElement('div');
+        content.className = 'alert-content';
+        if (toast.html) content.innerHTML = toast.message;
+        else content.textContent = toast.message;
+
+        alert.append(icon, content);
+
+        if (toast.actions.length) {
+            const actions = document.createElement('div');
+            actions.className = 'toast-actions';
+            toast.actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-sm btn-secondary';
+                button.textContent = action.label;
+                button.addEventListener('click', () => {
+                    dismiss(toast);
+                    if (typeof action.onClick === 'function') action.onClick(toast);
+                });
+                actions.appendChild(button);
+            });
+            alert.appendChild(actions);
+        }
+
+        if (toast.dismissible) {
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.className = 'btn-close toast-close';
+            close.setAttribute('aria-label', i18n.t('notifications.close'));
+            close.textContent = '×';
+            close.addEventListener('click', () => dismiss(toast));
+            alert.appendChild(close);
+        }
+
+        element.appendChild(alert);
+        element.addEventListener('mouseenter', () => pauseTimer(toast));
+        element.addEventListener('mouseleave', () => startTimer(toast));
+        element.addEventListener('focusin', () => pauseTimer(toast));
+        element.addEventListener('focusout', event => {
+            if (!element.contains(event.relatedTarget)) startTimer(toast);
+        });
+        return element;
+    };
+
+    const render = toast => {
+        toast.element = buildElement(toast);
+        visible.push(toast);
+        getRegion().appendChild(toast.element);
+        startTimer(toast);
+    };
+
+    /**
+     * Close a toast, the next queued one takes its place
+     * @param {Object} toast - A handle returned by show()
+     */
+    const dismiss = toast => {
+        const queued = queue.indexOf(toast);
+        if (queued !== -1) {
+            queue.splice(queued, 1);
+            return;
+        }
+
+        const index = visible.indexOf(toast);
+        if (index === -1) return;
+        visible.splice(index, 1);
+        clearTimeout(toast.timer);
+
+        const element = toast.element;
+        element.classList.add('closing');
+        setTimeout(() => element.remove(), 300);
+
+        if (queue.length) render(queue.shift());
+    };
+
+    /**
+     * Show a toast
+     * @param {string} message - Text of the toast, markup only with options.html
+     * @param {Object} options - type ('success', 'warning', 'error', 'info'), duration (ms, 0 stays open),
+     *   actions ([{label, onClick}]), html (trusted markup), dismissible (close button, true),
+     *   key (a toast with the same key is replaced)
+     * @returns {Object} - Handle with dismiss()
+     */
+    const show = (message, options = {}) => {
+        const type = DURATIONS[options.type] !== undefined ? options.type : 'info';
+        const actions = options.actions || [];
+        const duration = options.duration ?? (actions.length && type !== 'error' ? ACTION_DURATION : DURATIONS[type]);
+
+        if (options.key) [...visible, ...queue].filter(item => item.key === options.key).forEach(dismiss);
+
+        const toast = {
+            message: String(message ?? ''),
+            type,
+            actions,
+            duration,
+            remaining: duration,
+            html: Boolean(options.html),
+            dismissible: options.dismissible !== false,
+            key: options.key || null,
+            timer: null
+        };
+        toast.dismiss = () => dismiss(toast);
+
+        if (visible.length >= MAX_VISIBLE) queue.push(toast);
+        else render(toast);
+        return toast;
+    };
+
+    /**
+     * Register a handler for flash actions, called with the stored data and the toast
+     * @param {string} name - Name used in the flash action's 'action'
+     * @param {Function} handler - (data, toast) => void
+     */
+    const registerAction = (name, handler) => {
+        actionHandlers[name] = handler;
+    };
+
+    const readFlashes = () => {
+        try {
+            return JSON.parse(sessionStorage.getItem(FLASH_KEY) || '[]');
+        } catch (e) {
+            return [];
+        }
+    };
+
+    /**
+     * Keep a toast for the next page load in this tab
+     * @param {string} message - Text of the toast
+     * @param {Object} options - Same as show(), actions are {label, action, data}. expect ({param: value})
+     *   limits it to a page whose URL has these query parameters, e.g. the success flag of a redirect,
+     *   so a post that fails and renders an error does not show it
+     */
+    const flash = (message, options = {}) => {
+        const flashes = readFlashes();
+        flashes.push({message, options});
+        try {
+            sessionStorage.setItem(FLASH_KEY, JSON.stringify(flashes));
+        } catch (e) {
+            console.error('Error storing flash message:', e);
+        }
+    };
+
+    const showFlashes = () => {
+        const flashes = readFlashes();
+        if (!flashes.length) return;
+        sessionStorage.removeItem(FLASH_KEY);
+
+        const params = new URLSearchParams(window.location.search);
+        flashes.forEach(({message, options = {}}) => {
+            const {expect, actions = [], ...rest} = options;
+            if (expect && Object.entries(expect).some(([name, value]) => params.get(name) !== String(value))) return;
+
+            show(message, {
+                ...rest,
+                actions: actions.map(action => ({
+                    label: action.label,
+                    onClick: toast => {
+                        const handler = actionHandlers[action.action];
+                        if (handler) handler(action.data, toast);
+                        else console.warn(`No handler registered for flash action: ${action.action}`);
+                    }
+                }))
+            });
+        });
+    };
+
+    /**
+     * Show flashes stored by the previous page
+     */
+    const init = () => {
+        showFlashes();
+    };
+
+    return {
+        init,
+        show,
+        success: (message, options = {}) => show(message, {...options, type: 'success'}),
+        info: (message, options = {}) => show(message, {...options, type: 'info'}),
+        warning: (message, options = {}) => show(message, {...options, type: 'warning'}),
+        error: (message, options = {}) => show(message, {...options, type: 'error'}),
+        dismiss,
+        flash,
+        registerAction
+    };
+})();
+
+window.notifications = notifications;
+
+/**
+ * Initialize alerts to auto-hide after a delay
+ */
+function initAlerts() {
+    // Toasts time out on their own (notifications)
+    const alerts = Array.from(document.querySelectorAll('.alert')).filter(alert => !alert.closest('.toast'));
+
+    alerts.forEach(alert => {
+        // Auto-hide success alerts after 5 seconds
+        if (alert.classList.contains('status-success')) {
+            setTimeout(() => {
+                alert.style.opacity = '0';
+                setTimeout(() => {
+                    alert.style.display = 'none';
+                }, 300);
+            }, 5000);
+        }
+    });
+}
+
+/**
+ * Accessible tabs, exposed as window.tabs
+ *
+ * A [data-tabs] container with an id holds a .tab-list of .tab-btn buttons (data-tab="<panel id>")
+ * and the .tab-content panels.
+ * - tab, tablist and tabpanel roles and ids are filled in, only the active tab is in the Tab order,
+ *   arrow keys, Home and End move between tabs (Up/Down with aria-orientation="vertical")
+ * - the active tab is kept in the URL hash as <container id>=<panel id>, so a reload and the
+ *   browser's back/forward buttons return to it; clicks add a history entry, keys replace it
+ * - a panel with data-tab-load="<endpoint>:<action>" (data-tab-method="post", data-tab-params='{...}')
+ *   is requested from the API the first time it opens, the page renders the response from the
+ *   tab:load event (detail {panel, tab, data}), a failed request shows a retry button
+ * - tab:change is dispatched on the container with detail {tab, panel, previous}
+ */
+const tabs = (function () {
+    const groups = new Map();
+    const loaded = new WeakSet();
+    const loading = new WeakSet();
+
+    const tabsOf = container => Array.from(container.querySelectorAll('.tab-btn[data-tab]'))
+        .filter(tab => tab.closest('[data-tabs]') === container);
+
+    const panelOf = tab => document.getElementById(tab.dataset.tab);
+
+    const resolveTab = target => {
+        if (typeof target !== 'string') return target && target.matches('.tab-btn') ? target : null;
+
+        for (const container of groups.keys()) {
+            const tab = tabsOf(container).find(item => item.dataset.tab === target);
+            if (tab) return tab;
+        }
+        return null;
+    };
+
+    // --- URL hash ---
+    const readHash = () => new URLSearchParams(window.location.hash.slice(1));
+
+    const writeHash = (container, tab, mode) => {
+        const params = readHash();
+        if (params.get(container.id) === tab.dataset.tab) return;
+
+        params.set(container.id, tab.dataset.tab);
+        const url = `${window.location.pathname}${window.location.search}#${params.toString()}`;
+        if (mode === 'push') history.pushState(history.state, '', url); else history.replaceState(history.state, '', url);
+    };
+
+    const tabFromHash = container => {
+        const panelId = readHash().get(container.id);
+        return panelId ? tabsOf(container).find(tab => tab.dataset.tab === panelId) || null : null;
+    };
+
+    // --- Lazy panels ---
+    const showLoadError = (panel, tab, message) => {
+        panel.innerHTML = '';
+
+        const alert = document.createElement('div');
+        alert.className = 'alert status-error';
+        alert.setAttribute('role', 'alert');
+
+        const content = document.createElement('div');
+        content.className = 'alert-content';
+
+        const text = document.createElement('p');
+        text.textContent = i18n.t('tabs.loadError', {message});
+
+        const retry = document.createElement('button');
+        retry.type = 'button';
+        retry.className = 'btn btn-secondary btn-sm mt-sm';
+        retry.textContent = i18n.t('tabs.retry');
+        retry.addEventListener('click', () => load(panel, tab));
+
+        content.append(text, retry);
+        alert.appendChild(content);
+        panel.appendChild(alert);
+    };
+
+    const load = (panel, tab) => {
+        if (loading.has(panel)) return;
+
+        const [endpoint, action] = panel.dataset.tabLoad.split(':');
+        let params = {};
+        try {
+            params = JSON.parse(panel.dataset.tabParams || '{}');
+        } catch (e) {
+            console.error('Invalid data-tab-params:', e);
+        }
+
+        loading.add(panel);
+        panel.setAttribute('aria-busy', 'true');
+        if (!loaded.has(panel)) {
+            panel.innerHTML = '';
+            const placeholder = document.createElement('p');
+            placeholder.className = 'text-secondary';
+            placeholder.textContent = i18n.t('common.loading');
+            panel.appendChild(placeholder);
+        }
+
+        const request = (panel.dataset.tabMethod || 'get').toLowerCase() === 'post' ? api.post : api.get;
+        request(endpoint, action, params)
+            .then(data => {
+                loaded.add(panel);
+                panel.innerHTML = '';
+                panel.dispatchEvent(new CustomEvent('tab:load', {bubbles: true, detail: {panel, tab, data}}));
+            })
+            .catch(error => {
+                console.error('Error loading tab panel:', error);
+                // An expired session is already on its way to the login page
+                if (error instanceof api.AuthExpiredError) return;
+                showLoadError(panel, tab, error.message || i18n.t('common.tryAgain'));
+            })
+            .finally(() => {
+                loading.delete(panel);
+                panel.removeAttribute('aria-busy');
+            });
+    };
+
+    // --- Selection ---
+    /**
+     * Shows a tab and its panel
+     * @param {HTMLElement|string} target - The tab button or the id of its panel
+     * @param {Object} options - history: 'push', 'replace' or null to leave the URL alone, focus: move focus to the tab
+     * @returns {boolean} - Whether the tab was found
+     */
+    const select = (target, {history: mode = 'replace', focus = false} = {}) => {
+        const tab = resolveTab(target);
+        const container = tab ? tab.closest('[data-tabs]') : null;
+        if (!container || !groups.has(container)) return false;
+
+        const previous = groups.get(container);
+        tabsOf(container).forEach(item => {
+            const active = item === tab;
+            const panel = panelOf(item);
+
+            item.classList.toggle('active', active);
+            item.setAttribute('aria-selected', String(active));
+            item.tabIndex = active ? 0 : -1;
+
+            if (panel) {
+                panel.classList.toggle('active', active);
+                panel.hidden = !active;
+            }
+        });
+        groups.set(container, tab);
+
+        if (focus) tab.focus();
+        if (mode) writeHash(container, tab, mode);
+
+        const panel = panelOf(tab);
+        if (panel && panel.dataset.tabLoad && !loaded.has(panel)) load(panel, tab);
+
+        if (previous !== tab) {
+            container.dispatchEvent(new CustomEvent('tab:change', {
+                bubbles: true,
+                detail: {tab, panel, previous}
+            }));
+        }
+        return true;
+    };
+
+    /**
+     * Requests a lazy panel again, right away when it is open, otherwise the next time it opens
+     * @param {HTMLElement|string} panelOrId - The panel or its id
+     */
+    const reload = panelOrId => {
+        const panel = typeof panelOrId === 'string' ? document.getElementById(panelOrId) : panelOrId;
+        if (!panel || !panel.dataset.tabLoad) return;
+
+        loaded.delete(panel);
+        const tab = resolveTab(panel.id);
+        if (tab && groups.get(tab.closest('[data-tabs]')) === tab) load(panel, tab);
+    };
+
+    const handleKeydown = (container, event) => {
+        const tab = event.target.closest('.tab-btn');
+        if (!tab) return;
+
+        const items = tabsOf(container).filter(item => !item.disabled);
+        const list = container.querySelector('.tab-list');
+        const vertical = list && list.getAttribute('aria-orientation') === 'vertical';
+        const index = items.indexOf(tab);
+
+        const keys = {
+            [vertical ? 'ArrowDown' : 'ArrowRight']: (index + 1) % items.length,
+            [vertical ? 'ArrowUp' : 'ArrowLeft']: (index - 1 + items.length) % items.length,
+            Home: 0,
+            End: items.length - 1
+        };
+        if (!(event.key in keys) || index === -1) return;
+
+        event.preventDefault();
+        select(items[keys[event.key]], {focus: true});
+    };
+
+    const setup = container => {
+        if (!container.id) {
+            console.error('Tab containers need an id for the URL hash:', container);
+            return;
+        }
+
+        const list = container.querySelector('.tab-list');
+        if (list) list.setAttribute('role', 'tablist');
+
+        const items = tabsOf(container);
+        items.forEach(tab => {
+            const panel = panelOf(tab);
+            if (!tab.id) tab.id = `${tab.dataset.tab}-tab`;
+            tab.setAttribute('role', 'tab');
+            if (tab.tagName === 'BUTTON') tab.type = 'button';
+
+            if (panel) {
+                tab.setAttribute('aria-controls', panel.id);
+                panel.setAttribute('role', 'tabpanel');
+                panel.setAttribute('aria-labelledby', tab.id);
+                if (!panel.hasAttribute('tabindex')) panel.tabIndex = 0;
+            }
+
+            tab.addEventListener('click', () => select(tab, {history: 'push'}));
+        });
+        container.addEventListener('keydown', event => handleKeydown(container, event));
+
+        groups.set(container, null);
+        const initial = tabFromHash(container) || items.find(tab => tab.classList.contains('active')) || items[0];
+        if (initial) select(initial, {history: null});
+    };
+
+    /**
+     * Set up every [data-tabs] container, called once from DOMContentLoaded
+     */
+    const init = () => {
+        document.querySelectorAll('[data-tabs]').forEach(setup);
+        if (groups.size === 0) return;
+
+        // Back and forward restore the tab of that history entry
+        const restore = () => {
+            groups.forEach((active, container) => {
+                const tab = tabFromHash(container) || tabsOf(container)[0];
+                if (tab && tab !== active) select(tab, {history: null});
+            });
+        };
+        window.addEventListener('popstate', restore);
+        window.addEventListener('hashchange', restore);
+    };
+
+    return {
+        init,
+        select,
+        reload
+    };
+})();
+
+window.tabs = tabs;
+
+/**
+ * Initialize the grade analytics panel (#gradeAnalytics) on student and parent grade pages
+ *
+ * Reads grades from the `[data-subject-card]` cards and their `[data-grade-row]` rows and draws
+ * inline SVG charts, so nothing is loaded from a CDN and the charts print with the page.
+ * Each subject is graded with its own scale from gradingScale.
+ */
+function initGradeAnalytics() {
+    const panel = document.getElementById('gradeAnalytics');
+    if (!panel) return;
+
+    const subjectSelect = document.getElementById('analytics_subject');
+    const targetGrade = document.getElementById('target_grade');
+    const targetMaxPoints = document.getElementById('target_max_points');
+    const targetResult = document.getElementById('gradeTargetResult');
+
+    // Items in page order, each with its percentage and the class average when the page has one
+    const items = [];
+    document.querySelectorAll('[data-subject-card]').forEach(card => {
+        card.querySelectorAll('[data-grade-row]').forEach((row, position) => {
+            const maxPoints = parseFloat(row.dataset.maxPoints);
+            const points = row.dataset.points === '' ? null : parseFloat(row.dataset.points);
+
+            items.push({
+                subjectId: card.dataset.classSubjectId,
+                subjectName: card.dataset.subjectName,
+                name: row.dataset.itemName,
+                date: row.dataset.date || null,
+                position,
+                maxPoints,
+                percentage: points === null || !maxPoints ? null : (points / maxPoints) * 100,
+                classAverage: row.dataset.classAverage === '' ? null : parseFloat(row.dataset.classAverage)
+            });
+        });
+    });
+
+    // Scales by class-subject ID, the school-wide one under ''
+    const scales = {};
+    const scaleFor = (subjectId) => scales[subjectId || ''] || gradingScale.DEFAULT_SCALE;
+
+    const render = () => {
+        const subjectId = subjectSelect.value;
+        const selected = items.filter(item => !subjectId || item.subjectId === subjectId);
+        const graded = selected.filter(item => item.percentage !== null);
+        graded.forEach(item => item.grade = gradingScale.gradeFromPercentage(item.percentage, scaleFor(item.subjectId)));
+
+        gradeCharts.renderTrend(panel.querySelector('[data-chart="trend"]'), graded, scaleFor(subjectId));
+        gradeCharts.renderDistribution(panel.querySelector('[data-chart="distribution"]'), graded);
+        gradeCharts.renderComparison(panel.querySelector('[data-chart="comparison"]'), graded.filter(item => item.classAverage !== null));
+
+        // Default the calculator to the size of the latest test in the subject
+        const latest = selected[selected.length - 1];
+        if (latest && subjectId) targetMaxPoints.value = latest.maxPoints;
+
+        updateTarget();
+    };
+
+    const updateTarget = () => {
+        if (!subjectSelect.value) {
+            targetResult.textContent = i18n.t('analytics.chooseSubject');
+            return;
+        }
+
+        const percentages = items
+            .filter(item => item.subjectId === subjectSelect.value && item.percentage !== null)
+            .map(item => item.percentage);
+
+        targetResult.textContent = gradeCharts.describeRequiredScore(
+            percentages, parseInt(targetGrade.value, 10), parseFloat(targetMaxPoints.value), scaleFor(subjectSelect.value)
+        );
+    };
+
+    subjectSelect.addEventListener('change', render);
+    targetGrade.addEventListener('change', updateTarget);
+    targetMaxPoints.addEventListener('input', updateTarget);
+    document.getElementById('gradeTargetCalculator').addEventListener('submit', event => event.preventDefault());
+
+    render();
+
+    // Redraw once the server scales are known
+    const subjectIds = ['', ...new Set(items.map(item => item.subjectId))];
+    Promise.all(subjectIds.map(id => gradingScale.load(id || null).then(scale => scales[id] = scale))).then(render);
+}
+
+/**
+ * Initialize the attendance overview (#attendanceOverview) on student and parent attendance pages
+ *
+ * Loads the current school year for data-student-id from api/attendance.php and draws the month
+ * calendar, the subject-by-week heatmap and the absence summary against data-absence-threshold.
+ * With data-justify-url set, unexcused absences in the calendar link to the justification form.
+ */
+function initAttendanceOverview() {
+    const panel = document.getElementById('attendanceOverview');
+    if (!panel) return;
+
+    const calendar = panel.querySelector('[data-chart="calendar"]');
+    const heatmap = panel.querySelector('[data-chart="heatmap"]');
+    const summary = panel.querySelector('[data-chart="absence-summary"]');
+    const monthLabel = panel.querySelector('[data-calendar-month]');
+    const previousButton = panel.querySelector('[data-calendar-prev]');
+    const nextButton = panel.querySelector('[data-calendar-next]');
+    const threshold = parseFloat(panel.dataset.absenceThreshold);
+    const justifyUrl = panel.dataset.justifyUrl || null;
+
+    // The calendar can move between September and the current month
+    const today = new Date();
+    const firstMonth = new Date(today.getMonth() >= 8 ? today.getFullYear() : today.getFullYear() - 1, 8, 1);
+    const lastMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+    let month = lastMonth;
+    let records = [];
+
+    const renderMonth = () => {
+        monthLabel.textContent = i18n.formatDate(month, 'month');
+        previousButton.disabled = month <= firstMonth;
+        nextButton.disabled = month >= lastMonth;
+        attendanceCharts.renderCalendar(calendar, records, month, justifyUrl);
+    };
+
+    const showMonth = step => {
+        month = new Date(month.getFullYear(), month.getMonth() + step, 1);
+        renderMonth();
+    };
+
+    previousButton.addEventListener('click', () => showMonth(-1));
+    nextButton.addEventListener('click', () => showMonth(1));
+    attendanceCharts.renderLegend(panel.querySelector('[data-attendance-legend]'));
+
+    api.get('attendance', null, {
+        student_id: panel.dataset.studentId,
+        start_date: formatDate(firstMonth, 'yyyy-mm-dd'),
+        end_date: formatDate(today, 'yyyy-mm-dd')
+    }, {loading: false})
+        .then(data => {
+            records = Array.isArray(data.attendance) ? data.attendance : [];
+            renderMonth();
+            attendanceCharts.renderHeatmap(heatmap, records);
+            attendanceCharts.renderAbsenceSummary(summary, records, threshold);
+        })
+        .catch(error => {
+            console.error('Error loading attendance overview:', error);
+            [calendar, heatmap, summary].forEach(container => attendanceCharts.showMessage(container, i18n.t('attendanceOverview.loadError')));
+        });
+}
+
+/**
+ * Grading scale shared by all grade pages, exposed as window.gradingScale
+ *
+ * The scale comes from api/grades.php (getGradingScale), per class-subject with the school-wide scale
+ * as fallback, so a threshold change on the server applies to every page. Grades are worked out from
+ * percentages; with plus_minus enabled, results within modifier_range points of a band edge get + or -.
+ */
+const gradingScale = (function () {
+    // Same as DEFAULT_GRADE_THRESHOLDS in includes/functions.php, used until the server scale loads
+    const DEFAULT_SCALE = {
+        grades: [
+            {grade: 5, min: 90, label: 'Odlično'},
+            {grade: 4, min: 80, label: 'Prav dobro'},
+            {grade: 3, min: 70, label: 'Dobro'},
+            {grade: 2, min: 50, label: 'Zadostno'},
+            {grade: 1, min: 0, label: 'Nezadostno'}
+        ],
+        plus_minus: false,
+        modifier_range: 3
+    };
+
+    const cache = new Map();
+
+    /**
+     * Load the scale for a class-subject, requests are cached per id
+     * @param {number|string|null} classSubjectId - Class-subject ID, null for the school-wide scale
+     * @returns {Promise<Object>} - Resolves with the scale, the default one if the request fails
+     */
+    const load = (classSubjectId = null) => {
+        const key = classSubjectId ? String(classSubjectId) : '';
+        if (cache.has(key)) return cache.get(key);
+
+        const request = api.post('grades', 'getGradingScale', {class_subject_id: key || null}, {loading: false})
+            .then(data => data.scale && Array.isArray(data.scale.grades) ? data.scale : DEFAULT_SCALE)
+            .catch(error => {
+                console.error('Error loading grading scale:', error);
+                return DEFAULT_SCALE;
+            });
+
+        cache.set(key, request);
+        return request;
+    };
+
+    // Band of the scale a percentage falls into, with the minimum of the band above it
+    const findBand = (percentage, scale) => {
+        const index = scale.grades.findIndex(band => percentage >= band.min);
+        const bandIndex = index === -1 ? scale.grades.length - 1 : index;
+        return {
+            band: scale.grades[bandIndex],
+            upper: bandIndex > 0 ? scale.grades[bandIndex - 1].min : 100
+        };
+    };
+
+    /**
+     * Whole grade for a percentage
+     * @param {number} percentage - Result in percent
+     * @param {Object} scale - Scale from load()
+     * @returns {number} - Grade 1–5
+     */
+    const gradeFromPercentage = (percentage, scale = DEFAULT_SCALE) => findBand(percentage, scale).band.grade;
+
+    /**
+     * Grade as shown to users, e.g. "4" or "4+" when the scale uses plus/minus grades
+     * @param {number} percentage - Result in percent
+     * @param {Object} scale - Scale from load()
+     * @returns {string} - Grade mark
+     */
+    const markFromPercentage = (percentage, scale = DEFAULT_SCALE) => {
+        const {band, upper} = findBand(percentage, scale);
+        const grade = band.grade;
+        if (!scale.plus_minus) return String(grade);
+
+        const range = scale.modifier_range;
+        if (grade < 5 && upper - percentage <= range) return `${grade}+`;
+        if (grade > 1 && percentage - band.min < range) return `${grade}-`;
+        return String(grade);
+    };
+
+    /**
+     * Grade mark for points
+     * @param {number} points - Points achieved
+     * @param {number} maxPoints - Maximum points
+     * @param {Object} scale - Scale from load()
+     * @returns {string} - Grade mark, empty when maxPoints is not positive
+     */
+    const markFromPoints = (points, maxPoints, scale = DEFAULT_SCALE) =>
+        maxPoints > 0 ? markFromPercentage((points / maxPoints) * 100, scale) : '';
+
+    /**
+     * Percentage that stands for a grade mark, used for the grade presets
+     *
+     * A whole grade is the middle of its band, "+" the top and "-" the bottom of it.
+     * @param {string|number} mark - Grade mark, e.g. 4, "4+" or "3-"
+     * @param {Object} scale - Scale from load()
+     * @returns {number|null} - Percentage, null for an unknown grade
+     */
+    const percentageFromMark = (mark, scale = DEFAULT_SCALE) => {
+        const [, gradeText, modifier] = String(mark).match(/^([1-5])([+-]?)$/) || [];
+        const index = scale.grades.findIndex(band => band.grade === parseInt(gradeText, 10));
+        if (index === -1) return null;
+
+        const min = scale.grades[index].min;
+        const upper = index > 0 ? scale.grades[index - 1].min : 100;
+        const range = Math.min(scale.modifier_range, (upper - min) / 2);
+
+        if (modifier === '+') return upper - range / 2;
+        if (modifier === '-') return min + range / 2;
+        return (min + upper) / 2;
+    };
+
+    /**
+     * Points that stand for a grade mark, rounded to half points without leaving the grade's band
+     * @param {string|number} mark - Grade mark
+     * @param {number} maxPoints - Maximum points
+     * @param {Object} scale - Scale from load()
+     * @returns {number|null} - Points, null for an unknown grade
+     */
+    const pointsFromMark = (mark, maxPoints, scale = DEFAULT_SCALE) => {
+        const percentage = percentageFromMark(mark, scale);
+        if (percentage === null || !(maxPoints > 0)) return null;
+
+        const grade = gradeFromPercentage(percentage, scale);
+        const points = Math.round((percentage / 100) * maxPoints * 2) / 2;
+        if (gradeFromPercentage((points / maxPoints) * 100, scale) === grade) return points;
+
+        // Small tests may have no half point inside a narrow band, fall back to exact points
+        return Math.round((percentage / 100) * maxPoints * 100) / 100;
+    };
+
+    /**
+     * Minimum percentage for a whole grade
+     * @param {number} grade - Grade 1–5
+     * @param {Object} scale - Scale from load()
+     * @returns {number|null} - Minimum percentage, null for an unknown grade
+     */
+    const minPercentage = (grade, scale = DEFAULT_SCALE) => {
+        const band = scale.grades.find(item => item.grade === grade);
+        return band ? band.min : null;
+    };
+
+    /**
+     * Label for a whole grade, e.g. "Prav dobro"
+     * @param {number} grade - Grade 1–5
+     * @param {Object} scale - Scale from load()
+     * @returns {string} - Label
+     */
+    const label = (grade, scale = DEFAULT_SCALE) => {
+        const band = scale.grades.find(item => item.grade === grade);
+        if (!band) return '';
+        // Catalog labels follow the page language, the label sent by the server is the fallback
+        return i18n.has(`grades.label.${grade}`) ? i18n.t(`grades.label.${grade}`) : band.label;
+    };
+
+    /**
+     * Recolor every [data-grade-percentage] element inside root with the scale
+     *
+     * Sets the grade-N class, a title with the grade and data-grade-mark, which grade detail
+     * modals can show through data-fill="gradeMark".
+     * @param {HTMLElement|Document} root - Element to update
+     * @param {Object} scale - Scale from load()
+     */
+    const applyTo = (root, scale = DEFAULT_SCALE) => {
+        root.querySelectorAll('[data-grade-percentage]').forEach(element => {
+            const percentage = parseFloat(element.dataset.gradePercentage);
+            if (isNaN(percentage)) return;
+
+            const grade = gradeFromPercentage(percentage, scale);
+            const mark = markFromPercentage(percentage, scale);
+
+            element.classList.remove('grade-1', 'grade-2', 'grade-3', 'grade-4', 'grade-5');
+            element.classList.add(`grade-${grade}`);
+            element.dataset.gradeMark = mark;
+            element.title = `${label(grade, scale)} (${mark})`;
+        });
+    };
+
+    /**
+     * Fill a legend container with one entry per grade and its percentage range
+     * @param {HTMLElement} container - Legend container
+     * @param {Object} scale - Scale from load()
+     */
+    const renderLegend = (container, scale = DEFAULT_SCALE) => {
+        container.innerHTML = '';
+
+        // Thresholds may have decimals (61.5), whole ones are shown without
+        const bound = value => i18n.formatPercent(value, Number.isInteger(value) ? 0 : Math.min(String(value).split('.')[1].length, 2));
+
+        scale.grades.forEach((band, index) => {
+            // A band reaches up to, but not including, the minimum of the band above it
+            const upper = index > 0 ? scale.grades[index - 1].min : null;
+            let range;
+            if (upper === null) range = `≥${bound(band.min)}`;
+            else if (band.min <= 0) range = `<${bound(upper)}`;
+            else range = i18n.t('grades.range', {min: bound(band.min), max: bound(upper)});
+
+            const entry = document.createElement('div');
+            entry.className = 'd-flex items-center gap-xs';
+
+            const badge = document.createElement('div');
+            badge.className = `grade grade-${band.grade}`;
+            badge.style.width = '30px';
+            badge.style.textAlign = 'center';
+            badge.textContent = String(band.grade);
+
+            const text = document.createElement('span');
+            text.textContent = `${label(band.grade, scale)} (${range})`;
+
+            entry.append(badge, text);
+            container.appendChild(entry);
+        });
+
+        if (scale.plus_minus) {
+            const note = document.createElement('span');
+            note.className = 'text-secondary text-sm';
+            note.textContent = i18n.t('grades.plusMinusNote', {range: bound(scale.modifier_range)});
+            container.appendChild(note);
+        }
+    };
+
+    return {
+        DEFAULT_SCALE,
+        load,
+        gradeFromPercentage,
+        markFromPercentage,
+        markFromPoints,
+        percentageFromMark,
+        pointsFromMark,
+        minPercentage,
+        label,
+        applyTo,
+        renderLegend
+    };
+})();
+window.gradingScale = gradingScale;
+
+/**
+ * Apply grading scales to grade views
+ *
+ * Every [data-grading-scale] element is recolored with the scale of the class-subject in its
+ * data-class-subject-id (the school-wide scale without one), [data-grade-legend] containers are
+ * redrawn the same way.
+ */
+function initGradingScales() {
+    document.querySelectorAll('[data-grading-scale]').forEach(element => {
+        gradingScale.load(element.dataset.classSubjectId || null).then(scale => gradingScale.applyTo(element, scale));
+    });
+
+    document.querySelectorAll('[data-grade-legend]').forEach(legend => {
+        gradingScale.load(legend.dataset.classSubjectId || null).then(scale => gradingScale.renderLegend(legend, scale));
+    });
+}
+
+/**
+ * Inline SVG charts for grade analytics
+ *
+ * Each render function replaces the contents of a container with a responsive SVG
+ * (fixed viewBox, 100% width) that has a <title> for screen readers.
+ */
+const gradeCharts = (function () {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // Items may carry their own grade when they come from subjects with different scales
+    const itemGrade = (item, scale) => item.grade ?? gradingScale.gradeFromPercentage(item.percentage, scale);
+
+    const svgElement = (name, attributes = {}, text = null) => {
+        const element = document.createElementNS(SVG_NS, name);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, String(value)));
+        if (text !== null) element.textContent = text;
+        return element;
+    };
+
+    const createSvg = (container, width, height, title) => {
+        container.innerHTML = '';
+        const svg = svgElement('svg', {
+            viewBox: `0 0 ${width} ${height}`,
+            class: 'grade-chart-svg',
+            role: 'img',
+            preserveAspectRatio: 'xMidYMid meet'
+        });
+        svg.appendChild(svgElement('title', {}, title));
+        container.appendChild(svg);
+        return svg;
+    };
+
+    const showEmpty = (container, message) => {
+        container.innerHTML = '';
+        const empty = document.createElement('p');
+        empty.className = 'text-secondary text-sm';
+        empty.textContent = message;
+        container.appendChild(empty);
+    };
+
+    const shortDate = (date) => i18n.formatDate(date, 'short');
+
+    const truncate = (text, length) => text.length > length ? `${text.slice(0, length - 1)}…` : text;
+
+    /**
+     * Running average over time, with each result as a dot and grade thresholds as guides
+     * @param {HTMLElement} container - Chart container
+     * @param {Object[]} items - Graded items with percentage and optional date
+     * @param {Object} scale - Grading scale for the guides
+     */
+    const renderTrend = (container, items, scale = gradingScale.DEFAULT_SCALE) => {
+        if (items.length === 0) {
+            showEmpty(container, i18n.t('charts.noGrades'));
+            return;
+        }
+
+        // Dated items in date order, undated ones after them in page order
+        const sorted = [...items].sort((a, b) => {
+            if (a.date && b.date && a.date !== b.date) return a.date < b.date ? -1 : 1;
+            if (a.date && !b.date) return -1;
+            if (!a.date && b.date) return 1;
+            return 0;
+        });
+
+        const width = 400, height = 200;
+        const left = 32, right = 20, top = 10, bottom = 26;
+        const plotWidth = width - left - right;
+        const plotHeight = height - top - bottom;
+        const x = (index) => left + (sorted.length === 1 ? plotWidth / 2 : (index / (sorted.length - 1)) * plotWidth);
+        const y = (percentage) => top + plotHeight - (Math.max(0, Math.min(100, percentage)) / 100) * plotHeight;
+
+        let sum = 0;
+        const running = sorted.map((item, index) => {
+            sum += item.percentage;
+            return sum / (index + 1);
+        });
+
+        const last = running[running.length - 1];
+        const svg = createSvg(container, width, height, i18n.t('charts.trendTitle', {average: i18n.formatPercent(last)}));
+
+        [0, 50, 100].forEach(value => {
+            svg.appendChild(svgElement('text', {x: left - 6, y: y(value) + 4, class: 'chart-label', 'text-anchor': 'end'}, String(value)));
+        });
+
+        svg.appendChild(svgElement('line', {x1: left, y1: y(0), x2: left + plotWidth, y2: y(0), class: 'chart-axis'}));
+
+        scale.grades.filter(threshold => threshold.min > 0).forEach(threshold => {
+            svg.appendChild(svgElement('line', {x1: left, y1: y(threshold.min), x2: left + plotWidth, y2: y(threshold.min), class: 'chart-guide'}));
+            svg.appendChild(svgElement('text', {x: width - 4, y: y(threshold.min) + 4, class: 'chart-label', 'text-anchor': 'end'}, String(threshold.grade)));
+        });
+
+        svg.appendChild(svgElement('polyline', {
+            points: running.map((value, index) => `${x(index)},${y(value)}`).join(' '),
+            class: 'chart-line'
+        }));
+
+        sorted.forEach((item, index) => {
+            const dot = svgElement('circle', {cx: x(index), cy: y(item.percentage), r: 4, class: `chart-dot chart-grade-${itemGrade(item, scale)}`});
+            dot.appendChild(svgElement('title', {}, i18n.t('charts.trendPoint', {
+                name: item.date ? `${item.name} (${shortDate(item.date)})` : item.name,
+                result: i18n.formatPercent(item.percentage),
+                average: i18n.formatPercent(running[index])
+            })));
+            svg.appendChild(dot);
+        });
+
+        // Label at most about six dates so they never overlap
+        const step = Math.max(1, Math.ceil(sorted.length / 6));
+        sorted.forEach((item, index) => {
+            if (!item.date || (index % step !== 0 && index !== sorted.length - 1)) return;
+            svg.appendChild(svgElement('text', {x: x(index), y: height - 8, class: 'chart-label', 'text-anchor': 'middle'}, shortDate(item.date)));
+        });
+    };
+
+    /**
+     * Bar chart with the number of results per grade 1–5
+     * @param {HTMLElement} container - Chart container
+     * @param {Object[]} items - Graded items with percentage
+     * @param {Object} scale - Grading scale for items without their own grade
+     */
+    const renderDistribution = (container, items, scale = gradingScale.DEFAULT_SCALE) => {
+        if (items.length === 0) {
+            showEmpty(container, i18n.t('charts.noGrades'));
+            return;
+        }
+
+        const counts = [1, 2, 3, 4, 5].map(grade => items.filter(item => itemGrade(item, scale) === grade).length);
+        const maxCount = Math.max(...counts);
+
+        const width = 400, height = 200;
+        const top = 20, bottom = 26, slot = width / 5, barWidth = slot * 0.55;
+        const plotHeight = height - top - bottom;
+
+        const svg = createSvg(container, width, height,
+            i18n.t('charts.distributionTitle', {
+                counts: counts.map((count, index) => i18n.t('charts.distributionItem', {grade: index + 1, count})).join(', ')
+            }));
+
+        svg.appendChild(svgElement('line', {x1: 0, y1: top + plotHeight, x2: width, y2: top + plotHeight, class: 'chart-axis'}));
+
+        counts.forEach((count, index) => {
+            const barHeight = maxCount ? (count / maxCount) * plotHeight : 0;
+            const barX = index * slot + (slot - barWidth) / 2;
+            const barY = top + plotHeight - barHeight;
+
+            if (count > 0) svg.appendChild(svgElement('rect', {x: barX, y: barY, width: barWidth, height: barHeight, rx: 4, class: `chart-bar chart-grade-${index + 1}`}));
+            svg.appendChild(svgElement('text', {x: barX + barWidth / 2, y: barY - 5, class: 'chart-value', 'text-anchor': 'middle'}, String(count)));
+            svg.appendChild(svgElement('text', {x: barX + barWidth / 2, y: height - 8, class: 'chart-label', 'text-anchor': 'middle'}, String(index + 1)));
+        });
+    };
+
+    /**
+     * Horizontal bars comparing each result with the class average for that item
+     * @param {HTMLElement} container - Chart container
+     * @param {Object[]} items - Graded items with percentage and classAverage
+     */
+    const renderComparison = (container, items) => {
+        if (items.length === 0) {
+            showEmpty(container, i18n.t('charts.noClassAverage'));
+            return;
+        }
+
+        const width = 400, rowHeight = 30, legendHeight = 22;
+        const labelWidth = 130, valueWidth = 44;
+        const barArea = width - labelWidth - valueWidth;
+        const height = legendHeight + items.length * rowHeight;
+
+        const svg = createSvg(container, width, height, i18n.t('charts.comparisonTitle'));
+
+        svg.appendChild(svgElement('rect', {x: labelWidth, y: 4, width: 10, height: 10, class: 'chart-bar chart-own'}));
+        svg.appendChild(svgElement('text', {x: labelWidth + 14, y: 13, class: 'chart-label'}, i18n.t('charts.ownResult')));
+        svg.appendChild(svgElement('rect', {x: labelWidth + 110, y: 4, width: 10, height: 10, class: 'chart-bar chart-class'}));
+        svg.appendChild(svgElement('text', {x: labelWidth + 124, y: 13, class: 'chart-label'}, i18n.t('charts.classAverage')));
+
+        items.forEach((item, index) => {
+            const rowTop = legendHeight + index * rowHeight;
+            const group = svgElement('g');
+            group.appendChild(svgElement('title', {}, i18n.t('charts.comparisonItem', {
+                name: item.name,
+                result: i18n.formatPercent(item.percentage),
+                average: i18n.formatPercent(item.classAverage)
+            })));
+
+            group.appendChild(svgElement('text', {x: 0, y: rowTop + 18, class: 'chart-label'}, truncate(item.name, 20)));
+            group.appendChild(svgElement('rect', {x: labelWidth, y: rowTop + 4, width: Math.max(1, barArea * item.percentage / 100), height: 10, rx: 2, class: 'chart-bar chart-own'}));
+            group.appendChild(svgElement('rect', {x: labelWidth, y: rowTop + 16, width: Math.max(1, barArea * item.classAverage / 100), height: 8, rx: 2, class: 'chart-bar chart-class'}));
+
+            const difference = item.percentage - item.classAverage;
+            group.appendChild(svgElement('text', {
+                x: width,
+                y: rowTop + 18,
+                class: `chart-value ${difference >= 0 ? 'chart-positive' : 'chart-negative'}`,
+                'text-anchor': 'end'
+            }, `${difference >= 0 ? '+' : ''}${i18n.formatNumber(difference, 0)}`));
+
+            svg.appendChild(group);
+        });
+    };
+
+    /**
+     * Describes the score needed on the next test to reach a grade, averages are unweighted like on the grade pages
+     * @param {number[]} percentages - Existing results in percent
+     * @param {number} grade - Target grade 2–5
+     * @param {number} maxPoints - Maximum points of the next test
+     * @param {Object} scale - Grading scale of the subject
+     * @returns {string} - Sentence for the user
+     */
+    const describeRequiredScore = (percentages, grade, maxPoints, scale = gradingScale.DEFAULT_SCALE) => {
+        const threshold = scale.grades.find(item => item.grade === grade);
+        if (!threshold || threshold.min <= 0) return '';
+        if (!maxPoints || maxPoints <= 0) return i18n.t('analytics.enterMaxPoints');
+
+        const count = percentages.length;
+        const sum = percentages.reduce((total, value) => total + value, 0);
+        const needed = threshold.min * (count + 1) - sum;
+
+        if (needed <= 0) {
+            return i18n.t('analytics.alreadyReached', {grade});
+        }
+
+        if (needed > 100) {
+            // Number of perfect results that would be needed instead
+            const tests = Math.ceil((threshold.min * count - sum) / (100 - threshold.min));
+            return i18n.t('analytics.unreachable', {grade, count: tests});
+        }
+
+        // Round up to half points, the smallest step teachers use
+        const points = Math.min(maxPoints, Math.ceil((needed / 100) * maxPoints * 2) / 2);
+        return i18n.t('analytics.required', {grade, points, maxPoints, percent: i18n.formatPercent(needed)});
+    };
+
+    return {
+        renderTrend,
+        renderDistribution,
+        renderComparison,
+        describeRequiredScore
+    };
+})();
+
+/**
+ * Attendance calendar, subject heatmap and absence summary
+ *
+ * Each render function replaces the contents of a container with a table built from records as
+ * returned by getStudentAttendance (api/attendance.php). Colours come with a title and an
+ * accessible label per cell, so the views also work without them.
+ */
+const attendanceCharts = (function () {
+    const CATEGORIES = ['present', 'late', 'absent', 'justified', 'pending'];
+
+    // When a day has several periods, the cell takes the colour of the most serious one
+    const SEVERITY = {present: 0, justified: 1, pending: 2, late: 3, absent: 4};
+
+    /**
+     * Category of an attendance record
+     * @param {Object} record - Record with status, approved and the submitted justification
+     * @returns {string} - 'present', 'late', 'absent' (unexcused), 'justified' or 'pending'
+     */
+    const categorize = record => {
+        if (record.status === 'P') return 'present';
+
+        const reviewed = record.approved !== null && record.approved !== undefined;
+        if (reviewed && Number(record.approved) === 1) return 'justified';
+        if (!reviewed && (record.justification || record.justification_file)) return 'pending';
+
+        // Rejected justifications count as unexcused
+        return record.status === 'L' ? 'late' : 'absent';
+    };
+
+    const categoryLabel = category => i18n.t(`attendanceOverview.category.${category}`);
+
+    const element = (tag, className = '', text = null) => {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== null) node.textContent = text;
+        return node;
+    };
+
+    const showMessage = (container, message) => {
+        container.innerHTML = '';
+        container.appendChild(element('p', 'text-secondary text-sm', message));
+    };
+
+    // Records carry 'YYYY-MM-DD' dates, read as local days
+    const toDay = value => {
+        const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+        return new Date(year, month - 1, day);
+    };
+
+    const weekStart = date => new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+
+    const dayKey = date => formatDate(date, 'yyyy-mm-dd');
+
+    const createTable = (className, caption) => {
+        const table = element('table', className);
+        table.appendChild(element('caption', 'sr-only', caption));
+        return table;
+    };
+
+    const headerCell = (text, scope, title = null) => {
+        const th = element('th', '', text);
+        th.scope = scope;
+        if (title) th.title = title;
+        return th;
+    };
+
+    const periodText = record => i18n.t('attendanceOverview.period', {
+        subject: record.subject_name,
+        period: record.period_label,
+        category: categoryLabel(categorize(record))
+    });
+
+    const renderLegend = container => {
+        container.innerHTML = '';
+        CATEGORIES.forEach(category => {
+            const item = element('span', 'attendance-legend-item');
+            item.append(element('span', `attendance-swatch attendance-${category}`), categoryLabel(category));
+            container.appendChild(item);
+        });
+    };
+
+    /**
+     * Month calendar with a marker for every period, weeks starting on Monday
+     * @param {HTMLElement} container - Calendar container
+     * @param {Object[]} records - Attendance records
+     * @param {Date} month - Any day in the month to show
+     * @param {string|null} justifyUrl - Form for unexcused absences, markers link to it with ?att_id=
+     */
+    const renderCalendar = (container, records, month, justifyUrl = null) => {
+        const year = month.getFullYear();
+        const monthIndex = month.getMonth();
+        const todayKey = dayKey(new Date());
+
+        const byDay = new Map();
+        records.forEach(record => {
+            const key = String(record.date).slice(0, 10);
+            if (!byDay.has(key)) byDay.set(key, []);
+            byDay.get(key).push(record);
+        });
+
+        container.innerHTML = '';
+        const table = createTable('attendance-calendar', i18n.t('attendanceOverview.calendarCaption', {month: i18n.formatDate(month, 'month')}));
+
+        // 1 January 2024 was a Monday
+        const headRow = table.createTHead().insertRow();
+        for (let day = 0; day < 7; day++) {
+            const date = new Date(2024, 0, 1 + day);
+            headRow.appendChild(headerCell(i18n.formatDate(date, {weekday: 'short'}), 'col', i18n.formatDate(date, 'weekday')));
+        }
+
+        const body = table.createTBody();
+        const end = new Date(year, monthIndex + 1, 1);
+        let row = null;
+
+        for (const date = weekStart(new Date(year, monthIndex, 1)); date < end || date.getDay() !== 1; date.setDate(date.getDate() + 1)) {
+            if (date.getDay() === 1) row = body.insertRow();
+
+            const cell = row.insertCell();
+            if (date.getMonth() !== monthIndex) {
+                cell.className = 'attendance-day attendance-day-outside';
+            } else {
+                const key = dayKey(date);
+                const dayRecords = (byDay.get(key) || []).slice()
+                    .sort((a, b) => String(a.period_label).localeCompare(String(b.period_label), undefined, {numeric: true}));
+
+                cell.className = 'attendance-day';
+                if (key === todayKey) cell.classList.add('is-today');
+                if (date.getDay() === 0 || date.getDay() === 6) cell.classList.add('attendance-day-weekend');
+                cell.appendChild(element('span', 'attendance-day-number', String(date.getDate())));
+
+                if (dayRecords.length) {
+                    const worst = dayRecords.map(categorize).reduce((a, b) => (SEVERITY[b] > SEVERITY[a] ? b : a));
+                    cell.classList.add(`attendance-day-${worst}`);
+
+                    const markers = element('div', 'attendance-day-markers');
+                    dayRecords.forEach(record => {
+                        const category = categorize(record);
+                        let marker;
+
+                        if (category === 'absent' && justifyUrl && record.att_id) {
+                            marker = element('a');
+                            marker.href = `${justifyUrl}?att_id=${encodeURIComponent(record.att_id)}`;
+                            marker.setAttribute('aria-label', i18n.t('attendanceOverview.justify', {period: periodText(record)}));
+                        } else {
+                            marker = element('span');
+                            marker.setAttribute('role', 'img');
+                            marker.setAttribute('aria-label', periodText(record));
+                        }
+
+                        marker.className = `attendance-marker attendance-${category}`;
+                        marker.title = marker.getAttribute('aria-label');
+                        markers.appendChild(marker);
+                    });
+                    cell.appendChild(markers);
+                }
+            }
+        }
+
+        container.appendChild(table);
+    };
+
+    /**
+     * Subjects by school week, shaded by the share of periods missed
+     * @param {HTMLElement} container - Heatmap container
+     * @param {Object[]} records - Attendance records
+     */
+    const renderHeatmap = (container, records) => {
+        if (!records.length) {
+            showMessage(container, i18n.t('attendanceOverview.noRecords'));
+            return;
+        }
+
+        const subjects = [...new Set(records.map(record => record.subject_name))].sort((a, b) => a.localeCompare(b));
+        const weeks = new Map();
+        records.forEach(record => {
+            const key = `${record.subject_name}|${dayKey(weekStart(toDay(record.date)))}`;
+            if (!weeks.has(key)) weeks.set(key, {total: 0, absent: 0, late: 0});
+
+            const week = weeks.get(key);
+            week.total++;
+            if (record.status === 'A') week.absent++;
+            if (record.status === 'L') week.late++;
+        });
+
+        // Every week between the first and the last record, so gaps show as empty columns
+        const starts = records.map(record => weekStart(toDay(record.date)).getTime());
+        const columns = [];
+        for (const date = new Date(Math.min(...starts)); date.getTime() <= Math.max(...starts); date.setDate(date.getDate() + 7)) {
+            columns.push(new Date(date));
+        }
+
+        container.innerHTML = '';
+        const wrapper = element('div', 'table-responsive');
+        const table = createTable('attendance-heatmap', i18n.t('attendanceOverview.heatmapCaption'));
+
+        const headRow = table.createTHead().insertRow();
+        headRow.appendChild(headerCell(i18n.t('attendanceOverview.subject'), 'col'));
+        columns.forEach(start => headRow.appendChild(headerCell(i18n.formatDate(start, 'short'), 'col', i18n.t('attendanceOverview.weekOf', {date: i18n.formatDate(start)}))));
+
+        const body = table.createTBody();
+        subjects.forEach(subject => {
+            const row = body.insertRow();
+            row.appendChild(headerCell(subject, 'row'));
+
+            columns.forEach(start => {
+                const cell = row.insertCell();
+                const week = weeks.get(`${subject}|${dayKey(start)}`);
+                if (!week) {
+                    cell.className = 'attendance-heat attendance-heat-none';
+                    return;
+                }
+
+                // Four shades of absence; weeks with only late arrivals get the late colour
+                const level = week.absent ? Math.ceil((week.absent / week.total) * 4) : 0;
+                cell.className = `attendance-heat attendance-heat-${level === 0 && week.late ? 'late' : level}`;
+                if (week.absent) cell.textContent = String(week.absent);
+
+                const label = i18n.t('attendanceOverview.heatmapCell', {
+                    subject,
+                    week: i18n.formatDate(start),
+                    absent: week.absent,
+                    late: week.late,
+                    total: week.total
+                });
+                cell.title = label;
+                cell.setAttribute('aria-label', label);
+            });
+        });
+
+        wrapper.appendChild(table);
+        container.appendChild(wrapper);
+    };
+
+    /**
+     * Absent hours per subject against the allowed share, and the weekday with most absences
+     * @param {HTMLElement} container - Summary container
+     * @param {Object[]} records - Attendance records
+     * @param {number} threshold - Allowed absence in percent of a subject's periods
+     */
+    const renderAbsenceSummary = (container, records, threshold) => {
+        if (!records.length) {
+            showMessage(container, i18n.t('attendanceOverview.noRecords'));
+            return;
+        }
+
+        const subjects = new Map();
+        const weekdays = new Array(7).fill(0);
+        records.forEach(record => {
+            if (!subjects.has(record.subject_name)) subjects.set(record.subject_name, {total: 0, absent: 0, unexcused: 0});
+
+            const subject = subjects.get(record.subject_name);
+            subject.total++;
+            if (record.status !== 'A') return;
+
+            subject.absent++;
+            if (categorize(record) === 'absent') subject.unexcused++;
+            weekdays[toDay(record.date).getDay()]++;
+        });
+
+        container.innerHTML = '';
+        const wrapper = element('div', 'table-responsive');
+        const table = createTable('data-table attendance-absence-table', i18n.t('attendanceOverview.summaryCaption', {percent: i18n.formatPercent(threshold, 0)}));
+
+        const headRow = table.createTHead().insertRow();
+        ['subject', 'hoursAbsent', 'unexcused', 'share', 'state'].forEach(column => headRow.appendChild(headerCell(i18n.t(`attendanceOverview.${column}`), 'col')));
+
+        const body = table.createTBody();
+        [...subjects.entries()]
+            .map(([name, subject]) => ({name, ...subject, percent: (subject.absent / subject.total) * 100}))
+            .sort((a, b) => b.percent - a.percent || a.name.localeCompare(b.name))
+            .forEach(subject => {
+                const row = body.insertRow();
+                row.appendChild(headerCell(subject.name, 'row'));
+                row.insertCell().textContent = `${subject.absent} / ${subject.total}`;
+                row.insertCell().textContent = String(subject.unexcused);
+
+                // The bar spans twice the threshold, so the limit sits in the middle
+                const state = subject.percent > threshold ? 'over' : (subject.percent >= threshold * 0.75 ? 'near' : 'ok');
+                const bar = element('div', `attendance-threshold-bar attendance-threshold-${state}`);
+                const fill = element('span', 'attendance-threshold-fill');
+                fill.style.width = `${Math.min(100, threshold > 0 ? (subject.percent / (threshold * 2)) * 100 : 100)}%`;
+                bar.append(fill, element('span', 'attendance-threshold-limit'));
+                bar.title = i18n.t('attendanceOverview.limit', {percent: i18n.formatPercent(threshold, 0)});
+
+                const shareCell = row.insertCell();
+                shareCell.append(element('span', 'attendance-threshold-value', i18n.formatPercent(subject.percent)), bar);
+
+                const badgeClass = {ok: 'status-success', near: 'status-warning', over: 'status-error'}[state];
+                row.insertCell().appendChild(element('span', `badge ${badgeClass}`, i18n.t(`attendanceOverview.state.${state}`)));
+            });
+
+        wrapper.appendChild(table);
+        container.appendChild(wrapper);
+
+        // Only worth pointing out when one weekday stands out
+        const most = Math.max(...weekdays);
+        if (most >= 2 && weekdays.filter(count => count === most).length === 1) {
+            const weekday = new Date(2024, 0, 7 + weekdays.indexOf(most));
+            container.appendChild(element('p', 'text-sm text-secondary mt-sm', i18n.t('attendanceOverview.weekdayPattern', {
+                weekday: i18n.formatDate(weekday, 'weekday'),
+                count: most
+            })));
+        }
+    };
+
+    return {
+        categorize,
+        showMessage,
+        renderLegend,
+        renderCalendar,
+        renderHeatmap,
+        renderAbsenceSummary
+    };
+})();
+
+/**
+ * Printable report cards, exposed as window.reportCards
+ *
+ * Builds a print-only document with one page per student (school header, grades by subject,
+ * averages, final grades and attendance totals) and opens the browser print dialog, which can
+ * also save it as PDF. Grade pages read the grades from their subject cards, the gradebook
+ * loads a whole class from api/grades.php. Attendance comes from api/attendance.php.
+ */
+const reportCards = (function () {
+    const ROOT_ID = 'reportCardPrint';
+
+    // Parallel attendance requests when printing a whole class
+    const CONCURRENCY = 4;
+
+    const element = (tag, className = '', text = null) => {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== null) node.textContent = text;
+        return node;
+    };
+
+    // Run task for every value, at most `limit` at a time, results in the order of values
+    const mapLimit = (values, limit, task) => {
+        const results = new Array(values.length);
+        let next = 0;
+
+        const worker = () => {
+            if (next >= values.length) return Promise.resolve();
+            const index = next++;
+            return task(values[index]).then(result => {
+                results[index] = result;
+                return worker();
+            });
+        };
+
+        return Promise.all(Array.from({length: Math.min(limit, values.length)}, worker)).then(() => results);
+    };
+
+    const gradedItem = (name, date, points, maxPoints) => ({
+        name,
+        date: date || null,
+        points,
+        maxPoints,
+        percentage: points === null || !maxPoints ? null : (points / maxPoints) * 100
+    });
+
+    // Average of the graded items and the final grade on the subject's own scale
+    const summarizeSubject = subject => gradingScale.load(subject.classSubjectId || null).then(scale => {
+        const graded = subject.items.filter(item => item.percentage !== null);
+        graded.forEach(item => item.grade = gradingScale.gradeFromPercentage(item.percentage, scale));
+
+        const average = graded.length ? graded.reduce((sum, item) => sum + item.percentage, 0) / graded.length : null;
+        const grade = average === null ? null : gradingScale.gradeFromPercentage(average, scale);
+
+        return {...subject, average, grade, label: grade === null ? '' : gradingScale.label(grade, scale)};
+    });
+
+    /**
+     * Attendance totals of a student, only periods of classId when given
+     * @returns {Promise<Object|null>} - total, present, late, excused, unexcused and pending; null when unavailable
+     */
+    const loadAttendance = (studentId, classId = null) => api.get('attendance', null, {student_id: studentId}, {loading: false})
+        .then(data => {
+            const totals = {total: 0, present: 0, late: 0, excused: 0, unexcused: 0, pending: 0};
+
+            (data.attendance || [])
+                .filter(record => !classId || String(record.class_id) === String(classId))
+                .forEach(record => {
+                    totals.total++;
+                    if (record.status === 'P') totals.present++;
+                    else if (record.status === 'L') totals.late++;
+                    else totals[{justified: 'excused', pending: 'pending'}[attendanceCharts.categorize(record)] || 'unexcused']++;
+                });
+
+            return totals;
+        })
+        .catch(error => {
+            console.error('Error loading attendance for the report card:', error);
+            return null;
+        });
+
+    const buildCard = (student, subjects) => Promise.all([
+        Promise.all(subjects.map(summarizeSubject)),
+        loadAttendance(student.studentId, student.classId)
+    ]).then(([summaries, attendance]) => ({...student, subjects: summaries, attendance}));
+
+    /**
+     * School header from data-school-name, data-school-address and data-school-year
+     * @param {HTMLElement} source - Element carrying the attributes, usually the print button
+     */
+    const schoolFrom = source => ({
+        name: source.dataset.schoolName || '',
+        address: source.dataset.schoolAddress || '',
+        year: source.dataset.schoolYear || ''
+    });
+
+    /**
+     * Report card of one student from the [data-subject-card] cards of a grades page
+     * @param {Object} student - studentId, name, classId and classTitle
+     * @param {HTMLElement|Document} root - Page part with the subject cards
+     * @returns {Promise<Object>} - Card for print()
+     */
+    const fromPage = (student, root = document) => buildCard(student, Array.from(root.querySelectorAll('[data-subject-card]')).map(card => ({
+        classSubjectId: card.dataset.classSubjectId,
+        name: card.dataset.subjectName,
+        items: Array.from(card.querySelectorAll('[data-grade-row]')).map(row => gradedItem(
+            row.dataset.itemName,
+            row.dataset.date,
+            row.dataset.points === '' ? null : parseFloat(row.dataset.points),
+            parseFloat(row.dataset.maxPoints)
+        ))
+    })));
+
+    /**
+     * Report cards of a whole class with the given subjects
+     * @param {Object} options - classId, classTitle and subjects ({classSubjectId, name})
+     * @returns {Promise<Object[]>} - Cards in class list order
+     */
+    const fromClass = ({classId, classTitle, subjects}) => Promise.all(subjects.map(subject =>
+        api.post('grades', 'getClassGrades', {class_subject_id: subject.classSubjectId}).then(response => ({subject, data: response.data || {}}))
+    )).then(results => {
+        const students = results.length && Array.isArray(results[0].data.students) ? results[0].data.students : [];
+
+        return mapLimit(students, CONCURRENCY, student => buildCard({
+            studentId: student.student_id,
+            name: `${student.first_name} ${student.last_name}`,
+            classId,
+            classTitle
+        }, results.map(({subject, data}) => {
+            const grades = (data.grades && data.grades[student.enroll_id]) || {};
+            return {
+                classSubjectId: subject.classSubjectId,
+                name: subject.name,
+                items: (data.grade_items || []).map(item => gradedItem(
+                    item.name,
+                    item.date,
+                    grades[item.item_id] ? parseFloat(grades[item.item_id].points) : null,
+                    parseFloat(item.max_points)
+                ))
+            };
+        })));
+    });
+
+    const renderGrades = subject => {
+        const graded = subject.items.filter(item => item.percentage !== null);
+        if (!graded.length) return element('span', 'report-card-muted', i18n.t('reportCards.noGrades'));
+
+        const list = element('ul', 'report-card-grades');
+        graded.forEach(item => list.appendChild(element('li', '', i18n.t(item.date ? 'reportCards.item' : 'reportCards.itemUndated', {
+            name: item.name,
+            date: i18n.formatDate(item.date, 'short'),
+            grade: item.grade,
+            percent: i18n.formatPercent(item.percentage)
+        }))));
+        return list;
+    };
+
+    const renderCard = (card, school, printedOn) => {
+        const section = element('section', 'report-card');
+
+        const header = element('header', 'report-card-header');
+        header.appendChild(element('p', 'report-card-school', school.name));
+        if (school.address) header.appendChild(element('p', 'report-card-muted', school.address));
+        header.appendChild(element('h1', 'report-card-title', i18n.t('reportCards.title')));
+        if (school.year) header.appendChild(element('p', 'report-card-muted', i18n.t('reportCards.schoolYear', {year: school.year})));
+        section.appendChild(header);
+
+        const details = element('dl', 'report-card-details');
+        [['reportCards.student', card.name], ['reportCards.class', card.classTitle]].forEach(([key, value]) => {
+            details.append(element('dt', '', i18n.t(key)), element('dd', '', value || ''));
+        });
+        section.appendChild(details);
+
+        const table = element('table', 'report-card-table');
+        const headRow = table.createTHead().insertRow();
+        ['subject', 'grades', 'average', 'finalGrade'].forEach(column => {
+            const th = element('th', '', i18n.t(`reportCards.${column}`));
+            th.scope = 'col';
+            headRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        card.subjects.forEach(subject => {
+            const row = body.insertRow();
+            const name = element('th', '', subject.name);
+            name.scope = 'row';
+            row.appendChild(name);
+            row.insertCell().appendChild(renderGrades(subject));
+            row.insertCell().textContent = subject.average === null ? '/' : i18n.formatPercent(subject.average);
+            row.insertCell().textContent = subject.grade === null ? '/' : i18n.t('reportCards.finalGradeValue', {grade: subject.grade, label: subject.label});
+        });
+
+        // Average of the final grades, like on the school year certificate
+        const finals = card.subjects.filter(subject => subject.grade !== null).map(subject => subject.grade);
+        if (finals.length) {
+            const footRow = table.createTFoot().insertRow();
+            const cell = footRow.insertCell();
+            cell.colSpan = 4;
+            cell.textContent = i18n.t('reportCards.overallAverage', {average: i18n.formatNumber(finals.reduce((a, b) => a + b, 0) / finals.length, 2)});
+        }
+        section.appendChild(table);
+
+        section.appendChild(element('h2', 'report-card-heading', i18n.t('reportCards.attendance')));
+        const attendance = card.attendance;
+        if (!attendance) {
+            section.appendChild(element('p', 'report-card-muted', i18n.t('reportCards.attendanceUnavailable')));
+        } else if (!attendance.total) {
+            section.appendChild(element('p', 'report-card-muted', i18n.t('reportCards.noAttendance')));
+        } else {
+            section.appendChild(element('p', '', i18n.t('reportCards.attendanceTotals', attendance)));
+            section.appendChild(element('p', '', i18n.t('reportCards.absences', attendance)));
+        }
+
+        section.appendChild(element('footer', 'report-card-footer', i18n.t('reportCards.printed', {date: printedOn})));
+        return section;
+    };
+
+    /**
+     * Show only the report cards while the print dialog is open, each student on a new page
+     * @param {Object[]} cards - Cards from fromPage() or fromClass()
+     * @param {Object} school - Header from schoolFrom()
+     * @param {string} title - Document title for the dialog, browsers also use it as the PDF file name
+     */
+    const print = (cards, school, title = '') => {
+        const previous = document.getElementById(ROOT_ID);
+        if (previous) previous.remove();
+
+        const root = element('div', 'report-card-print');
+        root.id = ROOT_ID;
+        const printedOn = i18n.formatDate(new Date());
+        cards.forEach(card => root.appendChild(renderCard(card, school, printedOn)));
+        document.body.appendChild(root);
+        document.body.classList.add('report-card-printing');
+
+        const previousTitle = document.title;
+        if (title) document.title = title;
+
+        window.addEventListener('afterprint', () => {
+            root.remove();
+            document.body.classList.remove('report-card-printing');
+            document.title = previousTitle;
+        }, {once: true});
+
+        window.print();
+    };
+
+    return {
+        schoolFrom,
+        fromPage,
+        fromClass,
+        print
+    };
+})();
+
+window.reportCards = reportCards;
+
+/**
+ * Helper function to format dates consistently across the application
+ * @param {string|Date} date - The date to format
+ * @param {string} format - 'yyyy-mm-dd' for input values, otherwise an i18n.formatDate style (default: 'date')
+ * @returns {string} - The formatted date string
+ */
+function formatDate(date, format = 'date') {
+    if (!date) return '';
+
+    if (format === 'yyyy-mm-dd') {
+        const d = date instanceof Date ? date : new Date(date);
+        if (isNaN(d.getTime())) return '';
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    return i18n.formatDate(date, format === 'dd.mm.yyyy' ? 'date' : format);
+}
+
+/**
+ * Helper function to show a modal
+ * @param {string} modalId - The ID of the modal to show
+ */
+function showModal(modalId) {
+    modalUtils.openModal(modalId);
+}
+
+/**
+ * Helper function to hide a modal
+ * @param {string} modalId - The ID of the modal to hide
+ */
+function hideModal(modalId) {
+    modalUtils.closeModal(modalId);
+}
+
+/**
+ * Spreadsheet helpers for imports and exports, exposed as window.spreadsheetUtils
+ *
+ * Writes CSV (with a UTF-8 BOM so Excel reads č/š/ž correctly) and minimal XLSX workbooks
+ * without any library: the workbook is a stored (uncompressed) ZIP of SpreadsheetML parts.
+ * Reading supports CSV/TSV and the first worksheet of an XLSX file (deflated entries are
+ * unpacked with the browser's DecompressionStream). importWizard() drives the import modals.
+ * Rows are arrays of cells; a cell is a string, a number or null/undefined for an empty cell.
+ */
+const spreadsheetUtils = (function () {
+    const encoder = new TextEncoder();
+
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    const crc32 = (bytes) => {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    };
+
+    /**
+     * Builds a ZIP archive with stored entries
+     * @param {{name: string, content: string}[]} files - Archive entries
+     * @returns {Uint8Array} - The archive bytes
+     */
+    const createZip = (files) => {
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 file names
+            local.setUint16(8, 0, true); // Stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+
+            localParts.push(new Uint8Array(local.buffer), name, data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+        return zip;
+    };
+
+    const escapeXml = (value) => String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+    const columnName = (index) => {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        return name;
+    };
+
+    const isEmpty = (value) => value === null || value === undefined || value === '';
+
+    const worksheetXml = (rows, headerRows) => {
+        const rowsXml = rows.map((row, rowIndex) => {
+            const style = rowIndex < headerRows ? ' s="1"' : '';
+            const cells = row.map((value, colIndex) => {
+                if (isEmpty(value)) return '';
+                const ref = `${columnName(colIndex)}${rowIndex + 1}`;
+                if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+                return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+            }).join('');
+            return `<row r="${rowIndex + 1}">${cells}</row>`;
+        }).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<sheetData>${rowsXml}</sheetData></worksheet>`;
+    };
+
+    // Excel limits sheet names to 31 characters and forbids a few symbols
+    const sheetName = (name, index) => (String(name || '').replace(/[\[\]:*?\/\\]/g, ' ').trim() || `List${index + 1}`).slice(0, 31);
+
+    /**
+     * Builds an XLSX workbook
+     * @param {{name: string, rows: Array[], headerRows?: number}[]} sheets - Worksheets, header rows are bold
+     * @returns {Blob} - The workbook file
+     */
+    const createXlsx = (sheets) => {
+        const ns = 'http://schemas.openxmlformats.org';
+        const xmlHead = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+        const files = [
+            {
+                name: '[Content_Types].xml',
+                content: xmlHead + `<Types xmlns="${ns}/package/2006/content-types">` +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                    sheets.map((sheet, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: xmlHead + `<Relationships xmlns="${ns}/package/2006/relationships">` +
+                    `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>` +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: xmlHead + `<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships"><sheets>` +
+                    sheets.map((sheet, i) => `<sheet name="${escapeXml(sheetName(sheet.name, i))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+                    '</sheets></workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: xmlHead + `<Relationships xmlns="${ns}/package/2006/relationships">` +
+                    sheets.map((sheet, i) => `<Relationship Id="rId${i + 1}" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+                    `<Relationship Id="rId${sheets.length + 1}" Type="${ns}/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/styles.xml',
+                content: xmlHead + `<styleSheet xmlns="${ns}/spreadsheetml/2006/main">` +
+                    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                    '</styleSheet>'
+            },
+            ...sheets.map((sheet, i) => ({
+                name: `xl/worksheets/sheet${i + 1}.xml`,
+                content: worksheetXml(sheet.rows, sheet.headerRows || 0)
+            }))
+        ];
+
+        return new Blob([createZip(files)], {type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'});
+    };
+
+    // Text cells starting with these are run as formulas by Excel and LibreOffice
+    const FORMULA_START = /^[=+\-@\t\r]/;
+
+    /**
+     * Serializes rows to CSV text, quoting only cells that need it
+     *
+     * Text that would be read as a formula (comments, names) gets a leading ', parseCsv removes it again.
+     * @param {Array[]} rows - Table rows
+     * @param {Object} options - `delimiter` (default ';') and `decimalSeparator` (default '.')
+     * @returns {string} - CSV text with CRLF line endings
+     */
+    const toCsv = (rows, {delimiter = ';', decimalSeparator = '.'} = {}) => rows.map(row => row.map(value => {
+        if (isEmpty(value)) return '';
+
+        let text = typeof value === 'number' ? String(value).replace('.', decimalSeparator) : String(value);
+        if (typeof value !== 'number' && FORMULA_START.test(text)) text = `'${text}`;
+        if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) text = `"${text.replace(/"/g, '""')}"`;
+        return text;
+    }).join(delimiter)).join('\r\n');
+
+    /**
+     * Builds a CSV file with a UTF-8 byte order mark
+     * @param {Array[]} rows - Table rows
+     * @param {Object} options - Passed to toCsv
+     * @returns {Blob} - The CSV file
+     */
+    const createCsv = (rows, options = {}) => new Blob(['\uFEFF' + toCsv(rows, options)], {type: 'text/csv;charset=utf-8'});
+
+    /**
+     * Joins name parts into a safe file name, e.g. ['redovalnica', '1.A', 'Matematika'] → redovalnica_1.A_Matematika
+     * @param {string[]} parts - Name parts, empty parts are skipped
+     * @param {string} extension - File extension without the dot
+     * @returns {string} - The file name
+     */
+    const buildFilename = (parts, extension) => parts
+        .map(part => String(part ?? '').trim().replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, '-'))
+        .filter(Boolean)
+        .join('_') + `.${extension}`;
+
+    /**
+     * Triggers a browser download of a Blob
+     * @param {Blob} blob - File contents
+     * @param {string} filename - Suggested file name
+     */
+    const downloadBlob = (blob, filename) => {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    };
+
+    /**
+     * Parses CSV text, the delimiter is detected from the first line when not given
+     * @param {string} text - CSV contents
+     * @param {string|null} delimiter - Column delimiter or null to detect ; , or tab
+     * @returns {string[][]} - Rows of cell strings, fully empty rows are dropped
+     */
+    const parseCsv = (text, delimiter = null) => {
+        text = text.replace(/^\uFEFF/, '');
+
+        if (!delimiter) {
+            const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+            delimiter = [';', '\t', ','].reduce((best, candidate) =>
+                firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ';');
+        }
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        row.push(cell);
+        rows.push(row);
+
+        // Undo the formula escaping of toCsv, so exported files import unchanged
+        return rows
+            .map(cells => cells.map(value => value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value))
+            .filter(cells => cells.some(value => value.trim() !== ''));
+    };
+
+    // Returns the entries of a ZIP archive as {name: Promise<Uint8Array>}
+    const readZip = (buffer) => {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+        const decoder = new TextDecoder();
+
+        let endOffset = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054B50) {
+                endOffset = i;
+                break;
+            }
+        }
+        if (endOffset === -1) throw new Error(i18n.t('spreadsheet.invalidXlsx'));
+
+        const entries = {};
+        const count = view.getUint16(endOffset + 10, true);
+        let offset = view.getUint32(endOffset + 16, true);
+
+        for (let i = 0; i < count; i++) {
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            entries[name] = () => {
+                if (method === 0) return Promise.resolve(data);
+                if (method !== 8) return Promise.reject(new Error(i18n.t('spreadsheet.unsupportedCompression')));
+                const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                return new Response(stream).arrayBuffer().then(result => new Uint8Array(result));
+            };
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    };
+
+    const parseXml = (bytes) => new DOMParser().parseFromString(new TextDecoder().decode(bytes), 'application/xml');
+
+    // Namespace-agnostic lookup, some generators prefix SpreadsheetML elements
+    const byTag = (node, tag) => Array.from(node.getElementsByTagNameNS('*', tag));
+
+    const columnIndex = (ref) => {
+        const letters = (ref.match(/^[A-Z]+/) || ['A'])[0];
+        return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    };
+
+    /**
+     * Reads the first worksheet of an XLSX workbook
+     * @param {ArrayBuffer} buffer - The file contents
+     * @returns {Promise<Array[]>} - Rows of strings and numbers, fully empty rows are dropped
+     */
+    const readXlsx = (buffer) => {
+        let entries;
+        try {
+            entries = readZip(buffer);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        const readEntry = (name) => entries[name] ? entries[name]().then(parseXml) : Promise.resolve(null);
+
+        return Promise.all([readEntry('xl/workbook.xml'), readEntry('xl/_rels/workbook.xml.rels'), readEntry('xl/sharedStrings.xml')])
+            .then(([workbook, rels, sharedStringsXml]) => {
+                let sheetPath = 'xl/worksheets/sheet1.xml';
+                const firstSheet = workbook ? byTag(workbook, 'sheet')[0] : null;
+                if (firstSheet && rels) {
+                    const relId = firstSheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id');
+                    const rel = byTag(rels, 'Relationship').find(item => item.getAttribute('Id') === relId);
+                    if (rel) {
+                        const target = rel.getAttribute('Target');
+                        sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+                    }
+                }
+
+                const sharedStrings = sharedStringsXml
+                    ? byTag(sharedStringsXml, 'si').map(si => byTag(si, 't').map(t => t.textContent).join(''))
+                    : [];
+
+                if (!entries[sheetPath]) throw new Error(i18n.t('spreadsheet.noWorksheet'));
+
+                return readEntry(sheetPath).then(sheet => byTag(sheet, 'row').map(rowEl => {
+                    const row = [];
+                    byTag(rowEl, 'c').forEach((cellEl, position) => {
+                        const ref = cellEl.getAttribute('r');
+                        const index = ref ? columnIndex(ref) : position;
+                        const type = cellEl.getAttribute('t');
+                        const valueEl = byTag(cellEl, 'v')[0];
+                        const raw = valueEl ? valueEl.textContent : '';
+
+                        let value;
+                        if (type === 's') value = sharedStrings[Number(raw)] ?? '';
+                        else if (type === 'inlineStr') value = byTag(cellEl, 't').map(t => t.textContent).join('');
+                        else if (type === 'str' || type === 'e') value = raw;
+                        else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+                        else value = raw === '' ? '' : Number(raw);
+
+                        row[index] = value;
+                    });
+                    return Array.from(row, value => value ?? '');
+                }).filter(cells => cells.some(value => String(value).trim() !== '')));
+            });
+    };
+
+    /**
+     * Reads a CSV, TSV or XLSX file chosen by the user
+     * @param {File} file - The selected file
+     * @returns {Promise<Array[]>} - Table rows
+     */
+    const readFile = (file) => {
+        const extension = file.name.split('.').pop().toLowerCase();
+
+        if (extension === 'xlsx') return file.arrayBuffer().then(readXlsx);
+        if (['csv', 'tsv', 'txt'].includes(extension)) return file.text().then(text => parseCsv(text, extension === 'tsv' ? '\t' : null));
+
+        return Promise.reject(new Error(i18n.t('spreadsheet.unsupportedType')));
+    };
+
+    /**
+     * Wires the parts of an import modal that every page shares: the file input and drop zone,
+     * the steps (file → mapping → preview, optionally result), the column mapping preselected
+     * from the header row and the error message. Turning rows into records, the preview and
+     * saving stay with the page.
+     * @param {Object} options - Wizard elements and page callbacks
+     * @param {HTMLElement} options.modal - The import modal, data-step holds the current step
+     * @param {HTMLInputElement} options.fileInput - File input of the drop zone
+     * @param {HTMLElement} options.dropZone - Label that accepts dropped files
+     * @param {HTMLInputElement} options.hasHeader - "The first row contains column names" checkbox
+     * @param {Object<string, HTMLElement>} options.steps - Step containers by name (file, mapping, preview, result)
+     * @param {Object<string, HTMLButtonElement>} options.buttons - back, preview, save and optionally done
+     * @param {HTMLElement} options.error - Element for the error message
+     * @param {HTMLElement} options.fileInfo - Element for the file name with its row and column counts
+     * @param {Object<string, HTMLSelectElement>} options.columns - Mapping selects, data-optional ones get a "not in the file" choice
+     * @param {Object<string, RegExp>} options.columnHints - Header patterns, tried in this order and each column is preselected once
+     * @param {Function} [options.onLoad] - Called with (rows, file) before the mapping step, may return a promise
+     * @param {Function} options.onPreview - Called by the preview button to build the preview
+     * @returns {Object} - showStep(step), showError(message), dataRows() and reset()
+     */
+    const importWizard = (options) => {
+        const {modal, fileInput, dropZone, hasHeader, steps, buttons, error, fileInfo, columns, columnHints} = options;
+        let rows = [];
+
+        const showStep = (step) => {
+            Object.entries(steps).forEach(([name, element]) => {
+                element.style.display = name === step ? 'block' : 'none';
+            });
+            buttons.back.style.display = step === 'mapping' || step === 'preview' ? '' : 'none';
+            buttons.preview.style.display = step === 'mapping' ? '' : 'none';
+            buttons.save.style.display = step === 'preview' ? '' : 'none';
+            if (buttons.done) buttons.done.style.display = step === 'result' ? '' : 'none';
+            modal.dataset.step = step;
+        };
+
+        const showError = (message) => {
+            error.textContent = message;
+            error.style.display = message ? 'block' : 'none';
+        };
+
+        const fillColumns = (header) => {
+            const used = new Set();
+            Object.entries(columnHints).forEach(([key, hint]) => {
+                const select = columns[key];
+                select.innerHTML = '';
+                if (select.dataset.optional) select.add(new Option(i18n.t('spreadsheet.noColumn'), ''));
+                header.forEach((label, index) => select.add(new Option(label, String(index))));
+
+                const hinted = header.findIndex((label, index) => !used.has(index) && hint.test(label));
+                if (hinted !== -1) {
+                    select.value = String(hinted);
+                    used.add(hinted);
+                }
+            });
+        };
+
+        const loadFile = (file) => {
+            if (!file) return;
+            showError('');
+
+            readFile(file)
+                .then(fileRows => {
+                    if (fileRows.length === 0) throw new Error(i18n.t('spreadsheet.emptyFile'));
+                    return Promise.resolve(options.onLoad ? options.onLoad(fileRows, file) : null).then(() => fileRows);
+                })
+                .then(fileRows => {
+                    rows = fileRows;
+
+                    const columnCount = Math.max(...rows.map(row => row.length));
+                    fillColumns(Array.from({length: columnCount}, (_, i) => (hasHeader.checked ? String(rows[0][i] ?? '').trim() : '')
+                        || i18n.t('spreadsheet.column', {number: i + 1})));
+
+                    fileInfo.textContent = i18n.t('spreadsheet.fileInfo', {
+                        file: file.name,
+                        rows: i18n.t('spreadsheet.rows', {count: hasHeader.checked ? rows.length - 1 : rows.length}),
+                        columns: i18n.t('spreadsheet.columns', {count: columnCount})
+                    });
+                    showStep('mapping');
+                })
+                .catch(loadError => {
+                    console.error('Error reading import file:', loadError);
+                    showError(loadError.message || i18n.t('spreadsheet.readError'));
+                })
+                .finally(() => {
+                    fileInput.value = '';
+                });
+        };
+
+        fileInput.addEventListener('change', () => loadFile(fileInput.files[0]));
+
+        ['dragenter', 'dragover'].forEach(type => dropZone.addEventListener(type, event => {
+            event.preventDefault();
+            dropZone.classList.add('is-dragover');
+        }));
+        ['dragleave', 'drop'].forEach(type => dropZone.addEventListener(type, event => {
+            event.preventDefault();
+            dropZone.classList.remove('is-dragover');
+        }));
+        dropZone.addEventListener('drop', event => {
+            if (event.dataTransfer && event.dataTransfer.files.length) loadFile(event.dataTransfer.files[0]);
+        });
+
+        buttons.back.addEventListener('click', () => {
+            showError('');
+            showStep(modal.dataset.step === 'preview' ? 'mapping' : 'file');
+        });
+        buttons.preview.addEventListener('click', () => options.onPreview());
+
+        return {
+            showStep,
+            showError,
+            // Rows of the loaded file without the header row
+            dataRows: () => (hasHeader.checked ? rows.slice(1) : rows),
+            reset: () => {
+                rows = [];
+                showError('');
+                showStep('file');
+            }
+        };
+    };
+
+    return {
+        toCsv,
+        createCsv,
+        createXlsx,
+        parseCsv,
+        readXlsx,
+        readFile,
+        importWizard,
+        buildFilename,
+        downloadBlob
+    };
+})();
+
+window.spreadsheetUtils = spreadsheetUtils;
+
+/**
+ * Client-side table enhancer
+ *
+ * Turned on per table with data attributes, pages don't need any script of their own:
+ * - data-table="key" on the <table>; the key namespaces its URL parameters (users.sort, users.f.role, ...)
+ * - data-sort="text|number|date" on a <th> makes the column sortable, td[data-sort-value] overrides the cell text
+ * - data-filter="text|select" on a <th> adds a filter for that column in a second header row
+ * - data-column="name" on a <th> sets the column name used in the URL (derived from the header text otherwise)
+ * - data-hideable="false" on a <th> keeps the column out of the visibility menu
+ * - data-searchable="false" on a <th> leaves the column out of the search (action buttons)
+ * - data-table-search="inputId" links a search input that matches rows on all columns
+ * - data-page-size="25", data-sticky-header and data-column-toggle enable paging, a scrolling body
+ *   with a fixed header and the column menu
+ * Rows marked data-table-empty are the server's "nothing here" placeholders and are left alone.
+ */
+const dataTable = (function () {
+    // Names are Slovenian whatever the interface language, so they always sort č after c
+    const collator = new Intl.Collator('sl', {sensitivity: 'base', numeric: true});
+    const instances = new WeakMap();
+
+    // Lowercase without diacritics, so "cuk" also finds "Čuk"
+    const normalize = value => String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+    const parseNumber = value => {
+        const number = parseFloat(String(value).replace(/\s/g, '').replace(',', '.'));
+        return isNaN(number) ? null : number;
+    };
+
+    // Slovenian dd.mm.yyyy or anything Date.parse understands (ISO)
+    const parseDate = value => {
+        const text = String(value).trim();
+        const local = text.match(/^(\d{1,2})\.\s*(\d{1,2})\.\s*(\d{4})(?:\s+(\d{1,2}):(\d{2}))?/);
+        const time = local
+            ? Date.UTC(+local[3], +local[2] - 1, +local[1], +(local[4] || 0), +(local[5] || 0))
+            : Date.parse(text.replace(/^(\d{4}-\d{2}-\d{2}) /, '$1T'));
+        return isNaN(time) ? null : time;
+    };
+
+    const parsers = {number: parseNumber, date: parseDate};
+
+    const cellText = (row, index) => (row.cells[index] ? row.cells[index].textContent.replace(/\s+/g, ' ').trim() : '');
+
+    const sortValue = (row, index) => {
+        const cell = row.cells[index];
+        if (!cell) return '';
+        return cell.dataset.sortValue !== undefined ? cell.dataset.sortValue : cellText(row, index);
+    };
+
+    const columnName = (th, index) => th.dataset.column
+        || normalize(th.textContent).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+        || `col${index}`;
+
+    /**
+     * Enhance one table, returns its controller ({refresh, update, state}) or null for tables without thead/tbody
+     */
+    const enhance = table => {
+        if (instances.has(table)) return instances.get(table);
+
+        const tbody = table.tBodies[0];
+        const headerRow = table.tHead ? table.tHead.rows[0] : null;
+        if (!tbody || !headerRow) return null;
+
+        const key = table.dataset.table || table.id || 'table';
+        const storageKey = `uwuweb_table_columns_${key}`;
+        const pageSize = parseInt(table.dataset.pageSize, 10) || 0;
+        const searchInput = table.dataset.tableSearch ? document.getElementById(table.dataset.tableSearch) : null;
+        let wrapper = table.closest('.table-responsive') || table;
+
+        // A sticky header needs a scrolling box of its own, the page already has a sticky navbar
+        if (table.hasAttribute('data-sticky-header')) {
+            if (wrapper === table) {
+                wrapper = document.createElement('div');
+                table.before(wrapper);
+                wrapper.appendChild(table);
+            }
+            wrapper.classList.add('data-table-scroll');
+            table.classList.add('data-table-sticky');
+        }
+
+        const columns = Array.from(headerRow.cells).map((th, index) => ({
+            th,
+            index,
+            name: columnName(th, index),
+            label: th.textContent.trim(),
+            sortType: th.dataset.sort || null,
+            filterType: th.dataset.filter || null,
+            hideable: th.dataset.hideable !== 'false',
+            searchable: th.dataset.searchable !== 'false',
+            control: null,
+            filterCell: null
+        }));
+
+        const state = {sort: null, dir: 'asc', search: '', filters: {}, page: 1, hidden: new Set()};
+        let rows = [];
+        const searchText = new WeakMap();
+
+        const param = name => `${key}.${name}`;
+
+        // --- URL and stored state ---
+        const readState = () => {
+            const params = new URLSearchParams(window.location.search);
+            const sort = params.get(param('sort'));
+            if (columns.some(column => column.name === sort && column.sortType)) state.sort = sort;
+            state.dir = params.get(param('dir')) === 'desc' ? 'desc' : 'asc';
+            state.search = params.get(param('q')) || '';
+            columns.forEach(column => {
+                const value = params.get(param(`f.${column.name}`));
+                if (column.filterType && value) state.filters[column.name] = value;
+            });
+            state.page = Math.max(1, parseInt(params.get(param('page')), 10) || 1);
+
+            try {
+                const hidden = JSON.parse(localStorage.getItem(storageKey) || '[]');
+                columns.forEach(column => {
+                    if (column.hideable && hidden.includes(column.name)) state.hidden.add(column.name);
+                });
+            } catch (e) {
+                // Corrupt stored value, show every column
+            }
+        };
+
+        const writeState = () => {
+            const params = new URLSearchParams(window.location.search);
+            Array.from(params.keys())
+                .filter(name => name.startsWith(`${key}.`))
+                .forEach(name => params.delete(name));
+
+            if (state.sort) {
+                params.set(param('sort'), state.sort);
+                if (state.dir === 'desc') params.set(param('dir'), 'desc');
+            }
+            if (state.search) params.set(param('q'), state.search);
+            Object.entries(state.filters).forEach(([name, value]) => {
+                if (value) params.set(param(`f.${name}`), value);
+            });
+            if (state.page > 1) params.set(param('page'), String(state.page));
+
+            const query = params.toString();
+            history.replaceState(history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+        };
+
+        readState();
+
+        // --- Header controls ---
+        columns.filter(column => column.sortType).forEach(column => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'data-table-sort';
+            button.append(...Array.from(column.th.childNodes));
+
+            const indicator = document.createElement('span');
+            indicator.className = 'data-table-sort-indicator';
+            indicator.setAttribute('aria-hidden', 'true');
+            button.appendChild(indicator);
+
+            button.addEventListener('click', () => {
+                if (state.sort === column.name) {
+                    state.dir = state.dir === 'asc' ? 'desc' : 'asc';
+                } else {
+                    state.sort = column.name;
+                    state.dir = 'asc';
+                }
+                state.page = 1;
+                update();
+            });
+
+            column.th.appendChild(button);
+        });
+
+        const fillSelect = column => {
+            const select = column.control;
+            const current = state.filters[column.name] || '';
+            const values = [...new Set(rows.map(row => cellText(row, column.index)).filter(Boolean))].sort(collator.compare);
+            if (current && !values.includes(current)) values.push(current);
+
+            select.replaceChildren(new Option(i18n.t('table.all'), ''), ...values.map(value => new Option(value, value)));
+            select.value = current;
+        };
+
+        let filterRow = null;
+        if (columns.some(column => column.filterType)) {
+            filterRow = document.createElement('tr');
+            filterRow.className = 'data-table-filters';
+
+            columns.forEach(column => {
+                const th = document.createElement('th');
+                column.filterCell = th;
+
+                if (column.filterType === 'select') {
+                    column.control = document.createElement('select');
+                    column.control.className = 'form-select';
+                } else if (column.filterType) {
+                    column.control = document.createElement('input');
+                    column.control.type = 'search';
+                    column.control.className = 'form-input';
+                    column.control.placeholder = i18n.t('table.filterPlaceholder');
+                    column.control.value = state.filters[column.name] || '';
+                }
+
+                if (column.control) {
+                    column.control.setAttribute('aria-label', i18n.t('table.filterLabel', {column: column.label}));
+                    column.control.addEventListener(column.filterType === 'select' ? 'change' : 'input', () => {
+                        state.filters[column.name] = column.control.value.trim();
+                        state.page = 1;
+                        update();
+                    });
+                    th.appendChild(column.control);
+                }
+
+                filterRow.appendChild(th);
+            });
+
+            table.tHead.appendChild(filterRow);
+        }
+
+        // --- No results row, spans whatever columns are visible ---
+        const noResultsRow = document.createElement('tr');
+        noResultsRow.className = 'data-table-no-results';
+        noResultsRow.hidden = true;
+        const noResultsCell = document.createElement('td');
+        noResultsCell.className = 'text-center text-secondary p-md';
+        noResultsCell.textContent = i18n.t('table.noMatches');
+        noResultsRow.appendChild(noResultsCell);
+
+        // --- Toolbar with the column menu, pager below the table ---
+        let columnMenu = null;
+        if (table.hasAttribute('data-column-toggle') && columns.some(column => column.hideable)) {
+            const toolbar = document.createElement('div');
+            toolbar.className = 'data-table-toolbar';
+
+            columnMenu = document.createElement('details');
+            columnMenu.className = 'data-table-columns';
+            const summary = document.createElement('summary');
+            summary.className = 'btn btn-secondary btn-sm';
+            summary.textContent = i18n.t('table.columns');
+            const list = document.createElement('div');
+            list.className = 'data-table-columns-menu';
+
+            columns.filter(column => column.hideable).forEach(column => {
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = !state.hidden.has(column.name);
+                checkbox.addEventListener('change', () => {
+                    if (checkbox.checked) state.hidden.delete(column.name);
+                    else state.hidden.add(column.name);
+                    try {
+                        localStorage.setItem(storageKey, JSON.stringify([...state.hidden]));
+                    } catch (e) {
+                        console.error('Error storing table columns:', e);
+                    }
+                    applyColumns();
+                });
+                label.append(checkbox, ` ${column.label}`);
+                list.appendChild(label);
+            });
+
+            columnMenu.append(summary, list);
+            toolbar.appendChild(columnMenu);
+            wrapper.before(toolbar);
+
+            document.addEventListener('click', event => {
+                if (columnMenu.open && !columnMenu.contains(event.target)) columnMenu.open = false;
+            });
+        }
+
+        let pager = null;
+        if (pageSize > 0) {
+            pager = document.createElement('nav');
+            pager.className = 'data-table-pager';
+            pager.setAttribute('aria-label', i18n.t('table.pages'));
+            pager.innerHTML = `
+                <span class="data-table-pager-info text-sm text-secondary" aria-live="polite"></span>
+                <span class="d-flex items-center gap-sm">
+                    <button type="button" class="btn btn-secondary btn-sm" data-page="prev"></button>
+                    <span class="data-table-pager-pages text-sm"></span>
+                    <button type="button" class="btn btn-secondary btn-sm" data-page="next"></button>
+                </span>`;
+            pager.querySelector('[data-page="prev"]').textContent = `‹ ${i18n.t('table.previous')}`;
+            pager.querySelector('[data-page="next"]').textContent = `${i18n.t('table.next')} ›`;
+            pager.addEventListener('click', event => {
+                const button = event.target.closest('[data-page]');
+                if (!button) return;
+                state.page += button.dataset.page === 'next' ? 1 : -1;
+                update();
+            });
+            wrapper.after(pager);
+        }
+
+        // --- Rendering ---
+        const applyColumns = () => {
+            let visible = 0;
+            columns.forEach(column => {
+                const hidden = state.hidden.has(column.name);
+                if (!hidden) visible++;
+                column.th.classList.toggle('data-table-col-hidden', hidden);
+                if (column.filterCell) column.filterCell.classList.toggle('data-table-col-hidden', hidden);
+                rows.forEach(row => {
+                    if (row.cells[column.index]) row.cells[column.index].classList.toggle('data-table-col-hidden', hidden);
+                });
+            });
+            noResultsCell.colSpan = Math.max(1, visible);
+        };
+
+        const matches = row => {
+            const tokens = normalize(state.search).split(/\s+/).filter(Boolean);
+            if (tokens.length) {
+                const text = searchText.get(row);
+                if (!tokens.every(token => text.includes(token))) return false;
+            }
+
+            return columns.every(column => {
+                const value = state.filters[column.name];
+                if (!column.filterType || !value) return true;
+                const text = cellText(row, column.index);
+                return column.filterType === 'select' ? text === value : normalize(text).includes(normalize(value));
+            });
+        };
+
+        const compareRows = (column, a, b) => {
+            const parse = parsers[column.sortType];
+            const first = sortValue(a, column.index);
+            const second = sortValue(b, column.index);
+            const x = parse ? parse(first) : first;
+            const y = parse ? parse(second) : second;
+
+            // Empty values go last in both directions
+            const xEmpty = x === null || x === '';
+            const yEmpty = y === null || y === '';
+            if (xEmpty || yEmpty) return xEmpty === yEmpty ? 0 : (xEmpty ? 1 : -1);
+
+            const result = parse ? x - y : collator.compare(x, y);
+            return state.dir === 'desc' ? -result : result;
+        };
+
+        const update = () => {
+            let matching = rows.filter(matches);
+
+            const sortColumn = columns.find(column => column.name === state.sort);
+            if (sortColumn) matching = matching.slice().sort((a, b) => compareRows(sortColumn, a, b));
+
+            columns.forEach(column => {
+                if (!column.sortType) return;
+                column.th.setAttribute('aria-sort', column === sortColumn ? (state.dir === 'desc' ? 'descending' : 'ascending') : 'none');
+            });
+
+            const pages = pageSize > 0 ? Math.max(1, Math.ceil(matching.length / pageSize)) : 1;
+            state.page = Math.min(Math.max(1, state.page), pages);
+            const start = pageSize > 0 ? (state.page - 1) * pageSize : 0;
+            const shown = new Set(pageSize > 0 ? matching.slice(start, start + pageSize) : matching);
+
+            // Re-append in sorted order, filtered rows follow hidden
+            const matchingSet = new Set(matching);
+            [...matching, ...rows.filter(row => !matchingSet.has(row))].forEach(row => {
+                row.hidden = !shown.has(row);
+                tbody.appendChild(row);
+            });
+
+            noResultsRow.hidden = !(rows.length > 0 && matching.length === 0);
+            tbody.appendChild(noResultsRow);
+
+            if (pager) {
+                const end = Math.min(start + pageSize, matching.length);
+                pager.querySelector('.data-table-pager-info').textContent = matching.length
+                    ? i18n.t('table.showing', {from: start + 1, to: end, count: matching.length})
+                    : i18n.t('table.noResults');
+                pager.querySelector('.data-table-pager-pages').textContent = i18n.t('table.page', {page: state.page, pages});
+                pager.querySelector('[data-page="prev"]').disabled = state.page <= 1;
+                pager.querySelector('[data-page="next"]').disabled = state.page >= pages;
+                pager.hidden = rows.length === 0;
+            }
+
+            writeState();
+        };
+
+        /**
+         * Re-read the body rows after a page script added or removed some
+         */
+        const refresh = () => {
+            rows = Array.from(tbody.rows).filter(row => !row.hasAttribute('data-table-empty') && row !== noResultsRow);
+            rows.forEach(row => searchText.set(row, normalize(columns
+                .filter(column => column.searchable)
+                .map(column => cellText(row, column.index))
+                .join(' '))));
+            columns.filter(column => column.filterType === 'select').forEach(fillSelect);
+            applyColumns();
+            update();
+        };
+
+        if (searchInput) {
+            searchInput.value = state.search;
+            searchInput.addEventListener('input', () => {
+                state.search = searchInput.value.trim();
+                state.page = 1;
+                update();
+            });
+        }
+
+        const controller = {refresh, update, state};
+        instances.set(table, controller);
+        refresh();
+
+        return controller;
+    };
+
+    const init = (root = document) => {
+        root.querySelectorAll('table[data-table]').forEach(enhance);
+    };
+
+    const get = table => instances.get(table) || null;
+
+    return {
+        init,
+        enhance,
+        get,
+        normalize,
+        parseNumber,
+        parseDate
+    };
+})();
+
+window.dataTable = dataTable;
+
+/**
+ * Live updates of grades and justification decisions for students and parents, exposed as window.liveUpdates
+ *
+ * Polls api/updates.php rather than keeping a Server-Sent Events stream open, which would hold a
+ * PHP worker for every open tab. The server sends a fingerprint of the current state and leaves
+ * the lists out while it is unchanged.
+ * - polls every POLL_INTERVAL while the tab is visible; a hidden tab or a failed poll doubles the
+ *   interval up to MAX_INTERVAL, a tab that becomes visible again polls right away
+ * - the last seen state and the unread items are kept per user in localStorage and shared by open
+ *   tabs, the first poll in a browser only records the state
+ * - new and changed items show a toast and count in the nav badges ([data-live-badge="grades"],
+ *   [data-live-badge="justifications"]) until the page behind the badge's link is shown
+ * - on that page rows marked with data-live-item ("grade:<studentId>:<itemId>",
+ *   "justification:<attId>") are highlighted, grade tables in [data-subject-card] cards are updated
+ *   in place and liveUpdates:grade / liveUpdates:justification events ({item, changed}) are
+ *   dispatched on the document for page scripts
+ * - browser notifications through the Notification API, only while the tab is hidden and for the
+ *   events chosen in the #liveUpdatesModal settings
+ *
+ * header.php starts it with data-live-updates="<userId>" on the navigation of students and parents.
+ */
+const liveUpdates = (function () {
+    const POLL_INTERVAL = 30000;
+    const MAX_INTERVAL = 300000;
+    const MAX_TOASTS = 3;
+    const TYPES = ['grades', 'justifications'];
+    const EVENTS = {grades: 'liveUpdates:grade', justifications: 'liveUpdates:justification'};
+    const DEFAULT_SETTINGS = {browser: false, events: {grades: true, justifications: true}};
+    const ICON = '/uwuweb/design/uwuweb-logo.png';
+
+    let userId = null;
+    let withStudentNames = false;
+    let interval = POLL_INTERVAL;
+    let timer = null;
+    let polling = false;
+    let stopped = true;
+
+    // --- Stored state and settings ---
+    const stateKey = () => `uwuweb_live_updates_${userId}`;
+    const settingsKey = () => `uwuweb_live_settings_${userId}`;
+
+    const readJson = (key, fallback) => {
+        try {
+            return JSON.parse(localStorage.getItem(key) || 'null') ?? fallback;
+        } catch (e) {
+            return fallback;
+        }
+    };
+
+    const writeJson = (key, value) => {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (e) {
+            console.error('Error storing live updates:', e);
+        }
+    };
+
+    const readState = () => {
+        const state = readJson(stateKey(), null);
+        if (!state) return null;
+        state.unread = {grades: [], justifications: [], ...state.unread};
+        return state;
+    };
+
+    /**
+     * Settings of the current user, which events raise browser notifications
+     * @returns {Object} - {browser: bool, events: {grades: bool, justifications: bool}}
+     */
+    const getSettings = () => {
+        const stored = readJson(settingsKey(), {});
+        return {...DEFAULT_SETTINGS, ...stored, events: {...DEFAULT_SETTINGS.events, ...stored.events}};
+    };
+
+    const saveSettings = settings => writeJson(settingsKey(), settings);
+
+    const browserPermission = () => ('Notification' in window ? Notification.permission : 'unsupported');
+
+    // --- Comparing snapshots ---
+    const itemKey = (type, item) => (type === 'grades'
+        ? `grade:${item.student_id}:${item.item_id}`
+        : `justification:${item.att_id}`);
+
+    const signature = (type, item) => (type === 'grades'
+        ? `${item.points}|${item.comment}`
+        : `${item.approved ? 1 : 0}|${item.reject_reason}`);
+
+    const snapshot = data => {
+        const seen = {};
+        TYPES.forEach(type => {
+            seen[type] = {};
+            (data[type] || []).forEach(item => {
+                seen[type][itemKey(type, item)] = signature(type, item);
+            });
+        });
+        return seen;
+    };
+
+    // Items that are new or different since the previous snapshot, removed items are ignored
+    const diff = (seen, data) => {
+        const changes = {grades: [], justifications: []};
+        TYPES.forEach(type => {
+            (data[type] || []).forEach(item => {
+                const previous = seen[type] ? seen[type][itemKey(type, item)] : undefined;
+                if (previous !== signature(type, item)) changes[type].push({item, changed: previous !== undefined});
+            });
+        });
+        return changes;
+    };
+
+    // --- Navigation badges ---
+    const badgeLinks = type => Array.from(document.querySelectorAll(`[data-live-badge="${type}"]`));
+
+    const isCurrentPage = type => badgeLinks(type)
+        .some(link => new URL(link.href, window.location.href).pathname === window.location.pathname);
+
+    const renderBadges = state => {
+        TYPES.forEach(type => {
+            const count = state ? state.unread[type].length : 0;
+
+            badgeLinks(type).forEach(link => {
+                let badge = link.querySelector('.live-badge');
+                if (!count) {
+                    if (badge) badge.remove();
+                    return;
+                }
+
+                if (!badge) {
+                    badge = document.createElement('span');
+                    badge.className = 'live-badge';
+                    link.appendChild(badge);
+                }
+
+                const number = document.createElement('span');
+                number.setAttribute('aria-hidden', 'true');
+                number.textContent = count > 99 ? '99+' : String(count);
+
+                const label = document.createElement('span');
+                label.className = 'sr-only';
+                label.textContent = i18n.t(`liveUpdates.count.${type}`, {count});
+
+                badge.replaceChildren(number, label);
+            });
+        });
+    };
+
+    // --- Showing items on the page ---
+    const percentageOf = grade => (grade.max_points > 0 ? (grade.points / grade.max_points) * 100 : 0);
+
+    const disabledText = () => {
+        const text = document.createElement('span');
+        text.className = 'text-disabled';
+        text.textContent = '/';
+        return text;
+    };
+
+    // Same markup as the grade cells rendered by student/grades.php and parent/grades.php
+    const gradeElement = grade => {
+        const percentage = percentageOf(grade);
+        const element = document.createElement('div');
+        element.className = 'grade';
+        Object.assign(element.dataset, {
+            openModal: 'gradeDetailsModal',
+            itemId: grade.item_id,
+            itemName: grade.item_name,
+            points: grade.points,
+            maxPoints: grade.max_points,
+            percentage: percentage.toFixed(1),
+            gradePercentage: percentage.toFixed(1),
+            comment: grade.comment
+        });
+        element.textContent = i18n.formatPercent(percentage);
+
+        if (grade.comment) {
+            const indicator = document.createElement('span');
+            indicator.className = 'grade-comment-indicator';
+            indicator.title = i18n.t('liveUpdates.comment');
+            indicator.textContent = '*';
+            element.appendChild(indicator);
+        }
+        return element;
+    };
+
+    const createGradeRow = (grade, key) => {
+        const row = document.createElement('tr');
+        Object.assign(row.dataset, {
+            gradeRow: '',
+            liveItem: key,
+            itemName: grade.item_name,
+            date: grade.date || '',
+            maxPoints: grade.max_points,
+            classAverage: ''
+        });
+
+        const name = document.createElement('td');
+        name.className = 'font-medium';
+        name.textContent = grade.item_name;
+
+        const cells = [name, ...Array.from({length: 5}, () => document.createElement('td'))];
+        if (grade.date) cells[1].textContent = i18n.formatDate(grade.date);
+        else cells[1].appendChild(disabledText());
+        cells[2].textContent = i18n.formatNumber(grade.max_points);
+        cells[5].appendChild(disabledText());
+
+        row.append(...cells);
+        return row;
+    };
+
+    /**
+     * Write a grade into its row, a grade item the page does not list yet gets a new row
+     * in the subject card of the same student
+     */
+    const renderGrade = grade => {
+        const key = itemKey('grades', grade);
+        let row = document.querySelector(`tr[data-live-item="${key}"]`);
+
+        if (!row) {
+            const card = document.querySelector(`[data-subject-card][data-class-subject-id="${grade.class_subject_id}"][data-student-id="${grade.student_id}"]`);
+            const body = card ? card.querySelector('tbody') : null;
+            if (!body) return;
+
+            row = createGradeRow(grade, key);
+            body.appendChild(row);
+        }
+
+        row.dataset.points = grade.points;
+        row.cells[3].textContent = i18n.formatNumber(grade.points);
+        row.cells[4].replaceChildren(gradeElement(grade));
+
+        gradingScale.load(grade.class_subject_id).then(scale => gradingScale.applyTo(row, scale));
+    };
+
+    const showOnPage = (type, change) => {
+        if (type === 'grades') renderGrade(change.item);
+        document.dispatchEvent(new CustomEvent(EVENTS[type], {detail: {...change}}));
+
+        document.querySelectorAll(`[data-live-item="${itemKey(type, change.item)}"]`).forEach(element => {
+            element.classList.add('live-update-new');
+        });
+    };
+
+    /**
+     * Show the unread items of the current page in place and mark them read, then redraw the badges
+     */
+    const showUnread = () => {
+        const state = readState();
+        if (!state) return;
+
+        if (!document.hidden) {
+            const shown = TYPES.filter(type => state.unread[type].length && isCurrentPage(type));
+            shown.forEach(type => {
+                state.unread[type].forEach(change => showOnPage(type, change));
+                state.unread[type] = [];
+            });
+            if (shown.length) writeJson(stateKey(), state);
+        }
+
+        renderBadges(state);
+    };
+
+    // --- Toasts and browser notifications ---
+    const describe = (type, {item, changed}) => {
+        let message;
+        if (type === 'grades') {
+            message = i18n.t(changed ? 'liveUpdates.gradeChanged' : 'liveUpdates.gradeNew', {
+                subject: item.subject_name,
+                item: item.item_name,
+                percentage: i18n.formatPercent(percentageOf(item))
+            });
+        } else {
+            message = i18n.t(item.approved ? 'liveUpdates.justificationApproved' : 'liveUpdates.justificationRejected', {
+                subject: item.subject_name,
+                date: i18n.formatDate(item.period_date)
+            });
+        }
+
+        return withStudentNames ? i18n.t('liveUpdates.forStudent', {name: item.student_name, message}) : message;
+    };
+
+    const notify = (type, changes) => {
+        if (!changes.length) return;
+
+        const link = badgeLinks(type)[0];
+        const openPage = link && !isCurrentPage(type) ? () => {
+            window.location.href = link.href;
+        } : null;
+        const actions = openPage ? [{label: i18n.t('liveUpdates.open'), onClick: openPage}] : [];
+
+        const messages = changes.map(change => describe(type, change));
+        const summary = i18n.t(`liveUpdates.count.${type}`, {count: messages.length});
+
+        if (messages.length > MAX_TOASTS) notifications.info(summary, {actions, key: `liveUpdates.${type}`});
+        else messages.forEach(message => notifications.info(message, {actions}));
+
+        // A visible tab already shows the toast
+        const settings = getSettings();
+        if (!document.hidden || !settings.browser || !settings.events[type] || browserPermission() !== 'granted') return;
+
+        try {
+            const notification = new Notification(i18n.t(`liveUpdates.title.${type}`), {
+                body: messages.length > MAX_TOASTS ? summary : messages.join('\n'),
+                tag: `uwuweb-${type}`,
+                icon: ICON
+            });
+            notification.addEventListener('click', () => {
+                window.focus();
+                notification.close();
+                if (openPage) openPage();
+            });
+        } catch (e) {
+            // Some mobile browsers only allow notifications from a service worker
+            console.error('Error showing browser notification:', e);
+        }
+    };
+
+    // --- Polling ---
+    const receive = data => {
+        const state = readState();
+        const seen = snapshot(data);
+
+        if (!state) {
+            writeJson(stateKey(), {fingerprint: data.fingerprint, seen, unread: {grades: [], justifications: []}});
+            return;
+        }
+
+        const changes = diff(state.seen, data);
+        TYPES.forEach(type => {
+            changes[type].forEach(change => {
+                const key = itemKey(type, change.item);
+                state.unread[type] = state.unread[type].filter(entry => itemKey(type, entry.item) !== key);
+                state.unread[type].push(change);
+            });
+        });
+        state.fingerprint = data.fingerprint;
+        state.seen = seen;
+        writeJson(stateKey(), state);
+
+        TYPES.forEach(type => notify(type, changes[type]));
+        showUnread();
+    };
+
+    const schedule = () => {
+        clearTimeout(timer);
+        if (!stopped) timer = setTimeout(poll, interval);
+    };
+
+    const backOff = () => {
+        interval = Math.min(interval * 2, MAX_INTERVAL);
+    };
+
+    /**
+     * Ask the server for changes now, the next poll is scheduled afterwards
+     */
+    const poll = () => {
+        if (polling || stopped) return;
+        polling = true;
+
+        const state = readState();
+        api.get('updates', 'getUpdates', {fingerprint: state ? state.fingerprint : ''}, {
+            loading: false,
+            retries: 0,
+            handleAuth: false,
+            background: true
+        })
+            .then(data => {
+                if (data.changed) receive(data);
+                if (document.hidden) backOff();
+                else interval = POLL_INTERVAL;
+            })
+            .catch(error => {
+                // Logged out or no longer a student or parent, the page's own requests handle the login
+                if (error instanceof api.AuthExpiredError || error.status === 403) {
+                    stopped = true;
+                    return;
+                }
+                console.error('Error checking for updates:', error);
+                backOff();
+            })
+            .finally(() => {
+                polling = false;
+                schedule();
+            });
+    };
+
+    // --- Settings modal ---
+    const initSettings = () => {
+        const form = document.getElementById('liveUpdatesForm');
+        if (!form) return;
+
+        const modal = form.closest('.modal');
+        const browserToggle = form.elements.browser;
+        const status = document.getElementById('liveUpdatesPermission');
+
+        const showPermission = () => {
+            const permission = browserPermission();
+            status.textContent = i18n.t(`liveUpdates.permission.${permission}`);
+            browserToggle.disabled = permission === 'unsupported' || permission === 'denied';
+        };
+
+        modal.addEventListener('modal:open', () => {
+            const settings = getSettings();
+            browserToggle.checked = settings.browser && browserPermission() === 'granted';
+            TYPES.forEach(type => {
+                form.elements[`event_${type}`].checked = settings.events[type];
+            });
+            showPermission();
+        });
+
+        // Browsers only ask for the permission after a user gesture
+        browserToggle.addEventListener('change', () => {
+            if (!browserToggle.checked || browserPermission() === 'granted') return;
+
+            Notification.requestPermission().then(permission => {
+                browserToggle.checked = permission === 'granted';
+                showPermission();
+            });
+        });
+
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+
+            const events = {};
+            TYPES.forEach(type => {
+                events[type] = form.elements[`event_${type}`].checked;
+            });
+            saveSettings({browser: browserToggle.checked, events});
+
+            modalUtils.closeModal(modal);
+            notifications.success(i18n.t('liveUpdates.settingsSaved'));
+        });
+    };
+
+    /**
+     * Start polling when the page belongs to a student or parent
+     */
+    const init = () => {
+        const root = document.querySelector('[data-live-updates]');
+        if (!root || !root.dataset.liveUpdates || !window.localStorage) return;
+
+        userId = root.dataset.liveUpdates;
+        withStudentNames = root.hasAttribute('data-live-student-names');
+        stopped = false;
+
+        initSettings();
+        showUnread();
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) return;
+            interval = POLL_INTERVAL;
+            showUnread();
+            poll();
+        });
+
+        // Another tab received updates or read them
+        window.addEventListener('storage', event => {
+            if (event.key === stateKey()) showUnread();
+        });
+
+        poll();
+    };
+
+    return {
+        EVENTS,
+        init,
+        poll,
+        getSettings,
+        saveSettings
+    };
+})();
+
+window.liveUpdates = liveUpdates;
+
+/**
+ * Ctrl+K command palette and keyboard shortcuts, exposed as window.commandPalette
+ *
+ * The palette (#commandPalette in footer.php) searches, without caring about diacritics or
+ * typos in between ("3b mat" finds "3.B Matematika"):
+ * - registered commands and the pages of the navigation
+ * - the index from api/palette.php, loaded the first time the palette opens and kept for
+ *   INDEX_TTL in sessionStorage: a teacher's class-subject pairs and their students, a parent's
+ *   children, an administrator's users, classes and subjects
+ *
+ * Page scripts register their own commands, optionally with a single-key shortcut:
+ *   commandPalette.register({id: 'gradebook.addItem', title: '...', shortcut: 'n', run: () => ...});
+ * - enabled() hides a command while it cannot run, hidden commands only run through navigate()
+ * - shortcuts are ignored while typing in a field, while a modal is open and with Ctrl/Alt/Meta
+ *   ('mod+k' means Ctrl+K, or Cmd+K on a Mac)
+ * - navigate(url, id, data) opens another page and runs the command it registers as id there,
+ *   that is how "Vnesi prisotnost zdaj" opens the attendance page with the add-period modal
+ *
+ * "?" opens #shortcutsModal with the general shortcuts and those of the current page.
+ */
+const commandPalette = (function () {
+    const OPEN_SHORTCUT = 'mod+k';
+    const INDEX_TTL = 300000;
+    const MAX_RESULTS = 50;
+    const PENDING_KEY = 'uwuweb_palette_pending';
+    const GROUPS = ['commands', 'pages', 'classes', 'students', 'users', 'subjects'];
+    const ROLES = {1: 'admin', 2: 'teacher', 3: 'student', 4: 'parent'};
+    const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform || '');
+
+    const commands = new Map();
+    let modal = null;
+    let input = null;
+    let list = null;
+    let status = null;
+    let userId = null;
+    let initialized = false;
+    let pending = null;
+    let index = null;
+    let indexEntries = [];
+    let indexRequest = null;
+    let indexFailed = false;
+    let results = [];
+    let active = 0;
+
+    // --- Shortcuts ---
+    const matchesShortcut = (shortcut, event) => {
+        const parts = shortcut.toLowerCase().split('+');
+        const key = parts.pop();
+
+        if (parts.includes('mod') !== (event.ctrlKey || event.metaKey)) return false;
+        if (parts.includes('alt') !== event.altKey) return false;
+        if (parts.includes('shift') && !event.shiftKey) return false;
+
+        return String(event.key).toLowerCase() === key;
+    };
+
+    const shortcutKeys = shortcut => shortcut.split('+').map(key => {
+        if (key === 'mod') return IS_MAC ? '⌘' : 'Ctrl';
+        if (key === 'shift') return 'Shift';
+        if (key === 'alt') return IS_MAC ? '⌥' : 'Alt';
+        return key.length === 1 ? key.toUpperCase() : key;
+    });
+
+    const shortcutElement = shortcut => {
+        const element = document.createElement('span');
+        element.className = 'shortcut-keys';
+        shortcutKeys(shortcut).forEach(key => {
+            const kbd = document.createElement('kbd');
+            kbd.textContent = key;
+            element.appendChild(kbd);
+        });
+        return element;
+    };
+
+    const isTyping = target => Boolean(target && target.closest
+        && target.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])'));
+
+    // --- Commands ---
+    const isEnabled = command => !command.enabled || command.enabled();
+
+    const runCommand = (command, data = null) => {
+        if (!command || !isEnabled(command)) return false;
+        command.run(data);
+        return true;
+    };
+
+    // A command stored by navigate() on the previous page runs once this page registers it
+    const runPending = () => {
+        if (!pending || !commands.has(pending.id)) return;
+
+        const {id, data} = pending;
+        pending = null;
+        runCommand(commands.get(id), data);
+    };
+
+    /**
+     * Add commands to the palette and the shortcut overlay, a command with an existing id replaces it
+     * @param {Object|Object[]} items - {id, title, shortcut, keywords, enabled, hidden, run(data)}
+     */
+    const register = items => {
+        (Array.isArray(items) ? items : [items]).forEach(command => {
+            commands.set(command.id, {keywords: '', ...command});
+        });
+        if (initialized) runPending();
+    };
+
+    /**
+     * Open a page, then run the command the page registers as commandId
+     * @param {string} url - Page to open
+     * @param {string|null} commandId - Command to run on that page
+     * @param {*} data - Passed to the command's run()
+     */
+    const navigate = (url, commandId = null, data = null) => {
+        const target = new URL(url, window.location.href);
+
+        if (target.pathname === window.location.pathname && target.search === window.location.search) {
+            if (commandId) runCommand(commands.get(commandId), data);
+            return;
+        }
+
+        if (commandId) {
+            try {
+                sessionStorage.setItem(PENDING_KEY, JSON.stringify({id: commandId, path: target.pathname, data}));
+            } catch (e) {
+                console.error('Error storing command for the next page:', e);
+            }
+        }
+        window.location.assign(target.href);
+    };
+
+    // --- Searching ---
+    // Lowercase without diacritics, with the position of every character in the original text
+    const prepare = text => {
+        const source = Array.from(String(text ?? ''));
+        let folded = '';
+        const positions = [];
+
+        source.forEach((char, position) => {
+            const plain = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+            folded += plain;
+            for (let i = 0; i < plain.length; i++) positions.push(position);
+        });
+
+        return {source, text: folded, positions};
+    };
+
+    const isWordStart = (text, position) => position === 0 || /[\s.,:;\-–_/()·]/.test(text[position - 1]);
+
+    // A substring scores best, at a word start even more, otherwise the characters in order
+    const matchToken = (token, prepared) => {
+        const text = prepared.text;
+        const first = text.indexOf(token);
+
+        if (first !== -1) {
+            let start = first;
+            while (start !== -1 && !isWordStart(text, start)) start = text.indexOf(token, start + 1);
+            const at = start === -1 ? first : start;
+
+            return {
+                score: token.length * 3 + (start === -1 ? 0 : 6) + (at === 0 ? 4 : 0),
+                positions: Array.from({length: token.length}, (_, i) => at + i)
+            };
+        }
+
+        let from = 0;
+        let previous = -2;
+        let score = 0;
+        const positions = [];
+        for (const char of token) {
+            const position = text.indexOf(char, from);
+            if (position === -1) return null;
+
+            if (position === previous + 1) score += 2;
+            else if (isWordStart(text, position)) score += 1.5;
+            else score += 0.5;
+
+            positions.push(position);
+            previous = position;
+            from = position + 1;
+        }
+        return {score, positions};
+    };
+
+    // Every token has to match the title or, for half the score, the subtitle and keywords
+    const scoreEntry = (entry, tokens) => {
+        if (!entry.prepared) {
+            entry.prepared = {
+                title: prepare(entry.title),
+                details: prepare([entry.subtitle, i18n.t(`commandPalette.group.${entry.group}`), entry.keywords].join(' '))
+            };
+        }
+
+        let score = 0;
+        const marks = new Set();
+        for (const token of tokens) {
+            const inTitle = matchToken(token, entry.prepared.title);
+            if (inTitle) {
+                score += inTitle.score;
+                inTitle.positions.forEach(position => marks.add(entry.prepared.title.positions[position]));
+                continue;
+            }
+
+            const inDetails = matchToken(token, entry.prepared.details);
+            if (!inDetails) return null;
+            score += inDetails.score / 2;
+        }
+        return {entry, score, marks};
+    };
+
+    // --- Entries ---
+    const commandEntries = () => Array.from(commands.values())
+        .filter(command => !command.hidden && isEnabled(command))
+        .map(command => ({
+            group: 'commands',
+            title: command.title,
+            subtitle: '',
+            keywords: command.keywords,
+            shortcut: command.shortcut,
+            run: () => runCommand(command)
+        }));
+
+    // Text of the navigation links without their live update badges
+    const pageEntries = () => {
+        const links = Array.from(document.querySelectorAll('#navMenu a.navbar-link[href]'));
+        return links
+            .filter((link, position) => links.findIndex(other => other.href === link.href) === position)
+            .map(link => ({
+                group: 'pages',
+                title: Array.from(link.childNodes)
+                    .filter(node => node.nodeType === Node.TEXT_NODE)
+                    .map(node => node.textContent)
+                    .join(' ')
+                    .replace(/\s+/g, ' ')
+                    .trim(),
+                subtitle: link.classList.contains('active') ? i18n.t('commandPalette.currentPage') : '',
+                keywords: '',
+                url: link.href
+            }));
+    };
+
+    const buildIndexEntries = data => {
+        const t = i18n.t;
+        const entries = [];
+        const classSubjects = data.classSubjects || [];
+        const role = ROLES[data.role];
+
+        classSubjects.forEach(classSubject => {
+            const name = `${classSubject.class_code} ${classSubject.subject_name}`;
+            const gradebook = `/uwuweb/teacher/gradebook.php?class_subject_id=${classSubject.class_subject_id}`;
+            const attendance = `/uwuweb/teacher/attendance.php?class_subject_id=${classSubject.class_subject_id}`;
+
+            entries.push(
+                {group: 'classes', title: t('commandPalette.openGradebook', {name}), url: gradebook},
+                {group: 'classes', title: t('commandPalette.openAttendance', {name}), url: attendance},
+                {group: 'classes', title: t('commandPalette.takeAttendance', {name}), url: attendance, command: 'attendance.addPeriod'},
+                {group: 'classes', title: t('commandPalette.addGradeItem', {name}), url: gradebook, command: 'gradebook.addItem'}
+            );
+        });
+
+        (data.students || []).forEach(student => {
+            if (role === 'parent') {
+                entries.push(
+                    {group: 'students', title: student.name, subtitle: t('commandPalette.childGrades', {class: student.class_code}), url: `/uwuweb/parent/grades.php?student_id=${student.student_id}`},
+                    {group: 'students', title: student.name, subtitle: t('commandPalette.childAttendance', {class: student.class_code}), url: `/uwuweb/parent/attendance.php?student_id=${student.student_id}`}
+                );
+                return;
+            }
+
+            classSubjects.filter(classSubject => classSubject.class_id === student.class_id).forEach(classSubject => {
+                entries.push({
+                    group: 'students',
+                    title: student.name,
+                    subtitle: t('commandPalette.studentGradebook', {name: `${student.class_code} ${classSubject.subject_name}`}),
+                    url: `/uwuweb/teacher/gradebook.php?class_subject_id=${classSubject.class_subject_id}`
+                });
+            });
+        });
+
+        (data.users || []).forEach(user => {
+            const params = new URLSearchParams({'users.q': user.username});
+            entries.push({
+                group: 'users',
+                title: user.username,
+                subtitle: [user.name, ROLES[user.role] ? t(`commandPalette.role.${ROLES[user.role]}`) : ''].filter(Boolean).join(' · '),
+                url: `/uwuweb/admin/users.php?${params}`,
+                command: 'users.edit',
+                data: {userId: user.user_id}
+            });
+        });
+
+        (data.classes || []).forEach(item => {
+            const params = new URLSearchParams({'assignments.f.class': `${item.class_code} - ${item.title}`});
+            entries.push(
+                {group: 'classes', title: t('commandPalette.editClass', {name: item.class_code}), subtitle: item.title, url: '/uwuweb/admin/manage_classes.php', command: 'classes.edit', data: {classId: item.class_id}},
+                {group: 'classes', title: t('commandPalette.classAssignments', {name: item.class_code}), subtitle: item.title, url: `/uwuweb/admin/manage_assignments.php?${params}`}
+            );
+        });
+
+        (data.subjects || []).forEach(subject => {
+            entries.push({
+                group: 'subjects',
+                title: subject.name,
+                subtitle: t('commandPalette.editSubject'),
+                url: `/uwuweb/admin/manage_subjects.php?subject_id=${subject.subject_id}`
+            });
+        });
+
+        return entries.map(entry => ({subtitle: '', keywords: '', ...entry}));
+    };
+
+    // --- Index ---
+    const cacheKey = () => `uwuweb_palette_index_${userId}`;
+
+    const readCache = () => {
+        try {
+            const cached = JSON.parse(sessionStorage.getItem(cacheKey()) || 'null');
+            return cached && Date.now() - cached.time < INDEX_TTL ? cached.data : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    const writeCache = data => {
+        try {
+            sessionStorage.setItem(cacheKey(), JSON.stringify({time: Date.now(), data}));
+        } catch (e) {
+            // Storage full, the index is loaded again on the next page
+        }
+    };
+
+    const setIndex = data => {
+        index = data;
+        indexEntries = buildIndexEntries(data);
+    };
+
+    const loadIndex = () => {
+        if (index || indexRequest) return;
+
+        const cached = readCache();
+        if (cached) {
+            setIndex(cached);
+            return;
+        }
+
+        indexFailed = false;
+        indexRequest = api.get('palette', 'getPaletteIndex', {}, {loading: false})
+            .then(data => {
+                setIndex(data);
+                writeCache(data);
+            })
+            .catch(error => {
+                console.error('Error loading the command palette index:', error);
+                indexFailed = true;
+            })
+            .finally(() => {
+                indexRequest = null;
+                if (modal.classList.contains('open')) render();
+            });
+    };
+
+    // --- Rendering ---
+    const highlight = (text, marks) => {
+        const fragment = document.createDocumentFragment();
+        let mark = null;
+
+        Array.from(text).forEach((char, position) => {
+            if (!marks.has(position)) {
+                mark = null;
+                fragment.appendChild(document.createTextNode(char));
+                return;
+            }
+            if (!mark) {
+                mark = document.createElement('mark');
+                fragment.appendChild(mark);
+            }
+            mark.textContent += char;
+        });
+
+        fragment.normalize();
+        return fragment;
+    };
+
+    const setActive = position => {
+        const options = list.querySelectorAll('[role="option"]');
+        if (!options.length) {
+            input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        active = (position + options.length) % options.length;
+        options.forEach((option, i) => {
+            option.setAttribute('aria-selected', i === active ? 'true' : 'false');
+            option.classList.toggle('active', i === active);
+        });
+
+        const option = options[active];
+        input.setAttribute('aria-activedescendant', option.id);
+        if (option.scrollIntoView) option.scrollIntoView({block: 'nearest'});
+    };
+
+    const optionElement = (result, position) => {
+        const {entry, marks} = result;
+        const option = document.createElement('li');
+        option.id = `commandPaletteOption${position}`;
+        option.className = 'command-palette-option';
+        option.setAttribute('role', 'option');
+        option.dataset.index = String(position);
+
+        const text = document.createElement('span');
+        text.className = 'command-palette-text';
+
+        const title = document.createElement('span');
+        title.className = 'command-palette-title';
+        title.appendChild(highlight(entry.title, marks));
+        text.appendChild(title);
+
+        if (entry.subtitle) {
+            const subtitle = document.createElement('span');
+            subtitle.className = 'command-palette-subtitle';
+            subtitle.textContent = entry.subtitle;
+            text.appendChild(subtitle);
+        }
+
+        const group = document.createElement('span');
+        group.className = 'command-palette-group';
+        group.textContent = i18n.t(`commandPalette.group.${entry.group}`);
+
+        option.append(text, group);
+        if (entry.shortcut) option.appendChild(shortcutElement(entry.shortcut));
+
+        return option;
+    };
+
+    const render = () => {
+        const tokens = prepare(input.value).text.split(/\s+/).filter(Boolean);
+        const candidates = [...commandEntries(), ...pageEntries(), ...(tokens.length ? indexEntries : [])];
+
+        results = candidates
+            .map(entry => (tokens.length ? scoreEntry(entry, tokens) : {entry, score: 0, marks: new Set()}))
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score || GROUPS.indexOf(a.entry.group) - GROUPS.indexOf(b.entry.group))
+            .slice(0, MAX_RESULTS);
+
+        list.replaceChildren(...results.map(optionElement));
+        setActive(0);
+
+        if (tokens.length && indexRequest) status.textContent = i18n.t('common.loading');
+        else if (tokens.length && indexFailed) status.textContent = i18n.t('commandPalette.loadError');
+        else if (!results.length) status.textContent = i18n.t('commandPalette.noResults');
+        else status.textContent = i18n.t('commandPalette.results', {count: results.length});
+    };
+
+    const execute = result => {
+        if (!result) return;
+        const {entry} = result;
+
+        modalUtils.closeModal(modal);
+        if (entry.url) navigate(entry.url, entry.command || null, entry.data ?? null);
+        else entry.run();
+    };
+
+    /**
+     * Open the palette, optionally with a query
+     * @param {string} query - Initial search text
+     */
+    const open = (query = '') => {
+        if (!modal) return;
+        modalUtils.openModal(modal);
+        if (query) {
+            input.value = query;
+            render();
+        }
+    };
+
+    // --- Shortcut overlay ---
+    const renderShortcuts = () => {
+        const container = document.getElementById('shortcutsList');
+        if (!container) return;
+
+        const section = (heading, items) => {
+            const title = document.createElement('h4');
+            title.className = 'shortcut-heading';
+            title.textContent = heading;
+
+            const definitions = document.createElement('dl');
+            definitions.className = 'shortcut-list';
+            items.forEach(([shortcut, label]) => {
+                const term = document.createElement('dt');
+                term.appendChild(shortcutElement(shortcut));
+                const description = document.createElement('dd');
+                description.textContent = label;
+                definitions.append(term, description);
+            });
+
+            container.append(title, definitions);
+        };
+
+        const shortcutItems = global => Array.from(commands.values())
+            .filter(command => command.shortcut && Boolean(command.global) === global && isEnabled(command))
+            .map(command => [command.shortcut, command.title]);
+
+        container.replaceChildren();
+        section(i18n.t('commandPalette.shortcuts.general'), [
+            [OPEN_SHORTCUT, i18n.t('commandPalette.open')],
+            ...shortcutItems(true),
+            ['Esc', i18n.t('commandPalette.shortcuts.closeModal')]
+        ]);
+
+        const pageItems = shortcutItems(false);
+        if (pageItems.length) section(i18n.t('commandPalette.shortcuts.page'), pageItems);
+    };
+
+    const showShortcuts = () => modalUtils.openModal('shortcutsModal');
+
+    // --- Global commands ---
+    const registerGlobalCommands = () => {
+        const locales = {sl: 'commandPalette.localeSl', en: 'commandPalette.localeEn'};
+
+        register([
+            {id: 'palette.shortcuts', title: i18n.t('commandPalette.shortcuts.show'), shortcut: '?', global: true, run: showShortcuts},
+            ...Object.keys(locales).map(locale => ({
+                id: `locale.${locale}`,
+                title: i18n.t(locales[locale]),
+                keywords: 'jezik language',
+                global: true,
+                enabled: () => i18n.getLocale() !== locale,
+                run: () => i18n.setLocale(locale)
+            }))
+        ]);
+
+        if (document.getElementById('liveUpdatesModal')) register({
+            id: 'liveUpdates.settings',
+            title: i18n.t('commandPalette.notificationSettings'),
+            global: true,
+            run: () => modalUtils.openModal('liveUpdatesModal')
+        });
+    };
+
+    const onKeydown = event => {
+        if (event.defaultPrevented || event.isComposing) return;
+
+        if (matchesShortcut(OPEN_SHORTCUT, event)) {
+            event.preventDefault();
+            if (modal.classList.contains('open')) modalUtils.closeModal(modal);
+            else open();
+            return;
+        }
+
+        // Some pages still open modals without modalUtils, so look for any open one
+        if (isTyping(event.target) || document.querySelector('.modal.open')) return;
+
+        const command = Array.from(commands.values())
+            .find(item => item.shortcut && matchesShortcut(item.shortcut, event) && isEnabled(item));
+        if (command) {
+            event.preventDefault();
+            runCommand(command);
+        }
+    };
+
+    /**
+     * Wire the palette, the shortcut overlay and the keyboard shortcuts for logged-in users
+     */
+    const init = () => {
+        modal = document.getElementById('commandPalette');
+        if (!modal) return;
+
+        userId = modal.dataset.userId;
+        input = document.getElementById('commandPaletteInput');
+        list = document.getElementById('commandPaletteList');
+        status = document.getElementById('commandPaletteStatus');
+
+        registerGlobalCommands();
+
+        modal.addEventListener('modal:open', () => {
+            input.value = '';
+            loadIndex();
+            render();
+        });
+        input.addEventListener('input', render);
+        input.addEventListener('keydown', event => {
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                setActive(active + (event.key === 'ArrowDown' ? 1 : -1));
+            } else if (event.key === 'Enter') {
+                event.preventDefault();
+                execute(results[active]);
+            }
+        });
+
+        // Keep the focus in the search field while the mouse picks an option
+        list.addEventListener('mousedown', event => event.preventDefault());
+        list.addEventListener('mousemove', event => {
+            const option = event.target.closest('[role="option"]');
+            if (option && Number(option.dataset.index) !== active) setActive(Number(option.dataset.index));
+        });
+        list.addEventListener('click', event => {
+            const option = event.target.closest('[role="option"]');
+            if (option) execute(results[Number(option.dataset.index)]);
+        });
+
+        const shortcutsModal = document.getElementById('shortcutsModal');
+        if (shortcutsModal) shortcutsModal.addEventListener('modal:open', renderShortcuts);
+
+        document.addEventListener('keydown', onKeydown);
+
+        try {
+            pending = JSON.parse(sessionStorage.getItem(PENDING_KEY) || 'null');
+            sessionStorage.removeItem(PENDING_KEY);
+        } catch (e) {
+            pending = null;
+        }
+        if (pending && pending.path !== window.location.pathname) pending = null;
+
+        initialized = true;
+        runPending();
+    };
+
+    return {
+        init,
+        open,
+        register,
+        navigate,
+        showShortcuts
+    };
+})();
+
+window.commandPalette = commandPalette;
@@ -11,6 +11,7 @@ TRUNCATE TABLE enrollments;
 TRUNCATE TABLE class_subjects;
 TRUNCATE TABLE classes;
 TRUNCATE TABLE subjects;
+TRUNCATE TABLE grading_scales;
 TRUNCATE TABLE student_parent;
 TRUNCATE TABLE parents;
 TRUNCATE TABLE teachers;
@@ -78,6 +79,10 @@ VALUES ('Matematika'),  -- Mathematics
        ('Športna vzgoja');
 -- Physical Education
 
+-- Mathematics grades on its own scale with plus/minus grades, other subjects use the school-wide scale
+INSERT INTO grading_scales (subject_id, thresholds, plus_minus, modifier_range)
+VALUES (1, '{"5":88,"4":76,"3":63,"2":50}', TRUE, 2.0);
+
 -- Add classes (homeroom groups)
 INSERT INTO classes (class_code, title, homeroom_teacher_id)
 VALUES ('1.A', '1. letnik, skupina A', 1), -- 1st year, group A - Math teacher as homeroom
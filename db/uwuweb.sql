@@ -179,18 +179,48 @@ CREATE TABLE attendance
 
 CREATE INDEX period_id ON attendance (period_id);
 
+-- Justification Files (evidence attached to an absence justification)
+CREATE TABLE justification_files
+(
+    file_id       INT AUTO_INCREMENT PRIMARY KEY,
+    att_id        INT          NOT NULL,
+    file_name     VARCHAR(255) NOT NULL,
+    original_name VARCHAR(255) NOT NULL,
+    mime_type     VARCHAR(100) NOT NULL,
+    file_size     INT          NOT NULL,
+    uploaded_at   TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT justification_files_ibfk_1 FOREIGN KEY (att_id) REFERENCES attendance (att_id)
+);
+
+CREATE INDEX att_id ON justification_files (att_id);
+
+-- Grading Scales (per subject, the school-wide scale is in system_settings)
+CREATE TABLE grading_scales
+(
+    scale_id       INT AUTO_INCREMENT PRIMARY KEY,
+    subject_id     INT           NOT NULL,
+    thresholds     VARCHAR(255)  NOT NULL, -- JSON, minimum percentage per grade, e.g. {"5":90,"4":80,"3":70,"2":50}
+    plus_minus     BOOLEAN       NOT NULL DEFAULT FALSE,
+    modifier_range DECIMAL(4, 1) NOT NULL DEFAULT 3.0, -- percentage points from a band edge that earn + or -
+    CONSTRAINT grading_scales_subject UNIQUE (subject_id),
+    CONSTRAINT grading_scales_ibfk_1 FOREIGN KEY (subject_id) REFERENCES subjects (subject_id)
+);
+
 -- System Settings
 CREATE TABLE system_settings
 (
-    id               INT AUTO_INCREMENT PRIMARY KEY,
-    school_name      VARCHAR(100) NOT NULL DEFAULT 'ŠCC Celje',
-    current_year     VARCHAR(20)  NOT NULL DEFAULT '2024/2025',
-    school_address   TEXT,
-    session_timeout  INT          NOT NULL DEFAULT 30,
-    grade_scale      VARCHAR(20)  NOT NULL DEFAULT '1-5',
-    maintenance_mode BOOLEAN      NOT NULL DEFAULT FALSE,
-    created_at       TIMESTAMP             DEFAULT CURRENT_TIMESTAMP,
-    updated_at       TIMESTAMP             DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    id                   INT AUTO_INCREMENT PRIMARY KEY,
+    school_name          VARCHAR(100)  NOT NULL DEFAULT 'ŠCC Celje',
+    current_year         VARCHAR(20)   NOT NULL DEFAULT '2024/2025',
+    school_address       TEXT,
+    session_timeout      INT           NOT NULL DEFAULT 30,
+    grade_scale          VARCHAR(20)   NOT NULL DEFAULT '1-5',
+    grade_thresholds     VARCHAR(255)  NOT NULL DEFAULT '{"5":90,"4":80,"3":70,"2":50}', -- school-wide grading scale, see grading_scales
+    grade_plus_minus     BOOLEAN       NOT NULL DEFAULT FALSE,
+    grade_modifier_range DECIMAL(4, 1) NOT NULL DEFAULT 3.0,
+    maintenance_mode     BOOLEAN       NOT NULL DEFAULT FALSE,
+    created_at           TIMESTAMP              DEFAULT CURRENT_TIMESTAMP,
+    updated_at           TIMESTAMP              DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
 -- Insert default roles
@@ -205,5 +235,6 @@ INSERT INTO users (username, pass_hash, role_id)
 VALUES ('admin', '$2y$10$oDaW.izk.8ZDF74wKHJ7ZueMsp68jFMPzZ1WUyeMLrQpwBCC7Pe2i', 1);
 
 -- Insert default settings
-INSERT INTO system_settings (school_name, current_year, school_address, session_timeout, grade_scale, maintenance_mode)
-VALUES ('ŠCC Celje', '2024/2025', '', 30, '1-5', FALSE);
+INSERT INTO system_settings (school_name, current_year, school_address, session_timeout, grade_scale, grade_thresholds,
+                             grade_plus_minus, grade_modifier_range, maintenance_mode)
+VALUES ('ŠCC Celje', '2024/2025', '', 30, '1-5', '{"5":90,"4":80,"3":70,"2":50}', FALSE, 3.0, FALSE);
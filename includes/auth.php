@@ -18,9 +18,13 @@
  * - getUserId(): int|null - Returns the current user's ID from session
  * - hasRole(int $roleId): bool - Checks if current user has a specific role
  * - getRoleName(?int $roleId): string - Returns the name of a role by ID
+ * - getUserLocale(): string - Returns the interface language chosen by the user ('sl' or 'en')
  *
  * Access Control:
  * - requireRole(int $roleId): bool - Restricts page access to users with specific role
+ * - isAjaxRequest(): bool - Checks if the request was sent by the JS API client
+ * - isBackgroundRequest(): bool - Checks if the request is a background poll that must not extend the session
+ * - sendAuthJsonResponse(string $message, int $statusCode): void - Ends an API client request with a JSON auth error
  *
  * Security:
  * - generateCSRFToken(): string - Creates a CSRF token for form security
@@ -45,7 +49,8 @@ if (session_status() === PHP_SESSION_NONE) {
 
     checkSessionTimeout();
 
-    if (isLoggedIn()) updateLastActivityTime();
+    // Background polls (live updates) must not keep an idle session alive
+    if (isLoggedIn() && !isBackgroundRequest()) updateLastActivityTime();
 }
 
 // Enforce session timeout
@@ -102,12 +107,16 @@ function hasRole(int $roleId): bool
 function requireRole(int $roleId): bool
 {
     if (!isLoggedIn()) {
+        if (isAjaxRequest()) sendAuthJsonResponse('Seja je potekla. Prijavite se znova.', 401);
+
         $_SESSION['redirect_after_login'] = $_SERVER['REQUEST_URI'];
         header('Location: /uwuweb/index.php');
         exit;
     }
 
     if (!hasRole($roleId) && !hasRole(1)) {
+        if (isAjaxRequest()) sendAuthJsonResponse('Nimate dovoljenja za to dejanje.', 403);
+
         header('Location: /uwuweb/dashboard.php?error=unauthorized');
         exit;
     }
@@ -115,6 +124,48 @@ function requireRole(int $roleId): bool
     return true;
 }
 
+/**
+ * Checks if the request was sent by the JS API client
+ * The client in main.js marks its requests with X-Requested-With
+ *
+ * @return bool True for API client requests
+ */
+function isAjaxRequest(): bool
+{
+    return ($_SERVER['HTTP_X_REQUESTED_WITH'] ?? '') === 'XMLHttpRequest';
+}
+
+/**
+ * Checks if the request is a background poll that must not extend the session
+ * The API client in main.js sends X-Background-Request for requests made with {background: true}
+ *
+ * @return bool True for background requests
+ */
+function isBackgroundRequest(): bool
+{
+    return isAjaxRequest() && ($_SERVER['HTTP_X_BACKGROUND_REQUEST'] ?? '') === '1';
+}
+
+/**
+ * Ends an API client request with a JSON auth error instead of a login redirect
+ * Uses the same shape as sendJsonErrorResponse(), which is not loaded this early
+ *
+ * @param string $message Error message for the user
+ * @param int $statusCode HTTP status code (401 expired session, 403 wrong role)
+ * @return void
+ */
+#[NoReturn]
+function sendAuthJsonResponse(string $message, int $statusCode): void
+{
+    if (!headers_sent()) {
+        header('Content-Type: application/json; charset=utf-8');
+        http_response_code($statusCode);
+    }
+
+    echo json_encode(['success' => false, 'message' => $message], JSON_UNESCAPED_UNICODE);
+    exit;
+}
+
 /**
  * Creates a CSRF token for form security
  *
@@ -185,6 +236,20 @@ function getRoleName(?int $roleId): string
     }
 }
 
+/**
+ * Returns the interface language chosen by the user
+ *
+ * The choice is stored in the uwuweb_locale cookie by the language switch in main.js.
+ *
+ * @return string 'sl' or 'en', Slovenian when nothing valid is set
+ */
+function getUserLocale(): string
+{
+    $locale = $_COOKIE['uwuweb_locale'] ?? 'sl';
+
+    return in_array($locale, ['sl', 'en'], true) ? $locale : 'sl';
+}
+
 /**
  * Checks if the session has timed out due to inactivity
  *
@@ -200,6 +265,8 @@ function checkSessionTimeout(): void
             session_unset();
             session_destroy();
 
+            if (isAjaxRequest()) sendAuthJsonResponse('Seja je potekla. Prijavite se znova.', 401);
+
             header('Location: /uwuweb/index.php?error=session_timeout');
             exit;
         }
@@ -2,7 +2,9 @@
 /**
  * Secure Justification File Download Handler
  *
- * Provides secure download of justification files
+ * Provides secure download of justification files. With file_id a single file from
+ * justification_files is served, with inline=1 images and PDFs are shown in the browser
+ * (the attachment viewer in teacher/justifications.php) instead of being downloaded.
  *
  * /uwuweb/teacher/download_justification.php
  */
@@ -22,6 +24,8 @@ if (!$teacherId) die('Napaka: Učiteljev račun ni bil najden.');
 
 // Validate and sanitize input
 $absenceId = filter_input(INPUT_GET, 'att_id', FILTER_VALIDATE_INT);
+$fileId = filter_input(INPUT_GET, 'file_id', FILTER_VALIDATE_INT);
+$inline = filter_input(INPUT_GET, 'inline') === '1';
 $csrfToken = filter_input(INPUT_GET, 'csrf_token');
 
 // Validate CSRF token
@@ -57,15 +61,28 @@ try {
     $stmt->execute([$absenceId]);
     $fileInfo = $stmt->fetch(PDO::FETCH_ASSOC);
 
-    // Verify file exists and teacher has access (is homeroom teacher)
-    if (!$fileInfo || empty($fileInfo['justification_file']) || $fileInfo['homeroom_teacher_id'] != $teacherId) {
+    // Verify teacher has access (is homeroom teacher)
+    if (!$fileInfo || $fileInfo['homeroom_teacher_id'] != $teacherId) {
+        http_response_code(404);
+        die('Napaka: Datoteka ni bila najdena ali nimate dostopa do nje.');
+    }
+
+    // A single evidence file, otherwise the file stored on the attendance record
+    $storedFile = $fileInfo['justification_file'];
+    if ($fileId) {
+        $stmt = $pdo->prepare("SELECT file_name FROM justification_files WHERE file_id = ? AND att_id = ?");
+        $stmt->execute([$fileId, $absenceId]);
+        $storedFile = $stmt->fetchColumn();
+    }
+
+    if (empty($storedFile)) {
         http_response_code(404);
         die('Napaka: Datoteka ni bila najdena ali nimate dostopa do nje.');
     }
 
     // Build the file path
     $uploadDir = __DIR__ . '/justifications/';
-    $filePath = $uploadDir . $fileInfo['justification_file'];
+    $filePath = $uploadDir . basename($storedFile);
 
     // Check if file exists
     if (!file_exists($filePath)) {
@@ -75,12 +92,12 @@ try {
 
     // Get file information
     $fileSize = filesize($filePath);
-    $fileExt = pathinfo($filePath, PATHINFO_EXTENSION);
+    $fileExt = strtolower(pathinfo($filePath, PATHINFO_EXTENSION));
 
     // Sanitize filename for download
     $safeFilename = preg_replace('/[^a-z0-9_\-.]/i', '_',
         $fileInfo['first_name'] . '_' . $fileInfo['last_name'] . '_' .
-        $fileInfo['class_code'] . '_opravicilo.' . $fileExt);
+        $fileInfo['class_code'] . '_opravicilo' . ($fileId ? '_' . $fileId : '') . '.' . $fileExt);
 
     // Determine MIME type
     $mimeTypes = [
@@ -95,10 +112,14 @@ try {
 
     $contentType = $mimeTypes[$fileExt] ?? 'application/octet-stream';
 
+    // Only images and PDFs are shown inline, everything else is always downloaded
+    $inline = $inline && in_array($contentType, ['application/pdf', 'image/jpeg', 'image/png'], true);
+
     // Set headers for download
     header('Content-Description: File Transfer');
     header('Content-Type: ' . $contentType);
-    header('Content-Disposition: attachment; filename="' . $safeFilename . '"');
+    header('Content-Disposition: ' . ($inline ? 'inline' : 'attachment') . '; filename="' . $safeFilename . '"');
+    header('X-Content-Type-Options: nosniff');
     header('Expires: 0');
     header('Cache-Control: must-revalidate');
     header('Pragma: public');
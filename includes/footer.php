@@ -3,10 +3,86 @@
  * Common Footer File
  *
  * Contains common HTML footer structure included in all pages
- * Includes necessary JavaScript files
+ * Includes necessary JavaScript files, the command palette and shortcut overlay for logged-in users
+ * and the live update settings modal for students and parents
  *
  */
 ?>
+<?php if (isLoggedIn() && in_array(getUserRole(), [ROLE_STUDENT, ROLE_PARENT], true)): ?>
+    <!-- Live Updates Settings Modal, filled and saved by liveUpdates in main.js -->
+    <div class="modal" id="liveUpdatesModal">
+        <div class="modal-overlay" aria-hidden="true"></div>
+        <div class="modal-container" role="dialog" aria-modal="true" aria-labelledby="liveUpdatesModalTitle">
+            <div class="modal-header">
+                <h3 class="modal-title" id="liveUpdatesModalTitle">Nastavitve obvestil</h3>
+            </div>
+            <form id="liveUpdatesForm">
+                <div class="modal-body">
+                    <p class="text-secondary mb-md">Nove ocene in odločitve o opravičilih se prikažejo sproti, brez
+                        osveževanja strani. Obvestila brskalnika se pokažejo, ko je zavihek v ozadju.</p>
+
+                    <div class="form-group">
+                        <label class="form-label">
+                            <input type="checkbox" name="browser"> Obvestila brskalnika
+                        </label>
+                        <small class="text-secondary d-block mt-xs" id="liveUpdatesPermission" role="status"></small>
+                    </div>
+
+                    <fieldset class="form-group mb-0">
+                        <legend class="form-label">Obvesti me o:</legend>
+                        <label class="form-label">
+                            <input type="checkbox" name="event_grades"> novih ocenah
+                        </label>
+                        <label class="form-label">
+                            <input type="checkbox" name="event_justifications"> odločitvah o opravičilih
+                        </label>
+                    </fieldset>
+                </div>
+                <div class="modal-footer">
+                    <div class="d-flex justify-between w-full">
+                        <button type="button" class="btn btn-secondary" data-close-modal>Prekliči</button>
+                        <button type="submit" class="btn btn-primary">Shrani</button>
+                    </div>
+                </div>
+            </form>
+        </div>
+    </div>
+<?php endif; ?>
+<?php if (isLoggedIn()): ?>
+    <!-- Command Palette (Ctrl+K), searched and run by commandPalette in main.js -->
+    <div class="modal command-palette" id="commandPalette" data-user-id="<?= (int)getUserId() ?>">
+        <div class="modal-overlay" aria-hidden="true"></div>
+        <div class="modal-container" role="dialog" aria-modal="true" aria-label="Ukazna paleta">
+            <div class="command-palette-search">
+                <label class="sr-only" for="commandPaletteInput">Iskanje strani, razredov, učencev in ukazov</label>
+                <input type="text" id="commandPaletteInput" class="form-input" autocomplete="off" spellcheck="false"
+                       placeholder="Poiščite stran, razred, učenca ali ukaz …" role="combobox"
+                       aria-expanded="true" aria-controls="commandPaletteList" aria-autocomplete="list">
+            </div>
+            <ul class="command-palette-list" id="commandPaletteList" role="listbox" aria-label="Zadetki"></ul>
+            <div class="command-palette-footer">
+                <span id="commandPaletteStatus" role="status" aria-live="polite"></span>
+                <span><kbd>↑</kbd><kbd>↓</kbd> izbira · <kbd>Enter</kbd> odpri · <kbd>?</kbd> bližnjice</span>
+            </div>
+        </div>
+    </div>
+
+    <!-- Keyboard Shortcuts Modal, listed by commandPalette in main.js -->
+    <div class="modal" id="shortcutsModal">
+        <div class="modal-overlay" aria-hidden="true"></div>
+        <div class="modal-container" role="dialog" aria-modal="true" aria-labelledby="shortcutsModalTitle">
+            <div class="modal-header">
+                <h3 class="modal-title" id="shortcutsModalTitle">Bližnjice na tipkovnici</h3>
+            </div>
+            <div class="modal-body" id="shortcutsList"></div>
+            <div class="modal-footer">
+                <div class="d-flex justify-end w-full">
+                    <button type="button" class="btn btn-secondary" data-close-modal>Zapri</button>
+                </div>
+            </div>
+        </div>
+    </div>
+<?php endif; ?>
 <footer class="mt-xl p-lg rounded shadow-lg card__footer">
     <div class="container">
         <p class="text-center text-secondary mb-0">© <?= date('Y') ?> uwuweb - nyaaa :3</p>
@@ -14,3 +90,7 @@
 </footer>
 
 <script src="/uwuweb/assets/js/main.js"></script>
+<script src="/uwuweb/assets/js/lang/sl.js"></script>
+<?php if (getUserLocale() !== 'sl'): ?>
+    <script src="/uwuweb/assets/js/lang/<?= getUserLocale() ?>.js"></script>
+<?php endif; ?>
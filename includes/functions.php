@@ -22,6 +22,8 @@
  * - renderPlaceholderWidget(string $message = ''): string - Renders a placeholder widget when data is unavailable
  * - renderHeaderCard(string $title, string $description, string $role, ?string $roleText = null): void - Renders a header card
  * - renderRecentActivityWidget(): string - Renders the recent activity widget
+ * - renderGradeAnalyticsCard(array $subjectGrades): void - Renders the grade analytics and target grade calculator card
+ * - renderAttendanceOverviewCard(int $studentId, ?string $justifyUrl = null, string $cardClass = 'card mb-lg'): void - Renders the attendance calendar and heatmap card
  *
  * Class/Subject Functions:
  * - getTeacherClasses(int $teacherId): array - Retrieves all classes assigned to a teacher
@@ -50,24 +52,38 @@
  * - deleteGradeItem(int $enrollId, int $itemId): bool - Deletes a grade, or entire grade item (if $enrollId is 0)
  * - calculateAverage(array $grades): float - Calculate average for a set of grades
  * - calculateClassAverage(array $grades): float - Calculate overall grade average for a class
- * - getGradeLetter(float $percentage): string - Converts a numerical percentage to a letter grade
+ * - getGradeLetter(float $percentage, ?array $scale = null): string - Converts a numerical percentage to a letter grade
+ * - getGradingScale(?int $classSubjectId = null): array - Gets the grading scale for a class-subject or the school default
+ * - getGradeBandRange(array $scale, int $index): string - Percentage range of a grade band for legends
  *
  * Justification Functions:
  * - getJustificationFileInfo(int $absenceId): ?string - Gets information about a justification file
  * - uploadJustification(int $absenceId, string $justification): bool - Uploads a justification for an absence
  * - validateJustificationFile(array $file): bool - Validates an uploaded justification file
  * - saveJustificationFile(array $file, int $absenceId): string|false - Saves an uploaded justification file
+ * - saveJustificationFiles(array $files, int $absenceId): array|false - Validates and saves several evidence files for an absence
+ * - getJustificationFiles(int $absenceId): array - Gets the evidence files attached to an absence
  * - getPendingJustifications(?int $teacherId = null): array - Gets pending justifications for a teacher
  * - getJustificationById(int $absenceId): ?array - Gets detailed information about a justification
  * - approveJustification(int $absenceId): bool - Approves a justification
  * - rejectJustification(int $absenceId, string $reason): bool - Rejects a justification
+ * - canReviewJustification(int $absenceId): bool - Checks if the current user may approve or reject a justification
+ *
+ * Live Update Functions:
+ * - getLiveUpdateStudentIds(): array - Gets the students whose grades and justifications the current user follows
+ * - getLiveUpdates(array $studentIds): array - Gets the current grades and justification decisions of a set of students
+ *
+ * Command Palette Functions:
+ * - getCommandPaletteIndex(): array - Gets the role-specific entities searchable in the command palette
  *
  * Utility Functions:
  * - validateDate(string $date): bool - Validates a date format (YYYY-MM-DD)
  * - formatDateDisplay(string $date): string - Formats date for display (YYYY-MM-DD to DD.MM.YYYY)
  * - formatDateTimeDisplay(string $datetime): string - Formats datetime for display
  * - formatFileSize(int $bytes): string - Formats file size to human-readable string
- * - sendJsonErrorResponse(string $message, int $statusCode = 400, string $context = ''): never - Sends standardized JSON error response
+ * - getSchoolInfo(): array - Gets the school name, address and current school year for printed documents
+ * - sendJsonErrorResponse(string $message, int $statusCode = 400, string $context = '', array $fieldErrors = []): never - Sends standardized JSON error response
+ * - sendCsrfTokenHeader(): void - Sends the session's CSRF token in the X-CSRF-Token response header
  */
 
 require_once __DIR__ . '/db.php';
@@ -768,6 +784,126 @@ function renderRecentActivityWidget(): string
     }
 }
 
+/**
+ * Renders the grade analytics card with the trend, distribution and class comparison charts and the target grade
+ * calculator (initGradeAnalytics in main.js)
+ *
+ * @param array $subjectGrades Subject grades keyed by class_subject_id, each with a subject_name
+ * @return void Outputs HTML directly
+ */
+function renderGradeAnalyticsCard(array $subjectGrades): void
+{
+    $subjectOptions = '';
+    foreach ($subjectGrades as $classSubjectId => $subjectData) {
+        $subjectName = htmlspecialchars($subjectData['subject_name']);
+        $subjectOptions .= '<option value="' . (int)$classSubjectId . '">' . $subjectName . '</option>';
+    }
+
+    echo <<<HTML
+    <!-- Grade Analytics -->
+    <div class="card mb-md" id="gradeAnalytics">
+        <div class="card__title d-flex flex-wrap justify-between items-center gap-sm">
+            <span>Analiza ocen</span>
+            <label for="analytics_subject" class="sr-only">Predmet za analizo</label>
+            <select id="analytics_subject" class="form-select no-print" style="max-width: 260px;">
+                <option value="">Vsi predmeti</option>
+                $subjectOptions
+            </select>
+        </div>
+        <div class="card__content">
+            <div class="grade-analytics-grid">
+                <figure class="grade-chart">
+                    <figcaption class="font-medium mb-sm">Povprečje skozi čas</figcaption>
+                    <div data-chart="trend"></div>
+                </figure>
+                <figure class="grade-chart">
+                    <figcaption class="font-medium mb-sm">Porazdelitev ocen</figcaption>
+                    <div data-chart="distribution"></div>
+                </figure>
+                <figure class="grade-chart grade-chart-wide">
+                    <figcaption class="font-medium mb-sm">Primerjava s povprečjem razreda</figcaption>
+                    <div data-chart="comparison"></div>
+                </figure>
+            </div>
+
+            <form id="gradeTargetCalculator" class="grade-target-calculator no-print mt-md">
+                <h4 class="mb-sm">Koliko potrebujem na naslednjem testu?</h4>
+                <div class="d-flex flex-wrap gap-md items-end">
+                    <div class="form-group mb-0">
+                        <label for="target_grade" class="form-label">Želena ocena:</label>
+                        <select id="target_grade" class="form-select">
+                            <option value="5">5 – odlično</option>
+                            <option value="4" selected>4 – prav dobro</option>
+                            <option value="3">3 – dobro</option>
+                            <option value="2">2 – zadostno</option>
+                        </select>
+                    </div>
+                    <div class="form-group mb-0">
+                        <label for="target_max_points" class="form-label">Največ točk na testu:</label>
+                        <input type="number" id="target_max_points" class="form-input" min="1" step="0.5"
+                               value="100" style="width: 120px;">
+                    </div>
+                </div>
+                <p id="gradeTargetResult" class="mt-sm" aria-live="polite"></p>
+            </form>
+        </div>
+    </div>
+HTML;
+}
+
+/**
+ * Renders the attendance overview card with the calendar, subject heatmap and absences against the allowed share
+ * (initAttendanceOverview in main.js)
+ *
+ * @param int $studentId Student whose attendance is shown
+ * @param string|null $justifyUrl Page unexcused absences link to, or null when the viewer cannot submit justifications
+ * @param string $cardClass CSS classes of the card, to match the surrounding page
+ * @return void Outputs HTML directly
+ */
+function renderAttendanceOverviewCard(int $studentId, ?string $justifyUrl = null, string $cardClass = 'card mb-lg'): void
+{
+    $threshold = ABSENCE_THRESHOLD_PERCENT;
+    $cardClass = htmlspecialchars($cardClass);
+    $justifyAttribute = $justifyUrl !== null ? ' data-justify-url="' . htmlspecialchars($justifyUrl) . '"' : '';
+
+    echo <<<HTML
+    <!-- Attendance Overview -->
+    <div class="$cardClass" id="attendanceOverview"
+         data-student-id="$studentId"
+         data-absence-threshold="$threshold"$justifyAttribute>
+        <div class="card__title d-flex flex-wrap justify-between items-center gap-sm">
+            <span>Koledar prisotnosti</span>
+            <div class="d-flex items-center gap-sm">
+                <button type="button" class="btn btn-secondary btn-sm no-print" data-calendar-prev
+                        aria-label="Prejšnji mesec">&lsaquo;</button>
+                <span class="font-medium attendance-calendar-month" data-calendar-month aria-live="polite"></span>
+                <button type="button" class="btn btn-secondary btn-sm no-print" data-calendar-next
+                        aria-label="Naslednji mesec">&rsaquo;</button>
+            </div>
+        </div>
+        <div class="card__content">
+            <div class="attendance-legend mb-md" data-attendance-legend></div>
+            <div class="attendance-overview-grid">
+                <figure class="attendance-figure">
+                    <figcaption class="sr-only">Koledar prisotnosti po dnevih</figcaption>
+                    <div data-chart="calendar">
+                        <p class="text-secondary text-sm">Nalaganje podatkov ...</p>
+                    </div>
+                </figure>
+                <figure class="attendance-figure">
+                    <figcaption class="font-medium mb-sm">Odsotnost po predmetih (dovoljeno do $threshold % ur)</figcaption>
+                    <div data-chart="absence-summary"></div>
+                </figure>
+                <figure class="attendance-figure attendance-figure-wide">
+                    <figcaption class="font-medium mb-sm">Odsotnost po predmetih in tednih</figcaption>
+                    <div data-chart="heatmap"></div>
+                </figure>
+            </div>
+        </div>
+    </div>
+HTML;
+}
+
 /************************
  * CLASS/SUBJECT FUNCTIONS
  ************************/
@@ -964,6 +1100,11 @@ function getAttendanceStatusLabel(string $status): string
     };
 }
 
+/**
+ * Share of a subject's periods in percent a student may be absent from, also used by the attendance overview in the browser
+ */
+const ABSENCE_THRESHOLD_PERCENT = 15;
+
 /**
  * Calculates statistics from attendance records
  *
@@ -1697,21 +1838,134 @@ function calculateClassAverage(array $grades): float
  * Converts a numerical percentage to a letter grade
  *
  * @param float $percentage Grade percentage (0-100)
+ * @param array|null $scale Grading scale from getGradingScale(), the school default if null
  * @return string Letter grade (1-5)
  */
-function getGradeLetter(float $percentage): string
+function getGradeLetter(float $percentage, ?array $scale = null): string
 {
-    if ($percentage >= 90) return '5';
-    if ($percentage >= 80) return '4';
-    if ($percentage >= 70) return '3';
-    if ($percentage >= 50) return '2';
+    $scale ??= getGradingScale();
+
+    foreach ($scale['grades'] as $grade) if ($percentage >= $grade['min']) return (string)$grade['grade'];
+
     return '1';
 }
 
+/**
+ * Default minimum percentage for each grade, used when no scale is stored
+ * (the cutoffs getGradeLetter used before scales were configurable)
+ */
+const DEFAULT_GRADE_THRESHOLDS = [5 => 90, 4 => 80, 3 => 70, 2 => 50, 1 => 0];
+
+/**
+ * Default distance from a band edge, in percentage points, that earns a + or - grade
+ */
+const DEFAULT_GRADE_MODIFIER_RANGE = 3.0;
+
+/**
+ * Grade names per interface language, see getUserLocale()
+ */
+const GRADE_LABELS = [
+    'sl' => [5 => 'Odlično', 4 => 'Prav dobro', 3 => 'Dobro', 2 => 'Zadostno', 1 => 'Nezadostno'],
+    'en' => [5 => 'Excellent', 4 => 'Very good', 3 => 'Good', 2 => 'Sufficient', 1 => 'Insufficient']
+];
+
+/**
+ * Gets the grading scale for a class-subject
+ *
+ * A scale stored for the subject in grading_scales wins over the school-wide scale in
+ * system_settings, which wins over DEFAULT_GRADE_THRESHOLDS. With plus_minus enabled, results
+ * within modifier_range percentage points of a band edge get a + or - (e.g. 4+ or 3-).
+ * Labels are in the user's interface language.
+ *
+ * @param int|null $classSubjectId Class-Subject ID, null for the school-wide scale
+ * @return array Scale with 'grades' (grade, min, label; highest first), 'plus_minus' and 'modifier_range'
+ */
+function getGradingScale(?int $classSubjectId = null): array
+{
+    static $cache = [];
+    $cacheKey = $classSubjectId ?? 0;
+    if (isset($cache[$cacheKey])) return $cache[$cacheKey];
+
+    $thresholds = DEFAULT_GRADE_THRESHOLDS;
+    $plusMinus = false;
+    $modifierRange = DEFAULT_GRADE_MODIFIER_RANGE;
+
+    try {
+        $pdo = safeGetDBConnection('getGradingScale', false);
+
+        if ($pdo !== null) {
+            $row = false;
+
+            if ($classSubjectId !== null) {
+                $stmt = $pdo->prepare("
+                    SELECT gs.thresholds, gs.plus_minus, gs.modifier_range
+                    FROM grading_scales gs
+                    JOIN class_subjects cs ON cs.subject_id = gs.subject_id
+                    WHERE cs.class_subject_id = ?
+                ");
+                $stmt->execute([$classSubjectId]);
+                $row = $stmt->fetch(PDO::FETCH_ASSOC);
+            }
+
+            if (!$row) $row = $pdo->query("
+                SELECT grade_thresholds AS thresholds, grade_plus_minus AS plus_minus, grade_modifier_range AS modifier_range
+                FROM system_settings
+                ORDER BY id
+                LIMIT 1
+            ")->fetch(PDO::FETCH_ASSOC);
+
+            if ($row) {
+                $stored = json_decode($row['thresholds'], true, 512, JSON_THROW_ON_ERROR);
+                foreach ([5, 4, 3, 2] as $grade) if (isset($stored[$grade]) && is_numeric($stored[$grade])) $thresholds[$grade] = (float)$stored[$grade];
+                $plusMinus = (bool)$row['plus_minus'];
+                $modifierRange = (float)$row['modifier_range'];
+            }
+        }
+    } catch (PDOException|JsonException $e) {
+        logDBError("Error in getGradingScale: " . $e->getMessage());
+    }
+
+    $labels = GRADE_LABELS[getUserLocale()] ?? GRADE_LABELS['sl'];
+    $grades = [];
+    foreach ($thresholds as $grade => $min) $grades[] = ['grade' => $grade, 'min' => (float)$min, 'label' => $labels[$grade]];
+
+    return $cache[$cacheKey] = [
+        'grades' => $grades,
+        'plus_minus' => $plusMinus,
+        'modifier_range' => $modifierRange
+    ];
+}
+
+/**
+ * Percentage range of a grade band for legends, e.g. "≥90%", "70% – pod 80%" or "<50%"
+ *
+ * A band reaches up to, but not including, the minimum of the band above it.
+ *
+ * @param array $scale Grading scale from getGradingScale()
+ * @param int $index Position of the band in $scale['grades']
+ * @return string Range text
+ */
+function getGradeBandRange(array $scale, int $index): string
+{
+    $min = $scale['grades'][$index]['min'];
+    $upper = $index > 0 ? $scale['grades'][$index - 1]['min'] : null;
+
+    if ($upper === null) return '≥' . $min . '%';
+    if ($min <= 0) return '<' . $upper . '%';
+    return $min . '% – pod ' . $upper . '%';
+}
+
 /************************
  * JUSTIFICATION FUNCTIONS
  ************************/
 
+/**
+ * Upload limits for justification evidence, also used by the upload form in the browser
+ */
+const JUSTIFICATION_MAX_FILE_SIZE = 15 * 1024 * 1024;
+const JUSTIFICATION_MAX_FILES = 5;
+const JUSTIFICATION_ALLOWED_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
 /**
  * Gets information about a justification file
  *
@@ -1811,15 +2065,13 @@ function validateJustificationFile(array $file): bool
     if ($file['error'] !== UPLOAD_ERR_OK || empty($file['tmp_name'])) return false;
 
     // Check file size (max 15MB)
-    $maxSize = 15 * 1024 * 1024; // 15MB in bytes
-    if ($file['size'] > $maxSize) return false;
+    if ($file['size'] > JUSTIFICATION_MAX_FILE_SIZE) return false;
 
     // Check file type
-    $allowedTypes = ['application/pdf', 'image/jpeg', 'image/png'];
     $finfo = new finfo(FILEINFO_MIME_TYPE);
     $mimeType = $finfo->file($file['tmp_name']);
 
-    if (!in_array($mimeType, $allowedTypes, true)) return false;
+    if (!in_array($mimeType, JUSTIFICATION_ALLOWED_TYPES, true)) return false;
 
     return true;
 }
@@ -1857,9 +2109,10 @@ function saveJustificationFile(array $file, int $absenceId): string|false
     $fileInfo = pathinfo($file['name']);
     $extension = strtolower($fileInfo['extension']);
 
-    // Generate unique filename
+    // Generate unique filename, several files of one absence can be saved in the same second
     $timestamp = time();
     $filename = "{$studentId}_{$absenceId}_$timestamp.$extension";
+    for ($i = 1; file_exists($uploadDir . $filename); $i++) $filename = "{$studentId}_{$absenceId}_{$timestamp}_$i.$extension";
     $filepath = $uploadDir . $filename;
 
     // Move uploaded file to destination
@@ -1868,6 +2121,133 @@ function saveJustificationFile(array $file, int $absenceId): string|false
     return false;
 }
 
+/**
+ * Validates and saves several evidence files for an absence
+ *
+ * Accepts the $_FILES entry of a multiple file input (name="justification_files[]"). Nothing is
+ * saved unless every file is valid and the absence belongs to the logged-in student.
+ *
+ * @param array $files The uploaded files ($_FILES array element with array values)
+ * @param int $absenceId The absence ID
+ * @return array|false Saved file names, false on invalid files or errors
+ */
+function saveJustificationFiles(array $files, int $absenceId): array|false
+{
+    // Turn the name[]/tmp_name[]/... layout into one array per file, skipping empty inputs
+    $uploads = [];
+    foreach ((array)($files['name'] ?? []) as $index => $name) {
+        if ($name === '' || ($files['error'][$index] ?? UPLOAD_ERR_NO_FILE) === UPLOAD_ERR_NO_FILE) continue;
+        $uploads[] = [
+            'name' => $name,
+            'type' => $files['type'][$index] ?? '',
+            'tmp_name' => $files['tmp_name'][$index] ?? '',
+            'error' => $files['error'][$index],
+            'size' => $files['size'][$index] ?? 0
+        ];
+    }
+
+    if (empty($uploads) || count($uploads) > JUSTIFICATION_MAX_FILES) return false;
+    foreach ($uploads as $upload) if (!validateJustificationFile($upload)) return false;
+
+    try {
+        $pdo = safeGetDBConnection('saveJustificationFiles', false);
+        if ($pdo === null) return false;
+
+        // Check if this is the student's absence
+        $stmt = $pdo->prepare("
+            SELECT a.att_id FROM attendance a
+            JOIN enrollments e ON a.enroll_id = e.enroll_id
+            WHERE a.att_id = :att_id AND e.student_id = :student_id
+        ");
+        $stmt->execute([
+            'att_id' => $absenceId,
+            'student_id' => getStudentId()
+        ]);
+
+        if (!$stmt->fetch()) return false;
+
+        $finfo = new finfo(FILEINFO_MIME_TYPE);
+        $insert = $pdo->prepare("
+            INSERT INTO justification_files (att_id, file_name, original_name, mime_type, file_size)
+            VALUES (:att_id, :file_name, :original_name, :mime_type, :file_size)
+        ");
+
+        $savedFiles = [];
+        foreach ($uploads as $upload) {
+            $mimeType = $finfo->file($upload['tmp_name']);
+            $fileName = saveJustificationFile($upload, $absenceId);
+            if (!$fileName) return false;
+
+            $insert->execute([
+                'att_id' => $absenceId,
+                'file_name' => $fileName,
+                'original_name' => mb_substr(basename($upload['name']), 0, 255),
+                'mime_type' => $mimeType,
+                'file_size' => (int)$upload['size']
+            ]);
+            $savedFiles[] = $fileName;
+        }
+
+        // Keep the single-file column pointing at the first file for older views
+        $stmt = $pdo->prepare("UPDATE attendance SET justification_file = :file_name WHERE att_id = :att_id");
+        $stmt->execute([
+            'file_name' => $savedFiles[0],
+            'att_id' => $absenceId
+        ]);
+
+        return $savedFiles;
+    } catch (PDOException $e) {
+        logDBError("Error in saveJustificationFiles: " . $e->getMessage());
+        return false;
+    }
+}
+
+/**
+ * Gets the evidence files attached to an absence
+ *
+ * Files uploaded before justification_files existed are returned from attendance.justification_file
+ * with a null file_id. Access has to be checked by the caller.
+ *
+ * @param int $absenceId The absence ID
+ * @return array Files with file_id, file_name, original_name, mime_type and file_size
+ */
+function getJustificationFiles(int $absenceId): array
+{
+    try {
+        $pdo = safeGetDBConnection('getJustificationFiles', false);
+        if ($pdo === null) return [];
+
+        $stmt = $pdo->prepare("
+            SELECT file_id, file_name, original_name, mime_type, file_size
+            FROM justification_files
+            WHERE att_id = ?
+            ORDER BY file_id
+        ");
+        $stmt->execute([$absenceId]);
+        $files = $stmt->fetchAll(PDO::FETCH_ASSOC);
+        if (!empty($files)) return $files;
+
+        $stmt = $pdo->prepare("SELECT justification_file FROM attendance WHERE att_id = ?");
+        $stmt->execute([$absenceId]);
+        $legacyFile = $stmt->fetchColumn();
+        if (!$legacyFile) return [];
+
+        $mimeTypes = ['pdf' => 'application/pdf', 'jpg' => 'image/jpeg', 'jpeg' => 'image/jpeg', 'png' => 'image/png'];
+        $extension = strtolower(pathinfo($legacyFile, PATHINFO_EXTENSION));
+
+        return [[
+            'file_id' => null,
+            'file_name' => $legacyFile,
+            'original_name' => $legacyFile,
+            'mime_type' => $mimeTypes[$extension] ?? 'application/octet-stream',
+            'file_size' => null
+        ]];
+    } catch (PDOException $e) {
+        logDBError("Error in getJustificationFiles: " . $e->getMessage());
+        return [];
+    }
+}
+
 /**
  * Gets pending justifications for a teacher
  *
@@ -2023,6 +2403,247 @@ function rejectJustification(int $absenceId, string $reason): bool
     }
 }
 
+/**
+ * Checks if the current user may approve or reject a justification
+ *
+ * Admins may review every justification, teachers only those of students in their homeroom class.
+ *
+ * @param int $absenceId Attendance record ID
+ * @return bool Whether the justification can be reviewed
+ */
+function canReviewJustification(int $absenceId): bool
+{
+    $userRole = getUserRole();
+    if ($userRole === ROLE_ADMIN) return true;
+    if ($userRole !== ROLE_TEACHER) return false;
+
+    $teacherId = getTeacherId();
+    if (!$teacherId) return false;
+
+    try {
+        $pdo = safeGetDBConnection('canReviewJustification', false);
+        if ($pdo === null) return false;
+
+        $stmt = $pdo->prepare("
+            SELECT c.homeroom_teacher_id
+            FROM attendance a
+            JOIN enrollments e ON a.enroll_id = e.enroll_id
+            JOIN classes c ON e.class_id = c.class_id
+            WHERE a.att_id = ? AND a.justification IS NOT NULL
+        ");
+        $stmt->execute([$absenceId]);
+
+        return (int)$stmt->fetchColumn() === $teacherId;
+    } catch (PDOException $e) {
+        logDBError("Error in canReviewJustification: " . $e->getMessage());
+        return false;
+    }
+}
+
+/************************
+ * LIVE UPDATE FUNCTIONS
+ ************************/
+
+/**
+ * Gets the students whose grades and justifications the current user follows
+ *
+ * Students follow themselves, parents all of their linked children.
+ *
+ * @return array List of student IDs, empty for other roles
+ */
+function getLiveUpdateStudentIds(): array
+{
+    $userRole = getUserRole();
+
+    if ($userRole === ROLE_STUDENT) {
+        $studentId = getStudentId();
+        return $studentId ? [$studentId] : [];
+    }
+
+    if ($userRole === ROLE_PARENT) return array_map('intval', array_column(getParentStudents(), 'student_id'));
+
+    return [];
+}
+
+/**
+ * Gets the current grades and justification decisions of a set of students
+ *
+ * The live-update service in main.js compares consecutive results to find new grades and
+ * decisions, the fingerprint lets it skip unchanged responses.
+ *
+ * @param array $studentIds Student IDs from getLiveUpdateStudentIds()
+ * @return array ['grades' => [...], 'justifications' => [...], 'fingerprint' => string]
+ */
+function getLiveUpdates(array $studentIds): array
+{
+    $updates = ['grades' => [], 'justifications' => []];
+
+    if (!empty($studentIds)) try {
+        $pdo = safeGetDBConnection('getLiveUpdates');
+        if ($pdo === null) return $updates + ['fingerprint' => ''];
+
+        $placeholders = implode(',', array_fill(0, count($studentIds), '?'));
+
+        $stmt = $pdo->prepare("
+            SELECT g.grade_id, g.item_id, g.points, g.comment,
+                   gi.name as item_name, gi.max_points, gi.date, gi.class_subject_id,
+                   subj.name as subject_name,
+                   s.student_id, s.first_name, s.last_name
+            FROM grades g
+            JOIN grade_items gi ON g.item_id = gi.item_id
+            JOIN class_subjects cs ON gi.class_subject_id = cs.class_subject_id
+            JOIN subjects subj ON cs.subject_id = subj.subject_id
+            JOIN enrollments e ON g.enroll_id = e.enroll_id
+            JOIN students s ON e.student_id = s.student_id
+            WHERE e.student_id IN ($placeholders)
+            ORDER BY g.grade_id
+        ");
+        $stmt->execute(array_values($studentIds));
+
+        foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $grade) $updates['grades'][] = [
+            'grade_id' => (int)$grade['grade_id'],
+            'item_id' => (int)$grade['item_id'],
+            'class_subject_id' => (int)$grade['class_subject_id'],
+            'student_id' => (int)$grade['student_id'],
+            'student_name' => $grade['first_name'] . ' ' . $grade['last_name'],
+            'subject_name' => $grade['subject_name'],
+            'item_name' => $grade['item_name'],
+            'date' => $grade['date'],
+            'points' => (float)$grade['points'],
+            'max_points' => (float)$grade['max_points'],
+            'comment' => $grade['comment'] ?? ''
+        ];
+
+        $stmt = $pdo->prepare("
+            SELECT a.att_id, a.approved, a.reject_reason,
+                   p.period_date, p.period_label,
+                   subj.name as subject_name,
+                   s.student_id, s.first_name, s.last_name
+            FROM attendance a
+            JOIN periods p ON a.period_id = p.period_id
+            JOIN class_subjects cs ON p.class_subject_id = cs.class_subject_id
+            JOIN subjects subj ON cs.subject_id = subj.subject_id
+            JOIN enrollments e ON a.enroll_id = e.enroll_id
+            JOIN students s ON e.student_id = s.student_id
+            WHERE e.student_id IN ($placeholders)
+              AND a.justification IS NOT NULL
+              AND a.approved IS NOT NULL
+            ORDER BY a.att_id
+        ");
+        $stmt->execute(array_values($studentIds));
+
+        foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $justification) $updates['justifications'][] = [
+            'att_id' => (int)$justification['att_id'],
+            'student_id' => (int)$justification['student_id'],
+            'student_name' => $justification['first_name'] . ' ' . $justification['last_name'],
+            'subject_name' => $justification['subject_name'],
+            'period_date' => $justification['period_date'],
+            'period_label' => $justification['period_label'],
+            'approved' => (bool)$justification['approved'],
+            'reject_reason' => $justification['reject_reason'] ?? ''
+        ];
+    } catch (PDOException $e) {
+        logDBError("Error in getLiveUpdates: " . $e->getMessage());
+    }
+
+    $updates['fingerprint'] = sha1(serialize($updates));
+
+    return $updates;
+}
+
+/************************
+ * COMMAND PALETTE FUNCTIONS
+ ************************/
+
+/**
+ * Gets the role-specific entities searchable in the command palette
+ *
+ * Teachers get their class-subject pairs and the students of those classes, parents their
+ * children and administrators all users, classes and subjects. Pages come from the
+ * navigation, so they are not part of the index.
+ *
+ * @return array ['role' => int, 'classSubjects' => [...], 'students' => [...], 'users' => [...], 'classes' => [...], 'subjects' => [...]]
+ */
+function getCommandPaletteIndex(): array
+{
+    $role = (int)getUserRole();
+    $index = ['role' => $role, 'classSubjects' => [], 'students' => [], 'users' => [], 'classes' => [], 'subjects' => []];
+
+    if ($role === ROLE_TEACHER) {
+        $teacherId = getTeacherId();
+        if (!$teacherId) return $index;
+
+        $studentClasses = [];
+        foreach (getTeacherClasses($teacherId) as $classSubject) {
+            $index['classSubjects'][] = [
+                'class_subject_id' => (int)$classSubject['class_subject_id'],
+                'class_id' => (int)$classSubject['class_id'],
+                'class_code' => $classSubject['class_code'],
+                'subject_name' => $classSubject['subject_name']
+            ];
+            $studentClasses[(int)$classSubject['class_id']] = $classSubject['class_code'];
+        }
+
+        foreach ($studentClasses as $classId => $classCode) foreach (getClassStudents($classId) as $student) $index['students'][] = [
+            'student_id' => (int)$student['student_id'],
+            'class_id' => $classId,
+            'class_code' => $classCode,
+            'name' => $student['first_name'] . ' ' . $student['last_name']
+        ];
+
+        return $index;
+    }
+
+    if ($role === ROLE_PARENT) {
+        foreach (getParentStudents() as $student) $index['students'][] = [
+            'student_id' => (int)$student['student_id'],
+            'class_code' => $student['class_code'],
+            'name' => $student['first_name'] . ' ' . $student['last_name']
+        ];
+
+        return $index;
+    }
+
+    if ($role !== ROLE_ADMIN) return $index;
+
+    try {
+        $pdo = safeGetDBConnection('getCommandPaletteIndex');
+        if ($pdo === null) return $index;
+
+        $stmt = $pdo->query("
+            SELECT u.user_id, u.username, u.role_id,
+                   COALESCE(CONCAT(s.first_name, ' ', s.last_name), CONCAT(t.first_name, ' ', t.last_name), '') as name
+            FROM users u
+            LEFT JOIN students s ON u.user_id = s.user_id
+            LEFT JOIN teachers t ON u.user_id = t.user_id
+            ORDER BY u.username
+        ");
+        foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $user) $index['users'][] = [
+            'user_id' => (int)$user['user_id'],
+            'username' => $user['username'],
+            'role' => (int)$user['role_id'],
+            'name' => $user['name']
+        ];
+
+        $stmt = $pdo->query("SELECT class_id, class_code, title FROM classes ORDER BY class_code");
+        foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $class) $index['classes'][] = [
+            'class_id' => (int)$class['class_id'],
+            'class_code' => $class['class_code'],
+            'title' => $class['title']
+        ];
+
+        $stmt = $pdo->query("SELECT subject_id, name FROM subjects ORDER BY name");
+        foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $subject) $index['subjects'][] = [
+            'subject_id' => (int)$subject['subject_id'],
+            'name' => $subject['name']
+        ];
+    } catch (PDOException $e) {
+        logDBError("Error in getCommandPaletteIndex: " . $e->getMessage());
+    }
+
+    return $index;
+}
+
 /************************
  * UTILITY FUNCTIONS
  ************************/
@@ -2075,15 +2696,41 @@ function formatFileSize(int $bytes): string
     return sprintf("%.2f %s", $bytes / (1024 ** $factor), $units[$factor]);
 }
 
+/**
+ * Gets the school name, address and current school year from the system settings, for printed documents
+ *
+ * @return array School info with school_name, school_address and current_year
+ */
+function getSchoolInfo(): array
+{
+    $school = ['school_name' => 'ŠCC Celje', 'school_address' => '', 'current_year' => ''];
+
+    try {
+        $pdo = safeGetDBConnection('getSchoolInfo', false);
+        if ($pdo === null) return $school;
+
+        $stmt = $pdo->query("SELECT school_name, school_address, current_year FROM system_settings LIMIT 1");
+        $settings = $stmt->fetch(PDO::FETCH_ASSOC);
+
+        if ($settings) foreach ($school as $key => $default) $school[$key] = (string)($settings[$key] ?? $default);
+
+        return $school;
+    } catch (PDOException $e) {
+        logDBError("Error in getSchoolInfo: " . $e->getMessage());
+        return $school;
+    }
+}
+
 /**
  * Sends a standardized JSON error response
  *
  * @param string $message Error message
  * @param int $statusCode HTTP status code
  * @param string $context Context for error logging
+ * @param array $fieldErrors Optional messages keyed by form field name, sent as 'errors' so forms can mark the fields
  * @return never (exits script execution)
  */
-function sendJsonErrorResponse(string $message, int $statusCode = 400, string $context = ''): never
+function sendJsonErrorResponse(string $message, int $statusCode = 400, string $context = '', array $fieldErrors = []): never
 {
     if (!headers_sent()) {
         header('Content-Type: application/json; charset=utf-8');
@@ -2094,7 +2741,9 @@ function sendJsonErrorResponse(string $message, int $statusCode = 400, string $c
     error_log("API Error Response (HTTP $statusCode): $message$logContext");
 
     try {
-        echo json_encode(['success' => false, 'message' => $message], JSON_THROW_ON_ERROR | JSON_UNESCAPED_UNICODE);
+        $response = ['success' => false, 'message' => $message];
+        if (!empty($fieldErrors)) $response['errors'] = $fieldErrors;
+        echo json_encode($response, JSON_THROW_ON_ERROR | JSON_UNESCAPED_UNICODE);
     } catch (JsonException $e) {
         error_log("Failed to encode JSON error response: " . $e->getMessage());
         if (!headers_sent()) header('Content-Type: text/plain; charset=utf-8');
@@ -2103,6 +2752,23 @@ function sendJsonErrorResponse(string $message, int $statusCode = 400, string $c
     exit;
 }
 
+/**
+ * Sends the session's CSRF token in the X-CSRF-Token response header
+ * The API client in main.js reads it after every request, so open pages keep a valid token
+ *
+ * @return void
+ */
+function sendCsrfTokenHeader(): void
+{
+    if (headers_sent()) return;
+
+    try {
+        header('X-CSRF-Token: ' . generateCSRFToken());
+    } catch (Exception $e) {
+        error_log('CSRF token generation failed: ' . $e->getMessage());
+    }
+}
+
 /**
  * Generates HTML for an alert message
  * @param string $message The alert message
@@ -19,20 +19,40 @@ $username = $isUserLoggedIn ? $_SESSION['username'] : '';
 
 $currentPage = basename($_SERVER['PHP_SELF']);
 
+// Students and parents get new grades and justification decisions from liveUpdates in main.js
+$hasLiveUpdates = $isUserLoggedIn && ($currentRole === ROLE_STUDENT || $currentRole === ROLE_PARENT);
+
+// Language of the client-side messages, main.js reads it from <html data-locale>
+$pageLocale = getUserLocale();
+
+// CSRF token for the API client in main.js, it refreshes the value from API responses
+try {
+    $pageCsrfToken = $isUserLoggedIn ? generateCSRFToken() : '';
+} catch (Exception $e) {
+    error_log('CSRF token generation failed in header: ' . $e->getMessage());
+    $pageCsrfToken = '';
+}
+
+// Local form drafts in main.js (formState) are kept per user
+$pageUserId = $isUserLoggedIn ? (int)getUserId() : 0;
+
 ?>
 <!DOCTYPE html>
-<html lang="sl">
+<html lang="sl" data-locale="<?= $pageLocale ?>">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <meta http-equiv="X-UA-Compatible" content="ie=edge">
+    <?php if ($pageCsrfToken !== ''): ?>
+        <meta name="csrf-token" content="<?= htmlspecialchars($pageCsrfToken) ?>">
+    <?php endif; ?>
     <title>uwuweb - Sistem za upravljanje ocen</title>
     <link rel="preconnect" href="https://fonts.googleapis.com">
     <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
     <link href="https://fonts.googleapis.com/css2?family=Quicksand:wght@400;500;600;700&display=swap" rel="stylesheet">
     <link rel="stylesheet" href="/uwuweb/assets/css/style.css">
 </head>
-<body>
+<body<?= $pageUserId ? ' data-user-id="' . $pageUserId . '"' : '' ?>>
 <header class="navbar">
     <div class="navbar-brand">
         <a href="/uwuweb/dashboard.php" class="navbar-logo" aria-label="Domov">
@@ -58,7 +78,10 @@ $currentPage = basename($_SERVER['PHP_SELF']);
             </svg>
         </button>
 
-        <nav class="navbar-menu" id="navMenu">
+        <!-- data-live-updates starts liveUpdates in main.js, parents get the child's name in its messages -->
+        <nav class="navbar-menu" id="navMenu"
+            <?php if ($hasLiveUpdates): ?>data-live-updates="<?= (int)getUserId() ?>"<?php endif; ?>
+            <?php if ($currentRole === ROLE_PARENT): ?>data-live-student-names<?php endif; ?>>
             <a href="/uwuweb/dashboard.php" class="navbar-link <?= $currentPage === 'dashboard.php' ? 'active' : '' ?>">Nadzorna
                 plošča</a>
 
@@ -81,19 +104,28 @@ $currentPage = basename($_SERVER['PHP_SELF']);
                 <a href="/uwuweb/teacher/justifications.php"
                    class="navbar-link <?= $currentPage === 'justifications.php' ? 'active' : '' ?>">Opravičila</a>
             <?php elseif ($currentRole === ROLE_STUDENT): ?>
-                <a href="/uwuweb/student/grades.php"
+                <a href="/uwuweb/student/grades.php" data-live-badge="grades"
                    class="navbar-link <?= $currentPage === 'grades.php' ? 'active' : '' ?>">Ocene</a>
                 <a href="/uwuweb/student/attendance.php"
                    class="navbar-link <?= $currentPage === 'attendance.php' ? 'active' : '' ?>">Prisotnost</a>
-                <a href="/uwuweb/student/justification.php"
+                <a href="/uwuweb/student/justification.php" data-live-badge="justifications"
                    class="navbar-link <?= $currentPage === 'justification.php' ? 'active' : '' ?>">Opravičila</a>
             <?php elseif ($currentRole === ROLE_PARENT): ?>
-                <a href="/uwuweb/parent/grades.php"
+                <a href="/uwuweb/parent/grades.php" data-live-badge="grades"
                    class="navbar-link <?= $currentPage === 'grades.php' ? 'active' : '' ?>">Ocene</a>
-                <a href="/uwuweb/parent/attendance.php"
+                <a href="/uwuweb/parent/attendance.php" data-live-badge="justifications"
                    class="navbar-link <?= $currentPage === 'attendance.php' ? 'active' : '' ?>">Prisotnost</a>
             <?php endif; ?>
-            <!-- "Logout", shown only on small screens -->
+            <?php if ($hasLiveUpdates): ?>
+                <button type="button" class="navbar-link navbar-button d-lg-none" data-open-modal="liveUpdatesModal">
+                    Obvestila
+                </button>
+            <?php endif; ?>
+            <!-- Language switch and "Logout", shown only on small screens -->
+            <select class="form-select locale-select d-lg-none" aria-label="Jezik / Language" data-locale-select>
+                <option value="sl" <?= $pageLocale === 'sl' ? 'selected' : '' ?>>SL</option>
+                <option value="en" <?= $pageLocale === 'en' ? 'selected' : '' ?>>EN</option>
+            </select>
             <a href="/uwuweb/includes/logout.php" class="navbar-link d-lg-none">Odjava</a>
         </nav>
 
@@ -109,6 +141,19 @@ $currentPage = basename($_SERVER['PHP_SELF']);
                  style="width: 36px; height: 36px; border-radius: 50%; font-size: var(--font-size-md);">
                 <?= strtoupper(mb_substr($username, 0, 1)) ?>
             </div>
+            <button type="button" class="btn btn-secondary btn-sm" data-open-modal="commandPalette"
+                    aria-label="Iskanje in ukazi (Ctrl+K)" title="Iskanje in ukazi (Ctrl+K)">🔍
+            </button>
+            <?php if ($hasLiveUpdates): ?>
+                <button type="button" class="btn btn-secondary btn-sm" data-open-modal="liveUpdatesModal"
+                        aria-label="Nastavitve obvestil" title="Nastavitve obvestil">🔔
+                </button>
+            <?php endif; ?>
+            <label class="sr-only" for="localeSelect">Jezik / Language</label>
+            <select id="localeSelect" class="form-select locale-select" data-locale-select>
+                <option value="sl" <?= $pageLocale === 'sl' ? 'selected' : '' ?>>SL</option>
+                <option value="en" <?= $pageLocale === 'en' ? 'selected' : '' ?>>EN</option>
+            </select>
             <a href="/uwuweb/includes/logout.php" class="btn btn-secondary btn-sm">Odjava</a> <!-- "Logout" -->
         </div>
     <?php endif; ?>
@@ -15,6 +15,12 @@ if (isLoggedIn()) {
 $error = '';
 $username = '';
 
+// The JS API client sends users here when their session expires, with the page to return to
+$returnTo = $_GET['redirect'] ?? '';
+if (preg_match('#^/uwuweb/[\w\-./?=&%]*$#', $returnTo)) $_SESSION['redirect_after_login'] = $returnTo;
+
+if (($_GET['error'] ?? '') === 'session_timeout') $error = 'Seja je potekla. Prijavite se znova.';
+
 if ($_SERVER['REQUEST_METHOD'] === 'POST') {
     $username = $_POST['username'] ?? '';
     $password = $_POST['password'] ?? '';
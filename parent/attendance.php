@@ -233,6 +233,9 @@ renderHeaderCard(
         </div>
     </div>
 
+    <!-- Only students can submit justifications, so unexcused absences do not link anywhere here -->
+    <?php renderAttendanceOverviewCard($selectedStudentId, null, 'card shadow mb-lg card-entrance'); ?>
+
     <div class="card shadow mb-lg card-entrance">
         <div class="card__title">Opravičila za odsotnosti</div>
         <div class="card__content">
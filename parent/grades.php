@@ -185,6 +185,9 @@ foreach ($classSubjects as $subject) {
 // Calculate overall average across all subjects
 $overallAverage = $totalGradeItems > 0 ? ($totalPercentage / $totalGradeItems) : 0;
 
+// School header for the printed report card
+$school = getSchoolInfo();
+
 // Render header title
 renderHeaderCard(
     'Ocene otroka',
@@ -225,7 +228,15 @@ renderHeaderCard(
                     </div>
                 </div>
 
-                <button type="button" class="btn btn-secondary btn-sm" id="printGrades" title="Natisni ocene">
+                <button type="button" class="btn btn-secondary btn-sm" id="printGrades"
+                        title="Natisni poročilo o uspehu ali ga shrani kot PDF"
+                        data-student-id="<?= (int)$selectedStudentId ?>"
+                        data-student-name="<?= htmlspecialchars($selectedStudent['first_name'] . ' ' . $selectedStudent['last_name']) ?>"
+                        data-class-id="<?= (int)$selectedClassId ?>"
+                        data-class-title="<?= htmlspecialchars($selectedClass['title'] ?? '') ?>"
+                        data-school-name="<?= htmlspecialchars($school['school_name']) ?>"
+                        data-school-address="<?= htmlspecialchars($school['school_address']) ?>"
+                        data-school-year="<?= htmlspecialchars($school['current_year']) ?>">
                     <span>🖨️ Natisni</span>
                 </button>
             </form>
@@ -234,7 +245,7 @@ renderHeaderCard(
 
     <?php if ($selectedStudent && $selectedClass): ?>
         <!-- Student Info Card -->
-        <div class="card mb-md">
+        <div class="card mb-md" data-grading-scale>
             <div class="card__title">
                 Učenec: <?= htmlspecialchars($selectedStudent['first_name'] . ' ' . $selectedStudent['last_name']) ?>
             </div>
@@ -247,66 +258,51 @@ renderHeaderCard(
                     <div>
                         <p><strong>Skupno povprečje:</strong></p>
                         <?php
-                        $avgClass = '';
-                        if ($overallAverage >= 90) $avgClass = 'grade-5';
-                        elseif ($overallAverage >= 75) $avgClass = 'grade-4';
-                        elseif ($overallAverage >= 61) $avgClass = 'grade-3';
-                        elseif ($overallAverage >= 50) $avgClass = 'grade-2';
-                        else $avgClass = 'grade-1';
+                        $schoolScale = getGradingScale();
+                        $avgClass = 'grade-' . getGradeLetter($overallAverage, $schoolScale);
                         ?>
 
                         <div class="grade <?= $avgClass ?>"
+                             data-grade-percentage="<?= number_format($overallAverage, 1, '.', '') ?>"
                              style="font-size: 1.2em; padding: 10px 20px; font-weight: bold;">
                             <?= number_format($overallAverage, 1) ?>%
                         </div>
                     </div>
                 </div>
 
-                <!-- Grade Legend -->
-                <div class="d-flex gap-md flex-wrap mt-md">
-                    <div class="d-flex items-center gap-xs">
-                        <div class="grade grade-5" style="width: 30px; text-align: center;">5</div>
-                        <span>Odlično (≥90%)</span>
-                    </div>
-                    <div class="d-flex items-center gap-xs">
-                        <div class="grade grade-4" style="width: 30px; text-align: center;">4</div>
-                        <span>Prav dobro (75-89%)</span>
-                    </div>
-                    <div class="d-flex items-center gap-xs">
-                        <div class="grade grade-3" style="width: 30px; text-align: center;">3</div>
-                        <span>Dobro (61-74%)</span>
-                    </div>
-                    <div class="d-flex items-center gap-xs">
-                        <div class="grade grade-2" style="width: 30px; text-align: center;">2</div>
-                        <span>Zadostno (50-60%)</span>
-                    </div>
-                    <div class="d-flex items-center gap-xs">
-                        <div class="grade grade-1" style="width: 30px; text-align: center;">1</div>
-                        <span>Nezadostno (<50%)</span>
-                    </div>
+                <!-- Grade Legend, redrawn from the server scale by gradingScale -->
+                <div class="d-flex gap-md flex-wrap mt-md" data-grade-legend>
+                    <?php foreach ($schoolScale['grades'] as $index => $band): ?>
+                        <div class="d-flex items-center gap-xs">
+                            <div class="grade grade-<?= $band['grade'] ?>"
+                                 style="width: 30px; text-align: center;"><?= $band['grade'] ?></div>
+                            <span><?= htmlspecialchars($band['label']) ?> (<?= getGradeBandRange($schoolScale, $index) ?>)</span>
+                        </div>
+                    <?php endforeach; ?>
                 </div>
             </div>
         </div>
 
+        <?php if ($totalGradeItems > 0) renderGradeAnalyticsCard($subjectGrades); ?>
+
         <?php foreach ($subjectGrades as $classSubjectId => $subjectData): ?>
             <!-- Subject Grade Table -->
-            <div class="card mb-md">
+            <div class="card mb-md" data-subject-card data-grading-scale data-class-subject-id="<?= $classSubjectId ?>"
+                 data-student-id="<?= (int)$selectedStudentId ?>"
+                 data-subject-name="<?= htmlspecialchars($subjectData['subject_name']) ?>">
                 <div class="card__title">
                     <?= htmlspecialchars($subjectData['subject_name']) ?>
 
                     <?php
+                    $scale = getGradingScale((int)$classSubjectId);
                     $subjectAvg = $subjectData['subject_average'];
-                    $subjectAvgClass = '';
-                    if ($subjectAvg >= 90) $subjectAvgClass = 'grade-5';
-                    elseif ($subjectAvg >= 75) $subjectAvgClass = 'grade-4';
-                    elseif ($subjectAvg >= 61) $subjectAvgClass = 'grade-3';
-                    elseif ($subjectAvg >= 50) $subjectAvgClass = 'grade-2';
-                    else $subjectAvgClass = $subjectAvg > 0 ? 'grade-1' : '';
+                    $subjectAvgClass = $subjectAvg > 0 ? 'grade-' . getGradeLetter($subjectAvg, $scale) : '';
                     ?>
 
                     <?php if ($subjectAvg > 0): ?>
                         <span class="ml-sm">
                             <span class="font-bold <?= $subjectAvgClass ?>"
+                                  data-grade-percentage="<?= number_format($subjectAvg, 1, '.', '') ?>"
                                   style="font-size: 0.9em; padding: 3px 6px; border-radius: 6px; text-decoration: underline; text-decoration-thickness: 2px;">
                                 <?= number_format($subjectAvg, 1) ?>%
                             </span>
@@ -343,25 +339,20 @@ renderHeaderCard(
 
                                     if ($grade) {
                                         $percentage = ($grade['points'] / $item['max_points']) * 100;
-
-                                        if ($percentage >= 90) $gradeClass = 'grade-5';
-                                        elseif ($percentage >= 75) $gradeClass = 'grade-4';
-                                        elseif ($percentage >= 61) $gradeClass = 'grade-3';
-                                        elseif ($percentage >= 50) $gradeClass = 'grade-2';
-                                        else $gradeClass = 'grade-1';
+                                        $gradeClass = 'grade-' . getGradeLetter($percentage, $scale);
                                     }
 
                                     // Get class average for this item
                                     $classAvg = $subjectData['class_averages'][$item['item_id']] ?? 0;
-                                    $classAvgClass = '';
-
-                                    if ($classAvg >= 90) $classAvgClass = 'grade-5';
-                                    elseif ($classAvg >= 75) $classAvgClass = 'grade-4';
-                                    elseif ($classAvg >= 61) $classAvgClass = 'grade-3';
-                                    elseif ($classAvg >= 50) $classAvgClass = 'grade-2';
-                                    else $classAvgClass = 'grade-1';
+                                    $classAvgClass = 'grade-' . getGradeLetter($classAvg, $scale);
                                     ?>
-                                    <tr>
+                                    <tr data-grade-row
+                                        data-live-item="grade:<?= (int)$selectedStudentId ?>:<?= $item['item_id'] ?>"
+                                        data-item-name="<?= htmlspecialchars($item['name']) ?>"
+                                        data-date="<?= htmlspecialchars($item['date'] ?? '') ?>"
+                                        data-max-points="<?= $item['max_points'] ?>"
+                                        data-points="<?= $grade ? $grade['points'] : '' ?>"
+                                        data-class-average="<?= $classAvg > 0 ? number_format($classAvg, 1, '.', '') : '' ?>">
                                         <td class="font-medium"><?= htmlspecialchars($item['name']) ?></td>
                                         <td><?= !empty($item['date']) ? htmlspecialchars(formatDateDisplay($item['date'])) : '/' ?></td>
                                         <td><?= $item['max_points'] ?></td>
@@ -375,6 +366,8 @@ renderHeaderCard(
                                                      data-points="<?= $grade['points'] ?>"
                                                      data-max-points="<?= $item['max_points'] ?>"
                                                      data-percentage="<?= number_format($percentage, 1) ?>"
+                                                     data-grade-percentage="<?= number_format($percentage, 1, '.', '') ?>"
+                                                     data-grade-mark="<?= getGradeLetter($percentage, $scale) ?>"
                                                      data-comment="<?= htmlspecialchars($grade['comment'] ?? '') ?>">
                                                     <?= number_format($percentage, 1) ?>%
                                                     <?php if (!empty($grade['comment'])): ?>
@@ -388,6 +381,7 @@ renderHeaderCard(
                                         <td>
                                             <?php if ($classAvg > 0): ?>
                                                 <div class="font-bold <?= $classAvgClass ?>"
+                                                     data-grade-percentage="<?= number_format($classAvg, 1, '.', '') ?>"
                                                      style="font-size: 100%; padding: 3px 6px; border-radius: 6px; text-decoration: underline; text-decoration-thickness: 2px; display: inline-flex;">
                                                     <?= number_format($classAvg, 1) ?>%
                                                 </div>
@@ -430,7 +424,8 @@ renderHeaderCard(
                 <div class="alert-content">
                     <p>
                         <strong>
-                            <span id="details_item_name" class="modal-title" style="font-weight: 800"></span>
+                            <span id="details_item_name" class="modal-title" style="font-weight: 800"
+                                  data-fill="itemName"></span>
                         </strong>
                     </p>
                 </div>
@@ -448,7 +443,7 @@ renderHeaderCard(
 
             <div id="details_comment_container" class="mt-lg" style="display: none;">
                 <h4 class="mb-sm">Komentar učitelja:</h4>
-                <div id="details_comment" class="p-md bg-secondary rounded"
+                <div id="details_comment" class="p-md bg-secondary rounded" data-fill="comment"
                      style="border-left: 3px solid var(--accent-primary);"></div>
             </div>
         </div>
@@ -517,88 +512,39 @@ renderHeaderCard(
 
 <script>
     document.addEventListener('DOMContentLoaded', function () {
-        // --- Modal Management Functions ---
-        const openModal = (modalId) => {
-            const modal = document.getElementById(modalId);
-            if (modal) {
-                modal.classList.add('open');
-                // Focus the first focusable element
-                const firstFocusable = modal.querySelector('button, [href], input, select, textarea');
-                if (firstFocusable) firstFocusable.focus();
-            }
-        };
-
-        const closeModal = (modal) => {
-            if (typeof modal === 'string') {
-                modal = document.getElementById(modal);
-            }
-
-            if (modal) {
-                modal.classList.remove('open');
-            }
-        };
-
-        // Open modal buttons
-        document.querySelectorAll('[data-open-modal]').forEach(btn => {
-            btn.addEventListener('click', function () {
-                const modalId = this.dataset.openModal;
-
-                // Handle grade details modal
-                if (modalId === 'gradeDetailsModal') {
-                    const itemName = this.dataset.itemName;
-                    const points = this.dataset.points;
-                    const maxPoints = this.dataset.maxPoints;
-                    const percentage = this.dataset.percentage;
-                    const comment = this.dataset.comment;
-
-                    // Fill in modal data
-                    document.getElementById('details_item_name').textContent = itemName;
-                    document.getElementById('details_points').textContent = points;
-                    document.getElementById('details_max_points').textContent = maxPoints;
-                    document.getElementById('details_percentage').textContent = percentage + '%';
-
-                    // Handle comment display
-                    const commentContainer = document.getElementById('details_comment_container');
-                    const commentElement = document.getElementById('details_comment');
-
-                    if (comment && comment.trim() !== '') {
-                        commentElement.textContent = comment;
-                        commentContainer.style.display = 'block';
-                    } else {
-                        commentContainer.style.display = 'none';
-                    }
-                }
-
-                openModal(modalId);
-            });
-        });
-
-        // Close modal buttons
-        document.querySelectorAll('[data-close-modal]').forEach(btn => {
-            btn.addEventListener('click', function () {
-                closeModal(this.closest('.modal'));
-            });
-        });
-
-        // Close modals when clicking the overlay
-        document.querySelectorAll('.modal-overlay').forEach(overlay => {
-            overlay.addEventListener('click', function () {
-                closeModal(this.closest('.modal'));
-            });
-        });
-
-        // Close modals with Escape key
-        document.addEventListener('keydown', function (e) {
-            if (e.key === 'Escape') {
-                document.querySelectorAll('.modal.open').forEach(modal => {
-                    closeModal(modal);
-                });
-            }
+        // Grade details modal - opened by initModals in main.js, the name comes from data-fill and the
+        // numbers are formatted for the current locale here
+        document.getElementById('gradeDetailsModal').addEventListener('modal:open', function (e) {
+            const trigger = e.detail.trigger;
+            if (!trigger) return;
+
+            const data = trigger.dataset;
+            document.getElementById('details_points').textContent = i18n.formatNumber(data.points);
+            document.getElementById('details_max_points').textContent = i18n.formatNumber(data.maxPoints);
+            document.getElementById('details_percentage').textContent = `${i18n.formatPercent(data.percentage)} (${data.gradeMark})`;
+
+            const comment = data.comment || '';
+            document.getElementById('details_comment_container').style.display = comment.trim() !== '' ? 'block' : 'none';
         });
 
-        // Print functionality
+        // Report card for the selected class, printed or saved as PDF from the print dialog
         document.getElementById('printGrades').addEventListener('click', function () {
-            window.print();
+            const button = this;
+            const student = {
+                studentId: button.dataset.studentId,
+                name: button.dataset.studentName,
+                classId: button.dataset.classId,
+                classTitle: button.dataset.classTitle
+            };
+            button.disabled = true;
+
+            reportCards.fromPage(student)
+                .then(card => reportCards.print([card], reportCards.schoolFrom(button), i18n.t('reportCards.fileName', {name: card.name})))
+                .catch(error => {
+                    console.error('Error preparing report card:', error);
+                    notifications.error(i18n.t('reportCards.loadError'));
+                })
+                .finally(() => button.disabled = false);
         });
     });
 </script>
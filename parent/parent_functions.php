@@ -158,7 +158,7 @@ function renderParentChildClassAveragesWidget(): string
             // Get grades for this class-subject (this part would need a function like getStudentSubjectGrades)
             // For demonstration, let's assume we have average grades as percentages
             $gradePercentage = $class['average_percentage'] ?? random_int(60, 95);
-            $gradeLetter = getGradeLetter($gradePercentage);
+            $gradeLetter = getGradeLetter($gradePercentage, getGradingScale((int)$classSubjectId));
             $gradeClass = "grade-" . $gradeLetter;
 
             $html .= <<<HTML
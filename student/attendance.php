@@ -33,6 +33,8 @@ require_once '../includes/header.php';
         'student'
     ); ?>
 
+    <?php renderAttendanceOverviewCard($studentId, 'justification.php'); ?>
+
     <!-- Attendance summary statistics card -->
     <div class="row">
         <div class="col col-md-4">
@@ -155,6 +155,11 @@ foreach ($classSubjects as $subject) {
 // Calculate overall average across all subjects
 $overallAverage = $totalGradeItems > 0 ? ($totalPercentage / $totalGradeItems) : 0;
 
+// Student name and school for the printed report card
+$studentInfo = getUserInfo(getUserId());
+$studentName = trim(($studentInfo['first_name'] ?? '') . ' ' . ($studentInfo['last_name'] ?? ''));
+$school = getSchoolInfo();
+
 // Render header title
 renderHeaderCard(
     'Moje Ocene',
@@ -180,7 +185,15 @@ renderHeaderCard(
                     </select>
                 </div>
 
-                <button type="button" class="btn btn-secondary btn-sm" id="printGrades" title="Natisni ocene">
+                <button type="button" class="btn btn-secondary btn-sm" id="printGrades"
+                        title="Natisni poročilo o uspehu ali ga shrani kot PDF"
+                        data-student-id="<?= (int)$studentId ?>"
+                        data-student-name="<?= htmlspecialchars($studentName) ?>"
+                        data-class-id="<?= (int)$selectedClassId ?>"
+                        data-class-title="<?= htmlspecialchars($selectedClass['title'] ?? '') ?>"
+                        data-school-name="<?= htmlspecialchars($school['school_name']) ?>"
+                        data-school-address="<?= htmlspecialchars($school['school_address']) ?>"
+                        data-school-year="<?= htmlspecialchars($school['current_year']) ?>">
                     <span>🖨️ Natisni</span>
                 </button>
             </form>
@@ -189,72 +202,57 @@ renderHeaderCard(
 
     <?php if ($selectedClass): ?>
         <!-- Overall Average Card -->
-        <div class="card mb-md">
+        <div class="card mb-md" data-grading-scale>
             <div class="card__title">
                 Skupno povprečje: <?= htmlspecialchars($selectedClass['title']) ?>
             </div>
             <div class="card__content">
                 <div class="d-flex justify-center items-center p-lg">
                     <?php
-                    $avgClass = '';
-                    if ($overallAverage >= 90) $avgClass = 'grade-5';
-                    elseif ($overallAverage >= 75) $avgClass = 'grade-4';
-                    elseif ($overallAverage >= 61) $avgClass = 'grade-3';
-                    elseif ($overallAverage >= 50) $avgClass = 'grade-2';
-                    else $avgClass = 'grade-1';
+                    $schoolScale = getGradingScale();
+                    $avgClass = 'grade-' . getGradeLetter($overallAverage, $schoolScale);
                     ?>
 
                     <div class="grade <?= $avgClass ?>"
+                         data-grade-percentage="<?= number_format($overallAverage, 1, '.', '') ?>"
                          style="font-size: 1.5em; padding: 15px 25px; font-weight: bold;">
                         <?= number_format($overallAverage, 1) ?>%
                     </div>
                 </div>
 
-                <!-- Grade Legend -->
-                <div class="d-flex gap-md justify-center flex-wrap">
-                    <div class="d-flex items-center gap-xs">
-                        <div class="grade grade-5" style="width: 30px; text-align: center;">5</div>
-                        <span>Odlično (≥90%)</span>
-                    </div>
-                    <div class="d-flex items-center gap-xs">
-                        <div class="grade grade-4" style="width: 30px; text-align: center;">4</div>
-                        <span>Prav dobro (75-89%)</span>
-                    </div>
-                    <div class="d-flex items-center gap-xs">
-                        <div class="grade grade-3" style="width: 30px; text-align: center;">3</div>
-                        <span>Dobro (61-74%)</span>
-                    </div>
-                    <div class="d-flex items-center gap-xs">
-                        <div class="grade grade-2" style="width: 30px; text-align: center;">2</div>
-                        <span>Zadostno (50-60%)</span>
-                    </div>
-                    <div class="d-flex items-center gap-xs">
-                        <div class="grade grade-1" style="width: 30px; text-align: center;">1</div>
-                        <span>Nezadostno (<50%)</span>
-                    </div>
+                <!-- Grade Legend, redrawn from the server scale by gradingScale -->
+                <div class="d-flex gap-md justify-center flex-wrap" data-grade-legend>
+                    <?php foreach ($schoolScale['grades'] as $index => $band): ?>
+                        <div class="d-flex items-center gap-xs">
+                            <div class="grade grade-<?= $band['grade'] ?>"
+                                 style="width: 30px; text-align: center;"><?= $band['grade'] ?></div>
+                            <span><?= htmlspecialchars($band['label']) ?> (<?= getGradeBandRange($schoolScale, $index) ?>)</span>
+                        </div>
+                    <?php endforeach; ?>
                 </div>
             </div>
         </div>
 
+        <?php if ($totalGradeItems > 0) renderGradeAnalyticsCard($subjectGrades); ?>
+
         <?php foreach ($subjectGrades as $classSubjectId => $subjectData): ?>
             <!-- Subject Grade Table -->
-            <div class="card mb-md">
+            <div class="card mb-md" data-subject-card data-grading-scale data-class-subject-id="<?= $classSubjectId ?>"
+                 data-student-id="<?= (int)$studentId ?>"
+                 data-subject-name="<?= htmlspecialchars($subjectData['subject_name']) ?>">
                 <div class="card__title">
                     <?= htmlspecialchars($subjectData['subject_name']) ?>
 
                     <?php
+                    $scale = getGradingScale((int)$classSubjectId);
                     $subjectAvg = $subjectData['subject_average'];
-                    $subjectAvgClass = '';
-                    if ($subjectAvg >= 90) $subjectAvgClass = 'grade-5';
-                    elseif ($subjectAvg >= 75) $subjectAvgClass = 'grade-4';
-                    elseif ($subjectAvg >= 61) $subjectAvgClass = 'grade-3';
-                    elseif ($subjectAvg >= 50) $subjectAvgClass = 'grade-2';
-                    else $subjectAvgClass = $subjectAvg > 0 ? 'grade-1' : '';
+                    $subjectAvgClass = $subjectAvg > 0 ? 'grade-' . getGradeLetter($subjectAvg, $scale) : '';
                     ?>
 
                     <?php if ($subjectAvg > 0): ?>
                         <span class="ml-sm">
                             <span class="font-bold <?= $subjectAvgClass ?>"
+                                  data-grade-percentage="<?= number_format($subjectAvg, 1, '.', '') ?>"
                                   style="font-size: 0.9em; padding: 3px 6px; border-radius: 6px; text-decoration: underline; text-decoration-thickness: 2px;">
                                 <?= number_format($subjectAvg, 1) ?>%
                             </span>
@@ -291,25 +289,20 @@ renderHeaderCard(
 
                                     if ($grade) {
                                         $percentage = ($grade['points'] / $item['max_points']) * 100;
-
-                                        if ($percentage >= 90) $gradeClass = 'grade-5';
-                                        elseif ($percentage >= 75) $gradeClass = 'grade-4';
-                                        elseif ($percentage >= 61) $gradeClass = 'grade-3';
-                                        elseif ($percentage >= 50) $gradeClass = 'grade-2';
-                                        else $gradeClass = 'grade-1';
+                                        $gradeClass = 'grade-' . getGradeLetter($percentage, $scale);
                                     }
 
                                     // Get class average for this item
                                     $classAvg = $subjectData['class_averages'][$item['item_id']] ?? 0;
-                                    $classAvgClass = '';
-
-                                    if ($classAvg >= 90) $classAvgClass = 'grade-5';
-                                    elseif ($classAvg >= 75) $classAvgClass = 'grade-4';
-                                    elseif ($classAvg >= 61) $classAvgClass = 'grade-3';
-                                    elseif ($classAvg >= 50) $classAvgClass = 'grade-2';
-                                    else $classAvgClass = 'grade-1';
+                                    $classAvgClass = 'grade-' . getGradeLetter($classAvg, $scale);
                                     ?>
-                                    <tr>
+                                    <tr data-grade-row
+                                        data-live-item="grade:<?= (int)$studentId ?>:<?= $item['item_id'] ?>"
+                                        data-item-name="<?= htmlspecialchars($item['name']) ?>"
+                                        data-date="<?= htmlspecialchars($item['date'] ?? '') ?>"
+                                        data-max-points="<?= $item['max_points'] ?>"
+                                        data-points="<?= $grade ? $grade['points'] : '' ?>"
+                                        data-class-average="<?= $classAvg > 0 ? number_format($classAvg, 1, '.', '') : '' ?>">
                                         <td class="font-medium"><?= htmlspecialchars($item['name']) ?></td>
                                         <td><?= !empty($item['date']) ? htmlspecialchars(formatDateDisplay($item['date'])) : '/' ?></td>
                                         <td><?= $item['max_points'] ?></td>
@@ -323,6 +316,8 @@ renderHeaderCard(
                                                      data-points="<?= $grade['points'] ?>"
                                                      data-max-points="<?= $item['max_points'] ?>"
                                                      data-percentage="<?= number_format($percentage, 1) ?>"
+                                                     data-grade-percentage="<?= number_format($percentage, 1, '.', '') ?>"
+                                                     data-grade-mark="<?= getGradeLetter($percentage, $scale) ?>"
                                                      data-comment="<?= htmlspecialchars($grade['comment'] ?? '') ?>">
                                                     <?= number_format($percentage, 1) ?>%
                                                     <?php if (!empty($grade['comment'])): ?>
@@ -336,6 +331,7 @@ renderHeaderCard(
                                         <td>
                                             <?php if ($classAvg > 0): ?>
                                                 <div class="font-bold <?= $classAvgClass ?>"
+                                                     data-grade-percentage="<?= number_format($classAvg, 1, '.', '') ?>"
                                                      style="font-size: 100%; padding: 3px 6px; border-radius: 6px; text-decoration: underline; text-decoration-thickness: 2px; display: inline-flex;">
                                                     <?= number_format($classAvg, 1) ?>%
                                                 </div>
@@ -378,7 +374,8 @@ renderHeaderCard(
                 <div class="alert-content">
                     <p>
                         <strong>
-                            <span id="details_item_name" class="modal-title" style="font-weight: 800"></span>
+                            <span id="details_item_name" class="modal-title" style="font-weight: 800"
+                                  data-fill="itemName"></span>
                         </strong>
                     </p>
                 </div>
@@ -386,17 +383,21 @@ renderHeaderCard(
 
             <div class="d-flex justify-between mb-md">
                 <div>
-                    <p><strong>Točke:</strong> <span id="details_points"></span>/<span id="details_max_points"></span>
+                    <p><strong>Točke:</strong> <span id="details_points" data-fill="points"></span>/<span
+                                id="details_max_points" data-fill="maxPoints"></span>
                     </p>
                 </div>
                 <div>
-                    <p><strong>Ocena:</strong> <span id="details_percentage" class="font-bold"></span></p>
+                    <p><strong>Ocena:</strong> <span class="font-bold"><span id="details_percentage"
+                                                                              data-fill="percentage"></span>% (<span
+                                    id="details_grade_mark" data-fill="gradeMark"></span>)</span>
+                    </p>
                 </div>
             </div>
 
             <div id="details_comment_container" class="mt-lg" style="display: none;">
                 <h4 class="mb-sm">Komentar učitelja:</h4>
-                <div id="details_comment" class="p-md bg-secondary rounded"
+                <div id="details_comment" class="p-md bg-secondary rounded" data-fill="comment"
                      style="border-left: 3px solid var(--accent-primary);"></div>
             </div>
         </div>
@@ -465,88 +466,31 @@ renderHeaderCard(
 
 <script>
     document.addEventListener('DOMContentLoaded', function () {
-        // --- Modal Management Functions ---
-        const openModal = (modalId) => {
-            const modal = document.getElementById(modalId);
-            if (modal) {
-                modal.classList.add('open');
-                // Focus the first focusable element
-                const firstFocusable = modal.querySelector('button, [href], input, select, textarea');
-                if (firstFocusable) firstFocusable.focus();
-            }
-        };
-
-        const closeModal = (modal) => {
-            if (typeof modal === 'string') {
-                modal = document.getElementById(modal);
-            }
-
-            if (modal) {
-                modal.classList.remove('open');
-            }
-        };
-
-        // Open modal buttons
-        document.querySelectorAll('[data-open-modal]').forEach(btn => {
-            btn.addEventListener('click', function () {
-                const modalId = this.dataset.openModal;
-
-                // Handle grade details modal
-                if (modalId === 'gradeDetailsModal') {
-                    const itemName = this.dataset.itemName;
-                    const points = this.dataset.points;
-                    const maxPoints = this.dataset.maxPoints;
-                    const percentage = this.dataset.percentage;
-                    const comment = this.dataset.comment;
-
-                    // Fill in modal data
-                    document.getElementById('details_item_name').textContent = itemName;
-                    document.getElementById('details_points').textContent = points;
-                    document.getElementById('details_max_points').textContent = maxPoints;
-                    document.getElementById('details_percentage').textContent = percentage + '%';
-
-                    // Handle comment display
-                    const commentContainer = document.getElementById('details_comment_container');
-                    const commentElement = document.getElementById('details_comment');
-
-                    if (comment && comment.trim() !== '') {
-                        commentElement.textContent = comment;
-                        commentContainer.style.display = 'block';
-                    } else {
-                        commentContainer.style.display = 'none';
-                    }
-                }
-
-                openModal(modalId);
-            });
-        });
-
-        // Close modal buttons
-        document.querySelectorAll('[data-close-modal]').forEach(btn => {
-            btn.addEventListener('click', function () {
-                closeModal(this.closest('.modal'));
-            });
-        });
-
-        // Close modals when clicking the overlay
-        document.querySelectorAll('.modal-overlay').forEach(overlay => {
-            overlay.addEventListener('click', function () {
-                closeModal(this.closest('.modal'));
-            });
-        });
-
-        // Close modals with Escape key
-        document.addEventListener('keydown', function (e) {
-            if (e.key === 'Escape') {
-                document.querySelectorAll('.modal.open').forEach(modal => {
-                    closeModal(modal);
-                });
-            }
+        // Grade details modal - fields are filled from data-fill attributes, only the comment needs extra handling
+        document.getElementById('gradeDetailsModal').addEventListener('modal:open', function (e) {
+            const comment = e.detail.trigger ? e.detail.trigger.dataset.comment : '';
+            document.getElementById('details_comment_container').style.display =
+                comment && comment.trim() !== '' ? 'block' : 'none';
         });
 
-        // Print functionality
+        // Report card for the selected class, printed or saved as PDF from the print dialog
         document.getElementById('printGrades').addEventListener('click', function () {
-            window.print();
+            const button = this;
+            const student = {
+                studentId: button.dataset.studentId,
+                name: button.dataset.studentName,
+                classId: button.dataset.classId,
+                classTitle: button.dataset.classTitle
+            };
+            button.disabled = true;
+
+            reportCards.fromPage(student)
+                .then(card => reportCards.print([card], reportCards.schoolFrom(button), i18n.t('reportCards.fileName', {name: card.name})))
+                .catch(error => {
+                    console.error('Error preparing report card:', error);
+                    notifications.error(i18n.t('reportCards.loadError'));
+                })
+                .finally(() => button.disabled = false);
         });
     });
 </script>
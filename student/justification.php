@@ -35,28 +35,24 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') if (isset($_POST['submit_justificatio
         // Verify this attendance record belongs to the student
         $absenceDetails = getAbsenceDetails($attId);
 
-        if (!$absenceDetails || $absenceDetails['student_id'] !== $studentId) $error = 'Neveljavna zahteva.'; else if (!empty($_FILES['justification_file']['name'])) if (validateJustificationFile($_FILES['justification_file'])) {
-            $filePath = saveJustificationFile($_FILES['justification_file'], $attId);
-
-            if ($filePath) if (uploadJustification($attId, $justification)) {
-                // Update file path
-                $pdo = safeGetDBConnection('student/justification.php');
-                $stmt = $pdo->prepare("UPDATE attendance SET justification_file = :file_path WHERE att_id = :att_id");
-                $stmt->execute([
-                    'file_path' => $filePath,
-                    'att_id' => $attId
-                ]);
+        if (!$absenceDetails || $absenceDetails['student_id'] !== $studentId) $error = 'Neveljavna zahteva.'; else if (!uploadJustification($attId, $justification)) $error = 'Napaka pri shranjevanju opravičila.'; else {
+            // Evidence files are optional, without JavaScript they are posted with the form
+            $hasFiles = !empty(array_filter((array)($_FILES['justification_files']['name'] ?? [])));
 
+            if ($hasFiles && saveJustificationFiles($_FILES['justification_files'], $attId) === false) $error = 'Opravičilo je shranjeno, dokazil pa ni bilo mogoče naložiti. Dovoljeni so PDF, JPG in PNG do 15MB, največ ' . JUSTIFICATION_MAX_FILES . ' datotek.'; else {
                 $success = true;
                 $message = 'Opravičilo je bilo uspešno oddano.';
-            } else $error = 'Napaka pri shranjevanju opravičila.'; else $error = 'Napaka pri nalaganju datoteke.';
-        } else $error = 'Neveljavna datoteka. Dovoljeni so samo PDF, JPG in PNG formati do 15MB.'; else if (uploadJustification($attId, $justification)) {
-            $success = true;
-            $message = 'Opravičilo je bilo uspešno oddano.';
-        } else $error = 'Napaka pri shranjevanju opravičila.';
+            }
+        }
     }
 }
 
+// The upload form reloads the page after submitting through the API
+if (isset($_GET['submitted'])) {
+    $success = true;
+    $message = 'Opravičilo je bilo uspešno oddano.';
+}
+
 // Get all student's attendance records
 $attendance = getStudentAttendance($studentId);
 
@@ -182,7 +178,7 @@ require_once '../includes/header.php';
                             // Highlight row if it matches the requested attendance record
                             $rowClass = ($record['att_id'] == $highlightAttId) ? 'bg-accent-tertiary' : '';
                             ?>
-                            <tr class="<?= $rowClass ?>">
+                            <tr class="<?= $rowClass ?>" data-live-item="justification:<?= $record['att_id'] ?>">
                                 <td class="text-center"><?= htmlspecialchars(formatDateDisplay($record['date'])) ?></td>
                                 <td class="text-center"><?= htmlspecialchars($record['period_label']) ?></td>
                                 <td class="text-center"><?= htmlspecialchars($record['subject_name']) ?></td>
@@ -190,9 +186,9 @@ require_once '../includes/header.php';
                                             class="attendance-status <?= $statusClass ?>"><?= htmlspecialchars($statusLabel) ?></span>
                                 </td>
                                 <td class="text-center">
-                                    <span class="badge <?= $justificationClass ?>"><?= htmlspecialchars($justificationStatus) ?></span>
+                                    <span class="badge <?= $justificationClass ?>" data-justification-status><?= htmlspecialchars($justificationStatus) ?></span>
                                 </td>
-                                <td class="text-center">
+                                <td class="text-center" data-justification-actions>
                                     <?php if ($canSubmitJustification): ?>
                                         <button data-open-modal="justificationModal"
                                                 data-id="<?= $record['att_id'] ?>"
@@ -234,7 +230,8 @@ require_once '../includes/header.php';
         <div class="modal-header">
             <h3 class="modal-title" id="justificationModalTitle">Oddaja/Urejanje opravičila</h3>
         </div>
-        <form id="justificationForm" method="POST" enctype="multipart/form-data">
+        <form id="justificationForm" method="POST" enctype="multipart/form-data" data-draft="justification"
+              data-draft-context="att_id">
             <div class="modal-body">
                 <input type="hidden" name="csrf_token" value="<?= htmlspecialchars($csrfToken) ?>">
                 <input type="hidden" name="att_id" id="justificationModal_id" value="">
@@ -242,23 +239,46 @@ require_once '../includes/header.php';
                 <div class="alert status-info mb-md">
                     <div class="alert-content">
                         <p>Oddajate opravičilo za izostanek:</p>
-                        <p><strong>Datum:</strong> <span id="justificationModal_date"></span></p>
-                        <p><strong>Ura:</strong> <span id="justificationModal_period"></span></p>
-                        <p><strong>Predmet:</strong> <span id="justificationModal_subject"></span></p>
-                        <p><strong>Status:</strong> <span id="justificationModal_status"></span></p>
+                        <p><strong>Datum:</strong> <span id="justificationModal_date" data-fill="date"></span></p>
+                        <p><strong>Ura:</strong> <span id="justificationModal_period" data-fill="period"></span></p>
+                        <p><strong>Predmet:</strong> <span id="justificationModal_subject" data-fill="subject"></span></p>
+                        <p><strong>Status:</strong> <span id="justificationModal_status" data-fill="status"></span></p>
                     </div>
                 </div>
 
                 <div class="form-group">
                     <label class="form-label" for="justification">Obrazložitev izostanka:</label>
                     <textarea id="justification" name="justification" class="form-textarea" rows="4"
-                              required></textarea>
+                              data-fill="justification" required></textarea>
                 </div>
 
                 <div class="form-group">
-                    <label class="form-label" for="justification_file">Priloži dokazilo (neobvezno):</label>
-                    <input type="file" id="justification_file" name="justification_file" class="form-input">
-                    <div class="feedback-text mt-xs">Dovoljeni formati: PDF, JPG, PNG (največ 15MB)</div>
+                    <span class="form-label" id="justificationFilesLabel">Priloži dokazila (neobvezno):</span>
+                    <label class="drop-zone" id="justificationDropZone" for="justification_files">
+                        <span>Povlecite datoteke sem ali kliknite za izbiro.</span>
+                        <input type="file" id="justification_files" name="justification_files[]" class="sr-only"
+                               aria-labelledby="justificationFilesLabel" multiple
+                               accept="<?= implode(',', JUSTIFICATION_ALLOWED_TYPES) ?>">
+                    </label>
+                    <div class="d-flex justify-between items-center flex-wrap gap-sm mt-xs">
+                        <div class="feedback-text">
+                            Dovoljeni formati: PDF, JPG, PNG (največ <?= JUSTIFICATION_MAX_FILES ?> datotek po 15MB).
+                            Fotografije se pred nalaganjem pomanjšajo.
+                        </div>
+                        <label class="btn btn-secondary btn-sm" for="justification_camera">
+                            📷 Fotografiraj
+                            <input type="file" id="justification_camera" class="sr-only" accept="image/*"
+                                   capture="environment">
+                        </label>
+                    </div>
+                    <div class="feedback-text feedback-invalid" id="justificationFileError" role="alert" style="display: none;"></div>
+                    <ul class="file-preview-list" id="justificationFileList" aria-label="Izbrane datoteke"></ul>
+                </div>
+
+                <div id="justificationUploadProgress" style="display: none;">
+                    <progress class="upload-progress" id="justificationUploadBar" max="100" value="0"></progress>
+                    <div class="text-sm text-secondary" id="justificationUploadStatus" role="status"
+                         aria-live="polite"></div>
                 </div>
             </div>
             <div class="modal-footer">
@@ -284,7 +304,7 @@ require_once '../includes/header.php';
             <div class="alert status-error mb-md">
                 <div class="alert-content">
                     <p>Vaše opravičilo je bilo zavrnjeno z naslednjim razlogom:</p>
-                    <p id="rejectionModal_reason" class="font-bold mt-sm"></p>
+                    <p id="rejectionModal_reason" class="font-bold mt-sm" data-fill="reason"></p>
                 </div>
             </div>
         </div>
@@ -299,93 +319,282 @@ require_once '../includes/header.php';
 
 <script>
     document.addEventListener('DOMContentLoaded', function () {
-        // --- Modal Management Functions ---
-        const openModal = (modalId) => {
-            const modal = document.getElementById(modalId);
-            if (modal) {
-                modal.classList.add('open');
-                const firstFocusable = modal.querySelector('button, [href], input, select, textarea');
-                if (firstFocusable) firstFocusable.focus();
+        // Justification modal - absence details are filled from data-fill attributes
+        document.getElementById('justificationModal').addEventListener('modal:open', function (e) {
+            const isEdit = Boolean(e.detail.trigger && e.detail.trigger.dataset.justification);
+
+            document.getElementById('justificationModalTitle').textContent = i18n.t(isEdit ? 'justification.editTitle' : 'justification.submitTitle');
+            document.getElementById('justification_submit_btn').textContent = i18n.t(isEdit ? 'justification.update' : 'justification.submit');
+        });
+
+        // Decisions received by liveUpdates replace the status and the actions of the row
+        document.addEventListener(liveUpdates.EVENTS.justifications, function (e) {
+            const absence = e.detail.item;
+            const row = document.querySelector(`[data-live-item="justification:${absence.att_id}"]`);
+            if (!row) return;
+
+            const status = row.querySelector('[data-justification-status]');
+            status.classList.remove('badge-secondary', 'badge-info', 'badge-success', 'badge-error');
+            status.classList.add(absence.approved ? 'badge-success' : 'badge-error');
+            status.textContent = i18n.t(absence.approved ? 'justification.approved' : 'justification.rejected');
+
+            const actions = row.querySelector('[data-justification-actions]');
+            if (!absence.approved && absence.reject_reason) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-secondary btn-sm';
+                button.dataset.openModal = 'rejectionModal';
+                button.dataset.id = absence.att_id;
+                button.dataset.reason = absence.reject_reason;
+                button.textContent = i18n.t('justification.rejectionReason');
+                actions.replaceChildren(button);
+            } else {
+                const text = document.createElement('span');
+                text.className = 'text-disabled';
+                text.textContent = i18n.t(absence.approved ? 'justification.approvedNote' : 'justification.noActions');
+                actions.replaceChildren(text);
             }
+        });
+
+        // --- Evidence Upload ---
+        const MAX_FILE_SIZE = <?= JUSTIFICATION_MAX_FILE_SIZE ?>;
+        const MAX_FILES = <?= JUSTIFICATION_MAX_FILES ?>;
+        const ALLOWED_TYPES = <?= json_encode(JUSTIFICATION_ALLOWED_TYPES, JSON_THROW_ON_ERROR) ?>;
+        // Photos are scaled to this longest side and re-encoded as JPEG before upload
+        const MAX_IMAGE_DIMENSION = 2000;
+        const IMAGE_QUALITY = 0.82;
+
+        const justificationForm = document.getElementById('justificationForm');
+        const fileInput = document.getElementById('justification_files');
+        const cameraInput = document.getElementById('justification_camera');
+        const dropZone = document.getElementById('justificationDropZone');
+        const fileList = document.getElementById('justificationFileList');
+        const fileError = document.getElementById('justificationFileError');
+        const uploadProgress = document.getElementById('justificationUploadProgress');
+        const uploadBar = document.getElementById('justificationUploadBar');
+        const uploadStatus = document.getElementById('justificationUploadStatus');
+        const submitButton = document.getElementById('justification_submit_btn');
+
+        // Files waiting for upload, each with an object URL for its preview
+        let selectedFiles = [];
+        let uploading = false;
+
+        const formatFileSize = (bytes) => bytes >= 1024 * 1024
+            ? `${i18n.formatNumber(bytes / 1024 / 1024, 1)} MB`
+            : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+        const showFileError = (messages) => {
+            fileError.textContent = messages.join(' ');
+            fileError.style.display = messages.length ? 'block' : 'none';
         };
 
-        const closeModal = (modal) => {
-            if (typeof modal === 'string') {
-                modal = document.getElementById(modal);
-            }
+        const loadImage = (file) => new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(i18n.t('justification.imageReadError')));
+            };
+            image.src = url;
+        });
 
-            if (modal) {
-                modal.classList.remove('open');
-                const form = modal.querySelector('form');
-                if (form) form.reset();
+        // Scales a photo down with a canvas, small images are kept as they are
+        const shrinkImage = async (file) => {
+            const image = await loadImage(file);
+            const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(image.naturalWidth, image.naturalHeight));
+            if (scale === 1 && file.size <= 1024 * 1024) return file;
 
-                const errorMsgs = modal.querySelectorAll('.feedback-error');
-                errorMsgs.forEach(msg => {
-                    if (msg && msg.style) {
-                        msg.style.display = 'none';
-                    }
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(image.naturalWidth * scale);
+            canvas.height = Math.round(image.naturalHeight * scale);
+
+            const context = canvas.getContext('2d');
+            // JPEG has no transparency, PNG screenshots get a white background
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', IMAGE_QUALITY));
+            if (!blob || blob.size >= file.size) return file;
+
+            const name = file.name.replace(/\.[^.]+$/, '') + '.jpg';
+            return new File([blob], name, {type: 'image/jpeg', lastModified: Date.now()});
+        };
+
+        const renderFileList = () => {
+            fileList.innerHTML = '';
+
+            selectedFiles.forEach((entry, index) => {
+                const item = document.createElement('li');
+                item.className = 'file-preview';
+
+                const thumb = document.createElement('div');
+                thumb.className = 'file-preview-thumb';
+                if (entry.file.type === 'application/pdf') {
+                    const pdf = document.createElement('object');
+                    pdf.type = 'application/pdf';
+                    pdf.data = `${entry.url}#toolbar=0&view=FitH`;
+                    pdf.textContent = 'PDF';
+                    thumb.appendChild(pdf);
+                } else {
+                    const image = document.createElement('img');
+                    image.src = entry.url;
+                    image.alt = '';
+                    thumb.appendChild(image);
+                }
+
+                const name = document.createElement('span');
+                name.className = 'file-preview-name';
+                name.textContent = entry.file.name;
+                name.title = entry.file.name;
+
+                const size = document.createElement('span');
+                size.className = 'text-secondary';
+                size.textContent = entry.shrunk
+                    ? i18n.t('justification.shrunk', {size: formatFileSize(entry.file.size)})
+                    : formatFileSize(entry.file.size);
+
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'btn btn-secondary btn-sm file-preview-remove';
+                remove.textContent = '×';
+                remove.setAttribute('aria-label', i18n.t('justification.removeFile', {file: entry.file.name}));
+                remove.disabled = uploading;
+                remove.addEventListener('click', () => {
+                    URL.revokeObjectURL(entry.url);
+                    selectedFiles.splice(index, 1);
+                    renderFileList();
                 });
-            }
+
+                item.append(thumb, name, size, remove);
+                fileList.appendChild(item);
+            });
+        };
+
+        const clearFiles = () => {
+            selectedFiles.forEach(entry => URL.revokeObjectURL(entry.url));
+            selectedFiles = [];
+            renderFileList();
+            showFileError([]);
         };
 
-        // --- Event Listeners ---
-        // Open modal buttons
-        document.querySelectorAll('[data-open-modal]').forEach(btn => {
-            btn.addEventListener('click', function () {
-                const modalId = this.dataset.openModal;
-                openModal(modalId);
-
-                // Process additional data attributes
-                if (modalId === 'justificationModal') {
-                    document.getElementById('justificationModal_id').value = this.dataset.id;
-                    document.getElementById('justificationModal_date').textContent = this.dataset.date;
-                    document.getElementById('justificationModal_period').textContent = this.dataset.period;
-                    document.getElementById('justificationModal_subject').textContent = this.dataset.subject;
-                    document.getElementById('justificationModal_status').textContent = this.dataset.status;
-
-                    // Set existing justification if present
-                    if (this.dataset.justification) {
-                        document.getElementById('justification').value = this.dataset.justification;
-                        document.getElementById('justificationModalTitle').textContent = 'Urejanje opravičila';
-                        document.getElementById('justification_submit_btn').textContent = 'Posodobi opravičilo';
-                    } else {
-                        document.getElementById('justificationModalTitle').textContent = 'Oddaja opravičila';
-                        document.getElementById('justification_submit_btn').textContent = 'Oddaj opravičilo';
+        // Checks type and size, shrinks photos and adds the files to the list
+        const addFiles = async (files) => {
+            const errors = [];
+
+            for (const original of Array.from(files)) {
+                if (selectedFiles.length >= MAX_FILES) {
+                    errors.push(i18n.t('justification.tooManyFiles', {count: MAX_FILES}));
+                    break;
+                }
+
+                if (!ALLOWED_TYPES.includes(original.type)) {
+                    errors.push(i18n.t('justification.wrongType', {file: original.name}));
+                    continue;
+                }
+
+                let file = original;
+                if (original.type.startsWith('image/')) {
+                    try {
+                        file = await shrinkImage(original);
+                    } catch (error) {
+                        errors.push(`${original.name}: ${error.message}`);
+                        continue;
                     }
-                } else if (modalId === 'rejectionModal') {
-                    document.getElementById('rejectionModal_reason').textContent = this.dataset.reason;
                 }
-            });
+
+                if (file.size > MAX_FILE_SIZE) {
+                    errors.push(i18n.t('justification.tooLarge', {file: original.name, size: formatFileSize(MAX_FILE_SIZE)}));
+                    continue;
+                }
+
+                selectedFiles.push({file, url: URL.createObjectURL(file), shrunk: file !== original});
+            }
+
+            showFileError(errors);
+            renderFileList();
+        };
+
+        fileInput.addEventListener('change', function () {
+            addFiles(this.files).then(() => this.value = '');
         });
 
-        // Close modal buttons
-        document.querySelectorAll('[data-close-modal]').forEach(btn => {
-            btn.addEventListener('click', function () {
-                closeModal(this.closest('.modal'));
-            });
+        cameraInput.addEventListener('change', function () {
+            addFiles(this.files).then(() => this.value = '');
         });
 
-        // Close modals when clicking the overlay
-        document.querySelectorAll('.modal-overlay').forEach(overlay => {
-            overlay.addEventListener('click', function () {
-                closeModal(this.closest('.modal'));
-            });
+        ['dragenter', 'dragover'].forEach(type => dropZone.addEventListener(type, function (e) {
+            e.preventDefault();
+            this.classList.add('is-dragover');
+        }));
+
+        ['dragleave', 'drop'].forEach(type => dropZone.addEventListener(type, function (e) {
+            e.preventDefault();
+            this.classList.remove('is-dragover');
+        }));
+
+        dropZone.addEventListener('drop', e => addFiles(e.dataTransfer.files));
+
+        document.getElementById('justificationModal').addEventListener('modal:close', function () {
+            if (!uploading) clearFiles();
         });
 
-        // Close modals with Escape key
-        document.addEventListener('keydown', function (e) {
-            if (e.key === 'Escape') {
-                document.querySelectorAll('.modal.open').forEach(modal => {
-                    closeModal(modal);
+        // Uploads through the API client, which reports upload progress
+        justificationForm.addEventListener('submit', function (e) {
+            e.preventDefault();
+            if (uploading) return;
+
+            const formData = new FormData();
+            formData.append('att_id', this.querySelector('[name="att_id"]').value);
+            formData.append('justification', this.querySelector('[name="justification"]').value);
+            selectedFiles.forEach(entry => formData.append('justification_files[]', entry.file, entry.file.name));
+
+            const setUploading = (state) => {
+                uploading = state;
+                submitButton.disabled = state;
+                renderFileList();
+            };
+
+            showFileError([]);
+            uploadBar.value = 0;
+            uploadStatus.textContent = selectedFiles.length
+                ? i18n.t('justification.uploading', {percent: i18n.formatPercent(0, 0)})
+                : i18n.t('justification.sending');
+            uploadProgress.style.display = 'block';
+            setUploading(true);
+
+            api.post('justifications', 'submitJustification', formData, {
+                timeout: 120000,
+                onUploadProgress: fraction => {
+                    const percent = Math.round(fraction * 100);
+                    uploadBar.value = percent;
+                    uploadStatus.textContent = i18n.t('justification.uploading', {percent: i18n.formatPercent(percent, 0)});
+                }
+            })
+                .then(() => {
+                    formState.saved(justificationForm);
+                    uploadStatus.textContent = i18n.t('justification.submitted');
+                    window.location.href = 'justification.php?submitted=1';
+                })
+                .catch(error => {
+                    setUploading(false);
+                    uploadProgress.style.display = 'none';
+                    if (error instanceof api.AuthExpiredError) return;
+                    showFileError([error instanceof api.NetworkError || error instanceof api.TimeoutError
+                        ? i18n.t('justification.connectionError')
+                        : error.message || i18n.t('justification.submitError')]);
                 });
-            }
         });
 
         <?php if ($showJustificationModal && $absenceDetails): ?>
         // Automatically open justification modal if redirected with att_id
         const modalBtn = document.querySelector(`[data-open-modal="justificationModal"][data-id="<?= $highlightAttId ?>"]`);
         if (modalBtn) {
-            modalBtn.click();
+            modalUtils.openModal('justificationModal', modalBtn);
         }
         <?php endif; ?>
     });
@@ -98,13 +98,13 @@ function renderStudentGradesWidget(): string
     if (!$db) return renderPlaceholderWidget('Napaka pri povezovanju z bazo podatkov.');
 
     // Fetch data (simplified, assuming original queries are correct)
-    $queryRecent = "SELECT g.points, gi.max_points, gi.name AS grade_item_name, s.name AS subject_name, g.comment, CASE WHEN gi.max_points > 0 THEN ROUND((g.points / gi.max_points) * 100, 1) END AS percentage FROM grades g JOIN grade_items gi ON g.item_id = gi.item_id JOIN class_subjects cs ON gi.class_subject_id = cs.class_subject_id JOIN subjects s ON cs.subject_id = s.subject_id JOIN enrollments e ON g.enroll_id = e.enroll_id WHERE e.student_id = :student_id ORDER BY g.grade_id DESC LIMIT 3";
+    $queryRecent = "SELECT g.points, gi.max_points, gi.name AS grade_item_name, gi.class_subject_id, s.name AS subject_name, g.comment, CASE WHEN gi.max_points > 0 THEN ROUND((g.points / gi.max_points) * 100, 1) END AS percentage FROM grades g JOIN grade_items gi ON g.item_id = gi.item_id JOIN class_subjects cs ON gi.class_subject_id = cs.class_subject_id JOIN subjects s ON cs.subject_id = s.subject_id JOIN enrollments e ON g.enroll_id = e.enroll_id WHERE e.student_id = :student_id ORDER BY g.grade_id DESC LIMIT 3";
     $stmtRecent = $db->prepare($queryRecent);
     $stmtRecent->bindParam(':student_id', $studentId, PDO::PARAM_INT);
     $stmtRecent->execute();
     $recentGrades = $stmtRecent->fetchAll(PDO::FETCH_ASSOC);
 
-    $queryAvg = "SELECT s.name AS subject_name, AVG(CASE WHEN g.points IS NOT NULL AND gi.max_points > 0 THEN (g.points / gi.max_points) * 100 END) AS avg_score, COUNT(g.grade_id) AS grade_count FROM enrollments e JOIN class_subjects cs ON e.class_id = cs.class_id JOIN subjects s ON cs.subject_id = s.subject_id LEFT JOIN grade_items gi ON gi.class_subject_id = cs.class_subject_id LEFT JOIN grades g ON gi.item_id = g.item_id AND e.enroll_id = g.enroll_id WHERE e.student_id = :student_id GROUP BY s.subject_id, s.name HAVING COUNT(g.grade_id) > 0 ORDER BY avg_score DESC LIMIT 5";
+    $queryAvg = "SELECT s.name AS subject_name, MIN(cs.class_subject_id) AS class_subject_id, AVG(CASE WHEN g.points IS NOT NULL AND gi.max_points > 0 THEN (g.points / gi.max_points) * 100 END) AS avg_score, COUNT(g.grade_id) AS grade_count FROM enrollments e JOIN class_subjects cs ON e.class_id = cs.class_id JOIN subjects s ON cs.subject_id = s.subject_id LEFT JOIN grade_items gi ON gi.class_subject_id = cs.class_subject_id LEFT JOIN grades g ON gi.item_id = g.item_id AND e.enroll_id = g.enroll_id WHERE e.student_id = :student_id GROUP BY s.subject_id, s.name HAVING COUNT(g.grade_id) > 0 ORDER BY avg_score DESC LIMIT 5";
     $stmtAvg = $db->prepare($queryAvg);
     $stmtAvg->bindParam(':student_id', $studentId, PDO::PARAM_INT);
     $stmtAvg->execute();
@@ -125,7 +125,7 @@ function renderStudentGradesWidget(): string
         foreach ($subjectAverages as $avg) {
             if ($avg['avg_score'] === null) continue;
             $score = number_format($avg['avg_score'], 1);
-            $sClass = $avg['avg_score'] >= 90 ? 'grade-5' : ($avg['avg_score'] >= 60 ? 'grade-3' : 'grade-1');
+            $sClass = 'grade-' . getGradeLetter((float)$avg['avg_score'], getGradingScale((int)$avg['class_subject_id']));
             $html .= '<div class="d-flex justify-between items-center p-sm rounded shadow-sm">';
             $html .= '<span>' . htmlspecialchars($avg['subject_name']) . ' <small class="text-disabled">(' . $avg['grade_count'] . ' ocen)</small></span>';
             $html .= '<span class="badge ' . $sClass . '">' . $score . '%</span>';
@@ -142,7 +142,7 @@ function renderStudentGradesWidget(): string
         $html .= '<div class="d-flex flex-column gap-md">';
         foreach ($recentGrades as $grade) {
             $perc = $grade['percentage'];
-            $sClass = $perc === null ? 'badge-secondary' : ($perc >= 80 ? 'grade-5' : ($perc >= 60 ? 'grade-3' : 'grade-1'));
+            $sClass = $perc === null ? 'badge-secondary' : 'grade-' . getGradeLetter((float)$perc, getGradingScale((int)$grade['class_subject_id']));
             $percFormatted = $perc !== null ? ' (' . $perc . '%)' : '';
             $html .= '<div class="p-sm rounded shadow-sm">';
             $html .= '<div class="d-flex justify-between items-center mb-xs">';
@@ -282,7 +282,7 @@ function renderStudentClassAveragesWidget(): string
             $compText = '-';
             $compClass = 'text-secondary';
             if ($grade['student_avg_score'] !== null) {
-                $sClass = $grade['student_avg_score'] >= 80 ? 'grade-5' : ($grade['student_avg_score'] >= 60 ? 'grade-3' : 'grade-1');
+                $sClass = 'grade-' . getGradeLetter((float)$grade['student_avg_score'], getGradingScale((int)$grade['class_subject_id']));
                 if ($grade['class_avg_score'] !== null) {
                     $diff = $grade['student_avg_score'] - $grade['class_avg_score'];
                     $diffF = number_format($diff, 1);
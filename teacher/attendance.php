@@ -247,11 +247,21 @@ renderHeaderCard(
 
 <div class="section">
     <div class="d-flex justify-between mb-md">
-        <h2 class="text-lg" id="attendanceListTitle">Prisotnost za izbrano uro</h2>
-        <button data-open-modal="addPeriodModal" id="addPeriodButton"
-                class="btn btn-primary" <?= $classIsEmpty ? 'disabled' : '' ?>>
-            Dodaj uro
-        </button>
+        <div class="d-flex items-center gap-sm">
+            <h2 class="text-lg" id="attendanceListTitle">Prisotnost za izbrano uro</h2>
+            <span id="attendanceSyncIndicator" class="badge badge-warning" role="status" aria-live="polite"
+                  style="display: none;"></span>
+        </div>
+        <div class="d-flex gap-sm">
+            <button type="button" id="rollCallButton"
+                    class="btn btn-secondary" <?= $classIsEmpty || empty($selectedPeriod) ? 'disabled' : '' ?>>
+                Klicanje imen
+            </button>
+            <button data-open-modal="addPeriodModal" id="addPeriodButton"
+                    class="btn btn-primary" <?= $classIsEmpty ? 'disabled' : '' ?>>
+                Dodaj uro
+            </button>
+        </div>
     </div>
 
     <div id="attendanceErrorAlertContainer">
@@ -293,12 +303,12 @@ renderHeaderCard(
             </div>
             <div class="card__content">
                 <div class="table-responsive">
-                    <table class="data-table">
+                    <table class="data-table" data-table="attendance">
                         <thead>
                         <tr>
-                            <th>Učenec</th>
-                            <th>Status</th>
-                            <th>Ukrepi</th>
+                            <th data-column="student" data-sort="text">Učenec</th>
+                            <th data-column="status" data-sort="text">Status</th>
+                            <th data-searchable="false">Ukrepi</th>
                         </tr>
                         </thead>
                         <tbody id="attendanceTableBody">
@@ -327,8 +337,9 @@ renderHeaderCard(
                                 ?>
                                 <tr data-student-id="<?= $student['student_id'] ?>"
                                     data-enroll-id="<?= $enrollId ?>"
+                                    data-recorded="<?= $attendanceRecord ? '1' : '0' ?>"
                                     data-class-id="<?= $selectedClassSubject ? $selectedClassSubject['class_id'] : 0 ?>">
-                                    <td><?= htmlspecialchars($student['first_name'] . ' ' . $student['last_name']) ?></td>
+                                    <td data-sort-value="<?= htmlspecialchars($student['last_name'] . ' ' . $student['first_name']) ?>"><?= htmlspecialchars($student['first_name'] . ' ' . $student['last_name']) ?></td>
                                     <td>
                                         <span class="attendance-status <?= $statusClass ?>">
                                             <?= getAttendanceStatusLabel($status) ?>
@@ -353,7 +364,7 @@ renderHeaderCard(
                                 </tr>
                             <?php endforeach; ?>
                         <?php elseif (empty($students) && !empty($selectedPeriod)): ?>
-                            <tr>
+                            <tr data-table-empty>
                                 <td colspan="3" class="text-center">V tem razredu ni vpisanih učencev.</td>
                             </tr>
                         <?php endif; ?>
@@ -363,6 +374,54 @@ renderHeaderCard(
             </div>
         </div>
     </div>
+
+    <!-- Roll call: everyone starts present, changes are submitted together -->
+    <div id="rollCallPanel" class="card roll-call" hidden>
+        <div class="card__title d-flex justify-between items-center gap-sm">
+            <span id="rollCallTitle">Klicanje imen</span>
+            <div class="d-flex gap-xs" role="group" aria-label="Prikaz">
+                <button type="button" class="btn btn-sm btn-secondary" data-roll-call-view="card"
+                        aria-pressed="true">Kartica
+                </button>
+                <button type="button" class="btn btn-sm btn-secondary" data-roll-call-view="grid"
+                        aria-pressed="false">Mreža
+                </button>
+            </div>
+        </div>
+        <div class="card__content">
+            <p id="rollCallSummary" class="roll-call-summary" role="status" aria-live="polite"></p>
+
+            <div id="rollCallCardView">
+                <div class="text-secondary text-sm text-center" id="rollCallPosition"></div>
+                <div class="roll-call-student" id="rollCallStudent" tabindex="0" aria-live="polite"
+                     aria-describedby="rollCallHint">
+                    <div class="roll-call-name" id="rollCallName"></div>
+                    <span class="attendance-status" id="rollCallStatus"></span>
+                </div>
+                <p class="text-secondary text-sm text-center" id="rollCallHint">
+                    Povlecite levo za odsotnost ali desno za prisotnost. Tipke: P prisoten, O odsoten, Z zamuda,
+                    puščici za premik.
+                </p>
+                <div class="roll-call-actions">
+                    <button type="button" class="btn btn-secondary" id="rollCallPrev" aria-label="Prejšnji učenec">
+                        ‹
+                    </button>
+                    <button type="button" class="btn btn-error" data-roll-call-status="A">Odsoten</button>
+                    <button type="button" class="btn btn-warning" data-roll-call-status="L">Zamuda</button>
+                    <button type="button" class="btn btn-success" data-roll-call-status="P">Prisoten</button>
+                    <button type="button" class="btn btn-secondary" id="rollCallNext" aria-label="Naslednji učenec">
+                        ›
+                    </button>
+                </div>
+            </div>
+
+            <div id="rollCallGridView" class="roll-call-grid" hidden></div>
+        </div>
+        <div class="card__footer">
+            <button type="button" class="btn btn-secondary" id="rollCallCancel">Prekliči</button>
+            <button type="button" class="btn btn-primary" id="rollCallSubmit">Oddaj uro</button>
+        </div>
+    </div>
 </div>
 
 <div class="section" id="homeroomStatsSection" <?= !$isHomeroom || $classIsEmpty ? 'style="display: none;"' : '' ?>>
@@ -428,14 +487,19 @@ renderHeaderCard(
                 <div class="form-group">
                     <label for="periodDate" class="form-label">Datum</label>
                     <input type="date" id="periodDate" name="period_date" class="form-input"
-                           value="<?= date('Y-m-d') ?>" required>
+                           value="<?= date('Y-m-d') ?>" required data-feedback="periodDateError"
+                           data-date-min="-180" data-date-max="+30"
+                           data-message-date-min="attendance.dateTooFarBack"
+                           data-message-date-max="attendance.dateTooFarAhead">
                     <div id="periodDateError" class="feedback-error" style="display: none;"></div>
                 </div>
 
                 <div class="form-group">
                     <label for="periodLabel" class="form-label">Naziv ure</label>
                     <input type="text" id="periodLabel" name="period_label" class="form-input" required
-                           maxlength="50" minlength="2">
+                           maxlength="50" minlength="2" data-feedback="periodLabelError"
+                           data-message-minlength="attendance.labelTooShort"
+                           data-message-maxlength="attendance.labelTooLong">
                     <div id="periodLabelError" class="feedback-error" style="display: none;"></div>
                 </div>
             </div>
@@ -449,13 +513,9 @@ renderHeaderCard(
     </div>
 </div>
 
-<!-- Alert container for notifications -->
-<div class="alert-container"></div>
-
 <script>
     document.addEventListener('DOMContentLoaded', function () {
         // --- Global state variables ---
-        let G_CSRF_TOKEN = '<?= htmlspecialchars($csrfToken) ?>';
         let G_SELECTED_CLASS_SUBJECT_ID = <?= (int)$selectedClassSubjectId ?>;
         let G_SELECTED_PERIOD_ID = <?= (int)$selectedPeriodId ?>;
         let G_SELECTED_DATE = '<?= htmlspecialchars($selectedDate) ?>';
@@ -476,54 +536,14 @@ renderHeaderCard(
         const homeroomStatsSection = document.getElementById('homeroomStatsSection');
         const homeroomStatsGrid = document.getElementById('homeroomStatsGrid');
         const addPeriodModalClassSubjectId = document.getElementById('addPeriodClassSubjectId');
-        const addPeriodModalCsrfToken = document.getElementById('addPeriodCsrfToken');
 
         // --- Utility Functions ---
         function formatDateDisplayJS(dateString) {
-            if (!dateString) return '';
-            const [year, month, day] = dateString.split('-');
-            return `${day}.${month}.${year}`;
+            return i18n.formatDate(dateString);
         }
 
         function getAttendanceStatusLabelJS(status) {
-            switch (status) {
-                case 'P':
-                    return 'Prisoten';
-                case 'A':
-                    return 'Odsoten';
-                case 'L':
-                    return 'Zamuda';
-                default:
-                    return 'Neznan';
-            }
-        }
-
-        function showLoadingAlert() {
-            // Simple loading, replace or enhance if a global alert system is used
-            const existingAlert = document.querySelector('.alert-container .status-info');
-            if (existingAlert && existingAlert.textContent.includes('Nalaganje')) return existingAlert;
-            return createAlert('Nalaganje podatkov...', 'info', false);
-        }
-
-        function hideLoadingAlert(alertInstance) {
-            if (alertInstance && alertInstance.parentElement) {
-                alertInstance.classList.add('closing');
-                setTimeout(() => {
-                    if (alertInstance.parentElement) {
-                        alertInstance.parentElement.removeChild(alertInstance);
-                    }
-                }, 300);
-            } else { // Fallback: remove any loading alert
-                const loadingAlert = document.querySelector('.alert-container .status-info');
-                if (loadingAlert && loadingAlert.textContent.includes('Nalaganje')) {
-                    loadingAlert.classList.add('closing');
-                    setTimeout(() => {
-                        if (loadingAlert.parentElement) {
-                            loadingAlert.parentElement.removeChild(loadingAlert);
-                        }
-                    }, 300);
-                }
-            }
+            return ['P', 'A', 'L'].includes(status) ? i18n.t(`attendance.status.${status}`) : i18n.t('attendance.status.unknown');
         }
 
 
@@ -537,10 +557,7 @@ renderHeaderCard(
                 filter_by_date: params.filter_by_date ?? G_FILTER_BY_DATE,
             });
 
-            const loadingAlertInstance = showLoadingAlert();
-
-            fetch(`attendance.php?${queryParams.toString()}`)
-                .then(response => response.json())
+            api.get('attendance.php', null, Object.fromEntries(queryParams))
                 .then(data => {
                     if (data.success) {
                         updatePageWithData(data);
@@ -562,20 +579,17 @@ renderHeaderCard(
 
                         history.pushState(null, '', `attendance.php?${displayParams.toString()}`);
                     } else {
-                        createAlert(data.message || 'Napaka pri nalaganju podatkov.', 'error');
+                        notifications.error(data.message || i18n.t('attendance.loadError'));
                     }
                 })
                 .catch(error => {
                     console.error('Error fetching dynamic data:', error);
-                    createAlert('Napaka v komunikaciji s strežnikom.', 'error');
-                })
-                .finally(() => {
-                    hideLoadingAlert(loadingAlertInstance);
+                    if (error instanceof api.AuthExpiredError) return;
+                    notifications.error(error instanceof api.ValidationError ? error.message : i18n.t('common.serverError'));
                 });
         }
 
         function updatePageWithData(data) {
-            G_CSRF_TOKEN = data.csrfToken || G_CSRF_TOKEN; // Update CSRF token
             G_SELECTED_CLASS_SUBJECT_ID = data.selectedClassSubjectId;
             G_SELECTED_PERIOD_ID = data.selectedPeriodId;
             G_SELECTED_DATE = data.selectedDate;
@@ -587,7 +601,6 @@ renderHeaderCard(
             filterByDateCheckbox.checked = data.filterByDate;
             dateInput.disabled = !data.filterByDate;
             addPeriodModalClassSubjectId.value = data.selectedClassSubjectId; // For "Add Period" modal
-            addPeriodModalCsrfToken.value = G_CSRF_TOKEN;
 
 
             // Populate periods dropdown
@@ -605,7 +618,7 @@ renderHeaderCard(
             } else {
                 const option = document.createElement('option');
                 option.value = "0";
-                option.textContent = `Ni ur${data.filterByDate ? ' za izbrani datum' : ''}`;
+                option.textContent = i18n.t(data.filterByDate ? 'attendance.noPeriodsForDate' : 'attendance.noPeriods');
                 periodSelect.appendChild(option);
             }
             periodSelect.value = data.selectedPeriodId; // Ensure correct selection
@@ -626,6 +639,9 @@ renderHeaderCard(
             if (data.dateError && dateErrorAlert) dateErrorAlert.querySelector('p').textContent = data.dateError;
 
 
+            // A running roll call belongs to the previous period
+            if (rollCall) closeRollCall(false);
+
             // Populate attendance table
             attendanceTableBody.innerHTML = ''; // Clear existing rows
             if (data.selectedPeriod && !data.classIsEmpty && !data.attendanceError) {
@@ -656,26 +672,33 @@ renderHeaderCard(
                         row.dataset.studentId = student.student_id;
                         row.dataset.enrollId = enrollId;
                         row.dataset.classId = classId;
+                        row.dataset.recorded = record ? '1' : '0';
 
-                        row.insertCell().textContent = `${student.first_name} ${student.last_name}`;
+                        const nameCell = row.insertCell();
+                        nameCell.textContent = `${student.first_name} ${student.last_name}`;
+                        nameCell.dataset.sortValue = `${student.last_name} ${student.first_name}`;
                         row.insertCell().innerHTML = `<span class="attendance-status ${statusClass}">${getAttendanceStatusLabelJS(status)}</span>`;
 
                         const actionsCell = row.insertCell();
                         actionsCell.innerHTML = `
                             <div class="d-flex gap-xs">
-                                <button type="button" class="btn btn-success btn-sm attendance-btn" data-status="P" data-period-id="${data.selectedPeriodId}">Prisoten</button>
-                                <button type="button" class="btn btn-error btn-sm attendance-btn" data-status="A" data-period-id="${data.selectedPeriodId}">Odsoten</button>
-                                <button type="button" class="btn btn-warning btn-sm attendance-btn" data-status="L" data-period-id="${data.selectedPeriodId}">Zamuda</button>
+                                <button type="button" class="btn btn-success btn-sm attendance-btn" data-status="P" data-period-id="${data.selectedPeriodId}">${i18n.t('attendance.status.P')}</button>
+                                <button type="button" class="btn btn-error btn-sm attendance-btn" data-status="A" data-period-id="${data.selectedPeriodId}">${i18n.t('attendance.status.A')}</button>
+                                <button type="button" class="btn btn-warning btn-sm attendance-btn" data-status="L" data-period-id="${data.selectedPeriodId}">${i18n.t('attendance.status.L')}</button>
                             </div>`;
                     });
                     attachAttendanceButtonListeners();
                 } else {
-                    attendanceTableBody.innerHTML = `<tr><td colspan="3" class="text-center">V tem razredu ni vpisanih učencev.</td></tr>`;
+                    attendanceTableBody.innerHTML = `<tr data-table-empty><td colspan="3" class="text-center">${i18n.t('attendance.noStudents')}</td></tr>`;
                 }
+                // Keeps the chosen sort order for the new period's rows
+                dataTable.get(attendanceTableBody.closest('table')).refresh();
             } else {
                 attendanceTableContainer.style.display = 'none';
             }
 
+            updateRollCallButton();
+
             // Update Homeroom Stats
             homeroomStatsSection.style.display = (data.isHomeroomTeacher && !data.classIsEmpty) ? 'block' : 'none';
             homeroomStatsGrid.innerHTML = '';
@@ -693,14 +716,14 @@ renderHeaderCard(
                         <div class="card shadow-sm mb-sm">
                             <div class="card__title p-md d-flex justify-between items-center">
                                 <span>${student.first_name} ${student.last_name}</span>
-                                <span class="badge ${rateClass}">${Number(stats.present_percent || 0).toFixed(1)}%</span>
+                                <span class="badge ${rateClass}">${i18n.formatPercent(stats.present_percent || 0)}</span>
                             </div>
                             <div class="card__content p-md">
                                 <div class="d-flex flex-column gap-sm">
-                                    <div class="d-flex justify-between"><span>Prisoten:</span><span class="badge badge-success">${stats.present_count || 0}</span></div>
-                                    <div class="d-flex justify-between"><span>Odsoten:</span><span class="badge badge-error">${stats.absent_count || 0}</span></div>
-                                    <div class="d-flex justify-between"><span>Zamuda:</span><span class="badge badge-warning">${stats.late_count || 0}</span></div>
-                                    <div class="d-flex justify-between mt-sm"><span>Skupaj učnih ur:</span><span class="font-bold">${stats.total || 0}</span></div>
+                                    <div class="d-flex justify-between"><span>${i18n.t('attendance.status.P')}:</span><span class="badge badge-success">${stats.present_count || 0}</span></div>
+                                    <div class="d-flex justify-between"><span>${i18n.t('attendance.status.A')}:</span><span class="badge badge-error">${stats.absent_count || 0}</span></div>
+                                    <div class="d-flex justify-between"><span>${i18n.t('attendance.status.L')}:</span><span class="badge badge-warning">${stats.late_count || 0}</span></div>
+                                    <div class="d-flex justify-between mt-sm"><span>${i18n.t('attendance.totalPeriods')}</span><span class="font-bold">${stats.total || 0}</span></div>
                                 </div>
                             </div>
                         </div>`;
@@ -754,155 +777,273 @@ renderHeaderCard(
         });
 
 
-        // --- Modal Management (local, as per existing file structure) ---
-        const openModal = (modalId) => {
-            const modal = document.getElementById(modalId);
-            if (modal) {
-                modal.classList.add('open');
-                const firstFocusable = modal.querySelector('button, [href], input, select, textarea');
-                if (firstFocusable) firstFocusable.focus();
-                if (modalId === 'addPeriodModal') {
-                    const classSubjectOpt = classSubjectSelect.options[classSubjectSelect.selectedIndex];
-                    const subjectName = classSubjectOpt ? classSubjectOpt.text.split(' - ')[0] : '';
-                    const today = new Date();
-                    const formattedDate = today.getDate() + '.' + (today.getMonth() + 1) + '.';
-                    document.getElementById('periodLabel').value = subjectName + ' ' + formattedDate;
-                    document.getElementById('periodDateError').style.display = 'none';
-                    document.getElementById('periodLabelError').style.display = 'none';
-                    // Ensure current class_subject_id and CSRF are set for the modal form
-                    addPeriodModalClassSubjectId.value = G_SELECTED_CLASS_SUBJECT_ID;
-                    addPeriodModalCsrfToken.value = G_CSRF_TOKEN;
-                }
-            }
-        };
+        // --- Add period modal, opened and closed by initModals in main.js ---
+        const addPeriodModal = document.getElementById('addPeriodModal');
+        addPeriodModal.addEventListener('modal:open', () => {
+            const classSubjectOpt = classSubjectSelect.options[classSubjectSelect.selectedIndex];
+            const subjectName = classSubjectOpt ? classSubjectOpt.text.split(' - ')[0] : '';
+            document.getElementById('periodLabel').value = `${subjectName} ${i18n.formatDate(new Date(), 'short')}`;
+            // Ensure current class_subject_id is set for the modal form, the API client keeps the CSRF input current
+            addPeriodModalClassSubjectId.value = G_SELECTED_CLASS_SUBJECT_ID;
+        });
+        addPeriodModal.addEventListener('modal:close', () => formValidator.reset(document.getElementById('addPeriodForm')));
 
-        const closeModal = (modal) => {
-            if (typeof modal === 'string') modal = document.getElementById(modal);
-            if (modal) {
-                modal.classList.remove('open');
-                const form = modal.querySelector('form');
-                if (form) form.reset();
-                const errorMsgs = modal.querySelectorAll('.feedback-error');
-                errorMsgs.forEach(msg => {
-                    if (msg && msg.style) msg.style.display = 'none';
-                });
-            }
-        };
+        // Handle "Add Period" form, the date range (same as validatePeriodDate on the server) and
+        // the label length are checked by formValidator before this runs
+        document.getElementById('addPeriodForm').addEventListener('submit', function (e) {
+            e.preventDefault();
+            const form = this;
 
-        document.querySelectorAll('[data-open-modal]').forEach(btn => {
-            btn.addEventListener('click', function () {
-                if (this.disabled) return;
-                openModal(this.dataset.openModal);
-            });
-        });
-        document.querySelectorAll('[data-close-modal]').forEach(btn => {
-            btn.addEventListener('click', function () {
-                closeModal(this.closest('.modal'));
-            });
-        });
-        document.querySelectorAll('.modal-overlay').forEach(overlay => {
-            overlay.addEventListener('click', function () {
-                closeModal(this.closest('.modal'));
-            });
-        });
-        document.addEventListener('keydown', function (e) {
-            if (e.key === 'Escape') document.querySelectorAll('.modal.open').forEach(closeModal);
+            api.post('attendance', null, new FormData(form))
+                .then(data => {
+                    notifications.success(i18n.t('attendance.periodAdded'));
+                    modalUtils.closeModal('addPeriodModal');
+                    // Refresh page data, try to select the new period if API returns its ID
+                    // Server logic for period_id=0 should pick the latest, which would be the new one.
+                    G_SELECTED_PERIOD_ID = data.period_id || 0; // Hint for selection
+                    loadDynamicData({period_id: G_SELECTED_PERIOD_ID});
+                })
+                .catch(error => {
+                    console.error('Error:', error);
+                    if (error instanceof api.AuthExpiredError) return;
+                    if (error instanceof api.ValidationError && formValidator.applyServerErrors(form, error)) return;
+                    notifications.error(error instanceof api.ValidationError ? error.message : i18n.t('common.error'));
+                });
         });
 
-        // --- Alert Creation (local) ---
-        function createAlert(message, type = 'info', autoRemove = true, duration = 5000) {
-            const alertContainer = document.querySelector('.alert-container');
-            if (!alertContainer) {
-                console.warn('Alert container not found. Cannot display alert:', message);
-                return null;
+        // --- Offline Attendance Queue ---
+        // Marks are stored in localStorage first and replayed in order, so a dropped connection never loses them
+        const ATTENDANCE_QUEUE_KEY = 'uwuweb_attendance_queue_<?= (int)getUserId() ?>';
+        const ATTENDANCE_RETRY_MIN = 5000;
+        const ATTENDANCE_RETRY_MAX = 60000;
+        const syncIndicator = document.getElementById('attendanceSyncIndicator');
+
+        let queueProcessing = false;
+        let retryDelay = ATTENDANCE_RETRY_MIN;
+        let retryTimer = null;
+
+        function loadAttendanceQueue() {
+            try {
+                return JSON.parse(localStorage.getItem(ATTENDANCE_QUEUE_KEY)) || [];
+            } catch (e) {
+                console.error('Error reading attendance queue:', e);
+                return [];
             }
-            const alertElement = document.createElement('div');
-            alertElement.className = `alert status-${type} card-entrance`;
-            const contentElement = document.createElement('div');
-            contentElement.className = 'alert-content';
-            contentElement.innerHTML = message; // Note: For security, consider textContent if message is not HTML
-            alertElement.appendChild(contentElement);
-            alertContainer.appendChild(alertElement);
-            if (autoRemove) {
-                setTimeout(() => {
-                    alertElement.classList.add('closing');
-                    setTimeout(() => {
-                        if (alertElement.parentElement) alertElement.parentElement.removeChild(alertElement);
-                    }, 300);
-                }, duration);
+        }
+
+        function saveAttendanceQueue(queue) {
+            try {
+                localStorage.setItem(ATTENDANCE_QUEUE_KEY, JSON.stringify(queue));
+            } catch (e) {
+                console.error('Error storing attendance queue:', e);
             }
-            return alertElement;
-        }
-
-        // Validate period date (not too far in future or past)
-        function validatePeriodDate(date) {
-            const inputDate = new Date(date);
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
-            const maxFutureDate = new Date(today);
-            maxFutureDate.setDate(today.getDate() + 30);
-            const maxPastDate = new Date(today);
-            maxPastDate.setDate(today.getDate() - 180);
-            if (inputDate > maxFutureDate) return {
-                valid: false,
-                message: 'Datum ne more biti več kot 30 dni v prihodnosti.'
-            };
-            if (inputDate < maxPastDate) return {
-                valid: false,
-                message: 'Datum ne more biti več kot 180 dni v preteklosti.'
-            };
-            return {valid: true};
         }
 
-        // Handle "Add Period" form
-        document.getElementById('addPeriodForm').addEventListener('submit', function (e) {
-            e.preventDefault();
-            const periodDate = document.getElementById('periodDate').value;
-            const periodLabel = document.getElementById('periodLabel').value;
-            let hasErrors = false;
-
-            const dateValidation = validatePeriodDate(periodDate);
-            if (!dateValidation.valid) {
-                document.getElementById('periodDateError').textContent = dateValidation.message;
-                document.getElementById('periodDateError').style.display = 'block';
-                hasErrors = true;
-            } else {
-                document.getElementById('periodDateError').style.display = 'none';
+        function getAttendanceStatusClassJS(status) {
+            switch (status) {
+                case 'P':
+                    return 'status-present';
+                case 'A':
+                    return 'status-absent';
+                case 'L':
+                    return 'status-late';
+                default:
+                    return '';
             }
+        }
 
-            if (!periodLabel || periodLabel.trim().length < 2) {
-                document.getElementById('periodLabelError').textContent = 'Naziv ure mora vsebovati vsaj 2 znaka.';
-                document.getElementById('periodLabelError').style.display = 'block';
-                hasErrors = true;
-            } else if (periodLabel.trim().length > 50) {
-                document.getElementById('periodLabelError').textContent = 'Naziv ure ne sme presegati 50 znakov.';
-                document.getElementById('periodLabelError').style.display = 'block';
-                hasErrors = true;
-            } else {
-                document.getElementById('periodLabelError').style.display = 'none';
+        function findAttendanceRow(entry) {
+            if (entry.periodId !== String(G_SELECTED_PERIOD_ID)) return null;
+            return attendanceTableBody.querySelector(`tr[data-student-id="${entry.studentId}"]`);
+        }
+
+        function setRowStatus(row, status) {
+            const statusEl = row.querySelector('.attendance-status');
+            statusEl.className = 'attendance-status';
+            const statusClass = getAttendanceStatusClassJS(status);
+            if (statusClass) statusEl.classList.add(statusClass);
+            statusEl.textContent = getAttendanceStatusLabelJS(status);
+        }
+
+        // Pending rows show the queued status with a marker, conflicts keep their message until the next mark
+        function setRowSyncState(row, state, message = '') {
+            row.classList.remove('attendance-row-pending', 'attendance-row-conflict');
+            let marker = row.querySelector('.attendance-sync-state');
+
+            if (!state) {
+                if (marker) marker.remove();
+                return;
             }
 
-            if (!hasErrors) {
-                const formData = new FormData(this);
-                fetch('../api/attendance.php', {method: 'POST', body: formData})
-                    .then(response => response.json())
-                    .then(data => {
-                        if (data.success) {
-                            createAlert('Učna ura je bila uspešno dodana.', 'success');
-                            closeModal('addPeriodModal');
-                            // Refresh page data, try to select the new period if API returns its ID
-                            // Server logic for period_id=0 should pick the latest, which would be the new one.
-                            G_SELECTED_PERIOD_ID = data.period_id || 0; // Hint for selection
-                            loadDynamicData({period_id: G_SELECTED_PERIOD_ID});
-                        } else {
-                            createAlert(data.message || 'Napaka pri dodajanju učne ure.', 'error');
-                        }
-                    })
-                    .catch(error => {
-                        console.error('Error:', error);
-                        createAlert('Prišlo je do napake.', 'error');
-                    });
+            if (!marker) {
+                marker = document.createElement('small');
+                marker.className = 'attendance-sync-state d-block mt-xs';
+                row.querySelector('.attendance-status').after(marker);
+            }
+
+            row.classList.add(`attendance-row-${state}`);
+            marker.textContent = state === 'pending' ? i18n.t('attendance.syncPending') : i18n.t('attendance.syncRejected', {message});
+        }
+
+        function updateSyncIndicator() {
+            if (!syncIndicator) return;
+
+            const count = loadAttendanceQueue().length;
+            syncIndicator.style.display = count === 0 && navigator.onLine ? 'none' : '';
+            syncIndicator.classList.toggle('badge-warning', count > 0);
+            syncIndicator.classList.toggle('badge-error', !navigator.onLine);
+
+            syncIndicator.textContent = i18n.t(navigator.onLine ? 'attendance.unsynced' : 'attendance.unsyncedOffline', {count});
+        }
+
+        // Re-applies queued statuses after the table was (re)rendered from server data
+        function applyQueuedStateToRows() {
+            loadAttendanceQueue().forEach(entry => {
+                const row = findAttendanceRow(entry);
+                if (!row) return;
+                setRowStatus(row, entry.status);
+                setRowSyncState(row, 'pending');
+            });
+            updateSyncIndicator();
+        }
+
+        function scheduleQueueRetry() {
+            clearTimeout(retryTimer);
+            retryTimer = setTimeout(processAttendanceQueue, retryDelay);
+            retryDelay = Math.min(retryDelay * 2, ATTENDANCE_RETRY_MAX);
+        }
+
+        function reportAttendanceConflict(entry, message) {
+            const row = findAttendanceRow(entry);
+            if (row) {
+                setRowStatus(row, entry.previousStatus);
+                setRowSyncState(row, 'conflict', message);
             }
+
+            const student = entry.periodLabel ? `${entry.studentName} (${entry.periodLabel})` : entry.studentName;
+            notifications.error(i18n.t('attendance.changeNotSaved', {student, message}));
+        }
+
+        // Sends the oldest queued change, network and server errors keep it queued, rejections drop it as a conflict
+        function processAttendanceQueue() {
+            if (queueProcessing) return;
+
+            const queue = loadAttendanceQueue();
+            updateSyncIndicator();
+            if (queue.length === 0 || !navigator.onLine) return;
+
+            queueProcessing = true;
+            const entry = queue[0];
+
+            const finishEntry = () => {
+                const remaining = loadAttendanceQueue().filter(item => item.id !== entry.id);
+                saveAttendanceQueue(remaining);
+                retryDelay = ATTENDANCE_RETRY_MIN;
+                queueProcessing = false;
+                return remaining;
+            };
+
+            // Queued changes are retried by the queue itself, an expired session keeps them for after the login
+            api.post('attendance', null, {
+                enroll_id: entry.enrollId,
+                period_id: entry.periodId,
+                status: entry.status,
+                student_id: entry.studentId,
+                class_id: entry.classId
+            }, {loading: false})
+                .then(data => {
+                    const remaining = finishEntry();
+                    const row = findAttendanceRow(entry);
+                    const stillPending = remaining.some(item => item.periodId === entry.periodId && item.studentId === entry.studentId);
+
+                    if (row && data.enroll_id) row.dataset.enrollId = data.enroll_id;
+                    if (row && !stillPending) setRowSyncState(row, null);
+                    // Later queued changes for the same enrollment can use the id created by the server
+                    if (data.enroll_id) {
+                        saveAttendanceQueue(remaining.map(item => item.studentId === entry.studentId && item.classId === entry.classId
+                            ? {...item, enrollId: String(data.enroll_id)} : item));
+                    }
+
+                    processAttendanceQueue();
+                })
+                .catch(error => {
+                    const temporary = error instanceof api.NetworkError || error instanceof api.TimeoutError
+                        || error instanceof api.ServerError || error instanceof api.AuthExpiredError;
+
+                    if (temporary) {
+                        // Temporary failure or expired session, keep the change and try again later
+                        console.error('Error syncing attendance:', error);
+                        queueProcessing = false;
+                        scheduleQueueRetry();
+                        return;
+                    }
+
+                    finishEntry();
+                    reportAttendanceConflict(entry, error.message || i18n.t('attendance.updateError'));
+                    processAttendanceQueue();
+                })
+                .finally(updateSyncIndicator);
+        }
+
+        function queueAttendanceChange(row, status, periodId) {
+            const statusEl = row.querySelector('.attendance-status');
+            const previous = ['P', 'A', 'L'].find(code => statusEl.classList.contains(getAttendanceStatusClassJS(code))) || 'A';
+            const selectedOption = periodSelect.options[periodSelect.selectedIndex];
+
+            const queue = loadAttendanceQueue();
+            queue.push({
+                id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                periodId: String(periodId),
+                periodLabel: selectedOption ? selectedOption.text : '',
+                enrollId: row.dataset.enrollId,
+                studentId: row.dataset.studentId,
+                classId: row.dataset.classId,
+                studentName: row.cells[0].textContent.trim(),
+                status,
+                previousStatus: previous,
+                queuedAt: new Date().toISOString()
+            });
+            saveAttendanceQueue(queue);
+
+            setRowStatus(row, status);
+            setRowSyncState(row, 'pending');
+
+            retryDelay = ATTENDANCE_RETRY_MIN;
+            clearTimeout(retryTimer);
+            processAttendanceQueue();
+            return previous;
+        }
+
+        // Undo queues the previous status as a new change, the row is looked up again in case the table was re-rendered
+        function offerAttendanceUndo(row, status, previous, periodId) {
+            const student = row.cells[0].textContent.trim();
+            const studentId = row.dataset.studentId;
+
+            notifications.success(i18n.t('attendance.statusChanged', {student, status: getAttendanceStatusLabelJS(status)}), {
+                key: `attendance-${periodId}-${studentId}`,
+                actions: [{
+                    label: i18n.t('notifications.undo'),
+                    onClick: () => {
+                        const currentRow = findAttendanceRow({periodId: String(periodId), studentId});
+                        if (!currentRow) return;
+                        queueAttendanceChange(currentRow, previous, periodId);
+                        notifications.info(i18n.t('attendance.statusRestored', {student, status: getAttendanceStatusLabelJS(previous)}), {
+                            key: `attendance-${periodId}-${studentId}`
+                        });
+                    }
+                }]
+            });
+        }
+
+        window.addEventListener('online', () => {
+            retryDelay = ATTENDANCE_RETRY_MIN;
+            processAttendanceQueue();
+        });
+        window.addEventListener('offline', updateSyncIndicator);
+
+        // Another tab may have synced or queued changes
+        window.addEventListener('storage', (e) => {
+            if (e.key === ATTENDANCE_QUEUE_KEY) updateSyncIndicator();
         });
 
         // --- Attendance Button Handling ---
@@ -914,63 +1055,310 @@ renderHeaderCard(
                 btn.parentNode.replaceChild(newBtn, btn);
 
                 newBtn.addEventListener('click', function () {
-                    const status = this.dataset.status;
-                    const periodId = this.dataset.periodId;
                     const row = this.closest('tr');
-                    const enrollId = row.dataset.enrollId;
-                    const studentId = row.dataset.studentId;
-                    const classId = row.dataset.classId;
-
-                    const buttonsInRow = row.querySelectorAll('.attendance-btn');
-                    buttonsInRow.forEach(b => b.disabled = true);
-
-                    const formData = new FormData();
-                    formData.append('csrf_token', G_CSRF_TOKEN);
-                    formData.append('enroll_id', enrollId);
-                    formData.append('period_id', periodId);
-                    formData.append('status', status);
-                    formData.append('student_id', studentId);
-                    formData.append('class_id', classId);
-
-                    fetch('../api/attendance.php', {method: 'POST', body: formData})
-                        .then(response => response.json())
-                        .then(data => {
-                            if (data.success) {
-                                const statusCell = row.querySelector('.attendance-status');
-                                statusCell.className = 'attendance-status'; // Reset classes
-                                let newStatusClass = '';
-                                switch (status) {
-                                    case 'P':
-                                        newStatusClass = 'status-present';
-                                        break;
-                                    case 'A':
-                                        newStatusClass = 'status-absent';
-                                        break;
-                                    case 'L':
-                                        newStatusClass = 'status-late';
-                                        break;
-                                }
-                                statusCell.classList.add(newStatusClass);
-                                statusCell.textContent = getAttendanceStatusLabelJS(status);
-                                if (data.enroll_id) row.dataset.enrollId = data.enroll_id; // Update enroll_id if it was created
-                                createAlert('Status je bil uspešno posodobljen.', 'success', true, 2000);
-                            } else {
-                                createAlert(data.message || 'Napaka pri posodabljanju statusa.', 'error');
-                            }
-                        })
-                        .catch(error => {
-                            console.error('Error:', error);
-                            createAlert('Prišlo je do napake.', 'error');
-                        })
-                        .finally(() => {
-                            buttonsInRow.forEach(b => b.disabled = false);
-                        });
+                    const previous = queueAttendanceChange(row, this.dataset.status, this.dataset.periodId);
+                    if (previous !== this.dataset.status) offerAttendanceUndo(row, this.dataset.status, previous, this.dataset.periodId);
                 });
             });
+            applyQueuedStateToRows();
+        }
+
+        // --- Roll Call ---
+        // Everyone starts present (or with the status already saved), marks stay local until "Oddaj uro"
+        // sends them as one batch
+        const rollCallButton = document.getElementById('rollCallButton');
+        const rollCallPanel = document.getElementById('rollCallPanel');
+        const rollCallCardView = document.getElementById('rollCallCardView');
+        const rollCallGridView = document.getElementById('rollCallGridView');
+        const rollCallStudent = document.getElementById('rollCallStudent');
+        const rollCallSubmit = document.getElementById('rollCallSubmit');
+        const ROLL_CALL_KEYS = {p: 'P', a: 'A', o: 'A', l: 'L', z: 'L'};
+        const ROLL_CALL_CYCLE = {P: 'A', A: 'L', L: 'P'};
+        const SWIPE_DISTANCE = 60;
+        let rollCall = null;
+
+        function updateRollCallButton() {
+            rollCallButton.disabled = !G_SELECTED_PERIOD_ID || !attendanceTableBody.querySelector('tr[data-student-id]');
+        }
+
+        function getRowStatus(row) {
+            const statusEl = row.querySelector('.attendance-status');
+            return ['P', 'A', 'L'].find(code => statusEl.classList.contains(getAttendanceStatusClassJS(code))) || 'A';
+        }
+
+        function getRollCallChanges() {
+            return rollCall.students.filter(student => student.status !== student.saved);
+        }
+
+        function renderRollCallSummary() {
+            const counts = {P: 0, A: 0, L: 0};
+            rollCall.students.forEach(student => counts[student.status]++);
+
+            document.getElementById('rollCallSummary').textContent = i18n.t('attendance.rollCall.summary', {
+                present: counts.P,
+                absent: counts.A,
+                late: counts.L
+            });
+            rollCallSubmit.textContent = i18n.t('attendance.rollCall.submit', {count: getRollCallChanges().length});
+        }
+
+        function renderRollCallCard() {
+            const student = rollCall.students[rollCall.index];
+            const statusEl = document.getElementById('rollCallStatus');
+
+            document.getElementById('rollCallPosition').textContent = i18n.t('attendance.rollCall.position', {
+                current: rollCall.index + 1,
+                total: rollCall.students.length
+            });
+            document.getElementById('rollCallName').textContent = student.name;
+            statusEl.className = `attendance-status ${getAttendanceStatusClassJS(student.status)}`;
+            statusEl.textContent = getAttendanceStatusLabelJS(student.status);
+
+            document.getElementById('rollCallPrev').disabled = rollCall.index === 0;
+            document.getElementById('rollCallNext').disabled = rollCall.index === rollCall.students.length - 1;
+        }
+
+        function renderRollCallGrid() {
+            rollCallGridView.innerHTML = '';
+            rollCall.students.forEach((student, index) => {
+                const tile = document.createElement('button');
+                tile.type = 'button';
+                tile.className = `roll-call-tile ${getAttendanceStatusClassJS(student.status)}`;
+                tile.dataset.index = String(index);
+                tile.setAttribute('aria-label', i18n.t('attendance.statusChanged', {
+                    student: student.name,
+                    status: getAttendanceStatusLabelJS(student.status)
+                }));
+
+                const name = document.createElement('span');
+                name.className = 'roll-call-tile-name';
+                name.textContent = student.name;
+                const status = document.createElement('span');
+                status.className = 'text-sm';
+                status.textContent = getAttendanceStatusLabelJS(student.status);
+
+                tile.append(name, status);
+                rollCallGridView.appendChild(tile);
+            });
+        }
+
+        function renderRollCall() {
+            rollCallCardView.hidden = rollCall.view !== 'card';
+            rollCallGridView.hidden = rollCall.view !== 'grid';
+            rollCallPanel.querySelectorAll('[data-roll-call-view]').forEach(button => {
+                button.setAttribute('aria-pressed', String(button.dataset.rollCallView === rollCall.view));
+            });
+
+            if (rollCall.view === 'card') renderRollCallCard();
+            else renderRollCallGrid();
+            renderRollCallSummary();
         }
 
+        function startRollCall() {
+            const rows = Array.from(attendanceTableBody.querySelectorAll('tr[data-student-id]'));
+            if (!G_SELECTED_PERIOD_ID || rows.length === 0) return;
+
+            rollCall = {
+                periodId: String(G_SELECTED_PERIOD_ID),
+                index: 0,
+                view: rollCall ? rollCall.view : 'card',
+                students: rows.map(row => {
+                    // Queued changes are not saved yet, so they are sent again with the batch
+                    const saved = row.dataset.recorded === '1' && !row.classList.contains('attendance-row-pending') ? getRowStatus(row) : null;
+                    const known = row.dataset.recorded === '1' || row.classList.contains('attendance-row-pending');
+                    return {
+                        studentId: row.dataset.studentId,
+                        name: row.cells[0].textContent.trim(),
+                        status: known ? getRowStatus(row) : 'P',
+                        saved
+                    };
+                })
+            };
+
+            document.getElementById('rollCallTitle').textContent = i18n.t('attendance.rollCall.title', {period: attendanceCardTitle.textContent.trim()});
+            attendanceTableContainer.style.display = 'none';
+            rollCallPanel.hidden = false;
+            renderRollCall();
+            (rollCall.view === 'card' ? rollCallStudent : rollCallGridView.querySelector('button')).focus();
+        }
+
+        function closeRollCall(restoreFocus = true) {
+            rollCall = null;
+            rollCallPanel.hidden = true;
+            attendanceTableContainer.style.display = 'block';
+            if (restoreFocus) rollCallButton.focus();
+        }
+
+        function cancelRollCall() {
+            if (getRollCallChanges().length === 0) {
+                closeRollCall();
+                return;
+            }
+
+            modalUtils.confirm({
+                message: i18n.t('attendance.rollCall.discard'),
+                confirmText: i18n.t('formState.discard'),
+                danger: true
+            }).then(confirmed => {
+                if (confirmed && rollCall) closeRollCall();
+            });
+        }
+
+        function moveRollCall(offset) {
+            rollCall.index = Math.min(Math.max(rollCall.index + offset, 0), rollCall.students.length - 1);
+            renderRollCallCard();
+        }
+
+        // Marking in the card view moves on to the next student, the last one hands over to the submit button
+        function markRollCall(status) {
+            rollCall.students[rollCall.index].status = status;
+            if (rollCall.index < rollCall.students.length - 1) {
+                moveRollCall(1);
+            } else {
+                renderRollCallCard();
+                rollCallSubmit.focus();
+            }
+            renderRollCallSummary();
+        }
+
+        function submitRollCall() {
+            const changes = getRollCallChanges();
+            if (changes.length === 0) {
+                notifications.info(i18n.t('attendance.rollCall.noChanges'));
+                closeRollCall();
+                return;
+            }
+            if (!navigator.onLine) {
+                notifications.error(i18n.t('attendance.rollCall.offline'));
+                return;
+            }
+
+            const periodId = rollCall.periodId;
+            rollCallSubmit.disabled = true;
+
+            api.post('attendance', null, {
+                period_id: periodId,
+                records: JSON.stringify(changes.map(student => ({student_id: student.studentId, status: student.status})))
+            })
+                .then(data => {
+                    // Queued single changes for these students would overwrite the roll call later
+                    const savedIds = data.processed.map(record => String(record.student_id));
+                    saveAttendanceQueue(loadAttendanceQueue().filter(item => item.periodId !== periodId || !savedIds.includes(item.studentId)));
+
+                    notifications.success(i18n.t('attendance.rollCall.saved', {count: data.processed.length}));
+                    if (data.failed.length > 0) notifications.warning(i18n.t('attendance.rollCall.failed', {count: data.failed.length}));
+
+                    closeRollCall();
+                    loadDynamicData({period_id: periodId});
+                })
+                .catch(error => {
+                    console.error('Error saving roll call:', error);
+                    if (error instanceof api.AuthExpiredError) return;
+                    notifications.error(error.message || i18n.t('attendance.updateError'));
+                })
+                .finally(() => rollCallSubmit.disabled = false);
+        }
+
+        rollCallButton.addEventListener('click', startRollCall);
+        document.getElementById('rollCallCancel').addEventListener('click', cancelRollCall);
+        rollCallSubmit.addEventListener('click', submitRollCall);
+        document.getElementById('rollCallPrev').addEventListener('click', () => moveRollCall(-1));
+        document.getElementById('rollCallNext').addEventListener('click', () => moveRollCall(1));
+
+        rollCallPanel.querySelectorAll('[data-roll-call-status]').forEach(button => {
+            button.addEventListener('click', () => markRollCall(button.dataset.rollCallStatus));
+        });
+
+        rollCallPanel.querySelectorAll('[data-roll-call-view]').forEach(button => {
+            button.addEventListener('click', () => {
+                rollCall.view = button.dataset.rollCallView;
+                renderRollCall();
+            });
+        });
+
+        // Tapping a tile cycles present, absent, late
+        rollCallGridView.addEventListener('click', (e) => {
+            const tile = e.target.closest('.roll-call-tile');
+            if (!tile) return;
+            const student = rollCall.students[Number(tile.dataset.index)];
+            student.status = ROLL_CALL_CYCLE[student.status];
+            renderRollCallGrid();
+            renderRollCallSummary();
+            rollCallGridView.querySelector(`[data-index="${tile.dataset.index}"]`).focus();
+        });
+
+        // Swipe left marks absent, right marks present
+        let swipeStart = null;
+        rollCallStudent.addEventListener('pointerdown', (e) => {
+            swipeStart = {x: e.clientX, y: e.clientY, id: e.pointerId};
+            rollCallStudent.setPointerCapture(e.pointerId);
+        });
+        rollCallStudent.addEventListener('pointermove', (e) => {
+            if (!swipeStart || e.pointerId !== swipeStart.id) return;
+            const dx = e.clientX - swipeStart.x;
+            rollCallStudent.style.transform = `translateX(${dx}px) rotate(${dx / 40}deg)`;
+            rollCallStudent.classList.toggle('roll-call-swipe-absent', dx < -SWIPE_DISTANCE);
+            rollCallStudent.classList.toggle('roll-call-swipe-present', dx > SWIPE_DISTANCE);
+        });
+        const endSwipe = (e) => {
+            if (!swipeStart || e.pointerId !== swipeStart.id) return;
+            const dx = e.clientX - swipeStart.x;
+            const dy = e.clientY - swipeStart.y;
+            swipeStart = null;
+            rollCallStudent.style.transform = '';
+            rollCallStudent.classList.remove('roll-call-swipe-absent', 'roll-call-swipe-present');
+            if (e.type === 'pointerup' && Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) markRollCall(dx < 0 ? 'A' : 'P');
+        };
+        rollCallStudent.addEventListener('pointerup', endSwipe);
+        rollCallStudent.addEventListener('pointercancel', endSwipe);
+
+        rollCallPanel.addEventListener('keydown', (e) => {
+            if (!rollCall || e.ctrlKey || e.metaKey || e.altKey) return;
+
+            if (e.key === 'Escape') {
+                // The confirmation opens right away, the modal Escape handler on document must not close it again
+                e.preventDefault();
+                e.stopPropagation();
+                cancelRollCall();
+                return;
+            }
+            if (rollCall.view !== 'card') return;
+
+            const status = ROLL_CALL_KEYS[e.key.toLowerCase()];
+            if (status) {
+                e.preventDefault();
+                markRollCall(status);
+            } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+                e.preventDefault();
+                moveRollCall(e.key === 'ArrowLeft' ? -1 : 1);
+            }
+        });
+
+        // --- Keyboard Shortcuts ---
+        // The command palette opens this page with attendance.addPeriod for "Vnesi prisotnost zdaj"
+        commandPalette.register([
+            {
+                id: 'attendance.addPeriod',
+                title: i18n.t('attendance.command.addPeriod'),
+                shortcut: 'n',
+                enabled: () => !addPeriodButton.disabled && rollCallPanel.hidden,
+                run: () => addPeriodButton.click()
+            },
+            {
+                id: 'attendance.rollCall',
+                title: i18n.t('attendance.command.rollCall'),
+                shortcut: 'r',
+                enabled: () => !rollCallButton.disabled && rollCallPanel.hidden,
+                run: startRollCall
+            }
+        ]);
+
         // Initial attachment of listeners for buttons loaded by PHP
         attachAttendanceButtonListeners();
+        updateRollCallButton();
+
+        // Replay anything left over from a previous visit
+        processAttendanceQueue();
     });
 </script>
 
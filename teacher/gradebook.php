@@ -84,6 +84,12 @@ if (!$selectedClassSubject && !empty($teacherClasses)) {
     }
 }
 
+// School header for printed report cards
+$school = getSchoolInfo();
+
+// Grading scale of the selected subject, used for grade colors and the legend
+$gradingScale = getGradingScale($selectedClassSubjectId ? (int)$selectedClassSubjectId : null);
+
 // Load data if we have a selected class
 if (isset($selectedClassSubject['class_id'], $selectedClassSubject['class_subject_id']) && $selectedClassSubject) {
     // Get students in class
@@ -298,7 +304,7 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST' && isset($_POST['csrf_token']) && veri
     }
 } else if ($_SERVER['REQUEST_METHOD'] === 'POST') echo generateAlert('Neveljavna seja. Poskusite znova.', 'error');
 
-// Show success messages based on redirects
+// Show success messages based on redirects, delete_grade is shown as a toast with an undo button
 if (isset($_GET['success'])) switch ($_GET['success']) {
     case 'add_item':
         echo generateAlert('Nov element ocenjevanja je bil uspešno dodan.', 'success');
@@ -312,9 +318,6 @@ if (isset($_GET['success'])) switch ($_GET['success']) {
     case 'save_grade':
         echo generateAlert('Ocena je bila uspešno shranjena.', 'success');
         break;
-    case 'delete_grade':
-        echo generateAlert('Ocena je bila uspešno izbrisana.', 'success');
-        break;
     case 'batch_grades':
         $count = (int)($_GET['count'] ?? 0);
         echo generateAlert("Uspešno shranjenih $count ocen.", 'success');
@@ -331,7 +334,7 @@ renderHeaderCard(
 
 <div class="section">
     <!-- Class/Subject Selector -->
-    <div class="card mb-md">
+    <div class="card mb-md no-print">
         <div class="card__content">
             <form method="GET" action="gradebook.php" class="d-flex justify-between items-center">
                 <div class="form-group mb-0">
@@ -343,6 +346,8 @@ renderHeaderCard(
                                 <?php foreach ($class['subjects'] as $subject): ?>
                                     <?php if (isset($subject['class_subject_id'])): ?>
                                         <option value="<?= $subject['class_subject_id'] ?>"
+                                                data-class-id="<?= (int)($class['class_id'] ?? 0) ?>"
+                                                data-subject-name="<?= htmlspecialchars($subject['subject_name'] ?? 'Predmet') ?>"
                                             <?= ($selectedClassSubjectId == $subject['class_subject_id']) ? 'selected' : '' ?>>
                                             <?= htmlspecialchars($class['title'] ?? 'Razred') ?>
                                             - <?= htmlspecialchars($subject['subject_name'] ?? 'Predmet') ?>
@@ -352,6 +357,8 @@ renderHeaderCard(
                             <?php elseif (isset($class['class_subject_id'], $class['subject_name'])): ?>
                                 <!-- Alternative data structure where subjects are directly embedded -->
                                 <option value="<?= $class['class_subject_id'] ?>"
+                                        data-class-id="<?= (int)($class['class_id'] ?? 0) ?>"
+                                        data-subject-name="<?= htmlspecialchars($class['subject_name']) ?>"
                                     <?= ($selectedClassSubjectId == $class['class_subject_id']) ? 'selected' : '' ?>>
                                     <?= htmlspecialchars($class['title'] ?? $class['class_title'] ?? 'Razred') ?> -
                                     <?= htmlspecialchars($class['subject_name']) ?>
@@ -372,7 +379,7 @@ renderHeaderCard(
 
     <?php if ($selectedClassSubject): ?>
         <!-- Grade Table -->
-        <div class="card">
+        <div class="card gradebook-sheet">
             <div class="card__title">
                 Redovalnica: <?= htmlspecialchars($selectedClassSubject['class_title'] ?? 'Razred') ?> -
                 <?= htmlspecialchars($selectedClassSubject['subject_name'] ?? 'Predmet') ?>
@@ -389,40 +396,42 @@ renderHeaderCard(
                         </div>
                     </div>
                 <?php else: ?>
-                    <!-- Grade Legend -->
+                    <!-- Grade Legend, redrawn from the server scale by gradingScale -->
                     <div class="mb-md">
-                        <div class="d-flex gap-md mb-sm flex-wrap">
-                            <div class="d-flex items-center gap-xs">
-                                <div class="grade grade-5" style="width: 30px; text-align: center;">5</div>
-                                <span>Odlično (≥90%)</span>
-                            </div>
-                            <div class="d-flex items-center gap-xs">
-                                <div class="grade grade-4" style="width: 30px; text-align: center;">4</div>
-                                <span>Prav dobro (75-89%)</span>
-                            </div>
-                            <div class="d-flex items-center gap-xs">
-                                <div class="grade grade-3" style="width: 30px; text-align: center;">3</div>
-                                <span>Dobro (61-74%)</span>
-                            </div>
-                            <div class="d-flex items-center gap-xs">
-                                <div class="grade grade-2" style="width: 30px; text-align: center;">2</div>
-                                <span>Zadostno (50-60%)</span>
-                            </div>
-                            <div class="d-flex items-center gap-xs">
-                                <div class="grade grade-1" style="width: 30px; text-align: center;">1</div>
-                                <span>Nezadostno (<50%)</span>
-                            </div>
+                        <div class="d-flex gap-md mb-sm flex-wrap" data-grade-legend
+                             data-class-subject-id="<?= (int)$selectedClassSubjectId ?>">
+                            <?php foreach ($gradingScale['grades'] as $index => $band): ?>
+                                <div class="d-flex items-center gap-xs">
+                                    <div class="grade grade-<?= $band['grade'] ?>"
+                                         style="width: 30px; text-align: center;"><?= $band['grade'] ?></div>
+                                    <span><?= htmlspecialchars($band['label']) ?> (<?= getGradeBandRange($gradingScale, $index) ?>)</span>
+                                </div>
+                            <?php endforeach; ?>
                         </div>
-                        <div class="d-flex justify-end">
+                        <div class="d-flex justify-end no-print">
                             <div class="btn-group">
                                 <button type="button" class="btn btn-secondary btn-sm" id="printGradebook"
                                         title="Natisni redovalnico">
                                     <span>🖨️ Natisni</span>
                                 </button>
+                                <button type="button" class="btn btn-secondary btn-sm" id="printReportCards"
+                                        title="Natisni poročila o uspehu za cel razred ali jih shrani kot PDF"
+                                        data-class-id="<?= (int)$selectedClassSubject['class_id'] ?>"
+                                        data-class-title="<?= htmlspecialchars($selectedClassSubject['class_title'] ?? '') ?>"
+                                        data-school-name="<?= htmlspecialchars($school['school_name']) ?>"
+                                        data-school-address="<?= htmlspecialchars($school['school_address']) ?>"
+                                        data-school-year="<?= htmlspecialchars($school['current_year']) ?>">
+                                    <span>📄 Poročila razreda</span>
+                                </button>
                                 <button type="button" class="btn btn-secondary btn-sm" id="exportGradebook"
-                                        title="Izvozi v Excel">
+                                        data-open-modal="exportGradebookModal" title="Izvozi redovalnico">
                                     <span>📊 Izvozi</span>
                                 </button>
+                                <button type="button" class="btn btn-secondary btn-sm"
+                                        data-open-modal="importGradesModal" title="Uvozi točke iz CSV ali Excel datoteke"
+                                    <?= empty($gradeItems) ? 'disabled' : '' ?>>
+                                    <span>📥 Uvozi</span>
+                                </button>
                                 <button type="button" class="btn btn-secondary btn-sm"
                                         data-open-modal="batchGradeModal" title="Vnesi ocene za vse učence">
                                     <span>📝 Množični vnos</span>
@@ -431,8 +440,16 @@ renderHeaderCard(
                         </div>
                     </div>
 
+                    <p class="text-secondary text-sm mb-sm no-print">
+                        Točke vpišite neposredno v celico. Premikanje s puščicami, Tab in Enter, F2 uredi obstoječo
+                        vrednost, dvoklik odpre podrobnosti. Prilepite lahko tudi blok vrednosti iz Excela.
+                    </p>
+
+                    <div id="gradebookStatus" class="sr-only" aria-live="polite"></div>
+
+                    <!-- Not a data-table: the grid is navigated and pasted into like a spreadsheet, rows stay in class order -->
                     <div class="table-responsive">
-                        <table class="data-table">
+                        <table class="data-table" id="gradebookTable">
                             <thead>
                             <tr>
                                 <th class="text-left">Učenec</th>
@@ -486,24 +503,19 @@ renderHeaderCard(
 
                                         if ($grade) {
                                             $percentage = ($grade['points'] / $item['max_points']) * 100;
-
-                                            if ($percentage >= 90) $gradeClass = 'grade-5';
-                                            elseif ($percentage >= 75) $gradeClass = 'grade-4';
-                                            elseif ($percentage >= 61) $gradeClass = 'grade-3';
-                                            elseif ($percentage >= 50) $gradeClass = 'grade-2';
-                                            else $gradeClass = 'grade-1';
+                                            $gradeClass = 'grade-' . getGradeLetter($percentage, $gradingScale);
                                         }
                                         ?>
 
-                                        <td>
+                                        <td class="grade-cell" tabindex="-1">
                                             <?php if (isset($student['enroll_id'])): ?>
                                                 <div class="grade <?= $gradeClass ?> editable-grade"
-                                                     title="Kliknite za urejanje"
-                                                     data-open-modal="editGradeModal"
+                                                     title="Vnesite točke ali dvokliknite za podrobnosti"
                                                      data-enroll-id="<?= $student['enroll_id'] ?>"
                                                      data-item-id="<?= $item['item_id'] ?>"
                                                      data-max-points="<?= $item['max_points'] ?>"
                                                      data-points="<?= $grade ? $grade['points'] : '' ?>"
+                                                     <?php if ($grade): ?>data-grade-percentage="<?= number_format($percentage, 1, '.', '') ?>"<?php endif; ?>
                                                      data-comment="<?= $grade ? htmlspecialchars($grade['comment'] ?? '') : '' ?>"
                                                      data-student-name="<?= htmlspecialchars(($student['first_name'] ?? '') . ' ' . ($student['last_name'] ?? '')) ?>"
                                                      data-item-name="<?= htmlspecialchars($item['name']) ?>">
@@ -531,18 +543,14 @@ renderHeaderCard(
                                         </td>
                                     <?php endforeach; ?>
 
-                                    <td class="font-bold">
+                                    <td class="font-bold" data-row-average>
                                         <?php if (isset($student['enroll_id'], $studentAverages[$student['enroll_id']])): ?>
                                             <?php
                                             $avgPercentage = $studentAverages[$student['enroll_id']];
-                                            $gradeClass = '';
-                                            if ($avgPercentage >= 90) $gradeClass = 'grade-5';
-                                            elseif ($avgPercentage >= 75) $gradeClass = 'grade-4';
-                                            elseif ($avgPercentage >= 61) $gradeClass = 'grade-3';
-                                            elseif ($avgPercentage >= 50) $gradeClass = 'grade-2';
-                                            else $gradeClass = 'grade-1';
+                                            $gradeClass = 'grade-' . getGradeLetter($avgPercentage, $gradingScale);
                                             ?>
-                                            <div class="grade <?= $gradeClass ?>">
+                                            <div class="grade <?= $gradeClass ?>"
+                                                 data-grade-percentage="<?= number_format($avgPercentage, 1, '.', '') ?>">
                                                 <?= number_format($avgPercentage, 1) ?> %
                                             </div>
                                         <?php endif; ?>
@@ -555,17 +563,13 @@ renderHeaderCard(
                                 <tr class="bg-secondary">
                                     <td class="font-bold">Povprečje</td>
                                     <?php foreach ($gradeItems as $item): ?>
-                                        <td class="font-bold">
+                                        <td class="font-bold" data-item-average="<?= $item['item_id'] ?>">
                                             <?php if (isset($classAverages[$item['item_id']])):
                                                 $avg = $classAverages[$item['item_id']];
-                                                $gradeClass = '';
-                                                if ($avg >= 90) $gradeClass = 'grade-5';
-                                                elseif ($avg >= 75) $gradeClass = 'grade-4';
-                                                elseif ($avg >= 61) $gradeClass = 'grade-3';
-                                                elseif ($avg >= 50) $gradeClass = 'grade-2';
-                                                else $gradeClass = 'grade-1';
+                                                $gradeClass = 'grade-' . getGradeLetter($avg, $gradingScale);
                                                 ?>
                                                 <div class="grade <?= $gradeClass ?>"
+                                                     data-grade-percentage="<?= number_format($avg, 1, '.', '') ?>"
                                                      style="text-decoration: underline; text-underline-offset: 3px; font-weight: bold; font-size: 105%;">
                                                     <?= number_format($avg, 1) ?>%
                                                 </div>
@@ -629,7 +633,10 @@ renderHeaderCard(
                         <div class="form-group">
                             <label class="form-label" for="grade_item_date">Datum:</label>
                             <input type="date" id="grade_item_date" name="test_date" class="form-input"
-                                   value="<?= date('Y-m-d') ?>">
+                                   value="<?= date('Y-m-d') ?>" data-date-min="school-year-start"
+                                   data-date-max="school-year-end"
+                                   data-message-date-min="validation.schoolYear"
+                                   data-message-date-max="validation.schoolYear">
                         </div>
                     </div>
                 </div>
@@ -656,17 +663,17 @@ renderHeaderCard(
                 <input type="hidden" name="csrf_token" value="<?= htmlspecialchars($csrfToken) ?>">
                 <input type="hidden" name="edit_grade_item" value="1">
                 <input type="hidden" name="class_subject_id" value="<?= $selectedClassSubjectId ?>">
-                <input type="hidden" id="edit_item_id" name="item_id" value="">
+                <input type="hidden" id="edit_item_id" name="item_id" value="" data-fill="itemId">
 
                 <div class="alert status-info mt-sm" id="avg_score_container" style="display: none;">
                     <div class="alert-content">
-                        <p id="avg_score_info">Povprečje: <span id="edit_item_avg_score"></span>%</p>
+                        <p id="avg_score_info">Povprečje: <span id="edit_item_avg_score" data-fill="avgScore"></span>%</p>
                     </div>
                 </div>
 
                 <div class="form-group">
                     <label class="form-label" for="edit_item_name">Naziv:</label>
-                    <input type="text" id="edit_item_name" name="name" class="form-input" required>
+                    <input type="text" id="edit_item_name" name="name" class="form-input" data-fill="name" required>
                 </div>
 
                 <div class="row">
@@ -674,13 +681,13 @@ renderHeaderCard(
                         <div class="form-group">
                             <label class="form-label" for="edit_item_max_points">Največje število točk:</label>
                             <input type="number" id="edit_item_max_points" name="max_points" class="form-input"
-                                   required min="1" step="0.01">
+                                   data-fill="maxPoints" required min="1" step="0.01">
                         </div>
                     </div>
                     <div class="col col-md-6">
                         <div class="form-group">
                             <label class="form-label" for="edit_item_date">Datum:</label>
-                            <input type="date" id="edit_item_date" name="test_date" class="form-input">
+                            <input type="date" id="edit_item_date" name="test_date" class="form-input" data-fill="date">
                         </div>
                     </div>
                 </div>
@@ -740,20 +747,21 @@ renderHeaderCard(
             <div class="modal-body">
                 <input type="hidden" name="csrf_token" value="<?= htmlspecialchars($csrfToken) ?>">
                 <input type="hidden" name="save_grade" value="1">
-                <input type="hidden" id="edit_grade_enroll_id" name="enroll_id" value="">
-                <input type="hidden" id="edit_grade_item_id" name="item_id" value="">
+                <input type="hidden" id="edit_grade_enroll_id" name="enroll_id" value="" data-fill="enrollId">
+                <input type="hidden" id="edit_grade_item_id" name="item_id" value="" data-fill="itemId">
                 <input type="hidden" name="class_subject_id" value="<?= $selectedClassSubjectId ?>">
 
                 <div class="alert status-info mb-lg">
                     <div class="alert-content">
                         <p>
                             <strong>
-                                <span id="edit_grade_item_name" class="modal-title" style="font-weight: 800"></span>
+                                <span id="edit_grade_item_name" class="modal-title" style="font-weight: 800"
+                                      data-fill="itemName"></span>
                             </strong>
                         </p>
                         <p>
                             <strong>Učenec:</strong>
-                            <span id="edit_grade_student_name"
+                            <span id="edit_grade_student_name" data-fill="studentName"
                                   style="text-decoration: underline; text-underline-offset: 3px">
                             </span>
                         </p>
@@ -763,8 +771,11 @@ renderHeaderCard(
                 <div class="form-group">
                     <label class="form-label" for="edit_grade_points">Točke:</label>
                     <input type="number" id="edit_grade_points" name="points" class="form-input"
-                           required min="0" step="0.01">
-                    <small id="edit_grade_max_points" class="text-secondary"></small>
+                           data-fill="points" data-fill-max="maxPoints" required min="0" step="0.01"
+                           data-message-max="validation.pointsMax" data-feedback="edit_grade_points_error">
+                    <div class="feedback-text feedback-invalid" id="edit_grade_points_error" style="display: none;"></div>
+                    <small class="text-secondary">Največje število točk: <span id="edit_grade_max_points"
+                                                                               data-fill="maxPoints"></span></small>
                     <!-- Add percentage display -->
                     <div class="form-group mt-sm">
                         <div id="grade_percentage_display" class="grade grade-1 mb-sm"
@@ -779,25 +790,19 @@ renderHeaderCard(
                 <div class="form-group">
                     <label class="form-label">Hitri vnos ocen:</label>
                     <div class="d-flex gap-sm flex-wrap">
-                        <button type="button" class="btn btn-sm grade grade-5" onclick="setGradePoints(5)">Odlično (5)
-                        </button>
-                        <button type="button" class="btn btn-sm grade grade-4" onclick="setGradePoints(4)">Prav dobro
-                            (4)
-                        </button>
-                        <button type="button" class="btn btn-sm grade grade-3" onclick="setGradePoints(3)">Dobro (3)
-                        </button>
-                        <button type="button" class="btn btn-sm grade grade-2" onclick="setGradePoints(2)">Zadostno
-                            (2)
-                        </button>
-                        <button type="button" class="btn btn-sm grade grade-1" onclick="setGradePoints(1)">Nezadostno
-                            (1)
-                        </button>
+                        <?php foreach ($gradingScale['grades'] as $band): ?>
+                            <button type="button" class="btn btn-sm grade grade-<?= $band['grade'] ?>"
+                                    onclick="setGradePoints(<?= $band['grade'] ?>)">
+                                <?= htmlspecialchars($band['label']) ?> (<?= $band['grade'] ?>)
+                            </button>
+                        <?php endforeach; ?>
                     </div>
                 </div>
 
                 <div class="form-group">
                     <label class="form-label" for="edit_grade_comment">Komentar (neobvezno):</label>
-                    <textarea id="edit_grade_comment" name="comment" class="form-textarea" rows="3"></textarea>
+                    <textarea id="edit_grade_comment" name="comment" class="form-textarea" rows="3"
+                              data-fill="comment"></textarea>
                 </div>
             </div>
             <div class="modal-footer">
@@ -851,14 +856,15 @@ renderHeaderCard(
         <div class="modal-header">
             <h3 class="modal-title" id="batchGradeTitle">Množični vnos ocen</h3>
         </div>
-        <form id="batchGradeForm">
+        <form id="batchGradeForm" data-draft="gradebook.batch.<?= (int)$selectedClassSubjectId ?>">
             <div class="modal-body">
                 <div class="form-group">
                     <label class="form-label" for="batch_grade_item">Izberi preverjanje znanja:</label>
-                    <select id="batch_grade_item" class="form-select" required>
+                    <select id="batch_grade_item" name="item_id" class="form-select" required
+                            data-message-required="gradebook.chooseGradeItem">
                         <?php foreach ($gradeItems as $item): ?>
-                            <option value="<?= $item['item_id'] ?>"><?= htmlspecialchars($item['name']) ?>
-                                (<?= $item['max_points'] ?> točk)
+                            <option value="<?= $item['item_id'] ?>" data-max-points="<?= $item['max_points'] ?>">
+                                <?= htmlspecialchars($item['name']) ?> (<?= $item['max_points'] ?> točk)
                             </option>
                         <?php endforeach; ?>
                     </select>
@@ -881,13 +887,17 @@ renderHeaderCard(
                                     <td>
                                         <label>
                                             <input type="number" class="form-input batch-points"
+                                                   name="points[<?= $student['enroll_id'] ?>]"
                                                    data-enroll-id="<?= $student['enroll_id'] ?>"
-                                                   min="0" step="0.5" style="width: 80px">
+                                                   min="0" step="0.5" style="width: 80px"
+                                                   data-max-from="batch_grade_item"
+                                                   data-message-max="validation.pointsMax">
                                         </label>
                                     </td>
                                     <td>
                                         <label>
                                             <input type="text" class="form-input batch-comment"
+                                                   name="comment[<?= $student['enroll_id'] ?>]"
                                                    data-enroll-id="<?= $student['enroll_id'] ?>">
                                         </label>
                                     </td>
@@ -921,6 +931,160 @@ renderHeaderCard(
     </div>
 </div>
 
+<!-- Export Gradebook Modal -->
+<div class="modal" id="exportGradebookModal">
+    <div class="modal-overlay" aria-hidden="true"></div>
+    <div class="modal-container" role="dialog" aria-modal="true" aria-labelledby="exportGradebookTitle">
+        <div class="modal-header">
+            <h3 class="modal-title" id="exportGradebookTitle">Izvozi redovalnico</h3>
+        </div>
+        <form id="exportGradebookForm"
+              data-class-name="<?= htmlspecialchars(($selectedClassSubject['class_code'] ?? '') ?: ($selectedClassSubject['class_title'] ?? '')) ?>"
+              data-subject-name="<?= htmlspecialchars($selectedClassSubject['subject_name'] ?? '') ?>">
+            <div class="modal-body">
+                <div class="form-group">
+                    <label class="form-label" for="export_format">Oblika:</label>
+                    <select id="export_format" class="form-select">
+                        <option value="xlsx">Excel (XLSX)</option>
+                        <option value="csv">CSV</option>
+                        <option value="json">JSON</option>
+                    </select>
+                </div>
+
+                <div class="form-group" id="export_delimiter_group" style="display: none;">
+                    <label class="form-label" for="export_delimiter">Ločilo stolpcev:</label>
+                    <select id="export_delimiter" class="form-select">
+                        <option value=";">Podpičje ( ; ) – Excel s slovenskimi nastavitvami</option>
+                        <option value=",">Vejica ( , )</option>
+                        <option value="tab">Tabulator</option>
+                    </select>
+                </div>
+
+                <p class="text-secondary text-sm">
+                    Izvoz vsebuje vse učence, točke, največje število točk in komentarje ne glede na to, kaj je
+                    trenutno prikazano.
+                </p>
+                <div id="exportGradebookError" class="feedback-error" style="display: none;"></div>
+            </div>
+            <div class="modal-footer">
+                <div class="d-flex justify-between w-full">
+                    <button type="button" class="btn btn-secondary" data-close-modal>Prekliči</button>
+                    <button type="submit" class="btn btn-primary" id="exportGradebookSubmit">Izvozi</button>
+                </div>
+            </div>
+        </form>
+    </div>
+</div>
+
+<!-- Import Grades Modal -->
+<div class="modal" id="importGradesModal">
+    <div class="modal-overlay" aria-hidden="true"></div>
+    <div class="modal-container" role="dialog" aria-modal="true" aria-labelledby="importGradesTitle">
+        <div class="modal-header">
+            <h3 class="modal-title" id="importGradesTitle">Uvozi točke iz datoteke</h3>
+        </div>
+        <form id="importGradesForm">
+            <div class="modal-body">
+                <div class="form-group">
+                    <label class="form-label" for="import_grade_item">Preverjanje znanja:</label>
+                    <select id="import_grade_item" class="form-select" required>
+                        <?php foreach ($gradeItems as $item): ?>
+                            <option value="<?= $item['item_id'] ?>" data-max-points="<?= $item['max_points'] ?>">
+                                <?= htmlspecialchars($item['name']) ?> (<?= $item['max_points'] ?> točk)
+                            </option>
+                        <?php endforeach; ?>
+                    </select>
+                </div>
+
+                <!-- Step 1: file -->
+                <div id="importStepFile">
+                    <label class="drop-zone" id="importDropZone" for="import_file">
+                        <span>Povlecite datoteko CSV ali XLSX sem ali kliknite za izbiro.</span>
+                        <input type="file" id="import_file" class="sr-only"
+                               accept=".csv,.tsv,.txt,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet">
+                    </label>
+                    <div class="form-group mt-md">
+                        <label class="form-label">
+                            <input type="checkbox" id="import_has_header" checked> Prva vrstica vsebuje naslove stolpcev
+                        </label>
+                    </div>
+                </div>
+
+                <!-- Step 2: column mapping -->
+                <div id="importStepMapping" style="display: none;">
+                    <p class="text-secondary text-sm mb-md" id="importFileInfo"></p>
+                    <div class="row">
+                        <div class="col col-md-6">
+                            <div class="form-group">
+                                <label class="form-label" for="import_col_name">Ime in priimek (ali ime):</label>
+                                <select id="import_col_name" class="form-select import-column-select"></select>
+                            </div>
+                        </div>
+                        <div class="col col-md-6">
+                            <div class="form-group">
+                                <label class="form-label" for="import_col_surname">Priimek (če je v ločenem stolpcu):</label>
+                                <select id="import_col_surname" class="form-select import-column-select"
+                                        data-optional="1"></select>
+                            </div>
+                        </div>
+                        <div class="col col-md-6">
+                            <div class="form-group">
+                                <label class="form-label" for="import_col_points">Točke:</label>
+                                <select id="import_col_points" class="form-select import-column-select"></select>
+                            </div>
+                        </div>
+                        <div class="col col-md-6">
+                            <div class="form-group">
+                                <label class="form-label" for="import_col_comment">Komentar:</label>
+                                <select id="import_col_comment" class="form-select import-column-select"
+                                        data-optional="1"></select>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Step 3: preview -->
+                <div id="importStepPreview" style="display: none;">
+                    <p class="text-sm mb-sm" id="importSummary" aria-live="polite"></p>
+                    <div class="table-responsive">
+                        <table class="data-table">
+                            <thead>
+                            <tr>
+                                <th><span class="sr-only">Uvozi</span></th>
+                                <th class="text-left">Iz datoteke</th>
+                                <th class="text-left">Učenec</th>
+                                <th>Točke</th>
+                                <th class="text-left">Komentar</th>
+                                <th class="text-left">Stanje</th>
+                            </tr>
+                            </thead>
+                            <tbody id="importPreviewBody"></tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <div id="importGradesError" class="feedback-error" style="display: none;"></div>
+            </div>
+            <div class="modal-footer">
+                <div class="d-flex justify-between w-full">
+                    <button type="button" class="btn btn-secondary" data-close-modal>Prekliči</button>
+                    <div class="d-flex gap-sm">
+                        <button type="button" class="btn btn-secondary" id="importBackButton" style="display: none;">
+                            Nazaj
+                        </button>
+                        <button type="button" class="btn btn-primary" id="importPreviewButton" style="display: none;">
+                            Predogled
+                        </button>
+                        <button type="submit" class="btn btn-primary" id="importSaveButton" style="display: none;">
+                            Uvozi izbrane
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </form>
+    </div>
+</div>
+
 <style>
     .editable-grade {
         transition: all 0.15s ease-out;
@@ -1013,41 +1177,109 @@ renderHeaderCard(
     .data-table th {
         text-align: center;
     }
+
+    /* Grade import */
+    #importGradesModal .modal-container {
+        max-width: 900px;
+    }
+
+    .import-points-input {
+        width: 80px;
+        text-align: center;
+    }
+
+    /* Spreadsheet-style grade cells */
+    .grade-cell {
+        cursor: cell;
+        outline: none;
+        transition: box-shadow 0.15s ease-out, background-color 0.15s ease-out;
+    }
+
+    .grade-cell-active {
+        box-shadow: inset 0 0 0 2px var(--accent-primary);
+    }
+
+    .grade-cell-editing .editable-grade {
+        display: none;
+    }
+
+    .grade-cell-input {
+        width: 5rem;
+        padding: 4px 6px;
+        text-align: center;
+    }
+
+    .grade-cell-saving .editable-grade {
+        opacity: 0.5;
+    }
+
+    .grade-cell-saved {
+        background-color: rgba(34, 197, 94, 0.12);
+    }
+
+    .grade-cell-error {
+        box-shadow: inset 0 0 0 2px #ef4444;
+        background-color: rgba(239, 68, 68, 0.12);
+    }
+
+    /* Printing keeps the title, legend and grid; selectors, buttons and cell editing are left out */
+    @page gradebook {
+        size: A4 landscape;
+    }
+
+    @media print {
+        .gradebook-sheet {
+            page: gradebook;
+        }
+
+        .gradebook-sheet .table-responsive {
+            overflow: visible !important;
+            page-break-inside: auto;
+        }
+
+        #gradebookTable {
+            width: 100%;
+        }
+
+        #gradebookTable th,
+        #gradebookTable td {
+            padding: 3pt 4pt;
+        }
+
+        .editable-grade {
+            cursor: default;
+            padding: 1pt 3pt;
+        }
+
+        .editable-grade::after,
+        .edit-icon,
+        .grade-cell-input {
+            display: none !important;
+        }
+
+        .grade-cell-editing .editable-grade {
+            display: inline-flex;
+        }
+
+        .grade-cell-active,
+        .grade-cell-saved,
+        .grade-cell-error {
+            box-shadow: none;
+            background-color: transparent;
+        }
+    }
 </style>
 
 <script>
     document.addEventListener('DOMContentLoaded', function () {
-        // --- Modal Management Functions ---
-        const openModal = (modalId) => {
-            const modal = document.getElementById(modalId);
-            if (modal) {
-                modal.classList.add('open');
-                // Focus the first focusable element
-                const firstFocusable = modal.querySelector('button, [href], input, select, textarea');
-                if (firstFocusable) firstFocusable.focus();
-            }
-        };
-
-        const closeModal = (modal) => {
-            if (typeof modal === 'string') {
-                modal = document.getElementById(modal);
-            }
-
-            if (modal) {
-                modal.classList.remove('open');
-                // Reset forms if present
-                const form = modal.querySelector('form');
-                if (form) form.reset();
-
-                // Clear any error messages
-                const errorMsgs = modal.querySelectorAll('.feedback-error');
-                errorMsgs.forEach(msg => {
-                    if (msg && msg.style) {
-                        msg.style.display = 'none';
-                    }
-                });
-            }
-        };
+        // --- Grading Scale ---
+        // Default scale until the one for this class-subject loads, then grades are recolored with it
+        let scale = gradingScale.DEFAULT_SCALE;
+        gradingScale.load(<?= (int)$selectedClassSubjectId ?>).then(loadedScale => {
+            scale = loadedScale;
+            const table = document.getElementById('gradebookTable');
+            if (table) gradingScale.applyTo(table, scale);
+        });
 
         // --- Percentage Calculation Function ---
         const updateGradePercentage = () => {
@@ -1065,28 +1297,12 @@ renderHeaderCard(
                     const percentage = maxPoints > 0 ? (points / maxPoints) * 100 : 0;
 
                     // Update display
-                    percentageDisplay.textContent = percentage.toFixed(1) + '%';
-
-                    // Set grade class
-                    let gradeClass;
-                    let letterGrade;
-
-                    if (percentage >= 90) {
-                        gradeClass = 'grade-5';
-                        letterGrade = 'Odlično (5)';
-                    } else if (percentage >= 75) {
-                        gradeClass = 'grade-4';
-                        letterGrade = 'Prav dobro (4)';
-                    } else if (percentage >= 61) {
-                        gradeClass = 'grade-3';
-                        letterGrade = 'Dobro (3)';
-                    } else if (percentage >= 50) {
-                        gradeClass = 'grade-2';
-                        letterGrade = 'Zadostno (2)';
-                    } else {
-                        gradeClass = 'grade-1';
-                        letterGrade = 'Nezadostno (1)';
-                    }
+                    percentageDisplay.textContent = i18n.formatPercent(percentage);
+
+                    // Grade from the subject's grading scale
+                    const grade = gradingScale.gradeFromPercentage(percentage, scale);
+                    const gradeClass = `grade-${grade}`;
+                    const letterGrade = `${gradingScale.label(grade, scale)} (${gradingScale.markFromPercentage(percentage, scale)})`;
 
                     // Remove all grade classes
                     percentageDisplay.classList.remove('grade-1', 'grade-2', 'grade-3', 'grade-4', 'grade-5');
@@ -1099,90 +1315,36 @@ renderHeaderCard(
             }
         };
 
+        // --- Keyboard Shortcuts ---
+        // Commands click the page's own buttons, so they only run while that button is on the page
+        const pageButton = selector => {
+            const button = document.querySelector(selector);
+            return {
+                enabled: () => Boolean(button) && !button.disabled,
+                run: () => button.click()
+            };
+        };
+
+        commandPalette.register([
+            {id: 'gradebook.addItem', title: i18n.t('gradebook.command.addItem'), shortcut: 'n', ...pageButton('[data-open-modal="addGradeItemModal"]')},
+            {id: 'gradebook.batch', title: i18n.t('gradebook.command.batch'), shortcut: 'b', ...pageButton('[data-open-modal="batchGradeModal"]')},
+            {id: 'gradebook.import', title: i18n.t('gradebook.command.import'), shortcut: 'i', ...pageButton('[data-open-modal="importGradesModal"]')},
+            {id: 'gradebook.export', title: i18n.t('gradebook.command.export'), shortcut: 'e', ...pageButton('#exportGradebook')},
+            {id: 'gradebook.print', title: i18n.t('gradebook.command.print'), shortcut: 'p', ...pageButton('#printGradebook')}
+        ]);
+
         // --- Event Listeners ---
 
-        // Grade cells click to edit
-        document.querySelectorAll('.grade[data-open-modal="editGradeModal"]').forEach(cell => {
-            cell.addEventListener('click', function () {
-                const modalId = this.dataset.openModal;
-                const enrollId = this.dataset.enrollId;
-                const itemId = this.dataset.itemId;
-                const studentName = this.dataset.studentName;
-                const itemName = this.dataset.itemName;
-                const maxPoints = this.dataset.maxPoints;
-                const points = this.dataset.points;
-                const comment = this.dataset.comment;
-
-                // Fill in form fields
-                document.getElementById('edit_grade_enroll_id').value = enrollId;
-                document.getElementById('edit_grade_item_id').value = itemId;
-                document.getElementById('edit_grade_student_name').textContent = studentName;
-                document.getElementById('edit_grade_item_name').textContent = itemName;
-                document.getElementById('edit_grade_points').value = points;
-                document.getElementById('edit_grade_points').max = maxPoints;
-                document.getElementById('edit_grade_max_points').textContent = `Največje število točk: ${maxPoints}`;
-                document.getElementById('edit_grade_comment').value = comment;
-
-                // Update percentage display
-                updateGradePercentage();
-
-                openModal(modalId);
-            });
-        });
+        // Edit grade modal - fields are filled from data-fill attributes
+        document.getElementById('editGradeModal').addEventListener('modal:open', updateGradePercentage);
 
         // Add event listener for points input to update percentage
         document.getElementById('edit_grade_points').addEventListener('input', updateGradePercentage);
 
-        // Grade item header click to edit
-        document.querySelectorAll('.grade-item-edit').forEach(el => {
-            el.addEventListener('click', function () {
-                const {itemId, name, maxPoints, date, avgScore} = this.dataset;
-
-                // Fill modal fields
-                document.getElementById('edit_item_id').value = itemId;
-                document.getElementById('edit_item_name').value = name;
-                document.getElementById('edit_item_max_points').value = maxPoints;
-                document.getElementById('edit_item_date').value = date || '';
-
-                // Average‑score visibility
-                const avgScoreElement = document.getElementById('edit_item_avg_score');
-                const avgScoreContainer = document.getElementById('avg_score_container');
-                if (avgScore) {
-                    avgScoreElement.textContent = avgScore;
-                    avgScoreContainer.style.display = 'flex';
-                } else {
-                    avgScoreContainer.style.display = 'none';
-                }
-
-                openModal('editGradeItemModal');
-            });
-        });
-
-        // Open modal buttons
-        document.querySelectorAll('[data-open-modal]').forEach(btn => {
-            if (!btn.classList.contains('grade') && !btn.classList.contains('grade-item-edit')) { // Skip already handled elements
-                btn.addEventListener('click', function () {
-                    const modalId = this.dataset.openModal;
-                    openModal(modalId);
-
-                    // If the button has additional data attributes, process them
-                    // Example: data-id, data-name, etc.
-                    const dataId = this.dataset.id;
-                    const dataName = this.dataset.name;
-
-                    if (dataId) {
-                        // Handle ID data (e.g., fill hidden form field)
-                        const idField = document.getElementById(`${modalId}_id`);
-                        if (idField) idField.value = dataId;
-                    }
-
-                    if (dataName) {
-                        // Handle name data (e.g., show in confirmation text)
-                        const nameDisplay = document.getElementById(`${modalId}_name`);
-                        if (nameDisplay) nameDisplay.textContent = dataName;
-                    }
-                });
-            }
+        // Edit grade item modal - show the average score only when the item has grades
+        document.getElementById('editGradeItemModal').addEventListener('modal:open', function (e) {
+            const avgScore = e.detail.trigger ? e.detail.trigger.dataset.avgScore : '';
+            document.getElementById('avg_score_container').style.display = avgScore ? 'flex' : 'none';
         });
 
         // Delete grade item button
@@ -1195,8 +1357,8 @@ renderHeaderCard(
                 document.getElementById('delete_item_id').value = itemId;
                 document.getElementById('delete_item_name').textContent = itemName;
 
-                closeModal('editGradeItemModal');
-                openModal('deleteGradeItemConfirmModal');
+                // Confirmation opens on top of the edit modal, cancelling returns to it
+                modalUtils.openModal('deleteGradeItemConfirmModal', this);
             });
         }
 
@@ -1245,62 +1407,6 @@ renderHeaderCard(
             });
         }
 
-        // Close modal buttons
-        document.querySelectorAll('[data-close-modal]').forEach(btn => {
-            btn.addEventListener('click', function () {
-                closeModal(this.closest('.modal'));
-            });
-        });
-
-        // Close modals when clicking the overlay
-        document.querySelectorAll('.modal-overlay').forEach(overlay => {
-            overlay.addEventListener('click', function () {
-                closeModal(this.closest('.modal'));
-            });
-        });
-
-        // Close modals with Escape key
-        document.addEventListener('keydown', function (e) {
-            if (e.key === 'Escape') {
-                document.querySelectorAll('.modal.open').forEach(modal => {
-                    closeModal(modal);
-                });
-            }
-        });
-
-        // Submit edit grade form validation
-        document.getElementById('editGradeForm').addEventListener('submit', function (e) {
-            // Add form validation
-            const points = parseFloat(document.getElementById('edit_grade_points').value);
-            const maxPointsText = document.getElementById('edit_grade_max_points').textContent;
-            const maxPointsMatch = maxPointsText.match(/\d+(\.\d+)?/);
-
-            if (maxPointsMatch) {
-                const maxPoints = parseFloat(maxPointsMatch[0]);
-
-                if (points > maxPoints) {
-                    e.preventDefault();
-
-                    // Create or use existing feedback element
-                    let feedbackEl = document.querySelector('#points-feedback');
-                    if (!feedbackEl) {
-                        feedbackEl = document.createElement('div');
-                        feedbackEl.id = 'points-feedback';
-                        feedbackEl.className = 'feedback-error';
-                        document.getElementById('edit_grade_points').parentNode.appendChild(feedbackEl);
-                    }
-
-                    feedbackEl.textContent = `Število točk ne more presegati največjega števila točk (${maxPoints}).`;
-                    feedbackEl.style.display = 'block';
-
-                    document.getElementById('edit_grade_points').classList.add('is-invalid');
-                    document.getElementById('edit_grade_points').focus();
-
-                    return false;
-                }
-            }
-        });
-
         // Delete grade button
         if (document.getElementById('deleteGradeBtn')) {
             document.getElementById('deleteGradeBtn').addEventListener('click', function () {
@@ -1312,8 +1418,8 @@ renderHeaderCard(
                 document.getElementById('delete_grade_enroll_id').value = enrollId;
                 document.getElementById('delete_grade_item_id').value = itemId;
 
-                closeModal('editGradeModal');
-                openModal('deleteGradeConfirmModal');
+                // Confirmation opens on top of the edit modal, cancelling returns to it
+                modalUtils.openModal('deleteGradeConfirmModal', this);
             });
         }
 
@@ -1364,68 +1470,916 @@ renderHeaderCard(
                 classSubjectInput.value = '<?= $selectedClassSubjectId ?>';
                 form.appendChild(classSubjectInput);
 
+                // The confirmation after the redirect offers to put the grade back
+                const gradeEl = document.querySelector(`.editable-grade[data-enroll-id="${enrollId}"][data-item-id="${itemId}"]`);
+                if (gradeEl && gradeEl.dataset.points !== '') {
+                    notifications.flash(i18n.t('gradebook.gradeDeleted', {student: document.getElementById('delete_grade_student_name').textContent}), {
+                        type: 'success',
+                        expect: {success: 'delete_grade'},
+                        actions: [{
+                            label: i18n.t('notifications.undo'),
+                            action: 'gradebook.restoreGrade',
+                            data: {enrollId, itemId, points: gradeEl.dataset.points, comment: gradeEl.dataset.comment || ''}
+                        }]
+                    });
+                }
+
                 // Submit the form
                 document.body.appendChild(form);
                 form.submit();
             });
         }
 
-        // Print gradebook functionality
+        // Undo of a deleted grade, saves it again and reloads the gradebook
+        notifications.registerAction('gradebook.restoreGrade', grade => {
+            api.post('grades', 'saveGrade', {
+                enroll_id: grade.enrollId,
+                item_id: grade.itemId,
+                points: grade.points,
+                comment: grade.comment
+            })
+                .then(() => {
+                    notifications.flash(i18n.t('gradebook.gradeRestored'), {type: 'success'});
+                    window.location.href = 'gradebook.php?class_subject_id=<?= $selectedClassSubjectId ?>';
+                })
+                .catch(error => {
+                    console.error('Error restoring grade:', error);
+                    if (error instanceof api.AuthExpiredError) return;
+                    notifications.error(error.message || i18n.t('gradebook.restoreError'));
+                });
+        });
+
+        // --- Spreadsheet-style grade entry ---
+        const gradebookTable = document.getElementById('gradebookTable');
+        const gradebookStatus = document.getElementById('gradebookStatus');
+
+        const getGradeClass = (percentage) => `grade-${gradingScale.gradeFromPercentage(percentage, scale)}`;
+
+        // Rows of editable cells, the class average row has no grade cells and is skipped
+        const gradeGrid = gradebookTable ? Array.from(gradebookTable.querySelectorAll('tbody tr'))
+            .map(row => Array.from(row.querySelectorAll('td.grade-cell')))
+            .filter(cells => cells.length > 0) : [];
+
+        let activeCell = null;
+        let cellEditor = null;
+        let saveQueue = Promise.resolve();
+
+        const getCellPosition = (cell) => {
+            for (let row = 0; row < gradeGrid.length; row++) {
+                const col = gradeGrid[row].indexOf(cell);
+                if (col !== -1) return {row, col};
+            }
+            return null;
+        };
+
+        const selectCell = (cell) => {
+            if (!cell) return;
+
+            if (activeCell) {
+                activeCell.classList.remove('grade-cell-active');
+                activeCell.tabIndex = -1;
+            }
+
+            activeCell = cell;
+            cell.classList.add('grade-cell-active');
+            cell.tabIndex = 0;
+            cell.focus();
+        };
+
+        // Moves the selection, Tab-style moves wrap to the next/previous row
+        const moveSelection = (rowDelta, colDelta, wrap = false) => {
+            const position = getCellPosition(activeCell);
+            if (!position) return;
+
+            let row = position.row + rowDelta;
+            let col = position.col + colDelta;
+
+            if (wrap && col >= gradeGrid[position.row].length) {
+                row++;
+                col = 0;
+            } else if (wrap && col < 0) {
+                row--;
+                col = row >= 0 ? gradeGrid[row].length - 1 : 0;
+            }
+
+            row = Math.max(0, Math.min(gradeGrid.length - 1, row));
+            col = Math.max(0, Math.min(gradeGrid[row].length - 1, col));
+            selectCell(gradeGrid[row][col]);
+        };
+
+        const setCellState = (cell, state, message = '') => {
+            cell.classList.remove('grade-cell-saving', 'grade-cell-saved', 'grade-cell-error');
+            if (state) cell.classList.add(`grade-cell-${state}`);
+
+            const gradeEl = cell.querySelector('.editable-grade');
+            if (gradeEl) gradeEl.title = message || i18n.t('gradebook.cellHint');
+            if (message && gradebookStatus) gradebookStatus.textContent = message;
+
+            if (state === 'saved') {
+                setTimeout(() => cell.classList.remove('grade-cell-saved'), 1500);
+            }
+        };
+
+        // Renders the percentage badge of a cell from its data-points/data-max-points
+        const renderGradeCell = (gradeEl) => {
+            const percentage = (parseFloat(gradeEl.dataset.points) / parseFloat(gradeEl.dataset.maxPoints)) * 100;
+
+            gradeEl.classList.remove('grade-1', 'grade-2', 'grade-3', 'grade-4', 'grade-5');
+            gradeEl.classList.add(getGradeClass(percentage));
+            gradeEl.dataset.gradePercentage = percentage.toFixed(1);
+            gradeEl.textContent = i18n.formatPercent(percentage, 0);
+
+            if (gradeEl.dataset.comment) {
+                const indicator = document.createElement('span');
+                indicator.className = 'grade-comment-indicator';
+                indicator.title = i18n.t('gradebook.hasComment');
+                indicator.textContent = '*';
+                gradeEl.appendChild(indicator);
+            }
+        };
+
+        // Shows an average percentage inside a table cell, creating the badge if needed
+        const renderAverage = (cell, average) => {
+            if (!cell) return;
+
+            let badge = cell.querySelector('.grade');
+            if (average === null) {
+                if (badge) badge.remove();
+                return;
+            }
+
+            if (!badge) {
+                badge = document.createElement('div');
+                badge.className = 'grade';
+                cell.appendChild(badge);
+            }
+
+            badge.classList.remove('grade-1', 'grade-2', 'grade-3', 'grade-4', 'grade-5');
+            badge.classList.add(getGradeClass(average));
+            badge.dataset.gradePercentage = average.toFixed(1);
+            badge.textContent = i18n.formatPercent(average);
+        };
+
+        const getPercentages = (cells) => cells
+            .map(cell => cell.querySelector('.editable-grade'))
+            .filter(gradeEl => gradeEl && gradeEl.dataset.points !== '')
+            .map(gradeEl => (parseFloat(gradeEl.dataset.points) / parseFloat(gradeEl.dataset.maxPoints)) * 100);
+
+        const mean = (values) => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+        // Recalculates the student and grade item averages affected by a changed cell
+        const refreshAverages = (cell) => {
+            const position = getCellPosition(cell);
+            if (!position) return;
+
+            renderAverage(cell.closest('tr').querySelector('[data-row-average]'), mean(getPercentages(gradeGrid[position.row])));
+
+            const gradeEl = cell.querySelector('.editable-grade');
+            const columnAverage = mean(getPercentages(gradeGrid.map(row => row[position.col]).filter(Boolean)));
+            renderAverage(gradebookTable.querySelector(`[data-item-average="${gradeEl.dataset.itemId}"]`), columnAverage);
+
+            const header = gradebookTable.querySelector(`.grade-item-edit[data-item-id="${gradeEl.dataset.itemId}"]`);
+            if (header) header.dataset.avgScore = columnAverage === null ? '' : columnAverage.toFixed(1);
+        };
+
+        // Saves one cell through the grades API, requests run one after another in input order
+        const saveCellValue = (cell, rawValue) => {
+            const gradeEl = cell.querySelector('.editable-grade');
+            if (!gradeEl || String(rawValue).trim() === '') return;
+
+            const points = i18n.parseNumber(rawValue);
+            const maxPoints = parseFloat(gradeEl.dataset.maxPoints);
+
+            if (!Number.isFinite(points) || points < 0) {
+                setCellState(cell, 'error', i18n.t('gradebook.invalidValue', {value: rawValue}));
+                return;
+            }
+
+            if (points > maxPoints) {
+                setCellState(cell, 'error', i18n.t('gradebook.pointsOverMax', {maxPoints}));
+                return;
+            }
+
+            if (gradeEl.dataset.points !== '' && parseFloat(gradeEl.dataset.points) === points) {
+                setCellState(cell, null);
+                return;
+            }
+
+            setCellState(cell, 'saving');
+
+            saveQueue = saveQueue.then(() => api.post('grades', 'saveGrade', {
+                enroll_id: gradeEl.dataset.enrollId,
+                item_id: gradeEl.dataset.itemId,
+                points: String(points),
+                comment: gradeEl.dataset.comment || ''
+            }, {loading: false})
+                .then(() => {
+                    gradeEl.dataset.points = String(points);
+                    renderGradeCell(gradeEl);
+                    refreshAverages(cell);
+                    setCellState(cell, 'saved');
+                })
+                .catch(error => {
+                    console.error('Error saving grade:', error);
+                    setCellState(cell, 'error', error.message || i18n.t('gradebook.saveError'));
+                }));
+        };
+
+        // Opens an input inside the cell, typed characters replace the value, F2/Enter edits it
+        const startEditing = (cell, initialValue = null) => {
+            const gradeEl = cell.querySelector('.editable-grade');
+            if (!gradeEl) return;
+
+            cellEditor = document.createElement('input');
+            cellEditor.type = 'text';
+            cellEditor.inputMode = 'decimal';
+            cellEditor.className = 'form-input grade-cell-input';
+            cellEditor.setAttribute('aria-label', i18n.t('gradebook.cellEditorLabel', {student: gradeEl.dataset.studentName, item: gradeEl.dataset.itemName}));
+            if (initialValue !== null) cellEditor.value = initialValue;
+            else cellEditor.value = gradeEl.dataset.points === '' ? '' : i18n.formatNumber(gradeEl.dataset.points);
+            cellEditor.dataset.quickEntry = initialValue !== null ? '1' : '';
+
+            cell.classList.add('grade-cell-editing');
+            cell.appendChild(cellEditor);
+            cellEditor.focus();
+            if (initialValue === null) cellEditor.select();
+
+            cellEditor.addEventListener('blur', () => finishEditing(true));
+        };
+
+        const finishEditing = (commit) => {
+            if (!cellEditor) return;
+
+            const editor = cellEditor;
+            const cell = editor.closest('td');
+            cellEditor = null;
+
+            editor.remove();
+            cell.classList.remove('grade-cell-editing');
+            if (commit) saveCellValue(cell, editor.value);
+        };
+
+        // Opens the delete confirmation for the grade in a cell
+        const confirmDeleteCellGrade = (cell) => {
+            const gradeEl = cell.querySelector('.editable-grade');
+            if (!gradeEl || gradeEl.dataset.points === '') return;
+
+            document.getElementById('delete_grade_student_name').textContent = gradeEl.dataset.studentName;
+            document.getElementById('delete_grade_enroll_id').value = gradeEl.dataset.enrollId;
+            document.getElementById('delete_grade_item_id').value = gradeEl.dataset.itemId;
+            modalUtils.openModal('deleteGradeConfirmModal', cell);
+        };
+
+        if (gradebookTable && gradeGrid.length > 0) {
+            gradeGrid[0][0].tabIndex = 0;
+
+            gradebookTable.addEventListener('click', function (e) {
+                const cell = e.target.closest('td.grade-cell');
+                if (cell && e.target !== cellEditor) selectCell(cell);
+            });
+
+            gradebookTable.addEventListener('focusin', function (e) {
+                if (e.target.matches('td.grade-cell') && e.target !== activeCell) selectCell(e.target);
+            });
+
+            // Double-click opens the full edit modal with comment and presets
+            gradebookTable.addEventListener('dblclick', function (e) {
+                const cell = e.target.closest('td.grade-cell');
+                const gradeEl = cell ? cell.querySelector('.editable-grade') : null;
+                if (!gradeEl) return;
+
+                finishEditing(false);
+                modalUtils.openModal('editGradeModal', gradeEl);
+            });
+
+            gradebookTable.addEventListener('keydown', function (e) {
+                if (!activeCell) return;
+
+                // Keys while typing into a cell
+                if (cellEditor && e.target === cellEditor) {
+                    const quickEntry = cellEditor.dataset.quickEntry === '1';
+
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        finishEditing(true);
+                        moveSelection(e.shiftKey ? -1 : 1, 0);
+                    } else if (e.key === 'Tab') {
+                        e.preventDefault();
+                        finishEditing(true);
+                        moveSelection(0, e.shiftKey ? -1 : 1, true);
+                    } else if (e.key === 'Escape') {
+                        e.preventDefault();
+                        finishEditing(false);
+                        selectCell(activeCell);
+                    } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                        e.preventDefault();
+                        finishEditing(true);
+                        moveSelection(e.key === 'ArrowUp' ? -1 : 1, 0);
+                    } else if (quickEntry && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+                        e.preventDefault();
+                        finishEditing(true);
+                        moveSelection(0, e.key === 'ArrowLeft' ? -1 : 1);
+                    }
+                    return;
+                }
+
+                if (e.target !== activeCell) return;
+
+                switch (e.key) {
+                    case 'ArrowUp':
+                        e.preventDefault();
+                        moveSelection(-1, 0);
+                        break;
+                    case 'ArrowDown':
+                        e.preventDefault();
+                        moveSelection(1, 0);
+                        break;
+                    case 'ArrowLeft':
+                        e.preventDefault();
+                        moveSelection(0, -1);
+                        break;
+                    case 'ArrowRight':
+                        e.preventDefault();
+                        moveSelection(0, 1);
+                        break;
+                    case 'Tab': {
+                        // Leave the grid normally from its first/last cell
+                        const position = getCellPosition(activeCell);
+                        const lastRow = gradeGrid.length - 1;
+                        const atStart = position.row === 0 && position.col === 0;
+                        const atEnd = position.row === lastRow && position.col === gradeGrid[lastRow].length - 1;
+                        if ((e.shiftKey && atStart) || (!e.shiftKey && atEnd)) return;
+
+                        e.preventDefault();
+                        moveSelection(0, e.shiftKey ? -1 : 1, true);
+                        break;
+                    }
+                    case 'Enter':
+                    case 'F2':
+                        e.preventDefault();
+                        startEditing(activeCell);
+                        break;
+                    case 'Delete':
+                    case 'Backspace':
+                        e.preventDefault();
+                        confirmDeleteCellGrade(activeCell);
+                        break;
+                    default:
+                        if (e.key.length === 1 && /[0-9.,]/.test(e.key) && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                            e.preventDefault();
+                            startEditing(activeCell, e.key);
+                        }
+                }
+            });
+
+            // Paste a rectangular block copied from Excel/LibreOffice (tab-separated rows)
+            gradebookTable.addEventListener('paste', function (e) {
+                if (!activeCell) return;
+
+                const text = (e.clipboardData || window.clipboardData).getData('text');
+                if (!text) return;
+
+                const isBlock = /[\t\n]/.test(text.trim());
+                if (cellEditor && !isBlock) return; // Let a single value paste into the open editor
+
+                e.preventDefault();
+                finishEditing(false);
+
+                const origin = getCellPosition(activeCell);
+                const rows = text.replace(/\r\n?/g, '\n').replace(/\n$/, '').split('\n').map(line => line.split('\t'));
+
+                rows.forEach((values, rowOffset) => {
+                    const gridRow = gradeGrid[origin.row + rowOffset];
+                    if (!gridRow) return;
+
+                    values.forEach((value, colOffset) => {
+                        const cell = gridRow[origin.col + colOffset];
+                        if (cell && value.trim() !== '') saveCellValue(cell, value);
+                    });
+                });
+
+                selectCell(activeCell);
+            });
+        }
+
+        // Print gradebook functionality, the print styles above leave only the grid and its legend
         document.getElementById('printGradebook').addEventListener('click', function () {
             window.print();
         });
 
-        // Export gradebook to CSV
-        document.getElementById('exportGradebook').addEventListener('click', function () {
-            const table = document.querySelector('.data-table');
-            let csv = [];
-            const rows = table.querySelectorAll('tr');
+        // Report cards for every student in the class, with the subjects this teacher teaches there
+        const reportCardButton = document.getElementById('printReportCards');
+        if (reportCardButton) reportCardButton.addEventListener('click', function () {
+            const button = this;
+            const subjects = Array.from(document.querySelectorAll(`#class_subject_selector option[data-class-id="${button.dataset.classId}"]`))
+                .map(option => ({classSubjectId: option.value, name: option.dataset.subjectName}));
+            const progress = notifications.info(i18n.t('reportCards.preparing'), {duration: 0, dismissible: false});
+            button.disabled = true;
+
+            reportCards.fromClass({classId: button.dataset.classId, classTitle: button.dataset.classTitle, subjects})
+                .then(cards => {
+                    progress.dismiss();
+                    if (!cards.length) {
+                        notifications.warning(i18n.t('reportCards.noStudents'));
+                        return;
+                    }
+                    reportCards.print(cards, reportCards.schoolFrom(button), i18n.t('reportCards.fileName', {name: button.dataset.classTitle}));
+                })
+                .catch(error => {
+                    console.error('Error preparing report cards:', error);
+                    progress.dismiss();
+                    notifications.error(i18n.t('reportCards.loadError'));
+                })
+                .finally(() => button.disabled = false);
+        });
+
+        // --- Gradebook export ---
+        const exportForm = document.getElementById('exportGradebookForm');
+        const exportFormat = document.getElementById('export_format');
+        const exportDelimiterGroup = document.getElementById('export_delimiter_group');
+        const exportError = document.getElementById('exportGradebookError');
 
-            for (let i = 0; i < rows.length; i++) {
-                const row = [], cols = rows[i].querySelectorAll('td, th');
+        exportFormat.addEventListener('change', function () {
+            exportDelimiterGroup.style.display = this.value === 'csv' ? 'block' : 'none';
+        });
 
-                for (let j = 0; j < cols.length; j++) {
-                    // Get text content and clean it up
-                    let data = cols[j].innerText.replace(/(\r\n|\n|\r)/gm, '').trim();
+        document.getElementById('exportGradebookModal').addEventListener('modal:open', function () {
+            exportDelimiterGroup.style.display = exportFormat.value === 'csv' ? 'block' : 'none';
+        });
 
-                    // If it's a grade cell, get the actual grade value
-                    if (cols[j].querySelector('.grade')) {
-                        data = cols[j].querySelector('.grade').innerText.split('*')[0].trim();
+        // Loads students, grade items and grades from the API, independent of what the table shows
+        const fetchGradebookData = () => {
+            return api.post('grades', 'getClassGrades', {class_subject_id: '<?= $selectedClassSubjectId ?>'})
+                .then(data => {
+                    if (!data.data || !Array.isArray(data.data.students)) {
+                        throw new Error(data.message || i18n.t('gradebook.fetchError'));
                     }
+                    return data.data;
+                });
+        };
+
+        const getStudentGrade = (gradebook, student, item) => {
+            const studentGrades = gradebook.grades[student.enroll_id] || {};
+            return studentGrades[item.item_id] || null;
+        };
+
+        // One row per student with a points column per grade item, the second header row holds max points
+        const buildGradeRows = (gradebook) => {
+            const items = gradebook.grade_items || [];
+            const rows = [
+                [i18n.t('gradebook.export.lastName'), i18n.t('gradebook.export.firstName'), ...items.map(item => item.name)],
+                [i18n.t('gradebook.export.maxPoints'), '', ...items.map(item => Number(item.max_points))]
+            ];
+
+            gradebook.students.forEach(student => {
+                rows.push([student.last_name, student.first_name, ...items.map(item => {
+                    const grade = getStudentGrade(gradebook, student, item);
+                    return grade && grade.points !== null ? Number(grade.points) : null;
+                })]);
+            });
+
+            return rows;
+        };
+
+        const buildCommentRows = (gradebook) => {
+            const items = gradebook.grade_items || [];
+            const rows = [[i18n.t('gradebook.export.lastName'), i18n.t('gradebook.export.firstName'), ...items.map(item => item.name)]];
+
+            gradebook.students.forEach(student => {
+                rows.push([student.last_name, student.first_name, ...items.map(item => {
+                    const grade = getStudentGrade(gradebook, student, item);
+                    return grade ? grade.comment || null : null;
+                })]);
+            });
 
-                    // Escape double quotes and wrap data in quotes
-                    data = data.replace(/"/g, '""');
-                    row.push('"' + data + '"');
+            return rows;
+        };
+
+        // CSV has no sheets, so each grade item gets a points and a comment column
+        const buildCsvRows = (gradebook) => {
+            const items = gradebook.grade_items || [];
+            const rows = [
+                [i18n.t('gradebook.export.lastName'), i18n.t('gradebook.export.firstName'),
+                    ...items.flatMap(item => [item.name, i18n.t('gradebook.export.commentColumn', {item: item.name})])],
+                [i18n.t('gradebook.export.maxPoints'), '', ...items.flatMap(item => [Number(item.max_points), null])]
+            ];
+
+            gradebook.students.forEach(student => {
+                rows.push([student.last_name, student.first_name, ...items.flatMap(item => {
+                    const grade = getStudentGrade(gradebook, student, item);
+                    if (!grade) return [null, null];
+                    return [grade.points !== null ? Number(grade.points) : null, grade.comment || null];
+                })]);
+            });
+
+            return rows;
+        };
+
+        const buildJsonExport = (gradebook) => ({
+            class: exportForm.dataset.className,
+            subject: exportForm.dataset.subjectName,
+            exported_at: new Date().toISOString(),
+            grade_items: (gradebook.grade_items || []).map(item => ({
+                item_id: Number(item.item_id),
+                name: item.name,
+                max_points: Number(item.max_points),
+                date: item.date || null
+            })),
+            students: gradebook.students.map(student => ({
+                enroll_id: Number(student.enroll_id),
+                first_name: student.first_name,
+                last_name: student.last_name,
+                grades: (gradebook.grade_items || [])
+                    .map(item => ({item, grade: getStudentGrade(gradebook, student, item)}))
+                    .filter(entry => entry.grade)
+                    .map(({item, grade}) => ({
+                        item_id: Number(item.item_id),
+                        points: grade.points !== null ? Number(grade.points) : null,
+                        comment: grade.comment || null
+                    }))
+            }))
+        });
+
+        exportForm.addEventListener('submit', function (e) {
+            e.preventDefault();
+
+            const format = exportFormat.value;
+            const delimiterValue = document.getElementById('export_delimiter').value;
+            const submitButton = document.getElementById('exportGradebookSubmit');
+            const today = formatDate(new Date(), 'yyyy-mm-dd');
+            const filenameParts = [i18n.t('gradebook.export.filename'), this.dataset.className, this.dataset.subjectName, today];
+
+            exportError.style.display = 'none';
+            submitButton.disabled = true;
+
+            fetchGradebookData()
+                .then(gradebook => {
+                    if (format === 'csv') {
+                        const delimiter = delimiterValue === 'tab' ? '\t' : delimiterValue;
+                        // Excel with a comma-decimal locale expects decimal commas when columns are split on semicolons
+                        const decimalSeparator = delimiter === ';' ? ',' : '.';
+                        spreadsheetUtils.downloadBlob(
+                            spreadsheetUtils.createCsv(buildCsvRows(gradebook), {delimiter, decimalSeparator}),
+                            spreadsheetUtils.buildFilename(filenameParts, delimiter === '\t' ? 'tsv' : 'csv')
+                        );
+                    } else if (format === 'json') {
+                        const json = JSON.stringify(buildJsonExport(gradebook), null, 2);
+                        spreadsheetUtils.downloadBlob(
+                            new Blob([json], {type: 'application/json'}),
+                            spreadsheetUtils.buildFilename(filenameParts, 'json')
+                        );
+                    } else {
+                        spreadsheetUtils.downloadBlob(
+                            spreadsheetUtils.createXlsx([
+                                {name: i18n.t('gradebook.export.gradesSheet'), rows: buildGradeRows(gradebook), headerRows: 2},
+                                {name: i18n.t('gradebook.export.commentsSheet'), rows: buildCommentRows(gradebook), headerRows: 1}
+                            ]),
+                            spreadsheetUtils.buildFilename(filenameParts, 'xlsx')
+                        );
+                    }
+
+                    modalUtils.closeModal('exportGradebookModal');
+                })
+                .catch(error => {
+                    console.error('Error exporting gradebook:', error);
+                    exportError.textContent = error.message || i18n.t('gradebook.exportError');
+                    exportError.style.display = 'block';
+                })
+                .finally(() => {
+                    submitButton.disabled = false;
+                });
+        });
+
+        // --- Grade import ---
+        const importModal = document.getElementById('importGradesModal');
+        const importItemSelect = document.getElementById('import_grade_item');
+        const importPreviewBody = document.getElementById('importPreviewBody');
+        const importButtons = {
+            back: document.getElementById('importBackButton'),
+            preview: document.getElementById('importPreviewButton'),
+            save: document.getElementById('importSaveButton')
+        };
+        const importColumns = {
+            name: document.getElementById('import_col_name'),
+            surname: document.getElementById('import_col_surname'),
+            points: document.getElementById('import_col_points'),
+            comment: document.getElementById('import_col_comment')
+        };
+        const FUZZY_MATCH_THRESHOLD = 0.75;
+
+        let importGradebook = null;
+
+        // Lowercase, without diacritics and with words sorted, so "Novak Ana" equals "ana novák"
+        const normalizeName = (name) => String(name ?? '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean)
+            .sort()
+            .join(' ');
+
+        const levenshtein = (a, b) => {
+            let previous = Array.from({length: b.length + 1}, (_, i) => i);
+            for (let i = 1; i <= a.length; i++) {
+                const current = [i];
+                for (let j = 1; j <= b.length; j++) {
+                    current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
                 }
+                previous = current;
+            }
+            return previous[b.length];
+        };
+
+        const nameSimilarity = (a, b) => {
+            if (!a || !b) return 0;
+            if (a === b) return 1;
+            return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+        };
+
+        // Returns the most similar enrolled student, or null when nothing is close enough
+        const findStudentMatch = (name) => {
+            const normalized = normalizeName(name);
+            let best = null;
+
+            importGradebook.students.forEach(student => {
+                const score = nameSimilarity(normalized, normalizeName(`${student.first_name} ${student.last_name}`));
+                if (!best || score > best.score) best = {student, score};
+            });
+
+            return best && best.score >= FUZZY_MATCH_THRESHOLD ? best : null;
+        };
+
+        const getImportMaxPoints = () => {
+            const option = importItemSelect.options[importItemSelect.selectedIndex];
+            return option ? parseFloat(option.dataset.maxPoints) : 0;
+        };
 
-                csv.push(row.join(','));
+        const parseImportPoints = (value) => {
+            if (typeof value === 'number') return value;
+            const text = String(value ?? '').trim();
+            return text === '' ? null : i18n.parseNumber(text);
+        };
+
+        // Re-checks every preview row: points range, missing matches and students that appear twice
+        const validateImportRows = () => {
+            const maxPoints = getImportMaxPoints();
+            const itemId = importItemSelect.value;
+            const seen = new Set();
+            let ready = 0;
+            let problems = 0;
+
+            importPreviewBody.querySelectorAll('tr').forEach(row => {
+                const checkbox = row.querySelector('.import-include');
+                const enrollId = row.querySelector('.import-student').value;
+                const pointsInput = row.querySelector('.import-points-input');
+                const points = parseImportPoints(pointsInput.value);
+                const statusCell = row.querySelector('.import-status');
+
+                let status = row.dataset.matchStatus;
+                let level = row.dataset.matchLevel;
+
+                if (!enrollId) {
+                    status = i18n.t('gradebook.import.studentNotFound');
+                    level = 'error';
+                } else if (seen.has(enrollId)) {
+                    status = i18n.t('gradebook.import.duplicateStudent');
+                    level = 'error';
+                } else if (points === null) {
+                    status = i18n.t('gradebook.import.noPoints');
+                    level = 'error';
+                } else if (!Number.isFinite(points) || points < 0) {
+                    status = i18n.t('gradebook.import.invalidPoints');
+                    level = 'error';
+                } else if (points > maxPoints) {
+                    status = i18n.t('gradebook.import.overMax', {maxPoints});
+                    level = 'error';
+                } else {
+                    const existing = (importGradebook.grades[enrollId] || {})[itemId];
+                    if (existing && existing.points !== null) {
+                        status = `${status} ${i18n.t('gradebook.import.overwrites', {points: Number(existing.points)})}`.trim();
+                        level = level || 'warning';
+                    }
+                }
+
+                if (enrollId) seen.add(enrollId);
+                pointsInput.max = String(maxPoints);
+                pointsInput.classList.toggle('is-invalid', level === 'error' && points !== null);
+
+                row.classList.toggle('import-row-error', level === 'error');
+                row.classList.toggle('import-row-warning', level === 'warning');
+                statusCell.textContent = status || i18n.t('gradebook.import.ok');
+
+                checkbox.disabled = level === 'error';
+                if (level === 'error') checkbox.checked = false;
+                else if (row.dataset.userToggled !== '1') checkbox.checked = true;
+
+                if (checkbox.checked) ready++;
+                if (level === 'error') problems++;
+            });
+
+            document.getElementById('importSummary').textContent = i18n.t('gradebook.import.summary', {ready, problems});
+            importButtons.save.disabled = ready === 0;
+        };
+
+        const buildImportPreview = () => {
+            const column = (select) => select.value === '' ? null : Number(select.value);
+            const nameCol = column(importColumns.name);
+            const surnameCol = column(importColumns.surname);
+            const pointsCol = column(importColumns.points);
+            const commentCol = column(importColumns.comment);
+
+            if (nameCol === null || pointsCol === null) {
+                importWizard.showError(i18n.t('gradebook.import.chooseColumns'));
+                return;
             }
+            importWizard.showError('');
+
+            const rows = importWizard.dataRows();
+            importPreviewBody.innerHTML = '';
+
+            rows.forEach(cells => {
+                const sourceName = [cells[nameCol], surnameCol !== null ? cells[surnameCol] : '']
+                    .map(value => String(value ?? '').trim())
+                    .filter(Boolean)
+                    .join(' ');
+                if (!sourceName && String(cells[pointsCol] ?? '').trim() === '') return;
+
+                const match = findStudentMatch(sourceName);
+                const row = importPreviewBody.insertRow();
+                row.dataset.matchStatus = match && match.score < 1 ? i18n.t('gradebook.import.fuzzyMatch', {percent: i18n.formatPercent(match.score * 100, 0)}) : '';
+                row.dataset.matchLevel = match && match.score < 1 ? 'warning' : '';
+
+                const includeCell = row.insertCell();
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'import-include';
+                checkbox.setAttribute('aria-label', i18n.t('gradebook.import.includeRow', {name: sourceName}));
+                checkbox.addEventListener('change', () => {
+                    row.dataset.userToggled = '1';
+                    validateImportRows();
+                });
+                includeCell.appendChild(checkbox);
+
+                row.insertCell().textContent = sourceName || '—';
+
+                const studentSelect = document.createElement('select');
+                studentSelect.className = 'form-select import-student';
+                studentSelect.setAttribute('aria-label', i18n.t('gradebook.import.studentFor', {name: sourceName}));
+                studentSelect.add(new Option(i18n.t('gradebook.import.chooseStudent'), ''));
+                importGradebook.students.forEach(student => {
+                    studentSelect.add(new Option(`${student.last_name} ${student.first_name}`, String(student.enroll_id)));
+                });
+                if (match) studentSelect.value = String(match.student.enroll_id);
+                studentSelect.addEventListener('change', () => {
+                    // A manual choice replaces the fuzzy match note
+                    row.dataset.matchStatus = '';
+                    row.dataset.matchLevel = '';
+                    validateImportRows();
+                });
+                row.insertCell().appendChild(studentSelect);
+
+                const pointsInput = document.createElement('input');
+                pointsInput.type = 'text';
+                pointsInput.inputMode = 'decimal';
+                pointsInput.className = 'form-input import-points-input';
+                // Rows are checked by validateImportRows, invalid ones are skipped rather than blocking the import
+                pointsInput.dataset.validate = 'off';
+                pointsInput.value = String(cells[pointsCol] ?? '').trim();
+                pointsInput.setAttribute('aria-label', i18n.t('gradebook.import.pointsFor', {name: sourceName}));
+                pointsInput.addEventListener('input', validateImportRows);
+                const pointsCell = row.insertCell();
+                pointsCell.className = 'text-center';
+                pointsCell.appendChild(pointsInput);
+
+                const commentCell = row.insertCell();
+                commentCell.className = 'import-comment';
+                commentCell.textContent = commentCol !== null ? String(cells[commentCol] ?? '').trim() : '';
+                commentCell.dataset.mapped = commentCol !== null ? '1' : '';
+
+                const statusCell = row.insertCell();
+                statusCell.className = 'import-status text-sm';
+            });
+
+            if (!importPreviewBody.rows.length) {
+                importWizard.showError(i18n.t('gradebook.import.noRows'));
+                return;
+            }
+
+            validateImportRows();
+            importWizard.showStep('preview');
+        };
+
+        // Header keywords used to preselect the column mapping, "Priimek" and "Last name" are left for the surname
+        const importWizard = spreadsheetUtils.importWizard({
+            modal: importModal,
+            fileInput: document.getElementById('import_file'),
+            dropZone: document.getElementById('importDropZone'),
+            hasHeader: document.getElementById('import_has_header'),
+            steps: {
+                file: document.getElementById('importStepFile'),
+                mapping: document.getElementById('importStepMapping'),
+                preview: document.getElementById('importStepPreview')
+            },
+            buttons: importButtons,
+            error: document.getElementById('importGradesError'),
+            fileInfo: document.getElementById('importFileInfo'),
+            columns: importColumns,
+            columnHints: {
+                name: /^(?!priimek|surname|last ?name).*(ime|name|učenec|ucenec|dijak|student)/i,
+                surname: /priimek|surname|last ?name/i,
+                points: /točk|tock|points|score|rezultat|result/i,
+                comment: /komentar|comment|opomb|note/i
+            },
+            // Students and existing grades are loaded once per opening, for matching names and the overwrite notes
+            onLoad: () => (importGradebook ? null : fetchGradebookData().then(gradebook => {
+                importGradebook = gradebook;
+            })),
+            onPreview: buildImportPreview
+        });
 
-            // Create and trigger download
-            const csvContent = 'data:text/csv;charset=utf-8,' + csv.join('\n');
-            const encodedUri = encodeURI(csvContent);
-            const link = document.createElement('a');
-            link.setAttribute('href', encodedUri);
-            link.setAttribute('download', 'redovalnica.csv');
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
+        importItemSelect.addEventListener('change', function () {
+            if (importModal.dataset.step === 'preview') validateImportRows();
         });
 
+        importModal.addEventListener('modal:open', function () {
+            importGradebook = null;
+            importPreviewBody.innerHTML = '';
+            importWizard.reset();
+        });
+
+        document.getElementById('importGradesForm').addEventListener('submit', function (e) {
+            e.preventDefault();
+            validateImportRows();
+
+            const itemId = importItemSelect.value;
+            const grades = [];
+
+            importPreviewBody.querySelectorAll('tr').forEach(row => {
+                if (!row.querySelector('.import-include').checked) return;
+
+                const enrollId = row.querySelector('.import-student').value;
+                const commentCell = row.querySelector('.import-comment');
+                const existing = (importGradebook.grades[enrollId] || {})[itemId];
+
+                grades.push({
+                    enrollId: enrollId,
+                    itemId: itemId,
+                    points: String(parseImportPoints(row.querySelector('.import-points-input').value)),
+                    // Without a comment column keep the comment that is already stored
+                    comment: commentCell.dataset.mapped ? commentCell.textContent : (existing ? existing.comment || '' : '')
+                });
+            });
+
+            if (grades.length === 0) {
+                importWizard.showError(i18n.t('gradebook.import.noneSelected'));
+                return;
+            }
+
+            importButtons.save.disabled = true;
+            submitBatchGrades(grades);
+        });
+
+        // Posts grades through the batch handler of this page, which saves each one with saveGrade()
+        const submitBatchGrades = (grades) => {
+            const form = document.createElement('form');
+            form.method = 'POST';
+            form.action = 'gradebook.php';
+            form.style.display = 'none';
+
+            const fields = {
+                csrf_token: '<?= htmlspecialchars($csrfToken) ?>',
+                batch_grades: '1',
+                grades_data: JSON.stringify(grades),
+                class_subject_id: '<?= $selectedClassSubjectId ?>'
+            };
+
+            Object.entries(fields).forEach(([name, value]) => {
+                const input = document.createElement('input');
+                input.type = 'hidden';
+                input.name = name;
+                input.value = value;
+                form.appendChild(input);
+            });
+
+            document.body.appendChild(form);
+            form.submit();
+        };
+
         // Batch grade functionality
         if (document.getElementById('saveBatchGradesButton')) {
             document.getElementById('saveBatchGradesButton').addEventListener('click', function () {
+                // The button does not submit the form, so the item choice and points are checked here
+                if (!formValidator.validate(document.getElementById('batchGradeForm'))) return;
+
                 const itemId = document.getElementById('batch_grade_item').value;
-                if (!itemId) {
-                    alert('Prosimo, izberite preverjanje znanja.');
-                    return;
-                }
 
                 const grades = [];
 
                 document.querySelectorAll('.batch-points').forEach(input => {
                     const enrollId = input.dataset.enrollId;
-                    const points = input.value.trim();
+                    const points = input.value.trim().replace(',', '.');
                     const comment = document.querySelector(`.batch-comment[data-enroll-id="${enrollId}"]`).value.trim();
 
                     if (points) {
@@ -1439,86 +2393,29 @@ renderHeaderCard(
                 });
 
                 if (grades.length === 0) {
-                    alert('Ni vnešenih ocen za shranjevanje.');
+                    notifications.warning(i18n.t('gradebook.nothingToSave'));
                     return;
                 }
 
-                // Create form for submission
-                const form = document.createElement('form');
-                form.method = 'POST';
-                form.action = 'gradebook.php';
-                form.style.display = 'none';
-
-                // Add CSRF token
-                const csrfInput = document.createElement('input');
-                csrfInput.type = 'hidden';
-                csrfInput.name = 'csrf_token';
-                csrfInput.value = '<?= htmlspecialchars($csrfToken) ?>';
-                form.appendChild(csrfInput);
-
-                // Add batch flag
-                const batchInput = document.createElement('input');
-                batchInput.type = 'hidden';
-                batchInput.name = 'batch_grades';
-                batchInput.value = '1';
-                form.appendChild(batchInput);
-
-                // Add grades data
-                const gradesInput = document.createElement('input');
-                gradesInput.type = 'hidden';
-                gradesInput.name = 'grades_data';
-                gradesInput.value = JSON.stringify(grades);
-                form.appendChild(gradesInput);
-
-                // Add selected class subject id
-                const classSubjectInput = document.createElement('input');
-                classSubjectInput.type = 'hidden';
-                classSubjectInput.name = 'class_subject_id';
-                classSubjectInput.value = '<?= $selectedClassSubjectId ?>';
-                form.appendChild(classSubjectInput);
-
-                // Submit the form
-                document.body.appendChild(form);
-                form.submit();
+                // The local draft of the entered points stays until the page reports them saved
+                formState.submitted(document.getElementById('batchGradeForm'), {success: 'batch_grades'});
+                submitBatchGrades(grades);
             });
         }
 
-        // Grade presets
+        // Grade presets, points come from the grading scale (e.g. 4 or "4+")
         window.setGradePoints = function (grade) {
             const maxPointsText = document.getElementById('edit_grade_max_points').textContent;
             const maxPointsMatch = maxPointsText.match(/\d+(\.\d+)?/);
+            if (!maxPointsMatch) return;
 
-            if (maxPointsMatch) {
-                const maxPoints = parseFloat(maxPointsMatch[0]);
-                let pointsToSet = 0;
+            const pointsToSet = gradingScale.pointsFromMark(grade, parseFloat(maxPointsMatch[0]), scale);
+            if (pointsToSet === null) return;
 
-                // Calculate points based on grade
-                switch (grade) {
-                    case 5: // Excellent - 90% or higher
-                        pointsToSet = maxPoints * 0.95; // Set to 95% of max
-                        break;
-                    case 4: // Very good - 75-89%
-                        pointsToSet = maxPoints * 0.85; // Set to 85% of max
-                        break;
-                    case 3: // Good - 61-74%
-                        pointsToSet = maxPoints * 0.70; // Set to 70% of max
-                        break;
-                    case 2: // Sufficient - 50-60%
-                        pointsToSet = maxPoints * 0.55; // Set to 55% of max
-                        break;
-                    case 1: // Insufficient - <50%
-                        pointsToSet = maxPoints * 0.40; // Set to 40% of max
-                        break;
-                    default:
-                        return;
-                }
+            document.getElementById('edit_grade_points').value = pointsToSet;
 
-                // Set the points
-                document.getElementById('edit_grade_points').value = pointsToSet.toFixed(2);
-
-                // Update percentage display
-                updateGradePercentage();
-            }
+            // Update percentage display
+            updateGradePercentage();
         };
 
         // Keyboard navigation for grade entry
@@ -1560,10 +2457,8 @@ renderHeaderCard(
             });
         };
 
-        // Initialize keyboard navigation if batch modal is open
-        document.querySelector('[data-open-modal="batchGradeModal"]')?.addEventListener('click', function () {
-            setTimeout(setupKeyboardNavigation, 100);
-        });
+        // Initialize keyboard navigation for the batch modal inputs
+        setupKeyboardNavigation();
     });
 </script>
 
@@ -29,10 +29,55 @@ try {
 // Get pending justifications for homeroom teacher
 $pendingJustifications = getHomeroomTeacherJustifications($teacherId);
 
-// Toggle for showing processed justifications
-$showProcessed = isset($_GET['show_processed']) && $_GET['show_processed'] === '1';
-$processedJustifications = [];
-if ($showProcessed) $processedJustifications = getHomeroomTeacherJustifications($teacherId, true);
+// Processed justifications are loaded by their tab (getProcessedJustifications in api/justifications.php)
+
+// Evidence files for the attachment column and the attachment filter
+foreach ($pendingJustifications as $index => $item) $pendingJustifications[$index]['files'] = getJustificationFiles((int)$item['att_id']);
+
+// Filter options of the review queue
+$filterStudents = [];
+$filterSubjects = [];
+foreach ($pendingJustifications as $item) {
+    $filterStudents[$item['student_id']] = $item['first_name'] . ' ' . $item['last_name'];
+    $filterSubjects[$item['subject_name']] = $item['subject_name'];
+}
+asort($filterStudents);
+ksort($filterSubjects);
+
+/**
+ * Renders one viewer button per evidence file of a justification
+ *
+ * @param array $item Justification record with att_id, student name and its files
+ * @param string $csrfToken Token for download_justification.php
+ * @return string HTML for the attachment cell
+ */
+function renderJustificationAttachments(array $item, string $csrfToken): string
+{
+    $files = $item['files'];
+    if (empty($files)) return '<span class="text-disabled">Ni priloge</span>';
+
+    $studentName = htmlspecialchars($item['first_name'] . ' ' . $item['last_name']);
+    $html = '<div class="d-flex flex-column gap-xs">';
+
+    foreach ($files as $index => $file) {
+        $url = '../includes/download_justification.php?' . http_build_query(array_filter([
+                'att_id' => $item['att_id'],
+                'file_id' => $file['file_id'],
+                'csrf_token' => $csrfToken
+            ]));
+        $label = count($files) > 1 ? 'Priloga ' . ($index + 1) : 'Ogled priloge';
+
+        $html .= '<button type="button" class="btn btn-secondary btn-sm" data-open-modal="attachmentViewerModal"'
+            . ' data-src="' . htmlspecialchars($url . '&inline=1') . '"'
+            . ' data-download="' . htmlspecialchars($url) . '"'
+            . ' data-mime="' . htmlspecialchars($file['mime_type']) . '"'
+            . ' data-file-name="' . htmlspecialchars($file['original_name']) . '"'
+            . ' data-student-name="' . $studentName . '"'
+            . ' title="' . htmlspecialchars($file['original_name']) . '">' . $label . '</button>';
+    }
+
+    return $html . '</div>';
+}
 
 // Set page title and include header
 $pageTitle = 'Opravičila za odsotnost';
@@ -47,152 +92,180 @@ require_once '../includes/header.php';
     ); ?>
 
     <div class="card mb-lg">
-        <div class="card__content">
-            <div class="d-flex justify-between items-center mb-md">
-                <h3>Čakajoča opravičila</h3>
-                <div class="form-group d-flex items-center">
-                    <input type="checkbox" id="showProcessed" name="showProcessed" class="mr-sm"
-                        <?php echo $showProcessed ? 'checked' : ''; ?>>
-                    <label for="showProcessed" class="form-label mb-0">Prikaži tudi obdelana opravičila</label>
-                </div>
+        <div class="card__content" id="justificationTabs" data-tabs>
+            <div class="tab-list" aria-label="Opravičila">
+                <button type="button" class="tab-btn active" data-tab="pendingPanel">
+                    Čakajoča opravičila (<?= count($pendingJustifications) ?>)
+                </button>
+                <button type="button" class="tab-btn" data-tab="processedPanel">Obdelana opravičila</button>
             </div>
 
-            <?php if (empty($pendingJustifications)): ?>
-                <div class="alert status-info">
-                    <div class="alert-content">
-                        <p>Trenutno ni čakajočih opravičil.</p>
+            <div class="tab-content active" id="pendingPanel">
+                <?php if (empty($pendingJustifications)): ?>
+                    <div class="alert status-info" id="reviewEmpty">
+                        <div class="alert-content">
+                            <p>Trenutno ni čakajočih opravičil.</p>
+                        </div>
+                    </div>
+                <?php else: ?>
+                    <div class="alert status-info" id="reviewEmpty" style="display: none;">
+                        <div class="alert-content">
+                            <p>Vsa opravičila so obdelana.</p>
+                        </div>
                     </div>
-                </div>
-            <?php else: ?>
-                <div class="table-responsive">
-                    <table class="data-table">
-                        <thead>
-                        <tr>
-                            <th>Učenec</th>
-                            <th>Razred</th>
-                            <th>Predmet</th>
-                            <th>Datum</th>
-                            <th>Status</th>
-                            <th>Opravičilo</th>
-                            <th>Priloga</th>
-                            <th>Dejanja</th>
-                        </tr>
-                        </thead>
-                        <tbody>
-                        <?php foreach ($pendingJustifications as $item): ?>
-                            <tr>
-                                <td><?= htmlspecialchars($item['first_name'] . ' ' . $item['last_name']) ?></td>
-                                <td><?= htmlspecialchars($item['class_code']) ?></td>
-                                <td><?= htmlspecialchars($item['subject_name']) ?></td>
-                                <td><?= formatDateDisplay($item['period_date']) ?>
-                                    (<?= htmlspecialchars($item['period_label']) ?>)
-                                </td>
-                                <td>
-                                        <span class="badge badge-<?= $item['status'] === 'A' ? 'error' : 'warning' ?>">
-                                            <?= getAttendanceStatusLabel($item['status']) ?>
-                                        </span>
-                                </td>
-                                <td><?= htmlspecialchars($item['justification']) ?></td>
-                                <td>
-                                    <?php if (!empty($item['justification_file'])): ?>
-                                        <a href="../includes/download_justification.php?att_id=<?= $item['att_id'] ?>&csrf_token=<?= urlencode($csrfToken) ?>"
-                                           class="btn btn-secondary btn-sm">
-                                            Prenesi
-                                        </a>
-                                    <?php else: ?>
-                                        <span class="text-disabled">Ni priloge</span>
-                                    <?php endif; ?>
-                                </td>
-                                <td>
-                                    <div class="d-flex gap-sm">
-                                        <button class="btn btn-success btn-sm"
-                                                data-open-modal="approveModal"
-                                                data-id="<?= $item['att_id'] ?>"
-                                                data-name="<?= htmlspecialchars($item['first_name'] . ' ' . $item['last_name']) ?>">
-                                            Odobri
-                                        </button>
-                                        <button class="btn btn-error btn-sm"
-                                                data-open-modal="rejectModal"
-                                                data-id="<?= $item['att_id'] ?>"
-                                                data-name="<?= htmlspecialchars($item['first_name'] . ' ' . $item['last_name']) ?>">
-                                            Zavrni
-                                        </button>
-                                    </div>
-                                </td>
-                            </tr>
-                        <?php endforeach; ?>
-                        </tbody>
-                    </table>
-                </div>
-            <?php endif; ?>
-        </div>
-    </div>
 
-    <?php if ($showProcessed && !empty($processedJustifications)): ?>
-        <div class="card mb-lg">
-            <div class="card__content">
-                <h3 class="mb-md">Obdelana opravičila</h3>
-                <div class="table-responsive">
-                    <table class="data-table">
-                        <thead>
-                        <tr>
-                            <th>Učenec</th>
-                            <th>Razred</th>
-                            <th>Predmet</th>
-                            <th>Datum</th>
-                            <th>Status</th>
-                            <th>Opravičilo</th>
-                            <th>Priloga</th>
-                            <th>Rezultat</th>
-                        </tr>
-                        </thead>
-                        <tbody>
-                        <?php foreach ($processedJustifications as $item): ?>
-                            <tr>
-                                <td><?= htmlspecialchars($item['first_name'] . ' ' . $item['last_name']) ?></td>
-                                <td><?= htmlspecialchars($item['class_code']) ?></td>
-                                <td><?= htmlspecialchars($item['subject_name']) ?></td>
-                                <td><?= formatDateDisplay($item['period_date']) ?>
-                                    (<?= htmlspecialchars($item['period_label']) ?>)
-                                </td>
-                                <td>
-                                        <span class="badge badge-<?= $item['status'] === 'A' ? 'error' : 'warning' ?>">
-                                            <?= getAttendanceStatusLabel($item['status']) ?>
-                                        </span>
-                                </td>
-                                <td><?= htmlspecialchars($item['justification']) ?></td>
-                                <td>
-                                    <?php if (!empty($item['justification_file'])): ?>
-                                        <a href="../includes/download_justification.php?att_id=<?= $item['att_id'] ?>&csrf_token=<?= urlencode($csrfToken) ?>"
-                                           class="btn btn-secondary btn-sm">
-                                            Prenesi
-                                        </a>
-                                    <?php else: ?>
-                                        <span class="text-disabled">Ni priloge</span>
-                                    <?php endif; ?>
-                                </td>
-                                <td>
-                                    <?php if ($item['approved'] === 1): ?>
-                                        <span class="badge badge-success">Odobreno</span>
-                                    <?php elseif ($item['approved'] === 0): ?>
-                                        <span class="badge badge-error"
-                                              title="<?= htmlspecialchars($item['reject_reason']) ?>">
-                                                Zavrnjeno
+                    <div id="reviewQueue">
+                        <!-- Filters -->
+                        <div class="review-filters mb-md" role="search" aria-label="Filtri opravičil">
+                            <div class="form-group mb-0">
+                                <label class="form-label" for="filterStudent">Učenec</label>
+                                <select id="filterStudent" class="form-select">
+                                    <option value="">Vsi učenci</option>
+                                    <?php foreach ($filterStudents as $studentId => $studentName): ?>
+                                        <option value="<?= $studentId ?>"><?= htmlspecialchars($studentName) ?></option>
+                                    <?php endforeach; ?>
+                                </select>
+                            </div>
+                            <div class="form-group mb-0">
+                                <label class="form-label" for="filterSubject">Predmet</label>
+                                <select id="filterSubject" class="form-select">
+                                    <option value="">Vsi predmeti</option>
+                                    <?php foreach ($filterSubjects as $subjectName): ?>
+                                        <option value="<?= htmlspecialchars($subjectName) ?>"><?= htmlspecialchars($subjectName) ?></option>
+                                    <?php endforeach; ?>
+                                </select>
+                            </div>
+                            <div class="form-group mb-0">
+                                <label class="form-label" for="filterDateFrom">Od</label>
+                                <input type="date" id="filterDateFrom" class="form-input">
+                            </div>
+                            <div class="form-group mb-0">
+                                <label class="form-label" for="filterDateTo">Do</label>
+                                <input type="date" id="filterDateTo" class="form-input">
+                            </div>
+                            <div class="form-group mb-0 d-flex items-center">
+                                <label class="form-label mb-0">
+                                    <input type="checkbox" id="filterAttachment"> Samo s prilogo
+                                </label>
+                            </div>
+                        </div>
+
+                        <!-- Bulk actions -->
+                        <div class="review-toolbar mb-sm">
+                            <span id="reviewSelectionInfo" role="status" aria-live="polite">Izbrano: 0</span>
+                            <div class="d-flex gap-sm">
+                                <button type="button" class="btn btn-success btn-sm" id="bulkApproveBtn" disabled>
+                                    Odobri izbrane
+                                </button>
+                                <button type="button" class="btn btn-error btn-sm" id="bulkRejectBtn" disabled>
+                                    Zavrni izbrane
+                                </button>
+                            </div>
+                        </div>
+                        <p class="text-secondary text-sm mb-sm">
+                            Bližnjice: <kbd>J</kbd>/<kbd>↓</kbd> naslednje, <kbd>K</kbd>/<kbd>↑</kbd> prejšnje,
+                            <kbd>X</kbd> izberi, <kbd>A</kbd> odobri, <kbd>R</kbd> zavrni
+                        </p>
+
+                        <!-- Not a data-table: the filters, the keyboard queue and bulk selection above show and hide rows themselves -->
+                        <div class="table-responsive">
+                            <table class="data-table" id="reviewTable">
+                                <thead>
+                                <tr>
+                                    <th>
+                                        <input type="checkbox" id="reviewSelectAll"
+                                               aria-label="Izberi vsa prikazana opravičila">
+                                    </th>
+                                    <th>Učenec</th>
+                                    <th>Razred</th>
+                                    <th>Predmet</th>
+                                    <th>Datum</th>
+                                    <th>Status</th>
+                                    <th>Opravičilo</th>
+                                    <th>Priloga</th>
+                                    <th>Dejanja</th>
+                                </tr>
+                                </thead>
+                                <tbody>
+                                <?php foreach ($pendingJustifications as $item): ?>
+                                    <?php $studentName = $item['first_name'] . ' ' . $item['last_name']; ?>
+                                    <tr class="review-row" tabindex="-1"
+                                        data-att-id="<?= $item['att_id'] ?>"
+                                        data-student-id="<?= $item['student_id'] ?>"
+                                        data-student-name="<?= htmlspecialchars($studentName) ?>"
+                                        data-subject="<?= htmlspecialchars($item['subject_name']) ?>"
+                                        data-date="<?= htmlspecialchars($item['period_date']) ?>"
+                                        data-has-attachment="<?= empty($item['files']) ? '0' : '1' ?>">
+                                        <td>
+                                            <input type="checkbox" class="review-select"
+                                                   aria-label="Izberi opravičilo: <?= htmlspecialchars($studentName) ?>, <?= formatDateDisplay($item['period_date']) ?>">
+                                        </td>
+                                        <td><?= htmlspecialchars($studentName) ?></td>
+                                        <td><?= htmlspecialchars($item['class_code']) ?></td>
+                                        <td><?= htmlspecialchars($item['subject_name']) ?></td>
+                                        <td><?= formatDateDisplay($item['period_date']) ?>
+                                            (<?= htmlspecialchars($item['period_label']) ?>)
+                                        </td>
+                                        <td>
+                                            <span class="badge badge-<?= $item['status'] === 'A' ? 'error' : 'warning' ?>">
+                                                <?= getAttendanceStatusLabel($item['status']) ?>
                                             </span>
-                                    <?php else: ?>
-                                        <span class="badge badge-secondary">V obdelavi</span>
-                                    <?php endif; ?>
-                                </td>
-                            </tr>
-                        <?php endforeach; ?>
-                        </tbody>
-                    </table>
-                </div>
+                                        </td>
+                                        <td><?= htmlspecialchars($item['justification']) ?></td>
+                                        <td><?= renderJustificationAttachments($item, $csrfToken) ?></td>
+                                        <td>
+                                            <div class="d-flex gap-sm">
+                                                <button type="button" class="btn btn-success btn-sm"
+                                                        data-review-action="approve">
+                                                    Odobri
+                                                </button>
+                                                <button type="button" class="btn btn-error btn-sm"
+                                                        data-review-action="reject">
+                                                    Zavrni
+                                                </button>
+                                            </div>
+                                        </td>
+                                    </tr>
+                                <?php endforeach; ?>
+                                <tr id="reviewNoMatches" style="display: none;">
+                                    <td colspan="9" class="text-center text-secondary">Nobeno opravičilo ne ustreza
+                                        filtrom.
+                                    </td>
+                                </tr>
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                <?php endif; ?>
             </div>
+
+            <!-- Filled from the API the first time the tab opens -->
+            <div class="tab-content" id="processedPanel" data-tab-load="justifications:getProcessedJustifications"
+                 data-tab-method="post"></div>
         </div>
-    <?php endif; ?>
+    </div>
 </div>
 
+<template id="processedTableTemplate">
+    <div class="table-responsive">
+        <table class="data-table" data-table="processed" data-page-size="25" data-column-toggle>
+            <thead>
+            <tr>
+                <th data-column="student" data-sort="text" data-filter="text">Učenec</th>
+                <th data-column="class" data-sort="text" data-filter="select">Razred</th>
+                <th data-column="subject" data-sort="text" data-filter="select">Predmet</th>
+                <th data-column="date" data-sort="date">Datum</th>
+                <th data-column="status" data-filter="select">Status</th>
+                <th data-column="justification" data-filter="text">Opravičilo</th>
+                <th data-column="attachment" data-searchable="false">Priloga</th>
+                <th data-column="result" data-sort="text" data-filter="select">Rezultat</th>
+            </tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+    </div>
+</template>
+
 <!-- Approve Modal -->
 <div class="modal" id="approveModal">
     <div class="modal-overlay" aria-hidden="true"></div>
@@ -202,14 +275,14 @@ require_once '../includes/header.php';
         </div>
         <div class="modal-body">
             <div class="alert status-success mb-md">
-                <p>Ali res želite odobriti opravičilo učenca <strong id="approveModal_name"></strong>?</p>
+                <p id="approveModalMessage"></p>
             </div>
-            <input type="hidden" id="approveModal_id" value="">
+            <div class="feedback-text feedback-invalid" id="approveModalError" role="alert" style="display: none;"></div>
         </div>
         <div class="modal-footer">
             <div class="d-flex justify-between w-full">
                 <button type="button" class="btn btn-secondary" data-close-modal>Prekliči</button>
-                <button type="button" class="btn btn-success" id="confirmApproveBtn">Odobri</button>
+                <button type="button" class="btn btn-success" id="confirmApproveBtn" autofocus>Odobri</button>
             </div>
         </div>
     </div>
@@ -225,15 +298,26 @@ require_once '../includes/header.php';
         <form id="rejectForm">
             <div class="modal-body">
                 <div class="alert status-error mb-md">
-                    <p>Ali res želite zavrniti opravičilo učenca <strong id="rejectModal_name"></strong>?</p>
+                    <p id="rejectModalMessage"></p>
+                </div>
+
+                <div class="form-group">
+                    <label for="rejectTemplate" class="form-label">Predloga razloga:</label>
+                    <select id="rejectTemplate" class="form-select">
+                        <option value="">Lasten razlog</option>
+                        <option>Manjka zdravniško potrdilo.</option>
+                        <option>Opravičilo je bilo oddano po roku.</option>
+                        <option>Obrazložitev ne zadošča za opravičen izostanek.</option>
+                        <option>Priloženo dokazilo ni čitljivo. Prosimo, oddajte ga ponovno.</option>
+                    </select>
                 </div>
-                <input type="hidden" id="rejectModal_id" name="att_id" value="">
-                <input type="hidden" name="csrf_token" value="<?= htmlspecialchars($csrfToken) ?>">
 
                 <div class="form-group">
                     <label for="rejectReason" class="form-label">Razlog zavrnitve:</label>
-                    <textarea id="rejectReason" name="reason" class="form-textarea" required></textarea>
+                    <textarea id="rejectReason" name="reason" class="form-textarea" required autofocus></textarea>
+                    <div class="feedback-text">Isti razlog bo shranjen pri vseh izbranih opravičilih.</div>
                 </div>
+                <div class="feedback-text feedback-invalid" id="rejectModalError" role="alert" style="display: none;"></div>
             </div>
             <div class="modal-footer">
                 <div class="d-flex justify-between w-full">
@@ -245,150 +329,476 @@ require_once '../includes/header.php';
     </div>
 </div>
 
+<!-- Attachment Viewer Modal -->
+<div class="modal" id="attachmentViewerModal">
+    <div class="modal-overlay" aria-hidden="true"></div>
+    <div class="modal-container" role="dialog" aria-modal="true" aria-labelledby="attachmentViewerTitle"
+         style="max-width: 900px;">
+        <div class="modal-header">
+            <h3 class="modal-title" id="attachmentViewerTitle">Priloga: <span data-fill="studentName"></span></h3>
+        </div>
+        <div class="modal-body">
+            <p class="text-secondary text-sm mb-sm" data-fill="fileName"></p>
+            <div class="attachment-viewer" id="attachmentViewer"></div>
+        </div>
+        <div class="modal-footer">
+            <div class="d-flex justify-between w-full">
+                <button type="button" class="btn btn-secondary" data-close-modal>Zapri</button>
+                <a class="btn btn-primary" id="attachmentViewerDownload" data-fill-href="download">Prenesi</a>
+            </div>
+        </div>
+    </div>
+</div>
+
 <script>
     document.addEventListener('DOMContentLoaded', function () {
-        // Toggle show processed justifications
-        document.getElementById('showProcessed').addEventListener('change', function () {
-            window.location.href = 'justifications.php' + (this.checked ? '?show_processed=1' : '');
-        });
+        // --- Processed Justifications ---
+        const processedPanel = document.getElementById('processedPanel');
+
+        // The same viewer buttons as renderJustificationAttachments()
+        const renderAttachments = (item) => {
+            if (item.files.length === 0) {
+                const none = document.createElement('span');
+                none.className = 'text-disabled';
+                none.textContent = i18n.t('justifications.noAttachment');
+                return none;
+            }
+
+            const list = document.createElement('div');
+            list.className = 'd-flex flex-column gap-xs';
+
+            item.files.forEach((file, index) => {
+                const params = new URLSearchParams({att_id: item.att_id});
+                if (file.file_id !== null) params.set('file_id', file.file_id);
+                params.set('csrf_token', '<?= htmlspecialchars($csrfToken) ?>');
+                const url = `../includes/download_justification.php?${params.toString()}`;
+
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-secondary btn-sm';
+                button.dataset.openModal = 'attachmentViewerModal';
+                button.dataset.src = `${url}&inline=1`;
+                button.dataset.download = url;
+                button.dataset.mime = file.mime_type;
+                button.dataset.fileName = file.original_name;
+                button.dataset.studentName = item.student_name;
+                button.title = file.original_name;
+                button.textContent = item.files.length > 1
+                    ? i18n.t('justifications.attachmentNumber', {number: index + 1})
+                    : i18n.t('justifications.viewAttachment');
+                list.appendChild(button);
+            });
 
-        // --- Modal Management Functions ---
-        const openModal = (modalId) => {
-            const modal = document.getElementById(modalId);
-            if (modal) {
-                modal.classList.add('open');
-                // Focus the first focusable element
-                const firstFocusable = modal.querySelector('button, [href], input, select, textarea');
-                if (firstFocusable) firstFocusable.focus();
+            return list;
+        };
+
+        const renderResult = (item) => {
+            const badge = document.createElement('span');
+            if (item.approved === 1) {
+                badge.className = 'badge badge-success';
+                badge.textContent = i18n.t('justifications.result.approved');
+            } else if (item.approved === 0) {
+                badge.className = 'badge badge-error';
+                badge.textContent = i18n.t('justifications.result.rejected');
+                badge.title = item.reject_reason || '';
+            } else {
+                badge.className = 'badge badge-secondary';
+                badge.textContent = i18n.t('justifications.result.pending');
             }
+            return badge;
         };
 
-        const closeModal = (modal) => {
-            if (typeof modal === 'string') {
-                modal = document.getElementById(modal);
+        processedPanel.addEventListener('tab:load', function (e) {
+            const justifications = e.detail.data.justifications;
+
+            if (justifications.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'alert status-info';
+                empty.innerHTML = '<div class="alert-content"><p></p></div>';
+                empty.querySelector('p').textContent = i18n.t('justifications.processedEmpty');
+                processedPanel.appendChild(empty);
+                return;
             }
 
-            if (modal) {
-                modal.classList.remove('open');
-                // Reset forms if present
-                const form = modal.querySelector('form');
-                if (form) form.reset();
-
-                // Clear any error messages
-                const errorMsgs = modal.querySelectorAll('.feedback-error');
-                errorMsgs.forEach(msg => {
-                    if (msg && msg.style) {
-                        msg.style.display = 'none';
-                    }
-                });
+            processedPanel.appendChild(document.getElementById('processedTableTemplate').content.cloneNode(true));
+            const body = processedPanel.querySelector('tbody');
+
+            justifications.forEach(item => {
+                const row = body.insertRow();
+                const status = document.createElement('span');
+                status.className = `badge badge-${item.status === 'A' ? 'error' : 'warning'}`;
+                status.textContent = item.status_label;
+
+                [
+                    item.student_name,
+                    item.class_code,
+                    item.subject_name,
+                    `${i18n.formatDate(item.period_date, 'date')} (${item.period_label})`,
+                    status,
+                    item.justification,
+                    renderAttachments(item),
+                    renderResult(item)
+                ].forEach(content => row.insertCell().append(content));
+                row.cells[3].dataset.sortValue = item.period_date;
+            });
+
+            dataTable.enhance(processedPanel.querySelector('table'));
+        });
+
+        // --- Attachment Viewer ---
+        const attachmentViewer = document.getElementById('attachmentViewer');
+
+        document.getElementById('attachmentViewerModal').addEventListener('modal:open', function (e) {
+            const trigger = e.detail.trigger;
+            attachmentViewer.innerHTML = '';
+            if (!trigger) return;
+
+            if (trigger.dataset.mime === 'application/pdf') {
+                const frame = document.createElement('iframe');
+                frame.src = trigger.dataset.src;
+                frame.title = trigger.dataset.fileName;
+                attachmentViewer.appendChild(frame);
+            } else if (trigger.dataset.mime.startsWith('image/')) {
+                const image = document.createElement('img');
+                image.src = trigger.dataset.src;
+                image.alt = i18n.t('justifications.attachmentAlt', {file: trigger.dataset.fileName});
+                // Photos of notes are often small print, a click shows them at full size
+                image.addEventListener('click', () => image.classList.toggle('is-zoomed'));
+                attachmentViewer.appendChild(image);
+            } else {
+                const message = document.createElement('p');
+                message.className = 'text-secondary p-md';
+                message.textContent = i18n.t('justifications.noPreview');
+                attachmentViewer.appendChild(message);
             }
+        });
+
+        // Stop loading the file when the viewer closes
+        document.getElementById('attachmentViewerModal').addEventListener('modal:close', function () {
+            attachmentViewer.innerHTML = '';
+        });
+
+        // --- Review Queue ---
+        const reviewTable = document.getElementById('reviewTable');
+        const reviewQueue = document.getElementById('reviewQueue');
+        const reviewEmpty = document.getElementById('reviewEmpty');
+        const reviewNoMatches = document.getElementById('reviewNoMatches');
+        const selectionInfo = document.getElementById('reviewSelectionInfo');
+        const selectAll = document.getElementById('reviewSelectAll');
+        const bulkApproveBtn = document.getElementById('bulkApproveBtn');
+        const bulkRejectBtn = document.getElementById('bulkRejectBtn');
+        const filterStudent = document.getElementById('filterStudent');
+        const filterSubject = document.getElementById('filterSubject');
+        const filterDateFrom = document.getElementById('filterDateFrom');
+        const filterDateTo = document.getElementById('filterDateTo');
+        const filterAttachment = document.getElementById('filterAttachment');
+
+        let activeRow = null;
+        // Attendance IDs the open approve/reject modal acts on
+        let reviewTargets = [];
+
+        const getRows = () => reviewTable ? Array.from(reviewTable.querySelectorAll('tr.review-row')) : [];
+        const getVisibleRows = () => getRows().filter(row => !row.hidden);
+        const getSelectedRows = () => getVisibleRows().filter(row => row.querySelector('.review-select').checked);
+        const findRow = (attId) => getRows().find(row => row.dataset.attId === String(attId)) || null;
+
+        const updateSelectionInfo = () => {
+            const visible = getVisibleRows();
+            const selected = getSelectedRows();
+
+            selectionInfo.textContent = i18n.t('justifications.selected', {count: selected.length});
+            bulkApproveBtn.disabled = selected.length === 0;
+            bulkRejectBtn.disabled = selected.length === 0;
+            selectAll.checked = visible.length > 0 && selected.length === visible.length;
+            selectAll.indeterminate = selected.length > 0 && selected.length < visible.length;
+
+            getRows().forEach(row => row.classList.toggle('review-row-selected', row.querySelector('.review-select').checked));
         };
 
-        // --- Event Listeners ---
+        const setActiveRow = (row, focus = true) => {
+            if (activeRow) activeRow.classList.remove('review-row-active');
+            activeRow = row;
+            if (!row) return;
 
-        // Open modal buttons
-        document.querySelectorAll('[data-open-modal]').forEach(btn => {
-            btn.addEventListener('click', function () {
-                const modalId = this.dataset.openModal;
-                openModal(modalId);
+            row.classList.add('review-row-active');
+            if (focus) {
+                row.focus();
+                row.scrollIntoView({block: 'nearest'});
+            }
+        };
 
-                // If the button has additional data attributes, process them
-                const dataId = this.dataset.id;
-                const dataName = this.dataset.name;
+        const moveActiveRow = (delta) => {
+            const rows = getVisibleRows();
+            if (rows.length === 0) return;
 
-                if (dataId) {
-                    // Handle ID data (e.g., fill hidden form field)
-                    const idField = document.getElementById(`${modalId}_id`);
-                    if (idField) idField.value = dataId;
-                }
+            const index = rows.indexOf(activeRow);
+            const next = index === -1 ? (delta > 0 ? 0 : rows.length - 1) : Math.max(0, Math.min(rows.length - 1, index + delta));
+            setActiveRow(rows[next]);
+        };
 
-                if (dataName) {
-                    // Handle name data (e.g., show in confirmation text)
-                    const nameDisplay = document.getElementById(`${modalId}_name`);
-                    if (nameDisplay) nameDisplay.textContent = dataName;
-                }
+        // Hides rows that do not match, hidden rows are deselected so bulk actions only touch what is shown
+        const applyFilters = () => {
+            const rows = getRows();
+
+            rows.forEach(row => {
+                const matches = (!filterStudent.value || row.dataset.studentId === filterStudent.value)
+                    && (!filterSubject.value || row.dataset.subject === filterSubject.value)
+                    && (!filterDateFrom.value || row.dataset.date >= filterDateFrom.value)
+                    && (!filterDateTo.value || row.dataset.date <= filterDateTo.value)
+                    && (!filterAttachment.checked || row.dataset.hasAttachment === '1');
+
+                row.hidden = !matches;
+                if (!matches) row.querySelector('.review-select').checked = false;
             });
-        });
 
-        // Close modal buttons
-        document.querySelectorAll('[data-close-modal]').forEach(btn => {
-            btn.addEventListener('click', function () {
-                closeModal(this.closest('.modal'));
+            if (activeRow && activeRow.hidden) setActiveRow(null);
+            reviewNoMatches.style.display = rows.length > 0 && getVisibleRows().length === 0 ? '' : 'none';
+            updateSelectionInfo();
+        };
+
+        // Removes reviewed rows and moves the keyboard position to the row after them
+        const removeRows = (attIds) => {
+            const ids = attIds.map(String);
+            const visible = getVisibleRows();
+            let nextRow = null;
+
+            if (activeRow && ids.includes(activeRow.dataset.attId)) {
+                const index = visible.indexOf(activeRow);
+                nextRow = visible.slice(index + 1).find(row => !ids.includes(row.dataset.attId))
+                    || visible.slice(0, index).reverse().find(row => !ids.includes(row.dataset.attId))
+                    || null;
+                setActiveRow(null);
+            }
+
+            ids.forEach(id => {
+                const row = findRow(id);
+                if (row) row.remove();
             });
-        });
 
-        // Close modals when clicking the overlay
-        document.querySelectorAll('.modal-overlay').forEach(overlay => {
-            overlay.addEventListener('click', function () {
-                closeModal(this.closest('.modal'));
+            if (getRows().length === 0) {
+                reviewQueue.style.display = 'none';
+                reviewEmpty.style.display = '';
+                return;
+            }
+
+            applyFilters();
+            if (nextRow) setActiveRow(nextRow);
+        };
+
+        const markFailedRows = (failed) => {
+            failed.forEach(item => {
+                const row = findRow(item.att_id);
+                if (!row) return;
+                row.classList.add('review-row-error');
+                row.title = item.message;
             });
-        });
+        };
 
-        // Close modals with Escape key
-        document.addEventListener('keydown', function (e) {
-            if (e.key === 'Escape') {
-                document.querySelectorAll('.modal.open').forEach(modal => {
-                    closeModal(modal);
-                });
+        const showModalError = (elementId, message) => {
+            const element = document.getElementById(elementId);
+            element.textContent = message;
+            element.style.display = message ? 'block' : 'none';
+        };
+
+        // Fills the confirmation text with the student name or the number of justifications
+        const describeTargets = (element, action) => {
+            element.textContent = '';
+
+            if (reviewTargets.length === 1) {
+                const row = findRow(reviewTargets[0]);
+                const name = document.createElement('strong');
+                name.textContent = row ? row.dataset.studentName : '';
+                // The name is bold, so the message is split around its placeholder
+                const [before, after = ''] = i18n.t(`justifications.confirmOne.${action}`).split('{name}');
+                element.append(before, name, after);
+            } else {
+                element.textContent = i18n.t(`justifications.confirmMany.${action}`, {count: reviewTargets.length});
             }
-        });
+        };
 
-        // Handle approve justification
-        document.getElementById('confirmApproveBtn').addEventListener('click', function () {
-            const absenceId = document.getElementById('approveModal_id').value;
-
-            fetch('../api/justifications.php', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                },
-                body: new URLSearchParams({
-                    'action': 'approveJustification',
-                    'att_id': absenceId,
-                    'csrf_token': '<?= $csrfToken ?>'
-                })
-            })
-                .then(response => response.json())
+        const openReview = (action, attIds) => {
+            if (attIds.length === 0) return;
+            reviewTargets = attIds;
+
+            if (action === 'approve') {
+                describeTargets(document.getElementById('approveModalMessage'), 'approve');
+                showModalError('approveModalError', '');
+                modalUtils.openModal('approveModal');
+            } else {
+                describeTargets(document.getElementById('rejectModalMessage'), 'reject');
+                showModalError('rejectModalError', '');
+                modalUtils.openModal('rejectModal');
+            }
+        };
+
+        // Selected rows, or the row under the keyboard position when nothing is selected
+        const getShortcutTargets = () => {
+            const selected = getSelectedRows();
+            if (selected.length > 0) return selected.map(row => row.dataset.attId);
+            return activeRow ? [activeRow.dataset.attId] : [];
+        };
+
+        const submitReview = (action, reason = '') => {
+            const apiAction = action === 'approve' ? 'bulkApproveJustifications' : 'bulkRejectJustifications';
+            const payload = {att_ids: reviewTargets};
+            if (action === 'reject') payload.reason = reason;
+
+            return api.post('justifications', apiAction, payload)
                 .then(data => {
-                    if (data.success) {
-                        // Refresh page on success
-                        location.reload();
-                    } else {
-                        alert('Napaka: ' + (data.message || 'Neznana napaka pri odobritvi opravičila.'));
+                    notifications.success(i18n.t(`justifications.done.${action}`, {count: data.processed.length}));
+
+                    if (data.failed.length > 0) {
+                        markFailedRows(data.failed);
+                        notifications.warning(i18n.t('justifications.failed', {count: data.failed.length}));
                     }
+
+                    return data;
+                });
+        };
+
+        if (reviewTable) {
+            [filterStudent, filterSubject, filterDateFrom, filterDateTo, filterAttachment].forEach(filter => {
+                filter.addEventListener('change', applyFilters);
+            });
+
+            selectAll.addEventListener('change', function () {
+                getVisibleRows().forEach(row => row.querySelector('.review-select').checked = this.checked);
+                updateSelectionInfo();
+            });
+
+            reviewTable.addEventListener('change', function (e) {
+                if (e.target.classList.contains('review-select')) updateSelectionInfo();
+            });
+
+            reviewTable.addEventListener('click', function (e) {
+                const row = e.target.closest('tr.review-row');
+                if (!row) return;
+
+                setActiveRow(row, false);
+
+                const actionButton = e.target.closest('[data-review-action]');
+                if (actionButton) openReview(actionButton.dataset.reviewAction, [row.dataset.attId]);
+            });
+
+            bulkApproveBtn.addEventListener('click', () => openReview('approve', getSelectedRows().map(row => row.dataset.attId)));
+            bulkRejectBtn.addEventListener('click', () => openReview('reject', getSelectedRows().map(row => row.dataset.attId)));
+
+            // Keyboard shortcuts of the pending tab, ignored while typing or when a modal is open
+            document.addEventListener('keydown', function (e) {
+                if (e.ctrlKey || e.metaKey || e.altKey || modalUtils.getTopModal()) return;
+                if (!reviewTable.closest('.tab-content').classList.contains('active')) return;
+                if (e.target.matches('input:not([type="checkbox"]), select, textarea, [contenteditable]')) return;
+
+                const inTable = reviewTable.contains(e.target);
+                const key = e.key.toLowerCase();
+
+                if (key === 'j' || (key === 'arrowdown' && inTable)) {
+                    e.preventDefault();
+                    moveActiveRow(1);
+                } else if (key === 'k' || (key === 'arrowup' && inTable)) {
+                    e.preventDefault();
+                    moveActiveRow(-1);
+                } else if (key === 'x' && activeRow) {
+                    e.preventDefault();
+                    const checkbox = activeRow.querySelector('.review-select');
+                    checkbox.checked = !checkbox.checked;
+                    updateSelectionInfo();
+                } else if (key === 'a') {
+                    e.preventDefault();
+                    openReview('approve', getShortcutTargets());
+                } else if (key === 'r') {
+                    e.preventDefault();
+                    openReview('reject', getShortcutTargets());
+                }
+            });
+
+            updateSelectionInfo();
+        }
+
+        // Handle approve confirmation
+        document.getElementById('confirmApproveBtn').addEventListener('click', function () {
+            const button = this;
+            button.disabled = true;
+
+            submitReview('approve')
+                .then(data => {
+                    modalUtils.closeModal('approveModal');
+                    removeRows(data.processed);
+                    tabs.reload(processedPanel);
                 })
                 .catch(error => {
                     console.error('Error:', error);
-                    alert('Napaka pri pošiljanju zahteve.');
-                });
+                    showModalError('approveModalError', error.message || i18n.t('justifications.requestError'));
+                })
+                .finally(() => button.disabled = false);
+        });
+
+        // Reason templates fill the shared reason, which can still be edited
+        document.getElementById('rejectTemplate').addEventListener('change', function () {
+            if (this.value) document.getElementById('rejectReason').value = this.value;
         });
 
         // Handle reject form submission
         document.getElementById('rejectForm').addEventListener('submit', function (e) {
             e.preventDefault();
 
-            const formData = new FormData(this);
-            formData.append('action', 'rejectJustification');
+            const submitButton = this.querySelector('[type="submit"]');
+            submitButton.disabled = true;
 
-            fetch('../api/justifications.php', {
-                method: 'POST',
-                body: formData
-            })
-                .then(response => response.json())
+            submitReview('reject', document.getElementById('rejectReason').value.trim())
                 .then(data => {
-                    if (data.success) {
-                        // Refresh page on success
-                        location.reload();
-                    } else {
-                        alert('Napaka: ' + (data.message || 'Neznana napaka pri zavrnitvi opravičila.'));
-                    }
+                    modalUtils.closeModal('rejectModal');
+                    removeRows(data.processed);
+                    tabs.reload(processedPanel);
                 })
                 .catch(error => {
                     console.error('Error:', error);
-                    alert('Napaka pri pošiljanju zahteve.');
-                });
+                    showModalError('rejectModalError', error.message || i18n.t('justifications.requestError'));
+                })
+                .finally(() => submitButton.disabled = false);
         });
     });
 </script>
 
+<style>
+    .review-filters {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(160px, 1fr));
+        gap: var(--space-md);
+        align-items: end;
+    }
+
+    .review-toolbar {
+        display: flex;
+        flex-wrap: wrap;
+        justify-content: space-between;
+        align-items: center;
+        gap: var(--space-sm);
+    }
+
+    .review-row:focus {
+        outline: none;
+    }
+
+    .review-row-active td {
+        box-shadow: inset 0 2px 0 var(--accent-primary), inset 0 -2px 0 var(--accent-primary);
+    }
+
+    .review-row-selected td {
+        background-color: rgba(255, 255, 255, 0.04);
+    }
+
+    .review-row-error td {
+        background-color: rgba(239, 68, 68, 0.12);
+    }
+
+    kbd {
+        padding: 0 4px;
+        border: 1px solid var(--border-color-light);
+        border-radius: 4px;
+        font-family: inherit;
+        font-size: 0.9em;
+    }
+</style>
+
 <?php include '../includes/footer.php'; ?>
@@ -371,7 +371,7 @@ function renderTeacherClassAveragesWidget(): string
         $html .= '<div class="d-flex justify-between items-center">';
         $html .= '<div class="font-medium">' . htmlspecialchars($bestClass['subject_name']) . ' - ' . htmlspecialchars($bestClass['class_title']) . '</div>';
 
-        $bestGrade = getGradeLetter($bestScore);
+        $bestGrade = getGradeLetter($bestScore, getGradingScale((int)$bestClass['class_subject_id']));
         $gradeClass = 'grade-' . $bestGrade;
 
         $html .= '<div class="badge ' . $gradeClass . '">' . round($bestScore, 1) . '% (' . $bestGrade . ')</div>';
@@ -384,7 +384,7 @@ function renderTeacherClassAveragesWidget(): string
         $html .= '<div class="d-flex justify-between items-center">';
         $html .= '<div class="font-medium">' . htmlspecialchars($worstClass['subject_name']) . ' - ' . htmlspecialchars($worstClass['class_title']) . '</div>';
 
-        $worstGrade = getGradeLetter($worstScore);
+        $worstGrade = getGradeLetter($worstScore, getGradingScale((int)$worstClass['class_subject_id']));
         $gradeClass = 'grade-' . $worstGrade;
 
         $html .= '<div class="badge ' . $gradeClass . '">' . round($worstScore, 1) . '% (' . $worstGrade . ')</div>';
@@ -420,7 +420,7 @@ function renderTeacherClassAveragesWidget(): string
             foreach ($classes as $class) {
                 // Calculate grade
                 $gradeScore = $class['avg_score'] ?? 0;
-                $grade = getGradeLetter($gradeScore);
+                $grade = getGradeLetter($gradeScore, getGradingScale((int)$class['class_subject_id']));
                 $scoreText = $class['avg_score'] !== null ? round($class['avg_score'], 1) . '%' : 'N/A';
 
                 $gradeClass = $class['avg_score'] !== null ? 'grade-' . $grade : 'badge-secondary';